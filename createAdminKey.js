@@ -0,0 +1,33 @@
+const { createApiKey } = require('./lib/adminAuth');
+
+/*
+    Generates an admin API key. Hand the key to the operator and add the hash
+    to ADMIN_API_KEYS with the scopes they need, see lib/adminAuth.js.
+
+    Usage: npm run create-admin-key -- <id> [scope ...]
+*/
+
+/**
+ * Prints a new key and the ADMIN_API_KEYS entry for it.
+ *
+ * @param {string[]} args key id followed by its scopes
+ */
+function main(args) {
+  const [id, ...scopes] = args;
+  if (!id) {
+    console.error('usage: npm run create-admin-key -- <id> [scope ...]');
+    process.exitCode = 1;
+    return;
+  }
+  const { apiKey, hash } = createApiKey();
+  console.log(`X-Api-Key: ${apiKey}`);
+  console.log(
+    `ADMIN_API_KEYS entry: ${JSON.stringify({
+      id: id,
+      hash: hash,
+      scopes: scopes.length ? scopes : ['faucet:read'],
+    })}`
+  );
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,63 @@
+const { runWithContext, logger } = require('./lib/logger');
+const { metrics } = require('./lib/metrics');
+const { traceIdFrom } = require('./lib/tracing');
+const {
+  coreOptionsFromEnv,
+  createCore,
+  response,
+  validateCoreOptions,
+} = require('./lib/core');
+const { checkOpenPaymentRequests } = require('./lib/paymentRequests');
+
+require('dotenv').config();
+
+// Stop trying deliveries with this much Lambda time left
+const TIME_RESERVE_MS = 10000;
+
+const core = createCore(coreOptionsFromEnv(process.env));
+
+/**
+ * Entry-point for the DeliverWebhooks AWS Lambda function, run every minute
+ * by an EventBridge schedule. Checks open payment requests for payments
+ * (lib/paymentRequests.js), emits send.confirmed for confirmed sends and
+ * tries the webhook deliveries that are due, see lib/webhooks.js.
+ *
+ * @param {Object} _event the schedule's CloudWatch Event
+ * @param {Object} context Lambda context, used to stop before the function times out
+ * @returns {HttpResponse} Http response object
+ */
+exports.handler = async (_event, context) => {
+  const requestId = context && context.awsRequestId;
+  return await runWithContext(
+    { requestId: requestId, traceId: traceIdFrom() },
+    async () => {
+      const error = validateCoreOptions(core.options);
+      if (error) {
+        logger.error('invalid configuration', { error: error });
+        return response(500, { error: error });
+      }
+
+      const outOfTime = () =>
+        context && context.getRemainingTimeInMillis
+          ? context.getRemainingTimeInMillis() < TIME_RESERVE_MS
+          : false;
+      const paymentRequests = await checkOpenPaymentRequests(
+        {
+          store: core.store,
+          node: core.node,
+          nano: core.nano,
+          webhooks: core.webhooks,
+          faucetAddress: core.faucet.address,
+        },
+        outOfTime
+      );
+      const counts = Object.assign(
+        { paymentRequests: paymentRequests },
+        await core.webhooks.runDue(outOfTime)
+      );
+      logger.info('webhook run finished', counts);
+      metrics.flush({ requestId: requestId });
+      return response(200, counts);
+    }
+  );
+};
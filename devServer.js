@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const WebSocket = require('ws');
+const { wallet: nanoWallet } = require('nanocurrency-web');
+const { nanoToRaw } = require('./lib/amounts');
+const { logger } = require('./lib/logger');
+const { metrics } = require('./lib/metrics');
+const { createStore } = require('./lib/storage');
+const { createNodeFeed, nodeFeedOptionsFromEnv } = require('./lib/nanoFeed');
+const { createPushService } = require('./lib/push');
+const {
+  httpApiEvent,
+  httpApiResponse,
+  lambdaContext,
+  scheduledEvent,
+} = require('./lib/localRuntime');
+const {
+  createSimulatedLedger,
+  createSimulatedNodeServer,
+} = require('./lib/simulatedNode');
+
+require('dotenv').config();
+
+/*
+    Runs the whole TryNano stack on one machine:
+
+      - the API Lambda behind an emulated API Gateway HTTP API, on
+        http://localhost:3000 (DEV_PORT), with the same events and response
+        mapping as in AWS. Paths under the old /lambda prefix still work.
+      - the ReturnAllNanoToFaucet Lambda every DEV_SWEEP_INTERVAL_MINUTES
+        (60, 0 to never run it), with a scheduled event or DEV_SWEEP_INPUT
+      - the DeliverWebhooks Lambda every minute, see lib/webhooks.js
+      - wallet updates over WebSocket on ws://localhost:3000/ws
+      - Prometheus metrics on http://localhost:3000/metrics
+      - a simulated Nano node (lib/simulatedNode.js), unless DEV_NODE=rpc
+        uses the NANO_RPC_URLS / NANO_WS_URL nodes instead
+
+    With the simulated node, whatever .env leaves unset gets a throwaway
+    default: a generated faucet account holding DEV_FAUCET_BALANCE NANO, a
+    random wallet master key, the stub anti-abuse verifier, http webhook
+    endpoints allowed and a file store that starts empty, like the ledger.
+
+    Usage: npm start (restarts on changes), or npm run serve
+*/
+
+const DEV_PORT = Number(process.env.DEV_PORT) || 3000;
+const DEV_NODE = process.env.DEV_NODE || 'simulated';
+const SWEEP_INTERVAL_MINUTES =
+  process.env.DEV_SWEEP_INTERVAL_MINUTES !== undefined &&
+  process.env.DEV_SWEEP_INTERVAL_MINUTES !== ''
+    ? Number(process.env.DEV_SWEEP_INTERVAL_MINUTES)
+    : 60;
+const DEFAULT_FAUCET_BALANCE = '1000';
+
+// the deployed functions' timeouts, API Gateway gives up on the API at 30s
+const API_TIMEOUT_MS = 30000;
+const SWEEP_TIMEOUT_MS = 900000;
+const WEBHOOKS_TIMEOUT_MS = 60000;
+
+/**
+ * Starts the stack.
+ */
+async function main() {
+  if (DEV_NODE === 'simulated') {
+    await startSimulatedNode();
+  } else if (DEV_NODE !== 'rpc') {
+    throw new Error('DEV_NODE must be simulated or rpc');
+  }
+
+  // both read their config when loaded, so only after the defaults are in
+  const api = require('./index');
+  const sweep = require('./returnAllNanoToFaucet');
+  const deliverWebhooks = require('./deliverWebhooks');
+
+  const app = express();
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.prometheus());
+  });
+  app.use(express.raw({ type: () => true, limit: '10mb' }));
+  app.use((req, res) => handleHttp(api.handler, req, res));
+
+  const server = app.listen(DEV_PORT, () =>
+    logger.info('listening', { port: DEV_PORT })
+  );
+  startPush(server, api.receiveWallet);
+
+  if (SWEEP_INTERVAL_MINUTES > 0) {
+    scheduleSweep(sweep.handler, SWEEP_INTERVAL_MINUTES);
+  }
+  scheduleWebhooks(deliverWebhooks.handler);
+}
+
+/**
+ * Starts the simulated node and points the config at it, filling in local
+ * defaults for what .env leaves unset.
+ */
+async function startSimulatedNode() {
+  const ledger = createSimulatedLedger({
+    sendDifficulty: process.env.WORK_SEND_DIFFICULTY,
+    receiveDifficulty: process.env.WORK_RECEIVE_DIFFICULTY,
+  });
+  const server = createSimulatedNodeServer(ledger);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+
+  process.env.NANO_RPC_URLS = `http://127.0.0.1:${port}`;
+  process.env.NANO_WS_URL = `ws://127.0.0.1:${port}`;
+  setDefault('WORK_SEND_DIFFICULTY', ledger.sendDifficulty);
+  setDefault('WORK_RECEIVE_DIFFICULTY', ledger.receiveDifficulty);
+
+  if (!process.env.FAUCET_PRIVATE_KEY) {
+    const faucet = nanoWallet.generateLegacy().accounts[0];
+    process.env.FAUCET_ADDRESS = faucet.address;
+    process.env.FAUCET_PUBLIC_KEY = faucet.publicKey;
+    process.env.FAUCET_PRIVATE_KEY = faucet.privateKey;
+  }
+  const balance = nanoToRaw(
+    process.env.DEV_FAUCET_BALANCE || DEFAULT_FAUCET_BALANCE
+  );
+  if (balance.error) {
+    throw new Error(`DEV_FAUCET_BALANCE ${balance.error}`);
+  }
+  ledger.openAccount(process.env.FAUCET_ADDRESS, balance.value.toString());
+
+  setDefault('STORAGE_BACKEND', 'file');
+  if (!process.env.STORAGE_FILE_PATH) {
+    const file = path.join(os.tmpdir(), `trynano-dev-${process.pid}.json`);
+    process.env.STORAGE_FILE_PATH = file;
+    process.on('exit', () => fs.rmSync(file, { force: true }));
+  }
+  setDefault('WALLET_MASTER_KEY', crypto.randomBytes(32).toString('hex'));
+  setDefault('ANTI_ABUSE_VERIFIER', 'stub');
+  setDefault('WEBHOOK_ALLOW_HTTP', 'true');
+
+  logger.info('simulated node started', {
+    url: process.env.NANO_RPC_URLS,
+    faucet: process.env.FAUCET_ADDRESS,
+  });
+}
+
+/**
+ * Passes an HTTP request to the API Lambda the way API Gateway does.
+ *
+ * @param {Function} handler the Lambda handler
+ * @param {express.Request} req the request
+ * @param {express.Response} res the response
+ */
+async function handleHttp(handler, req, res) {
+  const [, query] = req.originalUrl.split(/\?(.*)/);
+  const event = httpApiEvent({
+    method: req.method,
+    path: req.path.replace(/^\/lambda(?=\/)/, ''),
+    query: query,
+    headers: req.headers,
+    body: Buffer.isBuffer(req.body) ? req.body : undefined,
+    sourceIp: req.socket.remoteAddress.replace(/^::ffff:/, ''),
+  });
+
+  let result;
+  let timer;
+  try {
+    result = await Promise.race([
+      handler(event, lambdaContext('TryNanoApi', API_TIMEOUT_MS)),
+      new Promise((resolve) => {
+        timer = setTimeout(
+          () =>
+            resolve({
+              statusCode: 503,
+              body: JSON.stringify({ message: 'Service Unavailable' }),
+            }),
+          API_TIMEOUT_MS
+        );
+      }),
+    ]);
+  } catch (err) {
+    logger.error('lambda invocation failed', { err: err });
+    result = {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal Server Error' }),
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const out = httpApiResponse(result);
+  res.status(out.statusCode).set(out.headers).end(out.body);
+}
+
+/**
+ * Serves wallet updates over WebSocket at /ws, see lib/push.js.
+ *
+ * @param {http.Server} server the HTTP server to share
+ * @param {Function} receiveWallet the API's receive, for incoming blocks
+ */
+function startPush(server, receiveWallet) {
+  const sockets = new Map();
+  const feedOptions = nodeFeedOptionsFromEnv(process.env);
+  const push = createPushService({
+    store: createStore({
+      backend: process.env.STORAGE_BACKEND,
+      filePath: process.env.STORAGE_FILE_PATH,
+      region: 'us-west-1',
+    }),
+    feed: feedOptions.url ? createNodeFeed(feedOptions) : undefined,
+    receive: async (address) => {
+      const res = await receiveWallet(address);
+      return {
+        balance: res.account.balance.RAW,
+        resolvedCount: res.resolvedCount,
+      };
+    },
+    deliver: async (connectionId, message) => {
+      const socket = sockets.get(connectionId);
+      if (!socket || socket.readyState !== WebSocket.OPEN) {
+        return false;
+      }
+      socket.send(JSON.stringify(message));
+      return true;
+    },
+  });
+  if (feedOptions.url) {
+    push.start();
+  } else {
+    logger.warn('NANO_WS_URL not set, websocket updates are disabled');
+  }
+
+  new WebSocket.Server({ server: server, path: '/ws' }).on(
+    'connection',
+    (socket) => {
+      const connectionId = crypto.randomBytes(8).toString('hex');
+      sockets.set(connectionId, socket);
+      socket.on('message', (data) => {
+        push
+          .handleMessage(connectionId, data.toString())
+          .then((reply) => socket.send(JSON.stringify(reply)))
+          .catch((err) =>
+            logger.warn('websocket message failed', { err: err })
+          );
+      });
+      socket.on('close', () => {
+        sockets.delete(connectionId);
+        push.disconnect(connectionId);
+      });
+    }
+  );
+}
+
+/**
+ * Runs the sweep Lambda on a schedule, like its EventBridge rule. A run
+ * still going when the next is due is left to finish instead.
+ *
+ * @param {Function} handler the sweep Lambda handler
+ * @param {number} minutes schedule interval
+ */
+function scheduleSweep(handler, minutes) {
+  let running = false;
+  setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const event = process.env.DEV_SWEEP_INPUT
+        ? JSON.parse(process.env.DEV_SWEEP_INPUT)
+        : scheduledEvent('ReturnAllNanoToFaucet');
+      await handler(
+        event,
+        lambdaContext('ReturnAllNanoToFaucet', SWEEP_TIMEOUT_MS)
+      );
+    } catch (err) {
+      logger.error('scheduled sweep failed', { err: err });
+    } finally {
+      running = false;
+    }
+  }, minutes * 60000);
+  logger.info('sweep scheduled', { everyMinutes: minutes });
+}
+
+/**
+ * Runs the webhook Lambda every minute, like its EventBridge rule, skipping
+ * a run while the previous one is still going.
+ *
+ * @param {Function} handler the DeliverWebhooks Lambda handler
+ */
+function scheduleWebhooks(handler) {
+  let running = false;
+  setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await handler(
+        scheduledEvent('DeliverWebhooks'),
+        lambdaContext('DeliverWebhooks', WEBHOOKS_TIMEOUT_MS)
+      );
+    } catch (err) {
+      logger.error('scheduled webhook run failed', { err: err });
+    } finally {
+      running = false;
+    }
+  }, 60000);
+}
+
+/**
+ * Sets an environment variable unless .env already did.
+ *
+ * @param {string} name variable
+ * @param {string} value default value
+ */
+function setDefault(name, value) {
+  if (!process.env[name]) {
+    process.env[name] = value;
+  }
+}
+
+process.on('SIGINT', () => process.exit(0));
+process.on('SIGTERM', () => process.exit(0));
+
+main().catch((err) => {
+  logger.error('unable to start', { err: err });
+  process.exit(1);
+});
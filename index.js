@@ -1,59 +1,422 @@
-const AWS = require('aws-sdk');
-const nano_client = require('@nanobox/nano-client');
 const { NANO } = require('@nanobox/nano-client/dist/models');
-const axios = require('axios');
-const FormData = require('form-data');
 const { HttpResponse } = require('aws-sdk');
+const { ACCOUNT_BUSY, withAccountLock } = require('./lib/locks');
+const {
+  HIT_NOT_RECORDED,
+  checkRateLimits,
+  creatorSession,
+  ipPrefix,
+  recordHits,
+} = require('./lib/rateLimit');
+const {
+  antiAbuseOptionsFromEnv,
+  createAntiAbuse,
+  validateAntiAbuseOptions,
+} = require('./lib/antiAbuse');
+const {
+  adminKeysFromEnv,
+  authenticate,
+  hasScope,
+  validateAdminKeys,
+} = require('./lib/adminAuth');
+const {
+  ACCESS_LISTS,
+  checkAccess,
+  listAccessRules,
+  setAccessRule,
+  validateAccessValue,
+} = require('./lib/accessList');
+const {
+  OVERRIDABLE_FIELDS,
+  effectivePolicy,
+  getFaucetControls,
+  setFaucetPaused,
+  setPolicyOverrides,
+} = require('./lib/faucetControls');
+const { ERROR_CODES } = require('./lib/errors');
+const { logger, runWithContext } = require('./lib/logger');
+const { metrics } = require('./lib/metrics');
+const { traceIdFrom } = require('./lib/tracing');
+const { validate } = require('./lib/validation');
+const { formatAmount, rawToNano, storedBalance } = require('./lib/amounts');
+const {
+  applyPolicyOverrides,
+  budgetDay,
+  checkEligibility,
+  computePayout,
+  faucetPolicyFromEnv,
+  validateFaucetPolicy,
+} = require('./lib/faucetPolicy');
+const {
+  claimIdempotencyKey,
+  isValidIdempotencyKey,
+  releaseIdempotencyKey,
+  requestFingerprint,
+  saveIdempotentResponse,
+  trackBroadcasts,
+} = require('./lib/idempotency');
+const { INVALID_CURSOR, getWalletHistory } = require('./lib/history');
+const {
+  MAX_WALLET_ACCOUNTS,
+  deriveAccount: deriveSeedAccount,
+  getWalletSummary: summarizeSeedWallet,
+  newWalletId,
+} = require('./lib/seedWallets');
+const { NODE_UNAVAILABLE } = require('./lib/nanoNode');
+const {
+  MAX_EXPIRY_MINUTES,
+  checkPaymentRequest,
+  formatPaymentRequest,
+  isOpen: isPaymentRequestOpen,
+  isSettled: isPaymentRequestSettled,
+  newPaymentRequest,
+  sendPaymentWebhook,
+} = require('./lib/paymentRequests');
+const { CONDITION_FAILED } = require('./lib/storage');
+const { WEBHOOK_EVENTS } = require('./lib/webhooks');
+const {
+  FAUCET_LOCK_WAIT_MS,
+  WALLET_EXPIRATION_TIME_SECONDS,
+  coreOptionsFromEnv,
+  createCore,
+  errorResponse,
+  response,
+  validateCoreOptions,
+} = require('./lib/core');
+const {
+  SWEEP_OPTIONS_SCHEMA,
+  createSweeper,
+  sweepOptionsFromEnv,
+} = require('./lib/sweep');
 
 require('dotenv').config();
 
-const FAUCET_PUBLIC_KEY = process.env.FAUCET_PUBLIC_KEY,
-  FAUCET_PRIVATE_KEY = process.env.FAUCET_PRIVATE_KEY,
-  FAUCET_ADDRESS = process.env.FAUCET_ADDRESS,
-  CAPTCHA_SECRET = process.env.CAPTCHA_SECRET;
+// createWallets makes this many wallets unless the request asks for a count up to the max
+const DEFAULT_WALLET_COUNT = 2;
+const MAX_WALLET_COUNT = 10;
 
-const DDB_WALLET_TABLE_NAME = 'TryNanoWallets';
-const DDB_FAUCET_IP_HISTORY_TABLE_NAME = 'FaucetIpHistory';
+const FAUCET_IP_HISTORY_EXPIRATION_TIME_SECONDS = 172800; // 48 hours
+const FAUCET_BUDGET_EXPIRATION_TIME_SECONDS = 172800; // 48 hours
 
-/*
-    Must wait 1 hour after last wallet usage until eligible to return to
-    faucet.
+const IDEMPOTENCY_TTL_SECONDS = 86400; // 24 hours
 
-    Ensures that funds are not returned to faucet while user is still
-    using the wallet.
-*/
-const RETURN_TO_FAUCET_EPOCH_MS = 3600000;
-const WALLET_EXPIRATION_TIME_SECONDS = 259200; // 72 hours
+// Deleting an HD account waits this long for a derivation of the same wallet to finish
+const SEED_WALLET_LOCK_WAIT_MS = 5000;
 
-const FAUCET_IP_HISTORY_EXPIRATION_TIME_SECONDS = 172800; // 48 hours
-const FAUCET_THROTTLE_DURATION_SECONDS = 600; // 10 minutes
-const FAUCET_INVOKE_LIMIT = 10;
-const FAUCET_RESET_TIME_HOURS = 24;
-const FAUCET_PERCENT = 0.000125;
+// Config, clients, the wallet repository and Nano operations shared with the sweep, see lib/core
+const coreOptions = coreOptionsFromEnv(process.env);
+const core = createCore(coreOptions);
+const { node, store, vault, monitor, webhooks, wallets, nano } = core;
+const c = core.client;
+const FAUCET_ADDRESS = core.faucet.address;
 
-const c = new nano_client.NanoClient({
-  url: 'https://proxy.powernode.cc/proxy',
+// Runs the sweep in-process for the admin API, see adminRunSweep
+const sweeper = createSweeper({
+  core: core,
+  options: sweepOptionsFromEnv(process.env),
 });
 
-const ddb = new AWS.DynamoDB({
-  region: 'us-west-1',
-});
+// Eligibility rules and payout amounts, see lib/faucetPolicy.js. Operators can
+// layer overrides over it at runtime, see lib/faucetControls.js
+const faucetPolicy = faucetPolicyFromEnv(process.env);
+
+// Hashed X-Api-Key keys for the admin routes, see lib/adminAuth.js
+const adminKeys = adminKeysFromEnv(process.env);
+
+const antiAbuseOptions = antiAbuseOptionsFromEnv(process.env);
+const antiAbuse = createAntiAbuse(antiAbuseOptions, store);
+
+/*
+    Every route declares the request body it accepts. Bodies are validated
+    and normalized (see lib/validation.js) before the api method runs, so
+    api methods can trust their params.
+
+    `verification` configures the anti-abuse check for the route (see
+    lib/antiAbuse.js): the reCAPTCHA v3 / Turnstile `action` and `minScore`
+    expected, or a fixed `verifier` such as 'none' for read-only routes.
 
+    Routes marked `idempotent` honour the Idempotency-Key header: a retry
+    with the same key and body gets the original response back instead of
+    broadcasting another block.
+
+    Routes with an `admin` scope are operator routes: instead of the
+    anti-abuse check they need an X-Api-Key with that scope (see
+    lib/adminAuth.js), and the api method gets the key as a third argument.
+*/
 const apiMapping = {
-  '/api/createWallets': createWallets,
-  '/api/send': send,
-  '/api/receive': receive,
-  '/api/getFromFaucet': getFromFaucet,
-  '/api/getFaucetInfo': getFaucetInfo,
+  '/api/createWallets': {
+    method: createWallets,
+    verification: { action: 'createWallets' },
+    schema: {
+      count: { type: 'integer', min: 1, max: MAX_WALLET_COUNT },
+      labels: {
+        type: 'list',
+        of: 'string',
+        max: MAX_WALLET_COUNT,
+        items: { max: 64 },
+      },
+    },
+  },
+  '/api/deriveAccount': {
+    method: deriveAccount,
+    verification: { action: 'deriveAccount' },
+    schema: {
+      walletId: { type: 'string', required: true, max: 64 },
+      seed: { type: 'seed', required: true },
+      accountIndex: { type: 'integer', min: 0, max: MAX_WALLET_ACCOUNTS - 1 },
+    },
+  },
+  '/api/getWalletSummary': {
+    method: getWalletSummary,
+    verification: { verifier: 'none' },
+    schema: {
+      walletId: { type: 'string', required: true, max: 64 },
+    },
+  },
+  '/api/extendWallet': {
+    method: extendWallet,
+    verification: { action: 'extendWallet' },
+    schema: {
+      address: { type: 'address', required: true },
+      privateKey: { type: 'privateKey', required: true },
+    },
+  },
+  '/api/deleteWallet': {
+    method: deleteWallet,
+    verification: { action: 'deleteWallet' },
+    idempotent: true,
+    schema: {
+      address: { type: 'address', required: true },
+      privateKey: { type: 'privateKey', required: true },
+    },
+  },
+  '/api/send': {
+    method: send,
+    verification: { action: 'send' },
+    idempotent: true,
+    schema: {
+      fromAddress: { type: 'address', required: true },
+      toAddress: { type: 'address', required: true },
+      privateKey: { type: 'privateKey', required: true },
+      amount: { type: 'amount' },
+    },
+  },
+  '/api/receive': {
+    method: receive,
+    verification: { action: 'receive' },
+    schema: {
+      receiveAddress: { type: 'address', required: true },
+    },
+  },
+  '/api/getFromFaucet': {
+    method: getFromFaucet,
+    verification: { action: 'getFromFaucet' },
+    idempotent: true,
+    schema: {
+      toAddress: { type: 'address', required: true },
+      privateKey: { type: 'privateKey', required: true },
+    },
+  },
+  '/api/getFaucetInfo': {
+    method: getFaucetInfo,
+    verification: { verifier: 'none' },
+    schema: {},
+  },
+  '/api/getHistory': {
+    method: getHistory,
+    verification: { verifier: 'none' },
+    schema: {
+      address: { type: 'address', required: true },
+      cursor: { type: 'string', max: 512 },
+      limit: { type: 'integer', min: 1, max: 100 },
+    },
+  },
+  '/api/createPaymentRequest': {
+    method: createPaymentRequest,
+    verification: { action: 'createPaymentRequest' },
+    idempotent: true,
+    schema: {
+      address: { type: 'address', required: true },
+      privateKey: { type: 'privateKey', required: true },
+      amount: { type: 'amount', required: true },
+      expiresInMinutes: { type: 'integer', min: 1, max: MAX_EXPIRY_MINUTES },
+      label: { type: 'string', max: 64 },
+      message: { type: 'string', max: 140 },
+      webhookUrl: { type: 'url', max: 2048, publicHost: true },
+    },
+  },
+  '/api/getPaymentRequest': {
+    method: getPaymentRequest,
+    verification: { verifier: 'none' },
+    schema: {
+      requestId: { type: 'string', required: true, max: 64 },
+    },
+  },
+  '/api/getChallenge': {
+    method: getChallenge,
+    verification: { verifier: 'none' },
+    schema: {},
+  },
+  '/api/admin/getFaucetStatus': {
+    method: adminGetFaucetStatus,
+    admin: 'faucet:read',
+    schema: {},
+  },
+  '/api/admin/pauseFaucet': {
+    method: adminPauseFaucet,
+    admin: 'faucet:write',
+    schema: {
+      message: { type: 'string', max: 500 },
+    },
+  },
+  '/api/admin/resumeFaucet': {
+    method: adminResumeFaucet,
+    admin: 'faucet:write',
+    schema: {},
+  },
+  '/api/admin/setFaucetPolicy': {
+    method: adminSetFaucetPolicy,
+    admin: 'faucet:write',
+    schema: {
+      policy: { type: 'object' },
+      reset: { type: 'boolean' },
+    },
+  },
+  '/api/admin/runSweep': {
+    method: adminRunSweep,
+    admin: 'sweep:run',
+    schema: SWEEP_OPTIONS_SCHEMA,
+  },
+  '/api/admin/getNodeStatus': {
+    method: adminGetNodeStatus,
+    admin: 'node:read',
+    schema: {
+      check: { type: 'boolean' },
+    },
+  },
+  '/api/admin/getIpHistory': {
+    method: adminGetIpHistory,
+    admin: 'ip:read',
+    schema: {
+      ip: { type: 'ip', required: true },
+    },
+  },
+  '/api/admin/clearIpHistory': {
+    method: adminClearIpHistory,
+    admin: 'ip:write',
+    schema: {
+      ip: { type: 'ip', required: true },
+    },
+  },
+  '/api/admin/listAccessRules': {
+    method: adminListAccessRules,
+    admin: 'access:read',
+    schema: {},
+  },
+  '/api/admin/setAccessRule': {
+    method: adminSetAccessRule,
+    admin: 'access:write',
+    schema: {
+      type: { type: 'string', required: true },
+      value: { type: 'string', required: true, max: 100 },
+      list: { type: 'string', required: true },
+      reason: { type: 'string', max: 500 },
+    },
+  },
+  '/api/admin/createWebhook': {
+    method: adminCreateWebhook,
+    admin: 'webhooks:write',
+    schema: {
+      url: {
+        type: 'url',
+        required: true,
+        max: 2048,
+        allowHttp: core.options.webhooks.allowHttp,
+      },
+      events: {
+        type: 'list',
+        of: 'string',
+        required: true,
+        max: WEBHOOK_EVENTS.length,
+        items: { max: 32 },
+      },
+      description: { type: 'string', max: 200 },
+    },
+  },
+  '/api/admin/listWebhooks': {
+    method: adminListWebhooks,
+    admin: 'webhooks:read',
+    schema: {},
+  },
+  '/api/admin/deleteWebhook': {
+    method: adminDeleteWebhook,
+    admin: 'webhooks:write',
+    schema: {
+      webhookId: { type: 'string', required: true, max: 64 },
+    },
+  },
+  '/api/admin/listWebhookDeadLetters': {
+    method: adminListWebhookDeadLetters,
+    admin: 'webhooks:read',
+    schema: {
+      webhookId: { type: 'string', max: 64 },
+    },
+  },
+  '/api/admin/replayWebhookDeliveries': {
+    method: adminReplayWebhookDeliveries,
+    admin: 'webhooks:write',
+    schema: {
+      webhookId: { type: 'string', max: 64 },
+      deliveryIds: { type: 'list', of: 'string', max: 100, items: { max: 64 } },
+    },
+  },
+};
+
+/**
+ * Entry-point for the NanoFaucet AWS Lambda function. Handles the request with its
+ * request and trace ids in the logging context, and records its metrics.
+ *
+ * @param {APIGatewayProxyEvent} event the API Gateway event data
+ * @param {Object} context Lambda context
+ * @returns {HttpResponse} Http response object
+ */
+exports.handler = async function (event, context = {}) {
+  const requestId =
+    context.awsRequestId || (event.requestContext || {}).requestId;
+  // unknown paths share one dimension so they can't blow up metric cardinality
+  const route = apiMapping[event.rawPath]
+    ? routeName(event.rawPath)
+    : 'unknown';
+  return await runWithContext(
+    {
+      requestId: requestId,
+      traceId: traceIdFrom(event.headers),
+      route: route,
+    },
+    async () => {
+      const start = Date.now();
+      const res = await handleRequest(event);
+      metrics.timing('request_duration_ms', Date.now() - start, {
+        route: route,
+      });
+      metrics.increment('requests', {
+        route: route,
+        status: String(res.statusCode),
+      });
+      metrics.flush({ requestId: requestId });
+      return res;
+    }
+  );
 };
 
 /**
- * Entry-point for the NanoFaucet AWS Lambda function. Checks recaptcha token and reroutes to appropriate api method based off the requested path.
+ * Authenticates admin routes, runs the anti-abuse check (unless the client IP is allow-listed)
+ * for the others and reroutes to appropriate api method based off the requested path.
  *
  * @param {APIGatewayProxyEvent} event the API Gateway event data
  * @returns {HttpResponse} Http response object
  */
-exports.handler = async function (event) {
+async function handleRequest(event) {
   try {
     if (event.requestContext.http.method === 'OPTIONS') {
       return response(200, {});
@@ -61,132 +424,663 @@ exports.handler = async function (event) {
 
     const error = validateState();
     if (error) {
-      return response(500, { error: error });
+      return errorResponse(500, ERROR_CODES.MISCONFIGURED, error);
     }
 
-    const token = event.headers['x-recaptcha'];
-    const captchaResponse = token ? await validateCaptcha(token) : undefined;
-    if (!(captchaResponse && captchaResponse.success)) {
-      return response(403, { error: 'access denied: invalid recaptcha token' });
+    const path = event.rawPath;
+    const route = apiMapping[path];
+    if (!route) {
+      return errorResponse(404, ERROR_CODES.NOT_FOUND, 'not found');
     }
 
-    const path = event.rawPath;
-    const params = event.body ? JSON.parse(event.body) : {};
-    const apiMethod = apiMapping[path];
-    if (!apiMethod) {
-      return response(404, 'not found');
+    let admin;
+    let verification = { success: true };
+    if (route.admin) {
+      admin = authenticate(adminKeys, event.headers['x-api-key']);
+      if (!admin) {
+        return errorResponse(
+          401,
+          ERROR_CODES.UNAUTHORIZED,
+          'missing or invalid API key'
+        );
+      } else if (!hasScope(admin, route.admin)) {
+        return errorResponse(
+          403,
+          ERROR_CODES.FORBIDDEN,
+          `API key ${admin.id} lacks the ${route.admin} scope`
+        );
+      }
+      logger.info('admin request', { adminKeyId: admin.id });
+    } else {
+      const access = await checkAccess(store, {
+        ip: event.requestContext.http.sourceIp,
+      });
+      if (access.blocked) {
+        return errorResponse(403, ERROR_CODES.BLOCKED, 'access denied');
+      } else if (!access.allowed) {
+        verification = await antiAbuse.verify(
+          routeName(path),
+          route.verification,
+          event
+        );
+      }
+    }
+    if (!verification.success) {
+      logger.warn('anti-abuse check failed', {
+        verifier: verification.verifier,
+        reason: verification.reason,
+      });
+      metrics.increment('anti_abuse_failures', {
+        route: routeName(path),
+        verifier: verification.verifier,
+      });
+      return errorResponse(
+        403,
+        ERROR_CODES.CAPTCHA_FAILED,
+        `access denied: ${verification.reason}`
+      );
+    }
+
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (err) {
+      return errorResponse(
+        400,
+        ERROR_CODES.INVALID_REQUEST,
+        'request body is not valid JSON'
+      );
+    }
+
+    const { params, error: validationError } = validate(route.schema, body);
+    if (validationError) {
+      return errorResponse(400, validationError.code, validationError.message);
+    }
+
+    const idempotencyKey = event.headers['idempotency-key'];
+    if (route.idempotent && idempotencyKey !== undefined) {
+      return await runIdempotent(path, body, idempotencyKey, () =>
+        route.method(event, params, admin)
+      );
     }
-    return await apiMethod(event, params);
+    return await route.method(event, params, admin);
   } catch (err) {
-    console.log(`caught error: ${err.message}`);
-    return response(500, { error: 'Server error, please try again later!' });
+    logger.error('request failed', { err: err });
+    return failureResponse(err);
   }
-};
+}
+
+/**
+ * @param {Error} err what an api method threw
+ * @returns {HttpResponse} the error response for it
+ */
+function failureResponse(err) {
+  if (err.code === ACCOUNT_BUSY) {
+    return errorResponse(
+      409,
+      ERROR_CODES.ACCOUNT_BUSY,
+      `${err.message}, please retry in a moment`,
+      { 'Retry-After': '1' }
+    );
+  }
+  if (err.code === NODE_UNAVAILABLE) {
+    return errorResponse(
+      503,
+      ERROR_CODES.NODE_UNAVAILABLE,
+      'Nano network is unreachable right now, please try again later!'
+    );
+  }
+  return errorResponse(
+    500,
+    ERROR_CODES.SERVER_ERROR,
+    'Server error, please try again later!'
+  );
+}
+
+/**
+ * Runs an api method at most once per Idempotency-Key. Replays with the same key and body
+ * return the stored response; a different body or a request still in flight is rejected.
+ *
+ * @param {string} path the requested route
+ * @param {Object} body the parsed request body
+ * @param {string} key the Idempotency-Key header value
+ * @param {Function} run runs the api method and resolves to its HttpResponse
+ * @returns {HttpResponse} Http response object
+ */
+async function runIdempotent(path, body, key, run) {
+  if (!isValidIdempotencyKey(key)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.INVALID_IDEMPOTENCY_KEY,
+      'Idempotency-Key must be 1-255 printable characters'
+    );
+  }
+
+  const id = `${path}:${key}`;
+  const claim = await claimIdempotencyKey(
+    store,
+    id,
+    requestFingerprint(path, body),
+    IDEMPOTENCY_TTL_SECONDS
+  );
+
+  if (claim.state === 'mismatch') {
+    return errorResponse(
+      422,
+      ERROR_CODES.IDEMPOTENCY_KEY_REUSED,
+      'Idempotency-Key was already used with a different request'
+    );
+  } else if (claim.state === 'in_progress') {
+    return errorResponse(
+      409,
+      ERROR_CODES.IDEMPOTENCY_KEY_IN_PROGRESS,
+      'a request with this Idempotency-Key is still in progress, please try again shortly'
+    );
+  } else if (claim.state === 'replay') {
+    const original = claim.record.response;
+    return Object.assign({}, original, {
+      headers: Object.assign({}, original.headers, {
+        'Idempotent-Replayed': 'true',
+      }),
+    });
+  }
+
+  // A failure only frees the key if no block went out, otherwise a retry
+  // could send twice: the node may have taken a block it didn't confirm
+  const attempt = { broadcast: false };
+  let res;
+  try {
+    res = await trackBroadcasts(attempt, run);
+  } catch (err) {
+    if (attempt.broadcast) {
+      await saveIdempotentResponse(store, claim.record, failureResponse(err));
+    } else {
+      await releaseIdempotencyKey(store, claim.record);
+    }
+    throw err;
+  }
+
+  if (res.statusCode >= 500 && !attempt.broadcast) {
+    await releaseIdempotencyKey(store, claim.record);
+  } else {
+    await saveIdempotentResponse(store, claim.record, res);
+  }
+  return res;
+}
 
 /**
- * Generates two brand new TryNano wallets and logs the wallet info to DynamoDB.
+ * Generates brand new TryNano HD wallets and logs the wallet info to the wallet store. Each wallet
+ * starts out with its first account (index 0).
  *
  * @param {APIGatewayProxyEvent} _event the API Gateway event data
- * @param {Object} _params the http request body data
- * @returns a list of two generated wallets with their corresponding address, privateKey, and balance (starts at 0)
- */
-async function createWallets(_event, _params) {
-  let wallets = [];
-  for (let i = 0; i < 2; i++) {
-    const wallet = c.generateWallet().accounts[0];
-    await ddb
-      .putItem({
-        TableName: DDB_WALLET_TABLE_NAME,
-        Item: AWS.DynamoDB.Converter.marshall({
-          walletID: wallet.address,
-          expirationTs:
-            Math.round(Date.now() / 1000) + WALLET_EXPIRATION_TIME_SECONDS,
-          privateKey: wallet.privateKey,
-          publicKey: wallet.publicKey,
-          balance: 0,
-          returnToFaucetEpoch: Date.now() + RETURN_TO_FAUCET_EPOCH_MS,
-        }),
-      })
-      .promise();
-    wallets.push({
-      address: wallet.address,
-      privateKey: wallet.privateKey,
-      balance: { raw: '0' },
+ * @param {Object} params the http request body data: optional count (default 2) and labels, one per wallet
+ * @returns a list of the generated wallets with their walletId, seed, label and expiration time, and the
+ *  corresponding address, accountIndex, privateKey and balance (starts at 0) of their first account
+ */
+async function createWallets(event, params) {
+  const count = params.count || DEFAULT_WALLET_COUNT;
+  const labels = params.labels || [];
+  if (labels.length > count) {
+    return errorResponse(
+      400,
+      ERROR_CODES.INVALID_REQUEST,
+      `labels can't name more than the ${count} wallets created`
+    );
+  }
+
+  // lets the faucet limit every wallet this client creates together
+  const session = creatorSession(
+    event.requestContext.http.sourceIp,
+    event.headers['user-agent']
+  );
+  const expirationTs =
+    Math.round(Date.now() / 1000) + WALLET_EXPIRATION_TIME_SECONDS;
+  let created = [];
+  for (let i = 0; i < count; i++) {
+    const generated = c.generateWallet();
+    const account = deriveSeedAccount(generated.seed, 0);
+    const seedWallet = {
+      walletId: newWalletId(),
+      ...(await vault.sealSeed(generated.seed)),
+      accounts: [{ accountIndex: 0, address: account.address }],
+      label: labels[i],
+      creatorSession: session,
+      expirationTs: expirationTs,
+    };
+    await store.putItem('seedWallets', seedWallet);
+    await wallets.storeSeedAccount(seedWallet, account);
+    created.push({
+      walletId: seedWallet.walletId,
+      seed: generated.seed,
+      address: account.address,
+      accountIndex: 0,
+      privateKey: account.privateKey,
+      label: labels[i],
+      balance: formatAmount(0),
+      expirationTs: expirationTs,
+    });
+    await webhooks.emit('wallet.created', {
+      walletId: seedWallet.walletId,
+      address: account.address,
+      label: labels[i],
+      expirationTs: expirationTs,
     });
   }
 
   return response(200, {
-    wallets: wallets,
+    wallets: created,
   });
 }
 
 /**
- * Sends either the max account balance or a specified amount of nano from one nano account to another.
+ * Derives another account of an HD wallet, the next unused index unless one is given.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the http request body data: walletId, seed and optional accountIndex
+ * @returns the walletId and the account's accountIndex, address, privateKey and balance
+ */
+async function deriveAccount(_event, params) {
+  const seedWallet = await wallets.loadSeed(params.walletId);
+  if (!seedWallet) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      `${params.walletId} is an invalid or expired wallet id`
+    );
+  }
+
+  // Like private keys, seeds are checked by hash without decrypting the stored one
+  if (!vault.verifySeed(seedWallet, params.seed)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_KEY_MISMATCH,
+      `invalid seed for wallet ${params.walletId}`
+    );
+  }
+
+  // Derivations of the same wallet are serialized so none is lost from its account list
+  return await withAccountLock(
+    store,
+    `seedWallet:${params.walletId}`,
+    async () => {
+      const current = await store.getItem('seedWallets', params.walletId);
+      const used = current.accounts.map((account) => account.accountIndex);
+      let index = params.accountIndex;
+      if (index === undefined) {
+        index = 0;
+        while (used.includes(index)) {
+          index++;
+        }
+      }
+      if (index >= MAX_WALLET_ACCOUNTS) {
+        return errorResponse(
+          400,
+          ERROR_CODES.WALLET_ACCOUNT_LIMIT,
+          `wallets can have at most ${MAX_WALLET_ACCOUNTS} accounts`
+        );
+      }
+
+      const account = deriveSeedAccount(params.seed, index);
+      const existing = await store.getItem('wallets', account.address);
+      if (!existing) {
+        await wallets.storeSeedAccount(current, account);
+      }
+      if (!used.includes(index)) {
+        await store.updateItem('seedWallets', params.walletId, {
+          accounts: current.accounts
+            .concat({ accountIndex: index, address: account.address })
+            .sort((a, b) => a.accountIndex - b.accountIndex),
+        });
+      }
+
+      return response(200, {
+        walletId: params.walletId,
+        accountIndex: index,
+        address: account.address,
+        privateKey: account.privateKey,
+        balance: formatAmount(existing ? storedBalance(existing.balance) : 0),
+      });
+    }
+  );
+}
+
+/**
+ * Sums up the balances of every account of an HD wallet.
  *
  * @param {APIGatewayProxyEvent} _event the API Gateway event data
  * @param {Object} params the http request body data
- * @returns the sender address, updated sender account balance , and starting timestamp of the send transaction
+ * @returns the walletId, label, expiration time, each account's balance and receivable amount, and the totals
  */
-async function send(_event, params) {
-  const acc = await loadNanoAccountFromDB(params.fromAddress);
-  if (!acc) {
-    return response(400, {
-      error: `${params.fromAddress} is an invalid wallet address`,
-    });
+async function getWalletSummary(_event, params) {
+  const seedWallet = await wallets.loadSeed(params.walletId);
+  if (!seedWallet) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      `${params.walletId} is an invalid or expired wallet id`
+    );
   }
 
-  // Extra security measure to prove the wallet was generated by the user sending the nano
-  if (params.privateKey !== acc.privateKey) {
-    return response(400, {
-      error: `invalid private key for wallet address ${params.fromAddress}`,
+  const summary = await summarizeSeedWallet(
+    { store: store, node: node },
+    seedWallet
+  );
+  return response(
+    200,
+    Object.assign(
+      {
+        walletId: seedWallet.walletId,
+        label: seedWallet.label,
+        expirationTs: seedWallet.expirationTs,
+      },
+      summary
+    )
+  );
+}
+
+/**
+ * Pushes back the expiration of an active wallet to WALLET_EXPIRATION_TIME_SECONDS from now,
+ * along with its history. For an account of an HD wallet, every account of the wallet is extended.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the http request body data
+ * @returns the wallet address, its walletId (if any) and its new expiration time (seconds)
+ */
+async function extendWallet(_event, params) {
+  const wallet = await wallets.load(params.address);
+  // expired rows linger until DynamoDB's TTL gets round to deleting them
+  if (!wallet || wallet.expirationTs <= Math.round(Date.now() / 1000)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      `${params.address} is an invalid or expired wallet address`
+    );
+  }
+
+  if (!vault.verifyPrivateKey(wallet, params.privateKey)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_KEY_MISMATCH,
+      `invalid private key for wallet address ${params.address}`
+    );
+  }
+
+  const expirationTs =
+    Math.round(Date.now() / 1000) + WALLET_EXPIRATION_TIME_SECONDS;
+  const seedWallet =
+    wallet.seedWalletId &&
+    (await store.getItem('seedWallets', wallet.seedWalletId));
+  const addresses = seedWallet
+    ? seedWallet.accounts.map((account) => account.address)
+    : [params.address];
+  for (const address of addresses) {
+    // updates would bring back the rows of deleted accounts
+    if (await store.getItem('wallets', address)) {
+      await store.updateItem('wallets', address, {
+        expirationTs: expirationTs,
+      });
+    }
+    if (await store.getItem('walletHistory', address)) {
+      await store.updateItem('walletHistory', address, {
+        expirationTs: expirationTs,
+      });
+    }
+  }
+  if (seedWallet) {
+    await store.updateItem('seedWallets', seedWallet.walletId, {
+      expirationTs: expirationTs,
     });
   }
 
-  const accountInfo = await c.updateWalletAccount({
-    address: acc.address,
-    publicKey: acc.publicKey,
-    privateKey: acc.privateKey,
+  return response(200, {
+    address: params.address,
+    walletId: wallet.seedWalletId,
+    expirationTs: expirationTs,
   });
+}
 
-  if (!accountInfo) {
-    return response(500, {
-      error: `unable to retrieve account info for address sending Nano`,
-    });
+/**
+ * Returns everything left in a wallet to the TryNano faucet, then deletes the wallet and its history.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the http request body data
+ * @returns the wallet address, the amount returned to the faucet and the send block hash (if anything was returned)
+ */
+async function deleteWallet(_event, params) {
+  const wallet = await wallets.load(params.address);
+  if (!wallet) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      `${params.address} is an invalid wallet address`
+    );
   }
 
-  if (accountInfo.balance.asNumber === 0) {
-    return response(400, {
-      error: `wallet balance is zero`,
-    });
+  if (!vault.verifyPrivateKey(wallet, params.privateKey)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_KEY_MISMATCH,
+      `invalid private key for wallet address ${params.address}`
+    );
   }
 
-  const ts = Date.now();
+  const acc = await wallets.toAccount(wallet);
 
-  let res;
-  if (params.amount) {
-    if (params.amount.asString === '0') {
-      return response(400, {
-        error: 'Unable to send zero amount of Nano',
+  let returned = BigInt(0);
+  const res = await withAccountLock(store, acc.address, async () => {
+    // receives anything pending first, so it's returned too
+    const updated = await c.update(acc);
+    if (updated.error) {
+      return errorResponse(
+        500,
+        ERROR_CODES.SERVER_ERROR,
+        `unable to retrieve account info for ${params.address}`
+      );
+    }
+
+    const balance = BigInt(updated.account.balance.RAW);
+    let hash;
+    if (balance > BigInt(0)) {
+      const res = await c.sendMax(updated.account, FAUCET_ADDRESS);
+      if (!res) {
+        // keep the wallet so the sweep can still return its nano
+        await wallets.updateBalance(params.address, balance);
+        return errorResponse(
+          500,
+          ERROR_CODES.SEND_FAILED,
+          `unable to return the nano in ${params.address} to the faucet, the wallet was not deleted`
+        );
+      }
+      hash = await nano.getFrontier(acc.address);
+      returned = balance;
+      await webhooks.emit('wallet.swept', {
+        address: params.address,
+        amount: formatAmount(balance),
+        faucetAddress: FAUCET_ADDRESS,
       });
     }
-    res = await c.send(acc, params.toAddress, params.amount);
-  } else {
-    res = await c.sendMax(acc, params.toAddress);
-  }
-  if (!res) {
-    return response(500, {
-      error: `unable to send from ${params.fromAddress} to ${params.toAddress}`,
+
+    await store.deleteItem('wallets', params.address);
+    await store.deleteItem('walletHistory', params.address);
+    if (wallet.seedWalletId) {
+      await removeSeedAccount(wallet.seedWalletId, params.address);
+    }
+    logger.info('wallet deleted', {
+      address: params.address,
+      returned: formatAmount(balance),
     });
+
+    return response(200, {
+      address: params.address,
+      returned: formatAmount(balance),
+      hash: hash,
+    });
+  });
+
+  // Like the sweep, take in what was returned and record the faucet's balance
+  if (returned > BigInt(0)) {
+    const faucetRes = await nano.receiveFaucet();
+    if (faucetRes.error) {
+      logger.warn('unable to receive returned nano into the faucet', {
+        error: faucetRes.error,
+      });
+    } else {
+      await monitor.recordFaucetBalance(
+        BigInt(faucetRes.updatedFaucetBalance.raw),
+        {}
+      );
+    }
   }
+  return res;
+}
 
-  // update balance in DynamoDB
-  const updatedBalance = res.balance.asString;
-  await updateNanoBalanceInDB(params.fromAddress, updatedBalance);
+/**
+ * Takes a deleted account off its HD wallet's account list, so the wallet
+ * summary no longer shows it and its index can be derived again.
+ *
+ * @param {string} walletId the HD wallet's id
+ * @param {string} address the deleted account's address
+ */
+async function removeSeedAccount(walletId, address) {
+  // Serialized with derivations of the same wallet, see deriveAccount
+  await withAccountLock(
+    store,
+    `seedWallet:${walletId}`,
+    async () => {
+      const seedWallet = await store.getItem('seedWallets', walletId);
+      if (!seedWallet) {
+        return;
+      }
+      await store.updateItem('seedWallets', walletId, {
+        accounts: seedWallet.accounts.filter(
+          (account) => account.address !== address
+        ),
+      });
+    },
+    { waitMs: SEED_WALLET_LOCK_WAIT_MS }
+  );
+}
 
-  return response(200, {
-    address: params.fromAddress,
-    balance: updatedBalance,
-    sendTimestamp: ts,
+/**
+ * Sends either the max account balance or a specified amount of nano from one nano account to another.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the http request body data
+ * @returns the sender address, amount sent, updated sender account balance, send block hash and starting timestamp of the send transaction
+ */
+async function send(_event, params) {
+  const wallet = await wallets.load(params.fromAddress);
+  if (!wallet) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      `${params.fromAddress} is an invalid wallet address`
+    );
+  }
+
+  // Extra security measure to prove the wallet was generated by the user sending the nano
+  if (!vault.verifyPrivateKey(wallet, params.privateKey)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_KEY_MISMATCH,
+      `invalid private key for wallet address ${params.fromAddress}`
+    );
+  }
+
+  const access = await checkAccess(store, {
+    addresses: [params.fromAddress, params.toAddress],
+  });
+  if (access.blocked) {
+    return errorResponse(
+      403,
+      ERROR_CODES.BLOCKED,
+      `${access.blocked.value} is blocked`
+    );
+  }
+
+  const acc = await wallets.toAccount(wallet);
+
+  // Only one block at a time may be built on this wallet's frontier
+  return await withAccountLock(store, acc.address, async () => {
+    const accountInfo = await c.updateWalletAccount({
+      address: acc.address,
+      publicKey: acc.publicKey,
+      privateKey: acc.privateKey,
+    });
+
+    if (!accountInfo) {
+      return errorResponse(
+        500,
+        ERROR_CODES.SERVER_ERROR,
+        `unable to retrieve account info for address sending Nano`
+      );
+    }
+
+    const balance = BigInt(accountInfo.balance.RAW);
+    if (balance === BigInt(0)) {
+      return errorResponse(
+        400,
+        ERROR_CODES.INSUFFICIENT_BALANCE,
+        `wallet balance is zero`
+      );
+    }
+
+    // amounts are validated as non-zero NANO values by the route schema
+    if (params.amount && BigInt(params.amount.RAW) > balance) {
+      return errorResponse(
+        400,
+        ERROR_CODES.INSUFFICIENT_BALANCE,
+        `wallet balance is less than ${rawToNano(params.amount.RAW)} Nano`
+      );
+    }
+
+    const ts = Date.now();
+
+    let res;
+    if (params.amount) {
+      res = await c.send(acc, params.toAddress, params.amount);
+    } else {
+      res = await c.sendMax(acc, params.toAddress);
+    }
+    if (!res) {
+      return errorResponse(
+        500,
+        ERROR_CODES.SEND_FAILED,
+        `unable to send from ${params.fromAddress} to ${params.toAddress}`
+      );
+    }
+
+    // update balance in the wallet store
+    const updatedBalance = BigInt(res.balance.RAW);
+    await wallets.updateBalance(params.fromAddress, updatedBalance);
+    const sent = balance - updatedBalance;
+
+    // the new frontier is the send block, clients can watch for its confirmation
+    const hash = await nano.getFrontier(acc.address);
+    // awaited as a Lambda freezes background work
+    await nano.precacheNextWork(acc.address, hash);
+    await wallets.recordActivity(acc.address, {
+      type: 'send',
+      hash: hash,
+      amount: sent.toString(),
+      counterparty: params.toAddress,
+      timestamp: ts,
+    });
+    await webhooks.emit('send.broadcast', {
+      address: params.fromAddress,
+      toAddress: params.toAddress,
+      amount: formatAmount(sent),
+      balance: formatAmount(updatedBalance),
+      hash: hash,
+    });
+
+    return response(200, {
+      address: params.fromAddress,
+      amount: formatAmount(sent),
+      balance: formatAmount(updatedBalance),
+      hash: hash,
+      sendTimestamp: ts,
+    });
   });
 }
 
@@ -198,20 +1092,18 @@ async function send(_event, params) {
  * @returns the address, updated account balance, and resolved count for the given nano account.
  */
 async function receive(_event, params) {
-  const acc = await loadNanoAccountFromDB(params.receiveAddress);
-  if (!acc) {
-    return response(400, { error: 'invalid wallet address' });
+  const res = await nano.receiveWallet(params.receiveAddress);
+  if (!res) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      'invalid wallet address'
+    );
   }
 
-  const res = await c.update(acc);
-
-  // update balance in DynamoDB after receive
-  const updatedBalance = res.account.balance.asString;
-  await updateNanoBalanceInDB(params.receiveAddress, updatedBalance);
-
   return response(200, {
     address: params.receiveAddress,
-    balance: updatedBalance,
+    balance: formatAmount(res.account.balance.RAW),
     resolvedCount: res.resolvedCount,
   });
 }
@@ -221,291 +1113,885 @@ async function receive(_event, params) {
  *
  * @param {APIGatewayProxyEvent} _event the API Gateway event data
  * @param {Object} params the http request body data
- * @returns the faucet address and the updated faucet balance
+ * @returns the faucet address, the amount paid out and the updated faucet balance
  */
 async function getFromFaucet(event, params) {
   if (process.env.DISABLE_FAUCET === 'true') {
     // disable faucet until network is stable again (i.e. no more unconfirmed blocks in faucet account)
-    return response(500, {
-      error: `TryNano Faucet has been disabled until network is fully resolved. Please use another option.`,
-    });
+    return errorResponse(
+      500,
+      ERROR_CODES.FAUCET_DISABLED,
+      `TryNano Faucet has been disabled until network is fully resolved. Please use another option.`
+    );
   }
 
-  const acc = await loadNanoAccountFromDB(params.toAddress);
-  if (!acc) {
-    return response(400, {
-      error: `${params.toAddress} is an invalid wallet address`,
-    });
+  // Operators can pause the faucet and change its policy through the admin API
+  const controls = await getFaucetControls(store);
+  if (controls.paused) {
+    return errorResponse(
+      500,
+      ERROR_CODES.FAUCET_DISABLED,
+      controls.pauseMessage ||
+        'TryNano Faucet is paused, please try again later.'
+    );
+  }
+  const policy = effectivePolicy(faucetPolicy, controls);
+
+  const wallet = await wallets.load(params.toAddress);
+  if (!wallet) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      `${params.toAddress} is an invalid wallet address`
+    );
   }
 
   // Extra security measure to prove the wallet was generated by the user requesting nano from the faucet
-  if (params.privateKey !== acc.privateKey) {
-    return response(400, {
-      error: `invalid private key for wallet address ${params.toAddress}`,
-    });
+  if (!vault.verifyPrivateKey(wallet, params.privateKey)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_KEY_MISMATCH,
+      `invalid private key for wallet address ${params.toAddress}`
+    );
   }
 
-  // Reject the user's faucet request if not eligible
-  const faucetEligibilityStatus = await checkFaucetEligibility(
-    event.requestContext.http.sourceIp
+  const sourceIp = event.requestContext.http.sourceIp;
+  const access = await checkAccess(store, {
+    ip: sourceIp,
+    addresses: [wallet.walletID],
+  });
+  if (access.blocked) {
+    return errorResponse(
+      403,
+      ERROR_CODES.BLOCKED,
+      `${access.blocked.value} is blocked`
+    );
+  }
+
+  // Every user shares the faucet account, so payouts are serialized. Rate
+  // limits and eligibility are checked and counted under the same lock, or
+  // concurrent claims would all pass before any of them was counted
+  return await withAccountLock(
+    store,
+    FAUCET_ADDRESS,
+    async () => {
+      // Allow-listed clients and wallets skip the rate limits and eligibility checks
+      if (!access.allowed) {
+        const denied = await claimFaucetAllowance(policy, sourceIp, wallet);
+        if (denied) {
+          return denied;
+        }
+      }
+
+      // Get Faucet account info to check things like the current balance
+      const faucetAccountInfo = await nano.faucetAccountInfo();
+
+      if (!faucetAccountInfo) {
+        return errorResponse(
+          500,
+          ERROR_CODES.SERVER_ERROR,
+          `unable to retrieve faucet account info`
+        );
+      }
+
+      const ts = Date.now();
+      const next = await nextFaucetPayout(policy, faucetAccountInfo, ts);
+      if (next.code) {
+        metrics.increment('faucet_denied', { code: next.code });
+        if (next.code === ERROR_CODES.FAUCET_EMPTY) {
+          await monitor.recordFaucetBalance(
+            BigInt(faucetAccountInfo.balance.RAW),
+            { ts: ts }
+          );
+        }
+        return errorResponse(400, next.code, next.reason);
+      }
+
+      // nano-client takes NANO objects, built from raw so nothing is rounded
+      const payout = NANO.fromRAW(next.amount.toString());
+      const res = await c.send(faucetAccountInfo, wallet.walletID, payout);
+
+      if (!res) {
+        return errorResponse(
+          500,
+          ERROR_CODES.SEND_FAILED,
+          `unable to send from ${FAUCET_ADDRESS} to ${wallet.walletID}`
+        );
+      }
+
+      await recordFaucetSpend(policy, next.amount, ts);
+      metrics.increment('faucet_payouts');
+      metrics.increment(
+        'faucet_payout_nano',
+        {},
+        Number(rawToNano(next.amount))
+      );
+      logger.info('faucet payout', {
+        address: wallet.walletID,
+        amount: formatAmount(next.amount),
+      });
+      const faucetFrontier = await nano.getFrontier(FAUCET_ADDRESS);
+      // work for the next payout, awaited as a Lambda freezes background work
+      await nano.precacheNextWork(FAUCET_ADDRESS, faucetFrontier);
+      await wallets.recordActivity(wallet.walletID, {
+        type: 'faucet',
+        link: faucetFrontier,
+        amount: next.amount.toString(),
+        counterparty: FAUCET_ADDRESS,
+        timestamp: ts,
+      });
+      await monitor.recordFaucetBalance(BigInt(res.balance.RAW), {
+        payout: next.amount,
+        ts: ts,
+      });
+      await webhooks.emit('faucet.payout', {
+        address: wallet.walletID,
+        amount: formatAmount(next.amount),
+        hash: faucetFrontier,
+        faucetBalance: formatAmount(res.balance.RAW),
+      });
+
+      return response(200, {
+        address: FAUCET_ADDRESS,
+        amount: formatAmount(next.amount),
+        balance: formatAmount(res.balance.RAW),
+      });
+    },
+    { waitMs: FAUCET_LOCK_WAIT_MS }
   );
+}
 
-  if (!faucetEligibilityStatus.isEligible) {
-    return response(400, {
-      error: faucetEligibilityStatus.reason,
-    });
-  }
+/**
+ * Gets the current faucet balance, the active payout policy and the next payout amount.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} _params the http request body data
+ * @returns current faucet balance, payout policy, next payout (0 if the faucet can't pay out)
+ *  and whether the faucet is paused
+ */
+async function getFaucetInfo(_event, _params) {
+  const controls = await getFaucetControls(store);
+  const policy = effectivePolicy(faucetPolicy, controls);
 
   // Get Faucet account info to check things like the current balance
-  const faucetAccountInfo = await c.updateWalletAccount({
-    address: FAUCET_ADDRESS,
-    publicKey: FAUCET_PUBLIC_KEY,
-    privateKey: FAUCET_PRIVATE_KEY,
+  const accountInfo = await nano.faucetAccountInfo();
+
+  if (!accountInfo) {
+    return errorResponse(
+      500,
+      ERROR_CODES.SERVER_ERROR,
+      `unable to retrieve faucet account info`
+    );
+  }
+
+  const next = await nextFaucetPayout(policy, accountInfo, Date.now());
+  return response(200, {
+    balance: formatAmount(accountInfo.balance.RAW),
+    // payout percentage (decimal), kept for older clients
+    payout:
+      policy.payout.type === 'percent' ? policy.payout.percent : undefined,
+    policy: policy,
+    nextPayout: formatAmount(next.amount),
+    paused: controls.paused,
+    pauseMessage: controls.pauseMessage,
   });
+}
+
+/**
+ * Gets a page of a TryNano wallet's sends, receives and faucet payouts, newest first.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the http request body data
+ * @returns the address, a page of history entries and the cursor for the next page (if any)
+ */
+async function getHistory(_event, params) {
+  const wallet = await wallets.load(params.address);
+  if (!wallet) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      `${params.address} is an invalid wallet address`
+    );
+  }
+
+  let page;
+  try {
+    page = await getWalletHistory(
+      { store: store, node: node, faucetAddress: FAUCET_ADDRESS },
+      wallet.walletID,
+      { cursor: params.cursor, limit: params.limit }
+    );
+  } catch (err) {
+    if (err.code === INVALID_CURSOR) {
+      return errorResponse(400, ERROR_CODES.INVALID_CURSOR, err.message);
+    }
+    throw err;
+  }
+
+  return response(200, {
+    address: wallet.walletID,
+    history: page.entries,
+    cursor: page.cursor,
+  });
+}
+
+/**
+ * Creates a payment request (invoice) for an amount to be paid into a TryNano
+ * wallet, see lib/paymentRequests.js. A wallet has one open request at a time.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the http request body data
+ * @returns the payment request with its `nano:` URI, and the secret its
+ *  webhooks are signed with
+ */
+async function createPaymentRequest(_event, params) {
+  const wallet = await wallets.load(params.address);
+  // expired rows linger until DynamoDB's TTL gets round to deleting them
+  if (!wallet || wallet.expirationTs <= Math.round(Date.now() / 1000)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_NOT_FOUND,
+      `${params.address} is an invalid or expired wallet address`
+    );
+  }
 
-  if (!faucetAccountInfo) {
-    return response(500, { error: `unable to retrieve faucet account info` });
+  // only the wallet's owner can ask to be paid into it
+  if (!vault.verifyPrivateKey(wallet, params.privateKey)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.WALLET_KEY_MISMATCH,
+      `invalid private key for wallet address ${params.address}`
+    );
   }
 
-  // Make sure there's sufficient funds in the faucet
-  if (faucetAccountInfo.balance.asNumber === 0) {
-    return response(400, { error: `Faucet balance is zero` });
+  const access = await checkAccess(store, { addresses: [wallet.walletID] });
+  if (access.blocked) {
+    return errorResponse(
+      403,
+      ERROR_CODES.BLOCKED,
+      `${access.blocked.value} is blocked`
+    );
   }
 
-  const res = await c.send(
-    faucetAccountInfo,
-    acc.address,
-    NANO.fromNumber(faucetAccountInfo.balance.asNumber * FAUCET_PERCENT)
+  const now = Date.now();
+  const open =
+    wallet.paymentRequestId &&
+    (await store.getItem('paymentRequests', wallet.paymentRequestId));
+  if (open && isPaymentRequestOpen(open, now)) {
+    return errorResponse(
+      409,
+      ERROR_CODES.PAYMENT_REQUEST_OPEN,
+      `${wallet.walletID} already has an open payment request ${open.requestId}`
+    );
+  }
+
+  // payments are what the wallet receives after this, see lib/paymentRequests.js
+  await nano.receiveWallet(wallet.walletID);
+  const frontier = await nano.getFrontier(wallet.walletID);
+  const request = newPaymentRequest(wallet, frontier, params, now);
+  try {
+    // claims the wallet, so concurrent creates can't both succeed
+    await store.updateItem(
+      'wallets',
+      wallet.walletID,
+      { paymentRequestId: request.requestId },
+      {
+        conditions: wallet.paymentRequestId
+          ? [
+              {
+                attr: 'paymentRequestId',
+                op: '=',
+                value: wallet.paymentRequestId,
+              },
+            ]
+          : [{ attr: 'paymentRequestId', op: 'notExists' }],
+      }
+    );
+  } catch (err) {
+    if (err.code !== CONDITION_FAILED) {
+      throw err;
+    }
+    return errorResponse(
+      409,
+      ERROR_CODES.PAYMENT_REQUEST_OPEN,
+      `${wallet.walletID} already has an open payment request`
+    );
+  }
+  await store.putItem('paymentRequests', request);
+
+  // the only time the secret is shown
+  return response(
+    200,
+    Object.assign(formatPaymentRequest(request), {
+      webhookSecret: request.webhookSecret,
+    })
   );
+}
 
-  if (!res) {
-    return response(500, {
-      error: `unable to send from ${FAUCET_ADDRESS} to ${acc.address}`,
-    });
+/**
+ * Shows a payment request's status. Until the request is paid or expired,
+ * this looks for the payments its wallet received, queueing the request's
+ * webhook event when the status changes. Nothing is received here, anyone
+ * can poll this: DeliverWebhooks receives into wallets with open requests.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the http request body data
+ * @returns the payment request with its status and payments
+ */
+async function getPaymentRequest(_event, params) {
+  let request = await store.getItem('paymentRequests', params.requestId);
+  if (!request) {
+    return errorResponse(
+      404,
+      ERROR_CODES.PAYMENT_REQUEST_NOT_FOUND,
+      `payment request ${params.requestId} not found`
+    );
+  }
+
+  if (!isPaymentRequestSettled(request)) {
+    const res = await checkPaymentRequest(
+      { store: store, node: node, faucetAddress: FAUCET_ADDRESS },
+      request,
+      Date.now()
+    );
+    request = res.request;
+    if (res.changed) {
+      await sendPaymentWebhook(webhooks, request);
+    }
   }
 
+  return response(200, formatPaymentRequest(request));
+}
+
+/**
+ * Issues a proof-of-work challenge for routes verified with the `pow` verifier.
+ *
+ * @returns the challenge, the difficulty in leading zero bits and when it expires
+ */
+async function getChallenge() {
+  if (!antiAbuse.powEnabled) {
+    return errorResponse(404, ERROR_CODES.NOT_FOUND, 'not found');
+  }
+  return response(200, antiAbuse.issueChallenge());
+}
+
+/**
+ * Admin: shows whether the faucet is paused and the policy in force.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} _params the http request body data
+ * @returns pause state, runtime policy overrides and the effective policy
+ */
+async function adminGetFaucetStatus(_event, _params) {
+  return response(200, await faucetStatus());
+}
+
+/**
+ * Admin: pauses the faucet. Faucet requests fail with FAUCET_DISABLED until it is resumed.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params message shown to users while paused
+ * @param {Object} admin the authenticated admin API key
+ * @returns the faucet status
+ */
+async function adminPauseFaucet(_event, params, admin) {
+  await setFaucetPaused(store, true, params.message, admin.id);
+  logger.info('faucet paused', { adminKeyId: admin.id });
+  return response(200, await faucetStatus());
+}
+
+/**
+ * Admin: resumes a paused faucet.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} _params the http request body data
+ * @param {Object} admin the authenticated admin API key
+ * @returns the faucet status
+ */
+async function adminResumeFaucet(_event, _params, admin) {
+  await setFaucetPaused(store, false, undefined, admin.id);
+  logger.info('faucet resumed', { adminKeyId: admin.id });
+  return response(200, await faucetStatus());
+}
+
+/**
+ * Admin: changes the faucet policy at runtime. The given fields replace those
+ * of the current overrides, with `reset` the overrides are dropped first.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params partial policy and reset flag
+ * @param {Object} admin the authenticated admin API key
+ * @returns the faucet status
+ */
+async function adminSetFaucetPolicy(_event, params, admin) {
+  const changes = params.policy || {};
+  const unknown = Object.keys(changes).filter(
+    (field) => !OVERRIDABLE_FIELDS.includes(field)
+  );
+  if (unknown.length) {
+    return errorResponse(
+      400,
+      ERROR_CODES.INVALID_REQUEST,
+      `policy can only change ${OVERRIDABLE_FIELDS.join(', ')}`
+    );
+  }
+
+  const controls = await getFaucetControls(store);
+  const overrides = Object.assign(
+    {},
+    params.reset ? {} : controls.policyOverrides,
+    changes
+  );
+  const error = validateFaucetPolicy(
+    applyPolicyOverrides(faucetPolicy, overrides)
+  );
+  if (error) {
+    return errorResponse(400, ERROR_CODES.INVALID_REQUEST, error);
+  }
+
+  await setPolicyOverrides(
+    store,
+    Object.keys(overrides).length ? overrides : undefined,
+    admin.id
+  );
+  logger.info('faucet policy changed', {
+    adminKeyId: admin.id,
+    policyOverrides: overrides,
+  });
+  return response(200, await faucetStatus());
+}
+
+/**
+ * Admin: runs the return-to-faucet sweep. With SWEEP_FUNCTION_NAME set the
+ * sweep Lambda is invoked asynchronously, otherwise it runs in this process.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params sweep options, see lib/sweep.js
+ * @param {Object} admin the authenticated admin API key
+ * @returns 202 once the sweep Lambda is invoked, or the sweep's own response
+ */
+async function adminRunSweep(_event, params, admin) {
+  const payload = {
+    dryRun: params.dryRun,
+    addresses: params.addresses,
+    minBalance: params.minBalance && { raw: params.minBalance.RAW },
+    idleMinutes: params.idleMinutes,
+  };
+  logger.info('sweep requested', { adminKeyId: admin.id, options: payload });
+
+  if (process.env.SWEEP_FUNCTION_NAME) {
+    const AWS = require('aws-sdk');
+    const lambda = new AWS.Lambda({ region: 'us-west-1' });
+    await lambda
+      .invoke({
+        FunctionName: process.env.SWEEP_FUNCTION_NAME,
+        InvocationType: 'Event',
+        Payload: JSON.stringify(payload),
+      })
+      .promise();
+    return response(202, { started: true });
+  }
+  return await sweeper.run(payload);
+}
+
+/**
+ * Admin: shows the health of the Nano RPC endpoints, as the pool last saw
+ * them or, with `check`, after pinging each of them.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params check flag
+ * @returns the status of every endpoint, in priority order
+ */
+async function adminGetNodeStatus(_event, params) {
   return response(200, {
-    address: FAUCET_ADDRESS,
-    balance: res.balance.asNumber,
+    endpoints: params.check ? await node.checkHealth() : node.status(),
   });
 }
 
 /**
- * Gets the current faucet balance + payout percentage.
+ * Admin: shows an IP's faucet history.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the IP address
+ * @returns the IP's faucet history, and the access rules that apply to it
+ */
+async function adminGetIpHistory(_event, params) {
+  const history = await store.getItem('faucetIpHistory', params.ip);
+  const access = await checkAccess(store, { ip: params.ip });
+  return response(200, {
+    ip: params.ip,
+    history: history || null,
+    blocked: access.blocked || null,
+    allowed: access.allowed,
+  });
+}
+
+/**
+ * Admin: clears an IP's faucet history, so its eligibility starts over.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params the IP address
+ * @param {Object} admin the authenticated admin API key
+ * @returns the IP
+ */
+async function adminClearIpHistory(_event, params, admin) {
+  await store.deleteItem('faucetIpHistory', params.ip);
+  logger.info('ip history cleared', { adminKeyId: admin.id, ip: params.ip });
+  return response(200, { ip: params.ip, cleared: true });
+}
+
+/**
+ * Admin: lists the blocked and allow-listed addresses and IPs.
  *
  * @param {APIGatewayProxyEvent} _event the API Gateway event data
  * @param {Object} _params the http request body data
- * @returns current faucet balance and payout percentage (decimal)
+ * @returns every access rule
  */
-async function getFaucetInfo(_event, _params) {
-  // Get Faucet account info to check things like the current balance
-  const accountInfo = await c.updateWalletAccount({
-    address: FAUCET_ADDRESS,
-    publicKey: FAUCET_PUBLIC_KEY,
-    privateKey: FAUCET_PRIVATE_KEY,
+async function adminListAccessRules(_event, _params) {
+  return response(200, { rules: await listAccessRules(store) });
+}
+
+/**
+ * Admin: blocks or allow-lists an address or IP, or removes its rule.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params type ('ip' or 'address'), value, list ('block', 'allow' or 'none') and reason
+ * @param {Object} admin the authenticated admin API key
+ * @returns the stored rule, or null if it was removed
+ */
+async function adminSetAccessRule(_event, params, admin) {
+  if (!ACCESS_LISTS.concat('none').includes(params.list)) {
+    return errorResponse(
+      400,
+      ERROR_CODES.INVALID_REQUEST,
+      `list must be one of ${ACCESS_LISTS.join(', ')}, none`
+    );
+  }
+  let value = params.value;
+  if (params.type === 'address') {
+    const { params: parsed, error } = validate(
+      { value: { type: 'address', required: true } },
+      { value: value }
+    );
+    if (error) {
+      return errorResponse(400, error.code, error.message);
+    }
+    value = parsed.value;
+  }
+  const error = validateAccessValue(params.type, value);
+  if (error) {
+    return errorResponse(400, ERROR_CODES.INVALID_REQUEST, error);
+  }
+
+  const rule = await setAccessRule(store, {
+    type: params.type,
+    value: value,
+    list: params.list,
+    reason: params.reason,
+    updatedBy: admin.id,
   });
+  logger.info('access rule changed', {
+    adminKeyId: admin.id,
+    type: params.type,
+    value: value,
+    list: params.list,
+  });
+  return response(200, { rule: rule || null });
+}
 
-  if (!accountInfo) {
-    return response(500, { error: `unable to retrieve faucet account info` });
+/**
+ * Admin: registers a webhook endpoint, see lib/webhooks.js.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params url, events (event types or '*') and description
+ * @param {Object} admin the authenticated admin API key
+ * @returns the endpoint with its signing secret, which is only returned here
+ */
+async function adminCreateWebhook(_event, params, admin) {
+  const unknown = params.events.find(
+    (type) => type !== '*' && !WEBHOOK_EVENTS.includes(type)
+  );
+  if (unknown) {
+    return errorResponse(
+      400,
+      ERROR_CODES.INVALID_REQUEST,
+      `events must be some of ${WEBHOOK_EVENTS.join(', ')}, or *`
+    );
   }
 
-  return response(200, {
-    balance: accountInfo.balance.asNumber,
-    payout: FAUCET_PERCENT,
+  const endpoint = await webhooks.register(params, admin.id);
+  logger.info('webhook registered', {
+    adminKeyId: admin.id,
+    webhookId: endpoint.webhookId,
+    events: endpoint.events,
   });
+  return response(200, endpoint);
 }
 
 /**
- * Constructs an HttpResponse object with the appropriate CORS headers.
+ * Admin: lists the webhook endpoints, without their secrets.
  *
- * @param {HttpStatus} code HTTP response status code
- * @param {Object} body response body
- * @returns {HttpResponse} HTTP response object
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} _params the http request body data
+ * @returns every endpoint
  */
-function response(code, body) {
-  return {
-    statusCode: code,
-    headers: {
-      'Access-Control-Allow-Headers': 'Content-Type, X-Recaptcha, X-Api-Key',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'OPTIONS,POST,GET',
-    },
-    body: JSON.stringify(body),
-  };
+async function adminListWebhooks(_event, _params) {
+  const endpoints = await webhooks.list();
+  return response(200, {
+    webhooks: endpoints.map((endpoint) => ({
+      webhookId: endpoint.webhookId,
+      url: endpoint.url,
+      events: endpoint.events,
+      description: endpoint.description,
+      createdAt: endpoint.createdAt,
+      createdBy: endpoint.createdBy,
+    })),
+  });
 }
 
 /**
- * Loads a TryNano generated wallet from DynamoDB.
+ * Admin: removes a webhook endpoint.
  *
- * @param {string} address the address of the nano account
- * @returns The corresponding Nano account info: walletID, publicKey, and privateKey
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params webhookId
+ * @param {Object} admin the authenticated admin API key
+ * @returns the removed endpoint's id
  */
-async function loadNanoAccountFromDB(address) {
-  const res = await ddb
-    .getItem({
-      TableName: DDB_WALLET_TABLE_NAME,
-      Key: {
-        walletID: {
-          S: address,
-        },
-      },
-    })
-    .promise();
-  if (!res.Item) {
-    return null;
+async function adminDeleteWebhook(_event, params, admin) {
+  if (!(await webhooks.remove(params.webhookId))) {
+    return errorResponse(
+      404,
+      ERROR_CODES.NOT_FOUND,
+      `webhook ${params.webhookId} not found`
+    );
   }
+  logger.info('webhook removed', {
+    adminKeyId: admin.id,
+    webhookId: params.webhookId,
+  });
+  return response(200, { webhookId: params.webhookId, deleted: true });
+}
 
-  const wallet = AWS.DynamoDB.Converter.unmarshall(res.Item);
-  const nanoAccount = {
-    address: wallet.walletID,
-    publicKey: wallet.publicKey,
-    privateKey: wallet.privateKey,
+/**
+ * Admin: lists the deliveries that ran out of retries.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params webhookId, to only list one endpoint's
+ * @returns the dead-lettered deliveries with their event and last error
+ */
+async function adminListWebhookDeadLetters(_event, params) {
+  const deadLetters = await webhooks.listDeadLetters(params.webhookId);
+  return response(200, {
+    deadLetters: deadLetters.map((deadLetter) => ({
+      deliveryId: deadLetter.deliveryId,
+      webhookId: deadLetter.webhookId,
+      event: deadLetter.event,
+      attempts: deadLetter.attempts,
+      lastError: deadLetter.lastError,
+      failedAt: deadLetter.failedAt,
+    })),
+  });
+}
+
+/**
+ * Admin: sends dead-lettered deliveries again, with a fresh set of retries.
+ *
+ * @param {APIGatewayProxyEvent} _event the API Gateway event data
+ * @param {Object} params deliveryIds and/or webhookId picking what to replay, everything if neither
+ * @param {Object} admin the authenticated admin API key
+ * @returns each replayed delivery with the outcome of its first attempt
+ */
+async function adminReplayWebhookDeliveries(_event, params, admin) {
+  const deadLetters = (await webhooks.listDeadLetters(params.webhookId)).filter(
+    (deadLetter) =>
+      !params.deliveryIds || params.deliveryIds.includes(deadLetter.deliveryId)
+  );
+  logger.info('webhook deliveries replayed', {
+    adminKeyId: admin.id,
+    count: deadLetters.length,
+  });
+  return response(200, { replayed: await webhooks.replay(deadLetters) });
+}
+
+/**
+ * @returns {Object} the faucet's pause state, runtime overrides and effective policy
+ */
+async function faucetStatus() {
+  const controls = await getFaucetControls(store);
+  return {
+    paused: controls.paused,
+    pauseMessage: controls.pauseMessage,
+    policyOverrides: controls.policyOverrides || null,
+    policy: effectivePolicy(faucetPolicy, controls),
+    updatedBy: controls.updatedBy,
+    updatedAt: controls.updatedAt,
   };
-  return nanoAccount;
 }
 
 /**
- * Updates the balance for a TryNano wallet in DynamoDB.
- * Also update the returnToFaucetEpoch field since we've used the wallet.
+ * Checks a faucet claim against the rate limits and the IP's eligibility and
+ * counts it. Only called while holding the faucet's account lock, so the
+ * checks and the writes can't interleave with another claim.
  *
- * @param {string} address the address of the nano account
- * @param {string} updatedBalance the updated wallet balance
+ * @param {Object} policy the faucet policy in force
+ * @param {string} sourceIp the client's ip address
+ * @param {Object} wallet the wallet row being paid
+ * @returns {HttpResponse} the error response if the claim is refused, undefined otherwise
  */
-async function updateNanoBalanceInDB(address, updatedBalance) {
-  await ddb
-    .updateItem({
-      TableName: DDB_WALLET_TABLE_NAME,
-      Key: {
-        walletID: {
-          S: address,
-        },
-      },
-      UpdateExpression: 'SET balance = :u, returnToFaucetEpoch = :r',
-      ExpressionAttributeValues: {
-        ':u': {
-          N: updatedBalance,
-        },
-        ':r': {
-          N: (Date.now() + RETURN_TO_FAUCET_EPOCH_MS).toString(),
-        },
-      },
-      ReturnValues: 'UPDATED_NEW',
-    })
-    .promise();
+async function claimFaucetAllowance(policy, sourceIp, wallet) {
+  // Reject the request if any rate limit dimension is exhausted
+  const rateLimits = await checkRateLimits(
+    store,
+    policy.rateLimits,
+    {
+      subnet: ipPrefix(sourceIp),
+      wallet: wallet.walletID,
+      creator: wallet.creatorSession,
+      global: 'faucet',
+    },
+    Date.now()
+  );
+  if (!rateLimits.allowed) {
+    metrics.increment('faucet_denied', { code: ERROR_CODES.RATE_LIMITED });
+    return errorResponse(
+      429,
+      ERROR_CODES.RATE_LIMITED,
+      `Too many faucet requests (${rateLimits.dimension}), please try again in ${rateLimits.retryAfterSeconds} seconds.`,
+      { 'Retry-After': String(rateLimits.retryAfterSeconds) }
+    );
+  }
+
+  // Reject the user's faucet request if not eligible
+  const faucetEligibilityStatus = await checkFaucetEligibility(
+    policy,
+    sourceIp
+  );
+  if (!faucetEligibilityStatus.isEligible) {
+    metrics.increment('faucet_denied', {
+      code: faucetEligibilityStatus.code,
+    });
+    return errorResponse(
+      400,
+      faucetEligibilityStatus.code,
+      faucetEligibilityStatus.reason
+    );
+  }
+
+  try {
+    await recordHits(store, rateLimits.hits, Date.now());
+  } catch (err) {
+    if (err.code !== HIT_NOT_RECORDED) {
+      throw err;
+    }
+    // a claim we can't count doesn't go ahead
+    logger.warn('faucet claim not counted', { err: err });
+    metrics.increment('faucet_denied', { code: ERROR_CODES.RATE_LIMITED });
+    return errorResponse(
+      429,
+      ERROR_CODES.RATE_LIMITED,
+      'Too many faucet requests, please try again in a moment.',
+      { 'Retry-After': '1' }
+    );
+  }
+  return undefined;
 }
 
 /**
- * Check the user's eligibility to use the faucet.
+ * Check the user's eligibility to use the faucet against the faucet policy,
+ * and count this use if they are.
  *
+ * @param {Object} policy the faucet policy in force
  * @param {string} ipAddress the user's IP address
- * @returns {boolean} is the user eligible to use the faucet or not
+ * @returns {Object} isEligible, plus an error code and reason when not eligible
  */
-async function checkFaucetEligibility(ipAddress) {
+async function checkFaucetEligibility(policy, ipAddress) {
   const ts = Date.now();
-  const expirationTs =
-    Math.round(ts / 1000) + FAUCET_IP_HISTORY_EXPIRATION_TIME_SECONDS;
-  const res = await ddb
-    .getItem({
-      TableName: DDB_FAUCET_IP_HISTORY_TABLE_NAME,
-      Key: {
-        ipAddress: {
-          S: ipAddress,
-        },
-      },
-    })
-    .promise();
-  if (!res.Item) {
-    await ddb
-      .putItem({
-        TableName: DDB_FAUCET_IP_HISTORY_TABLE_NAME,
-        Item: AWS.DynamoDB.Converter.marshall({
-          ipAddress: ipAddress,
-          numFaucetInvocations: 1,
-          lastUsedTs: ts,
-          expirationTs: expirationTs,
-        }),
-      })
-      .promise();
-    return {
-      isEligible: true,
-    };
-  }
-  const ipHistoryData = AWS.DynamoDB.Converter.unmarshall(res.Item);
-  const currNumInvokes = ipHistoryData.numFaucetInvocations + 1;
-  const numSecondsSinceLastInvoke = (ts - ipHistoryData.lastUsedTs) / 1000;
-  const numHoursSinceLastInvoke = numSecondsSinceLastInvoke / 3600;
-
-  /*
-    If this IP Address has:
-        (a) Invoked the faucet in the past 10 minutes, or
-        (b) Invoked the faucet more than 10 times in the past 24 hours
-    then reject the request.
-  */
-  if (numSecondsSinceLastInvoke < FAUCET_THROTTLE_DURATION_SECONDS) {
-    return {
-      isEligible: false,
-      reason:
-        'Faucet was used within the past 10 minutes, please try again later.',
-    };
+  const ipHistoryData = await store.getItem('faucetIpHistory', ipAddress);
+  const status = checkEligibility(policy, ipHistoryData, ts);
+  if (!status.isEligible) {
+    return status;
   }
 
-  if (
-    currNumInvokes > FAUCET_INVOKE_LIMIT &&
-    numHoursSinceLastInvoke < FAUCET_RESET_TIME_HOURS
-  ) {
+  try {
+    await store.putItem(
+      'faucetIpHistory',
+      Object.assign({ ipAddress: ipAddress }, status.usage, {
+        expirationTs:
+          Math.round(ts / 1000) + FAUCET_IP_HISTORY_EXPIRATION_TIME_SECONDS,
+      }),
+      {
+        // only count on top of the history the decision was made from
+        conditions: ipHistoryData
+          ? [
+              {
+                attr: 'lastUsedTs',
+                op: '=',
+                value: ipHistoryData.lastUsedTs,
+              },
+            ]
+          : [{ attr: 'ipAddress', op: 'notExists' }],
+      }
+    );
+  } catch (err) {
+    if (err.code !== CONDITION_FAILED) {
+      throw err;
+    }
     return {
       isEligible: false,
-      reason:
-        'You have reached the max number of faucet uses, please try again after 24 hours.',
+      code: ERROR_CODES.FAUCET_THROTTLED,
+      reason: 'Faucet was just used from your address, please try again later.',
     };
   }
-  await ddb
-    .updateItem({
-      TableName: DDB_FAUCET_IP_HISTORY_TABLE_NAME,
-      Key: {
-        ipAddress: {
-          S: ipAddress,
-        },
-      },
-      UpdateExpression:
-        'SET numFaucetInvocations = :n, lastUsedTs = :l, expirationTs = :e',
-      ExpressionAttributeValues: {
-        ':n': {
-          N: numHoursSinceLastInvoke < 24 ? currNumInvokes.toString() : '1',
-        },
-        ':l': { N: ts.toString() },
-        ':e': { N: expirationTs.toString() },
-      },
-      ReturnValues: 'UPDATED_NEW',
-    })
-    .promise();
+  return status;
+}
 
-  return {
-    isEligible: true,
-  };
+/**
+ * Works out the next faucet payout from the faucet policy.
+ *
+ * @param {Object} policy the faucet policy in force
+ * @param {Object} faucetAccountInfo the faucet's nano account
+ * @param {number} ts current time in ms
+ * @returns {Object} { amount } in raw, or { amount, code, reason } if nothing can be paid out
+ */
+async function nextFaucetPayout(policy, faucetAccountInfo, ts) {
+  let spentToday;
+  if (policy.dailyBudget !== undefined) {
+    const budget = await store.getItem('faucetBudget', budgetDay(ts));
+    spentToday = budget ? BigInt(budget.spent) : undefined;
+  }
+  return computePayout(policy, {
+    balance: BigInt(faucetAccountInfo.balance.RAW),
+    spentToday: spentToday,
+  });
 }
 
 /**
- * Validates the recaptcha token attached to the request header.
+ * Adds a payout to today's faucet spend. Only called while holding the faucet's
+ * account lock, so the read-modify-write can't race another payout.
  *
- * @param {string} token Google ReCaptchaV3 token
+ * @param {Object} policy the faucet policy in force
+ * @param {BigInt} amount raw amount paid out
+ * @param {number} ts time of the payout in ms
  */
-async function validateCaptcha(token) {
-  const fd = new FormData();
-  fd.append('secret', CAPTCHA_SECRET);
-  fd.append('response', token);
-  const res = await axios.post(
-    'https://www.google.com/recaptcha/api/siteverify',
-    fd,
-    {
-      headers: fd.getHeaders(),
-    }
-  );
+async function recordFaucetSpend(policy, amount, ts) {
+  if (policy.dailyBudget === undefined) {
+    return;
+  }
+  const day = budgetDay(ts);
+  const budget = await store.getItem('faucetBudget', day);
+  await store.putItem('faucetBudget', {
+    day: day,
+    spent: ((budget ? BigInt(budget.spent) : BigInt(0)) + amount).toString(),
+    expirationTs: Math.round(ts / 1000) + FAUCET_BUDGET_EXPIRATION_TIME_SECONDS,
+  });
+}
 
-  return {
-    success: res.data.success,
-    errors: res.data['error-codes'],
-  };
+/**
+ * @param {string} path the requested route, e.g. '/api/send'
+ * @returns {string} the route name used in config, e.g. 'send'
+ */
+function routeName(path) {
+  return path.replace(/^\/api\//, '');
 }
 
 /**
@@ -514,51 +2000,26 @@ async function validateCaptcha(token) {
  * @returns {string} Error message
  */
 function validateState() {
-  if (!FAUCET_ADDRESS) {
-    return 'ADDRESS key missing from .env - you must fix';
-  } else if (!FAUCET_PUBLIC_KEY) {
-    return 'FAUCET_PUBLIC_KEY key missing from .env - you must fix';
-  } else if (!FAUCET_PRIVATE_KEY) {
-    return 'FAUCET_PRIVATE_KEY key missing from .env - you must fix';
-  } else if (!CAPTCHA_SECRET) {
-    return 'CAPTCHA_SECRET key missing from .env - you must fix';
-  }
-  return null;
-}
-/* 
-    Runs a lambda server locally
-*/
-if (process.env.EXEC_LOCAL) {
-  const path = require('path');
-  const lambdaLocal = require('lambda-local');
-  const express = require('express');
-  var cors = require('cors');
-  var bodyParser = require('body-parser');
-  const app = express();
-
-  // Process body as plain text as this is
-  // how it would come from API Gateway
-  app.use(express.text());
-  app.use(bodyParser.json());
-  app.use(bodyParser.urlencoded({ extended: true }));
-  app.use(cors());
-  app.options('*', cors());
-  app.use('/lambda', async (req, res) => {
-    const result = await lambdaLocal.execute({
-      lambdaPath: path.join(__dirname, 'index'),
-      lambdaHandler: 'handler',
-      envfile: path.join(__dirname, '.env'),
-      event: {
-        headers: req.headers, // Pass on request headers
-        body: req.body, // Pass on request body
-        rawPath: req.url, // Pass on requested resource url
-      },
-      timeoutMs: 30000,
+  const routes = {};
+  Object.keys(apiMapping)
+    .filter((path) => !apiMapping[path].admin)
+    .forEach((path) => {
+      routes[routeName(path)] = apiMapping[path].verification;
     });
-
-    // Respond to HTTP request
-    res.status(result.statusCode).set(result.headers).end(result.body);
-  });
-
-  app.listen(3000, () => console.log('listening on port: 3000'));
+  return (
+    validateCoreOptions(coreOptions) ||
+    validateFaucetPolicy(faucetPolicy) ||
+    validateAntiAbuseOptions(antiAbuseOptions, routes) ||
+    validateAdminKeys(adminKeys)
+  );
 }
+/**
+ * Receives incoming blocks for the dev server's push service the same way
+ * the API does.
+ *
+ * @param {string} address the wallet address
+ * @returns {ResolvedAccount} the nano-client update result, or undefined if the wallet doesn't exist
+ */
+exports.receiveWallet = async function (address) {
+  return await nano.receiveWallet(address);
+};
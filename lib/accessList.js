@@ -0,0 +1,145 @@
+const net = require('net');
+const { ipPrefix } = require('./rateLimit');
+
+/*
+    Block and allow lists for addresses and IPs, managed through the admin
+    API and kept in the `accessRules` table, one row per subject:
+
+        { subject: 'ip:203.0.113.7', type: 'ip', value, list, reason,
+          updatedBy, updatedAt }
+
+    An IP rule may name a single IP or a subnet written the way rate limits
+    group clients (an IPv4 /24 like 203.0.113.0/24, or an IPv6 /64), and
+    then covers every IP in it.
+
+    - block: the IP can't use the API, the address can't receive from the
+      faucet or take part in a send
+    - allow: skips faucet rate limits and eligibility checks (and, for IPs,
+      the anti-abuse check), e.g. for demos and QA. The daily budget still
+      applies.
+
+    A block beats an allow.
+*/
+
+const ACCESS_TYPES = ['ip', 'address'];
+const ACCESS_LISTS = ['block', 'allow'];
+
+/**
+ * @param {string} ip client IP
+ * @returns {string} the IP as rules are keyed, IPv4-mapped IPv6 unwrapped
+ */
+function normalizeIp(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  return mapped ? mapped[1] : ip.toLowerCase();
+}
+
+/**
+ * Checks the value of an access rule.
+ *
+ * @param {string} type 'ip' or 'address'
+ * @param {string} value an IP or subnet, or a validated Nano address
+ * @returns {string} Error message, or null if the value is valid
+ */
+function validateAccessValue(type, value) {
+  if (!ACCESS_TYPES.includes(type)) {
+    return `type must be one of ${ACCESS_TYPES.join(', ')}`;
+  }
+  if (type === 'ip') {
+    const [base, bits] = value.split('/');
+    if (!net.isIP(base)) {
+      return 'value must be an IP or a subnet';
+    } else if (bits !== undefined && ipPrefix(base) !== value) {
+      return 'subnets must be an IPv4 /24 or IPv6 /64 such as 203.0.113.0/24';
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} type 'ip' or 'address'
+ * @param {string} value the IP, subnet or address
+ * @returns {string} the rule's key
+ */
+function accessSubject(type, value) {
+  return `${type}:${type === 'ip' ? normalizeIp(value) : value}`;
+}
+
+/**
+ * Adds, changes or removes the rule for an address or IP.
+ *
+ * @param {Object} store storage backend
+ * @param {Object} rule { type, value, list, reason, updatedBy }, list
+ *  'none' removes the rule
+ * @returns {Object} the stored rule, or undefined if it was removed
+ */
+async function setAccessRule(store, { type, value, list, reason, updatedBy }) {
+  const subject = accessSubject(type, value);
+  if (list === 'none') {
+    await store.deleteItem('accessRules', subject);
+    return undefined;
+  }
+  const row = {
+    subject: subject,
+    type: type,
+    value: type === 'ip' ? normalizeIp(value) : value,
+    list: list,
+    reason: reason,
+    updatedBy: updatedBy,
+    updatedAt: Date.now(),
+  };
+  await store.putItem('accessRules', row);
+  return row;
+}
+
+/**
+ * Lists every access rule.
+ *
+ * @param {Object} store storage backend
+ * @returns {Object[]} rules, sorted by subject
+ */
+async function listAccessRules(store) {
+  const rules = [];
+  let startKey;
+  do {
+    const page = await store.scanItems('accessRules', { startKey: startKey });
+    rules.push(...page.items);
+    startKey = page.lastKey;
+  } while (startKey !== undefined);
+  return rules.sort((a, b) => (a.subject < b.subject ? -1 : 1));
+}
+
+/**
+ * Looks up the rules that apply to a request.
+ *
+ * @param {Object} store storage backend
+ * @param {Object} subjects { ip, addresses }, both optional
+ * @returns {Object} { blocked, allowed } where blocked is the first matching
+ *  block rule (or undefined) and allowed is true if an allow rule matched
+ *  and nothing is blocked
+ */
+async function checkAccess(store, { ip, addresses = [] }) {
+  const keys = addresses.map((address) => accessSubject('address', address));
+  if (ip) {
+    keys.push(accessSubject('ip', ip), accessSubject('ip', ipPrefix(ip)));
+  }
+  const rules = (
+    await Promise.all(
+      Array.from(new Set(keys)).map((key) => store.getItem('accessRules', key))
+    )
+  ).filter((rule) => rule);
+
+  const blocked = rules.find((rule) => rule.list === 'block');
+  return {
+    blocked: blocked,
+    allowed: !blocked && rules.some((rule) => rule.list === 'allow'),
+  };
+}
+
+module.exports = {
+  ACCESS_LISTS,
+  ACCESS_TYPES,
+  checkAccess,
+  listAccessRules,
+  setAccessRule,
+  validateAccessValue,
+};
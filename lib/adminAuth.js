@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+/*
+    Admin API keys.
+
+    Operators call the /api/admin routes with an `X-Api-Key` header. Only a
+    SHA-256 hash of each key is configured, in ADMIN_API_KEYS:
+
+        [{ "id": "alice", "hash": "<sha256 hex>", "scopes": ["faucet:write"] }]
+
+    `id` names the key in logs and in the audit fields of what it changes.
+    Keys are random 32 byte values (see createApiKey), so a plain hash is
+    enough to keep a leaked config from being usable.
+
+    Scopes:
+        faucet:read     see the faucet's pause state and policy
+        faucet:write    pause/resume the faucet, change its policy and limits
+        sweep:run       trigger the return-to-faucet sweep
+        node:read       see the health of the Nano RPC endpoints
+        ip:read         inspect an IP's faucet history
+        ip:write        clear an IP's faucet history
+        access:read     list blocked and allow-listed addresses and IPs
+        access:write    block or allow-list addresses and IPs
+        webhooks:read   list webhook endpoints and dead-lettered deliveries
+        webhooks:write  register and remove endpoints, replay deliveries
+        *               everything
+*/
+
+const SCOPES = [
+  'faucet:read',
+  'faucet:write',
+  'sweep:run',
+  'node:read',
+  'ip:read',
+  'ip:write',
+  'access:read',
+  'access:write',
+  'webhooks:read',
+  'webhooks:write',
+  '*',
+];
+
+/**
+ * Reads the admin API keys from the ADMIN_API_KEYS environment variable.
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object[]} configured keys, or { invalid } if the JSON is broken
+ */
+function adminKeysFromEnv(env) {
+  if (!env.ADMIN_API_KEYS) {
+    return [];
+  }
+  try {
+    return JSON.parse(env.ADMIN_API_KEYS);
+  } catch (err) {
+    // reported by validateAdminKeys
+    return { invalid: 'ADMIN_API_KEYS is not valid JSON' };
+  }
+}
+
+/**
+ * Checks the admin key config.
+ *
+ * @param {Object[]} keys configured keys
+ * @returns {string} Error message, or null if the config is valid
+ */
+function validateAdminKeys(keys) {
+  if (keys.invalid) {
+    return keys.invalid;
+  } else if (!Array.isArray(keys)) {
+    return 'ADMIN_API_KEYS must be a list of { id, hash, scopes }';
+  }
+  for (const key of keys) {
+    if (!key || typeof key.id !== 'string' || !key.id) {
+      return 'every admin API key needs an id';
+    } else if (
+      typeof key.hash !== 'string' ||
+      !/^[0-9a-f]{64}$/.test(key.hash)
+    ) {
+      return `admin API key ${key.id} needs a hash, the SHA-256 hex of the key`;
+    } else if (
+      !Array.isArray(key.scopes) ||
+      !key.scopes.every((scope) => SCOPES.includes(scope))
+    ) {
+      return `admin API key ${key.id} scopes must be some of ${SCOPES.join(
+        ', '
+      )}`;
+    }
+  }
+  if (new Set(keys.map((key) => key.id)).size !== keys.length) {
+    return 'admin API key ids must be unique';
+  }
+  return null;
+}
+
+/**
+ * @param {string} apiKey an API key
+ * @returns {string} its SHA-256 hex digest, as configured in ADMIN_API_KEYS
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Generates a new admin API key.
+ *
+ * @returns {Object} { apiKey, hash }, hand out apiKey and configure hash
+ */
+function createApiKey() {
+  const apiKey = crypto.randomBytes(32).toString('base64url');
+  return { apiKey: apiKey, hash: hashApiKey(apiKey) };
+}
+
+/**
+ * Finds the configured key an `X-Api-Key` header value belongs to. Every key
+ * is compared in constant time.
+ *
+ * @param {Object[]} keys configured keys
+ * @param {string} apiKey the header value
+ * @returns {Object} the matching { id, scopes }, or undefined
+ */
+function authenticate(keys, apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey) {
+    return undefined;
+  }
+  const hash = Buffer.from(hashApiKey(apiKey), 'hex');
+  let match;
+  keys.forEach((key) => {
+    if (crypto.timingSafeEqual(hash, Buffer.from(key.hash, 'hex'))) {
+      match = key;
+    }
+  });
+  return match && { id: match.id, scopes: match.scopes };
+}
+
+/**
+ * @param {Object} key an authenticated key
+ * @param {string} scope the scope a route needs
+ * @returns {boolean} whether the key has it
+ */
+function hasScope(key, scope) {
+  return key.scopes.includes('*') || key.scopes.includes(scope);
+}
+
+module.exports = {
+  adminKeysFromEnv,
+  authenticate,
+  createApiKey,
+  hasScope,
+  hashApiKey,
+  validateAdminKeys,
+};
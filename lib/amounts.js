@@ -0,0 +1,76 @@
+/*
+    Nano amounts.
+
+    Everything is handled as raw BigInt internally (1 NANO = 10^30 raw), so
+    balances and payouts are exact. Amounts leave the API as
+
+        { raw: '1000000000000000000000000000', nano: '0.001' }
+
+    both strings: raw for arithmetic, nano for display. Wallet rows store
+    their balance as a raw string.
+*/
+
+const RAW_DECIMALS = 30;
+const MAX_RAW = (BigInt(1) << BigInt(128)) - BigInt(1);
+
+/**
+ * @param {*} value NANO decimal string, e.g. '1.5'
+ * @returns {Object} { value: BigInt raw } or { error }
+ */
+function nanoToRaw(value) {
+  if (typeof value !== 'string' || !/^\d+(\.\d+)?$/.test(value)) {
+    return { error: 'must be a non-negative decimal string' };
+  }
+  const [whole, fraction = ''] = value.split('.');
+  if (fraction.length > RAW_DECIMALS) {
+    return { error: `can't have more than ${RAW_DECIMALS} decimal places` };
+  }
+  return {
+    value: BigInt(whole + fraction.padEnd(RAW_DECIMALS, '0')),
+  };
+}
+
+/**
+ * @param {BigInt|string} raw raw amount
+ * @returns {string} the amount as a NANO decimal string, without trailing zeros
+ */
+function rawToNano(raw) {
+  const digits = BigInt(raw)
+    .toString()
+    .padStart(RAW_DECIMALS + 1, '0');
+  const whole = digits.slice(0, -RAW_DECIMALS);
+  const fraction = digits.slice(-RAW_DECIMALS).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * @param {BigInt|string} raw raw amount
+ * @returns {Object} the amount as it appears in responses: { raw, nano }
+ */
+function formatAmount(raw) {
+  return { raw: BigInt(raw).toString(), nano: rawToNano(raw) };
+}
+
+/**
+ * Reads the balance stored on a wallet row. Rows written before balances
+ * were kept in raw hold a NANO number, which is converted as closely as a
+ * float allows; the next balance update rewrites it exactly.
+ *
+ * @param {string|number} balance the row's balance attribute
+ * @returns {BigInt} raw balance
+ */
+function storedBalance(balance) {
+  if (typeof balance === 'number') {
+    const raw = nanoToRaw(balance.toFixed(RAW_DECIMALS));
+    return raw.error ? BigInt(0) : raw.value;
+  }
+  return balance ? BigInt(balance) : BigInt(0);
+}
+
+module.exports = {
+  MAX_RAW,
+  formatAmount,
+  nanoToRaw,
+  rawToNano,
+  storedBalance,
+};
@@ -0,0 +1,397 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { CONDITION_FAILED } = require('./storage');
+
+/*
+    Anti-abuse verification for API routes.
+
+    Every route is checked by one verifier, picked (highest priority first)
+    from the ANTI_ABUSE_ROUTE_VERIFIERS override, the `verification` block in
+    the route's apiMapping entry, or the ANTI_ABUSE_VERIFIER default.
+
+    A verifier is any object with `async verify(event, routeOptions)` that
+    resolves to { success, reason }. routeOptions is the route's
+    `verification` block, e.g. { action: 'send', minScore: 0.7 }.
+*/
+
+const VERIFIERS = ['recaptcha', 'hcaptcha', 'turnstile', 'pow', 'stub', 'none'];
+
+const RECAPTCHA_VERIFY_URL = 'https://www.google.com/recaptcha/api/siteverify';
+const HCAPTCHA_VERIFY_URL = 'https://hcaptcha.com/siteverify';
+const TURNSTILE_VERIFY_URL =
+  'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+const DEFAULT_RECAPTCHA_MIN_SCORE = 0.5;
+const DEFAULT_POW_DIFFICULTY = 20; // leading zero bits
+const DEFAULT_POW_TTL_SECONDS = 300;
+
+/**
+ * Reads the anti-abuse options from environment variables.
+ *
+ *  - ANTI_ABUSE_VERIFIER: default verifier for every route (recaptcha)
+ *  - ANTI_ABUSE_ROUTE_VERIFIERS: per-route overrides, e.g. `send=pow,getHistory=none`
+ *  - CAPTCHA_SECRET, RECAPTCHA_MIN_SCORE: Google reCAPTCHA v3
+ *  - HCAPTCHA_SECRET: hCaptcha
+ *  - TURNSTILE_SECRET: Cloudflare Turnstile
+ *  - POW_SECRET, POW_DIFFICULTY, POW_TTL_SECONDS: proof-of-work challenges
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createAntiAbuse
+ */
+function antiAbuseOptionsFromEnv(env) {
+  const toNumber = (value) => (value ? Number(value) : undefined);
+  const routeVerifiers = {};
+  (env.ANTI_ABUSE_ROUTE_VERIFIERS || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter((pair) => pair)
+    .forEach((pair) => {
+      const [route, verifier] = pair.split('=').map((part) => part.trim());
+      routeVerifiers[route] = verifier;
+    });
+
+  return {
+    verifier: env.ANTI_ABUSE_VERIFIER || 'recaptcha',
+    routeVerifiers: routeVerifiers,
+    recaptchaSecret: env.CAPTCHA_SECRET,
+    recaptchaMinScore: toNumber(env.RECAPTCHA_MIN_SCORE),
+    hcaptchaSecret: env.HCAPTCHA_SECRET,
+    turnstileSecret: env.TURNSTILE_SECRET,
+    powSecret: env.POW_SECRET,
+    powDifficulty: toNumber(env.POW_DIFFICULTY),
+    powTtlSeconds: toNumber(env.POW_TTL_SECONDS),
+    // the stub lets everything through, never allow it inside Lambda
+    allowStub: !env.AWS_LAMBDA_FUNCTION_NAME,
+  };
+}
+
+/**
+ * Checks that every verifier the routes can end up using is configured.
+ *
+ * @param {Object} options anti-abuse options
+ * @param {Object} routes route name -> `verification` block
+ * @returns {string} Error message, or null if the options are valid
+ */
+function validateAntiAbuseOptions(options, routes) {
+  const unknownRoute = Object.keys(options.routeVerifiers).find(
+    (name) => !(name in routes)
+  );
+  if (unknownRoute) {
+    return `ANTI_ABUSE_ROUTE_VERIFIERS names an unknown route: ${unknownRoute}`;
+  }
+
+  const inUse = new Set(
+    Object.keys(routes).map((name) => verifierName(options, name, routes[name]))
+  );
+  for (const name of inUse) {
+    if (!VERIFIERS.includes(name)) {
+      return `unknown anti-abuse verifier: ${name}`;
+    } else if (name === 'recaptcha' && !options.recaptchaSecret) {
+      return 'CAPTCHA_SECRET key missing from .env - you must fix';
+    } else if (name === 'hcaptcha' && !options.hcaptchaSecret) {
+      return 'HCAPTCHA_SECRET key missing from .env - you must fix';
+    } else if (name === 'turnstile' && !options.turnstileSecret) {
+      return 'TURNSTILE_SECRET key missing from .env - you must fix';
+    } else if (name === 'pow' && !options.powSecret) {
+      return 'POW_SECRET key missing from .env - you must fix';
+    } else if (name === 'stub' && !options.allowStub) {
+      return 'the stub verifier is only available for local runs';
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Object} options anti-abuse options
+ * @param {string} route route name, e.g. 'send'
+ * @param {Object} verification the route's `verification` block
+ * @returns {string} name of the verifier that checks the route
+ */
+function verifierName(options, route, verification = {}) {
+  return (
+    options.routeVerifiers[route] || verification.verifier || options.verifier
+  );
+}
+
+/**
+ * Creates the anti-abuse gate used by the API handler.
+ *
+ * @param {Object} options anti-abuse options, see antiAbuseOptionsFromEnv
+ * @param {Object} store storage backend, remembers used proof-of-work challenges
+ * @returns {Object} { verify, issueChallenge, powEnabled }
+ */
+function createAntiAbuse(options, store) {
+  const verifiers = {
+    recaptcha: createRecaptchaVerifier(
+      options.recaptchaSecret,
+      options.recaptchaMinScore
+    ),
+    hcaptcha: createSiteVerifyVerifier(
+      HCAPTCHA_VERIFY_URL,
+      options.hcaptchaSecret
+    ),
+    turnstile: createSiteVerifyVerifier(
+      TURNSTILE_VERIFY_URL,
+      options.turnstileSecret
+    ),
+    pow: createPowVerifier(options, store),
+    stub: createStubVerifier(),
+    none: createStubVerifier(),
+  };
+
+  return {
+    /**
+     * Verifies a request for a route.
+     *
+     * @param {string} route route name, e.g. 'send'
+     * @param {Object} verification the route's `verification` block
+     * @param {APIGatewayProxyEvent} event the API Gateway event data
+     * @returns {Object} { success, reason, verifier }
+     */
+    async verify(route, verification, event) {
+      const name = verifierName(options, route, verification);
+      const res = await verifiers[name].verify(event, verification || {});
+      return Object.assign({ verifier: name }, res);
+    },
+
+    /**
+     * @returns {Object} a new proof-of-work challenge, see createPowVerifier
+     */
+    issueChallenge() {
+      return verifiers.pow.issueChallenge();
+    },
+
+    powEnabled: !!options.powSecret,
+  };
+}
+
+/**
+ * @param {APIGatewayProxyEvent} event the API Gateway event data
+ * @returns {string} the captcha token sent with the request
+ */
+function captchaToken(event) {
+  // X-Recaptcha is what older clients send
+  return event.headers['x-captcha-token'] || event.headers['x-recaptcha'];
+}
+
+/**
+ * POSTs a token to a siteverify style endpoint (reCAPTCHA, hCaptcha and
+ * Turnstile all share the same request shape).
+ *
+ * @param {string} url siteverify endpoint
+ * @param {string} secret site secret
+ * @param {string} token token sent by the client
+ * @param {string} remoteIp the client's ip address
+ * @returns {Object} the parsed siteverify response
+ */
+async function siteVerify(url, secret, token, remoteIp) {
+  const form = new URLSearchParams({ secret: secret, response: token });
+  if (remoteIp) {
+    form.append('remoteip', remoteIp);
+  }
+  const res = await axios.post(url, form.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  });
+  return res.data;
+}
+
+/**
+ * Google reCAPTCHA v3. Besides the token being valid, the score has to reach
+ * the route's `minScore` and the action has to match the route's `action`.
+ *
+ * @param {string} secret reCAPTCHA secret
+ * @param {number} minScore default minimum score, 0.0 - 1.0
+ * @returns {Object} verifier
+ */
+function createRecaptchaVerifier(
+  secret,
+  minScore = DEFAULT_RECAPTCHA_MIN_SCORE
+) {
+  return {
+    async verify(event, { action, minScore: routeMinScore }) {
+      const token = captchaToken(event);
+      if (!token) {
+        return { success: false, reason: 'missing captcha token' };
+      }
+      const res = await siteVerify(
+        RECAPTCHA_VERIFY_URL,
+        secret,
+        token,
+        event.requestContext.http.sourceIp
+      );
+      const threshold = routeMinScore !== undefined ? routeMinScore : minScore;
+      if (!res.success) {
+        return { success: false, reason: 'invalid captcha token' };
+      } else if (action && res.action !== action) {
+        return {
+          success: false,
+          reason: 'captcha token is for another action',
+        };
+      } else if (typeof res.score === 'number' && res.score < threshold) {
+        return { success: false, reason: 'captcha score too low' };
+      }
+      return { success: true };
+    },
+  };
+}
+
+/**
+ * hCaptcha or Cloudflare Turnstile. Turnstile echoes the widget's action, so
+ * it's checked against the route's `action` when present.
+ *
+ * @param {string} url siteverify endpoint
+ * @param {string} secret site secret
+ * @returns {Object} verifier
+ */
+function createSiteVerifyVerifier(url, secret) {
+  return {
+    async verify(event, { action }) {
+      const token = captchaToken(event);
+      if (!token) {
+        return { success: false, reason: 'missing captcha token' };
+      }
+      const res = await siteVerify(
+        url,
+        secret,
+        token,
+        event.requestContext.http.sourceIp
+      );
+      if (!res.success) {
+        return { success: false, reason: 'invalid captcha token' };
+      } else if (action && res.action && res.action !== action) {
+        return {
+          success: false,
+          reason: 'captcha token is for another action',
+        };
+      }
+      return { success: true };
+    },
+  };
+}
+
+/**
+ * Proof-of-work challenges, for clients that can't show a captcha.
+ *
+ * A challenge is `<difficulty>.<expiresAt>.<random>.<hmac>`, signed so the
+ * API doesn't have to store it. The client searches for a nonce such that
+ * sha256(challenge + nonce) starts with `difficulty` zero bits and sends both
+ * back in the X-Pow-Challenge and X-Pow-Nonce headers. Each challenge can
+ * only be used once.
+ *
+ * @param {Object} options { powSecret, powDifficulty, powTtlSeconds }
+ * @param {Object} store storage backend
+ * @returns {Object} verifier with issueChallenge()
+ */
+function createPowVerifier(options, store) {
+  const difficulty = options.powDifficulty || DEFAULT_POW_DIFFICULTY;
+  const ttlSeconds = options.powTtlSeconds || DEFAULT_POW_TTL_SECONDS;
+  const sign = (payload) =>
+    crypto
+      .createHmac('sha256', options.powSecret || '')
+      .update(payload)
+      .digest('hex');
+
+  return {
+    issueChallenge() {
+      const expiresAt = Date.now() + ttlSeconds * 1000;
+      const payload = `${difficulty}.${expiresAt}.${crypto
+        .randomBytes(16)
+        .toString('hex')}`;
+      return {
+        challenge: `${payload}.${sign(payload)}`,
+        difficulty: difficulty,
+        expiresAt: expiresAt,
+      };
+    },
+
+    async verify(event) {
+      const challenge = event.headers['x-pow-challenge'];
+      const nonce = event.headers['x-pow-nonce'];
+      if (!challenge || !nonce) {
+        return { success: false, reason: 'missing proof-of-work' };
+      }
+
+      const parts = challenge.split('.');
+      const signature = parts.pop();
+      const payload = parts.join('.');
+      const expected = sign(payload);
+      // compared as bytes decoded from hex, so both sides have the same length
+      if (
+        parts.length !== 3 ||
+        !/^[0-9a-f]{64}$/.test(signature) ||
+        !crypto.timingSafeEqual(
+          Buffer.from(signature, 'hex'),
+          Buffer.from(expected, 'hex')
+        )
+      ) {
+        return { success: false, reason: 'invalid proof-of-work challenge' };
+      }
+
+      const [challengeDifficulty, expiresAt] = parts.map(Number);
+      if (expiresAt < Date.now()) {
+        return { success: false, reason: 'proof-of-work challenge expired' };
+      }
+      const hash = crypto
+        .createHash('sha256')
+        .update(challenge + nonce)
+        .digest();
+      if (leadingZeroBits(hash) < challengeDifficulty) {
+        return { success: false, reason: 'proof-of-work is not valid' };
+      }
+
+      try {
+        await store.putItem(
+          'powChallenges',
+          {
+            challenge: challenge,
+            expirationTs: Math.round(expiresAt / 1000),
+          },
+          { conditions: [{ attr: 'challenge', op: 'notExists' }] }
+        );
+      } catch (err) {
+        if (err.code === CONDITION_FAILED) {
+          return { success: false, reason: 'proof-of-work already used' };
+        }
+        throw err;
+      }
+      return { success: true };
+    },
+  };
+}
+
+/**
+ * Lets every request through. Used for routes configured with `none`, and as
+ * `stub` for local runs without captcha keys.
+ *
+ * @returns {Object} verifier
+ */
+function createStubVerifier() {
+  return {
+    async verify() {
+      return { success: true };
+    },
+  };
+}
+
+/**
+ * @param {Buffer} hash digest to inspect
+ * @returns {number} number of leading zero bits
+ */
+function leadingZeroBits(hash) {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+module.exports = {
+  antiAbuseOptionsFromEnv,
+  createAntiAbuse,
+  validateAntiAbuseOptions,
+};
@@ -0,0 +1,48 @@
+/*
+    Lambda responses, shaped for API Gateway with the CORS headers the web
+    client needs. The sweep answers the same way, so the admin API can pass
+    its response on.
+*/
+
+/**
+ * Constructs an HttpResponse object with the appropriate CORS headers.
+ *
+ * @param {HttpStatus} code HTTP response status code
+ * @param {Object} body response body
+ * @param {Object} headers extra response headers
+ * @returns {HttpResponse} HTTP response object
+ */
+function response(code, body, headers = {}) {
+  return {
+    statusCode: code,
+    headers: Object.assign(
+      {
+        'Access-Control-Allow-Headers':
+          'Content-Type, X-Recaptcha, X-Captcha-Token, X-Pow-Challenge, X-Pow-Nonce, X-Api-Key, Idempotency-Key',
+        'Access-Control-Expose-Headers': 'Idempotent-Replayed, Retry-After',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'OPTIONS,POST,GET',
+      },
+      headers
+    ),
+    body: JSON.stringify(body),
+  };
+}
+
+/**
+ * Constructs an error HttpResponse object with a stable, machine-readable error code.
+ *
+ * @param {HttpStatus} code HTTP response status code
+ * @param {string} errorCode one of ERROR_CODES
+ * @param {string} message human readable error message
+ * @param {Object} headers extra response headers
+ * @returns {HttpResponse} HTTP response object
+ */
+function errorResponse(code, errorCode, message, headers) {
+  return response(code, { error: message, code: errorCode }, headers);
+}
+
+module.exports = {
+  errorResponse,
+  response,
+};
@@ -0,0 +1,178 @@
+const { createStore } = require('../storage');
+const { noteBroadcast } = require('../idempotency');
+const { verifyAccountLeases } = require('../locks');
+const {
+  createFaucetMonitor,
+  monitorOptionsFromEnv,
+  validateMonitorOptions,
+} = require('../monitoring');
+const {
+  createKeyVault,
+  keyVaultOptionsFromEnv,
+  validateKeyVaultOptions,
+} = require('../keyVault');
+const {
+  createNanoClient,
+  createNodePool,
+  nodePoolOptionsFromEnv,
+} = require('../nanoNode');
+const {
+  createWorkProvider,
+  validateWorkOptions,
+  workOptionsFromEnv,
+} = require('../work');
+const {
+  createWebhooks,
+  validateWebhookOptions,
+  webhookOptionsFromEnv,
+} = require('../webhooks');
+const { errorResponse, response } = require('./http');
+const { FAUCET_LOCK_WAIT_MS, createNanoOperations } = require('./nano');
+const {
+  RETURN_TO_FAUCET_EPOCH_MS,
+  WALLET_EXPIRATION_TIME_SECONDS,
+  createWalletRepository,
+} = require('./wallets');
+
+/*
+    What the API (index.js) and the sweep (returnAllNanoToFaucet.js) share,
+    so both entry points stay thin and treat wallets the same way:
+
+      config       coreOptionsFromEnv / validateCoreOptions
+      clients      the node pool, nano-client, store, key vault, work
+                   provider, faucet monitor and webhooks, from createCore
+      wallets      the wallet repository (lib/core/wallets.js)
+      nano         Nano operations (lib/core/nano.js)
+      responses    response / errorResponse (lib/core/http.js)
+*/
+
+/**
+ * Reads the shared options from the environment.
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createCore:
+ *  { faucet, storage, node, work, keyVault, monitor, webhooks }
+ */
+function coreOptionsFromEnv(env) {
+  return {
+    faucet: {
+      address: env.FAUCET_ADDRESS,
+      publicKey: env.FAUCET_PUBLIC_KEY,
+      privateKey: env.FAUCET_PRIVATE_KEY,
+    },
+    storage: {
+      backend: env.STORAGE_BACKEND,
+      filePath: env.STORAGE_FILE_PATH,
+      region: 'us-west-1',
+    },
+    node: nodePoolOptionsFromEnv(env),
+    work: workOptionsFromEnv(env),
+    keyVault: keyVaultOptionsFromEnv(env),
+    monitor: monitorOptionsFromEnv(env),
+    webhooks: webhookOptionsFromEnv(env),
+  };
+}
+
+/**
+ * Ensures all required environment variables are present and valid.
+ *
+ * @param {Object} options from coreOptionsFromEnv
+ * @returns {string} Error message, or null if the options are valid
+ */
+function validateCoreOptions(options) {
+  if (!options.faucet.address) {
+    return 'FAUCET_ADDRESS key missing from .env - you must fix';
+  } else if (!options.faucet.publicKey) {
+    return 'FAUCET_PUBLIC_KEY key missing from .env - you must fix';
+  } else if (!options.faucet.privateKey) {
+    return 'FAUCET_PRIVATE_KEY key missing from .env - you must fix';
+  }
+  return (
+    validateKeyVaultOptions(options.keyVault) ||
+    validateMonitorOptions(options.monitor) ||
+    validateWorkOptions(options.work) ||
+    validateWebhookOptions(options.webhooks)
+  );
+}
+
+/**
+ * Creates the clients and services both Lambdas use.
+ *
+ * @param {Object} options from coreOptionsFromEnv
+ * @returns {Object} { options, faucet, node, store, work, client, vault, monitor, webhooks, wallets, nano }
+ */
+function createCore(options) {
+  // Blocks are only published while their account's lease is still held,
+  // and idempotent requests learn they may have published one
+  const node = createNodePool(
+    Object.assign(
+      {
+        beforeProcess: async () => {
+          await verifyAccountLeases();
+          noteBroadcast();
+        },
+      },
+      options.node
+    )
+  );
+  const store = createStore(options.storage);
+
+  // Block work: precached, generated locally or by the node, see lib/work
+  const work = createWorkProvider({
+    node: node,
+    store: store,
+    options: options.work,
+  });
+  const client = createNanoClient(node, work);
+  const vault = createKeyVault(options.keyVault);
+
+  // Faucet balance tracking and alerts, see lib/monitoring.js
+  const monitor = createFaucetMonitor({
+    store: store,
+    options: options.monitor,
+  });
+
+  // Signed event POSTs to registered endpoints, see lib/webhooks.js
+  const webhooks = createWebhooks({
+    store: store,
+    node: node,
+    options: options.webhooks,
+  });
+
+  const wallets = createWalletRepository({ store: store, vault: vault });
+  const nano = createNanoOperations({
+    node: node,
+    client: client,
+    work: work,
+    workOptions: options.work,
+    store: store,
+    wallets: wallets,
+    webhooks: webhooks,
+    faucet: options.faucet,
+  });
+
+  return {
+    options: options,
+    faucet: options.faucet,
+    node: node,
+    store: store,
+    work: work,
+    client: client,
+    vault: vault,
+    monitor: monitor,
+    webhooks: webhooks,
+    wallets: wallets,
+    nano: nano,
+  };
+}
+
+module.exports = {
+  FAUCET_LOCK_WAIT_MS,
+  RETURN_TO_FAUCET_EPOCH_MS,
+  WALLET_EXPIRATION_TIME_SECONDS,
+  coreOptionsFromEnv,
+  createCore,
+  errorResponse,
+  response,
+  validateCoreOptions,
+};
@@ -0,0 +1,159 @@
+const { formatAmount } = require('../amounts');
+const { withAccountLock } = require('../locks');
+const { logger } = require('../logger');
+const { NODE_UNAVAILABLE } = require('../nanoNode');
+
+/*
+    Nano operations both Lambdas build on: reading the faucet account,
+    receiving into wallets and the faucet with the account lock held, and
+    keeping frontiers and precached work up to date.
+*/
+
+// How long a payout or receive on the faucet waits for the one in progress
+const FAUCET_LOCK_WAIT_MS = 10000;
+
+/**
+ * Creates the Nano operations.
+ *
+ * @param {Object} deps { node, client, work, workOptions, store, wallets, webhooks, faucet }
+ *  - node: node pool, client: nano-client from createNanoClient
+ *  - work, workOptions: work provider and its options, see lib/work
+ *  - wallets: wallet repository, see lib/core/wallets.js
+ *  - webhooks: see lib/webhooks.js
+ *  - faucet: the faucet account { address, publicKey, privateKey }
+ * @returns {Object} { faucetAccountInfo, receiveWallet, receiveFaucet, getFrontier, precacheNextWork }
+ */
+function createNanoOperations(deps) {
+  const { node, client, work, workOptions, store, wallets, webhooks, faucet } =
+    deps;
+
+  /**
+   * @returns {Object} the faucet's nano-client account info, with its
+   *  balance, or undefined if the node couldn't be asked
+   */
+  async function faucetAccountInfo() {
+    return await client.updateWalletAccount({
+      address: faucet.address,
+      publicKey: faucet.publicKey,
+      privateKey: faucet.privateKey,
+    });
+  }
+
+  /**
+   * Receives all pending transactions for a TryNano wallet and stores its
+   * new balance. Emits wallet.received when anything was received.
+   *
+   * @param {string} address the wallet address
+   * @returns {ResolvedAccount} the nano-client update result, or undefined if the wallet doesn't exist
+   * @throws an error with code NODE_UNAVAILABLE if the receive failed
+   */
+  async function receiveWallet(address) {
+    const acc = await wallets.loadAccount(address);
+    if (!acc) {
+      return undefined;
+    }
+
+    return await withAccountLock(store, acc.address, async () => {
+      const res = await client.update(acc);
+      if (res.error) {
+        // the balance we'd have is stale, the next receive stores it
+        const err = new Error(`unable to receive for ${address}: ${res.error}`);
+        err.code = NODE_UNAVAILABLE;
+        throw err;
+      }
+
+      // update balance in the wallet store after receive
+      await wallets.updateBalance(address, BigInt(res.account.balance.RAW));
+      if (res.resolvedCount > 0) {
+        // awaited as a Lambda freezes background work
+        await precacheNextWork(address);
+        await webhooks.emit('wallet.received', {
+          address: address,
+          balance: formatAmount(res.account.balance.RAW),
+          resolvedCount: res.resolvedCount,
+        });
+      }
+      return res;
+    });
+  }
+
+  /**
+   * Receives any pending transactions for the TryNano faucet, waiting for a
+   * payout in progress to finish first.
+   *
+   * @returns {Object} { updatedFaucetBalance, resolvedCount }, or { error }
+   */
+  async function receiveFaucet() {
+    const res = await withAccountLock(
+      store,
+      faucet.address,
+      () =>
+        client.update({
+          address: faucet.address,
+          publicKey: faucet.publicKey,
+          privateKey: faucet.privateKey,
+        }),
+      { waitMs: FAUCET_LOCK_WAIT_MS }
+    );
+
+    if (res.error) {
+      return {
+        error: res.error,
+      };
+    }
+
+    if (res.resolvedCount > 0) {
+      // work for the next payout, awaited as a Lambda freezes background work
+      await precacheNextWork(faucet.address);
+    }
+
+    return {
+      updatedFaucetBalance: formatAmount(res.account.balance.RAW),
+      resolvedCount: res.resolvedCount,
+    };
+  }
+
+  /**
+   * Gets the hash of the latest block on an account's chain.
+   *
+   * @param {string} address the address of the nano account
+   * @returns {string} the frontier block hash, or undefined if unknown
+   */
+  async function getFrontier(address) {
+    try {
+      const info = await node.rpc('account_info', { account: address });
+      return info.frontier;
+    } catch (err) {
+      logger.warn('unable to get frontier', { address: address, err: err });
+      return undefined;
+    }
+  }
+
+  /**
+   * Computes the work for an account's next block, if WORK_PRECACHE is on
+   * (see lib/work). Await it: a Lambda freezes work left running once it
+   * has answered. Never throws.
+   *
+   * @param {string} address the address of the nano account
+   * @param {string} frontier its frontier, looked up if not given
+   */
+  async function precacheNextWork(address, frontier) {
+    if (!workOptions.precache) {
+      return;
+    }
+    await work.precache(frontier || (await getFrontier(address)));
+  }
+
+  return {
+    faucetAccountInfo: faucetAccountInfo,
+    receiveWallet: receiveWallet,
+    receiveFaucet: receiveFaucet,
+    getFrontier: getFrontier,
+    precacheNextWork: precacheNextWork,
+  };
+}
+
+module.exports = {
+  FAUCET_LOCK_WAIT_MS,
+  createNanoOperations,
+};
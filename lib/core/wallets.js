@@ -0,0 +1,191 @@
+const { logger } = require('../logger');
+const { CONDITION_FAILED } = require('../storage');
+const { recordActivity } = require('../history');
+
+/*
+    The wallet repository: TryNano wallets in the `wallets` (accounts) and
+    `seedWallets` (HD wallets, see lib/seedWallets.js) tables.
+
+    A wallet row is { walletID, publicKey, encryptedPrivateKey, balance,
+    returnToFaucetEpoch, expirationTs, ... } where walletID is the address
+    and balance a raw string. Every balance update marks the wallet as used,
+    whoever makes it, so the sweep leaves it alone for another
+    RETURN_TO_FAUCET_EPOCH_MS.
+*/
+
+/*
+    Must wait 1 hour after last wallet usage until eligible to return to
+    faucet.
+
+    Ensures that funds are not returned to faucet while user is still
+    using the wallet.
+*/
+const RETURN_TO_FAUCET_EPOCH_MS = 3600000;
+const WALLET_EXPIRATION_TIME_SECONDS = 259200; // 72 hours
+
+/**
+ * Creates the wallet repository.
+ *
+ * @param {Object} deps { store, vault }
+ *  - vault: key vault, see lib/keyVault.js
+ * @returns {Object} { load, loadAccount, toAccount, updateBalance, loadSeed, storeSeedAccount, recordActivity }
+ */
+function createWalletRepository({ store, vault }) {
+  /**
+   * Loads a TryNano generated wallet row. Rows that still hold a plaintext
+   * private key are encrypted in place on first use.
+   *
+   * @param {string} address the address of the nano account
+   * @returns The stored wallet row, or null if the wallet doesn't exist
+   */
+  async function load(address) {
+    const wallet = await store.getItem('wallets', address);
+    if (!wallet || !vault.isLegacy(wallet)) {
+      return wallet;
+    }
+
+    return await store.updateItem(
+      'wallets',
+      address,
+      await vault.migrationAttrs(wallet)
+    );
+  }
+
+  /**
+   * Loads a TryNano generated wallet and decrypts its private key so it can
+   * sign blocks.
+   *
+   * @param {string} address the address of the nano account
+   * @returns The corresponding Nano account: address, publicKey and privateKey, or null
+   */
+  async function loadAccount(address) {
+    const wallet = await load(address);
+    if (!wallet) {
+      return null;
+    }
+
+    return await toAccount(wallet);
+  }
+
+  /**
+   * Converts a wallet row into a Nano account, decrypting its private key.
+   *
+   * @param {Object} wallet wallet row
+   * @returns The corresponding Nano account: address, publicKey and privateKey
+   */
+  async function toAccount(wallet) {
+    return {
+      address: wallet.walletID,
+      publicKey: wallet.publicKey,
+      privateKey: await vault.openPrivateKey(wallet),
+    };
+  }
+
+  /**
+   * Updates the balance of a TryNano wallet. Also updates the
+   * returnToFaucetEpoch field since the wallet has been used. A wallet
+   * deleted in the meantime stays deleted, updates would otherwise recreate
+   * it as a row without a key or an expiry.
+   *
+   * @param {string} address the address of the nano account
+   * @param {BigInt} updatedBalance the updated wallet balance in raw
+   * @returns {boolean} false if the wallet no longer exists
+   */
+  async function updateBalance(address, updatedBalance) {
+    try {
+      await store.updateItem(
+        'wallets',
+        address,
+        {
+          // a string, DynamoDB numbers only hold 38 digits
+          balance: updatedBalance.toString(),
+          returnToFaucetEpoch: Date.now() + RETURN_TO_FAUCET_EPOCH_MS,
+        },
+        { conditions: [{ attr: 'walletID', op: 'exists' }] }
+      );
+      return true;
+    } catch (err) {
+      if (err.code !== CONDITION_FAILED) {
+        throw err;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Loads an HD wallet row.
+   *
+   * @param {string} walletId the wallet id
+   * @returns The seed wallet row, or null if it doesn't exist or has expired
+   */
+  async function loadSeed(walletId) {
+    const seedWallet = await store.getItem('seedWallets', walletId);
+    // expired rows linger until DynamoDB's TTL gets round to deleting them
+    if (
+      !seedWallet ||
+      seedWallet.expirationTs <= Math.round(Date.now() / 1000)
+    ) {
+      return null;
+    }
+    return seedWallet;
+  }
+
+  /**
+   * Stores an account derived from an HD wallet's seed as a wallet row, so
+   * it works like any other TryNano account.
+   *
+   * @param {Object} seedWallet the seed wallet row
+   * @param {Object} account the derived { accountIndex, address, publicKey, privateKey }
+   */
+  async function storeSeedAccount(seedWallet, account) {
+    await store.putItem('wallets', {
+      walletID: account.address,
+      expirationTs: seedWallet.expirationTs,
+      ...(await vault.sealPrivateKey(account.privateKey)),
+      publicKey: account.publicKey,
+      balance: '0',
+      returnToFaucetEpoch: Date.now() + RETURN_TO_FAUCET_EPOCH_MS,
+      creatorSession: seedWallet.creatorSession,
+      label: seedWallet.label,
+      seedWalletId: seedWallet.walletId,
+      accountIndex: account.accountIndex,
+    });
+  }
+
+  /**
+   * Records an operation done through the API in the wallet's local history
+   * ledger (see lib/history.js). Failures are logged and swallowed since the
+   * operation itself already succeeded.
+   *
+   * @param {string} address the address of the nano account
+   * @param {Object} entry the history entry to record
+   */
+  async function recordWalletActivity(address, entry) {
+    try {
+      await recordActivity(
+        store,
+        address,
+        entry,
+        Math.round(Date.now() / 1000) + WALLET_EXPIRATION_TIME_SECONDS
+      );
+    } catch (err) {
+      logger.warn('unable to record history', { address: address, err: err });
+    }
+  }
+
+  return {
+    load: load,
+    loadAccount: loadAccount,
+    toAccount: toAccount,
+    updateBalance: updateBalance,
+    loadSeed: loadSeed,
+    storeSeedAccount: storeSeedAccount,
+    recordActivity: recordWalletActivity,
+  };
+}
+
+module.exports = {
+  RETURN_TO_FAUCET_EPOCH_MS,
+  WALLET_EXPIRATION_TIME_SECONDS,
+  createWalletRepository,
+};
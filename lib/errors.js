@@ -0,0 +1,54 @@
+/*
+    Stable, machine-readable error codes returned as `code` next to the
+    human-readable `error` message in every API error response. Clients
+    should branch on these rather than on the message text, which may change.
+*/
+const ERROR_CODES = Object.freeze({
+  // request shape
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_ADDRESS: 'INVALID_ADDRESS',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  INVALID_PRIVATE_KEY: 'INVALID_PRIVATE_KEY',
+  INVALID_SEED: 'INVALID_SEED',
+  INVALID_CURSOR: 'INVALID_CURSOR',
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_IDEMPOTENCY_KEY: 'INVALID_IDEMPOTENCY_KEY',
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  IDEMPOTENCY_KEY_IN_PROGRESS: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+
+  // access
+  CAPTCHA_FAILED: 'CAPTCHA_FAILED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  BLOCKED: 'BLOCKED',
+
+  // wallets
+  WALLET_NOT_FOUND: 'WALLET_NOT_FOUND',
+  WALLET_KEY_MISMATCH: 'WALLET_KEY_MISMATCH',
+  WALLET_ACCOUNT_LIMIT: 'WALLET_ACCOUNT_LIMIT',
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+  ACCOUNT_BUSY: 'ACCOUNT_BUSY',
+  SEND_FAILED: 'SEND_FAILED',
+
+  // payment requests
+  PAYMENT_REQUEST_NOT_FOUND: 'PAYMENT_REQUEST_NOT_FOUND',
+  PAYMENT_REQUEST_OPEN: 'PAYMENT_REQUEST_OPEN',
+
+  // faucet
+  FAUCET_DISABLED: 'FAUCET_DISABLED',
+  FAUCET_THROTTLED: 'FAUCET_THROTTLED',
+  FAUCET_LIMIT_REACHED: 'FAUCET_LIMIT_REACHED',
+  FAUCET_EMPTY: 'FAUCET_EMPTY',
+  FAUCET_BUDGET_EXHAUSTED: 'FAUCET_BUDGET_EXHAUSTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+
+  // server
+  NODE_UNAVAILABLE: 'NODE_UNAVAILABLE',
+  MISCONFIGURED: 'MISCONFIGURED',
+  SERVER_ERROR: 'SERVER_ERROR',
+});
+
+module.exports = {
+  ERROR_CODES,
+};
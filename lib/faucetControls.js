@@ -0,0 +1,83 @@
+const { applyPolicyOverrides } = require('./faucetPolicy');
+
+/*
+    Faucet settings operators change at runtime through the admin API,
+    without a redeploy. They live in one `adminSettings` row:
+
+        { setting: 'faucet', paused, pauseMessage, policyOverrides,
+          updatedBy, updatedAt }
+
+    policyOverrides is a partial faucet policy layered over the policy from
+    FAUCET_POLICY (see applyPolicyOverrides in lib/faucetPolicy.js).
+*/
+
+const FAUCET_SETTING = 'faucet';
+
+const OVERRIDABLE_FIELDS = [
+  'payout',
+  'eligibility',
+  'rateLimits',
+  'dailyBudget',
+];
+
+/**
+ * @param {Object} store storage backend
+ * @returns {Object} { paused, pauseMessage, policyOverrides, updatedBy, updatedAt }
+ */
+async function getFaucetControls(store) {
+  const row = await store.getItem('adminSettings', FAUCET_SETTING);
+  return Object.assign({ paused: false }, row);
+}
+
+/**
+ * Works out the policy in force.
+ *
+ * @param {Object} policy the policy from FAUCET_POLICY
+ * @param {Object} controls the faucet controls
+ * @returns {Object} the policy with the runtime overrides applied
+ */
+function effectivePolicy(policy, controls) {
+  return controls.policyOverrides
+    ? applyPolicyOverrides(policy, controls.policyOverrides)
+    : policy;
+}
+
+/**
+ * Pauses or resumes the faucet.
+ *
+ * @param {Object} store storage backend
+ * @param {boolean} paused whether the faucet is paused
+ * @param {string} message shown to users while paused
+ * @param {string} updatedBy id of the admin API key making the change
+ */
+async function setFaucetPaused(store, paused, message, updatedBy) {
+  await store.updateItem('adminSettings', FAUCET_SETTING, {
+    paused: paused,
+    pauseMessage: paused ? message : undefined,
+    updatedBy: updatedBy,
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Replaces the runtime policy overrides.
+ *
+ * @param {Object} store storage backend
+ * @param {Object} overrides partial faucet policy, undefined to go back to FAUCET_POLICY
+ * @param {string} updatedBy id of the admin API key making the change
+ */
+async function setPolicyOverrides(store, overrides, updatedBy) {
+  await store.updateItem('adminSettings', FAUCET_SETTING, {
+    policyOverrides: overrides,
+    updatedBy: updatedBy,
+    updatedAt: Date.now(),
+  });
+}
+
+module.exports = {
+  OVERRIDABLE_FIELDS,
+  effectivePolicy,
+  getFaucetControls,
+  setFaucetPaused,
+  setPolicyOverrides,
+};
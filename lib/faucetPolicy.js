@@ -0,0 +1,338 @@
+const { ERROR_CODES } = require('./errors');
+const { nanoToRaw } = require('./amounts');
+
+/*
+    Faucet payout policy.
+
+    A policy decides who may use the faucet (eligibility) and how much they
+    get (payout). Everything in here is pure: callers load the faucet balance,
+    the IP history row and today's spend from storage and pass them in, so a
+    policy can be exercised without a node or a database.
+
+    Amounts in a policy are NANO decimal strings, e.g. '0.01'. Internally
+    everything is raw BigInt.
+
+    {
+      payout: one of
+        { type: 'fixed', amount }
+        { type: 'percent', percent, min?, max? }
+            percent is a fraction of the faucet balance, 0.000125 = 0.0125%
+        { type: 'decay', amount, fullBalance, exponent?, min?, max? }
+            pays `amount` while the faucet holds at least `fullBalance`, then
+            amount * (balance / fullBalance) ^ exponent as it drains
+      eligibility: { throttleSeconds, maxClaims, windowHours }
+      rateLimits: { subnet, wallet, creator, global }, each a list of
+        { limit, windowSeconds } sliding windows (see lib/rateLimit.js)
+            subnet: the client's IPv4 /24 or IPv6 /64
+            wallet: the wallet being paid
+            creator: the client that created the wallet being paid
+            global: every payout
+      dailyBudget?: most the faucet pays out per UTC day
+    }
+*/
+
+const DEFAULT_POLICY = {
+  payout: { type: 'percent', percent: 0.000125 },
+  eligibility: { throttleSeconds: 600, maxClaims: 10, windowHours: 24 },
+  rateLimits: {
+    subnet: [
+      { limit: 10, windowSeconds: 3600 },
+      { limit: 30, windowSeconds: 86400 },
+    ],
+    wallet: [{ limit: 3, windowSeconds: 86400 }],
+    creator: [{ limit: 10, windowSeconds: 86400 }],
+    global: [{ limit: 600, windowSeconds: 3600 }],
+  },
+};
+
+const RATE_LIMIT_DIMENSIONS = ['subnet', 'wallet', 'creator', 'global'];
+
+const PAYOUT_TYPES = ['fixed', 'percent', 'decay'];
+
+// fractions are applied to raw amounts at this precision
+const FRACTION_SCALE = 1e12;
+
+/**
+ * Reads the faucet policy from the FAUCET_POLICY environment variable, a JSON
+ * policy. `eligibility` and `rateLimits` are merged over the defaults (per
+ * field and per dimension), `payout` replaces them.
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} the faucet policy
+ */
+function faucetPolicyFromEnv(env) {
+  let configured = {};
+  if (env.FAUCET_POLICY) {
+    try {
+      configured = JSON.parse(env.FAUCET_POLICY);
+    } catch (err) {
+      // reported by validateFaucetPolicy
+      return { invalid: 'FAUCET_POLICY is not valid JSON' };
+    }
+  }
+  return applyPolicyOverrides(DEFAULT_POLICY, configured);
+}
+
+/**
+ * Layers overrides over a policy: `eligibility` and `rateLimits` are merged
+ * per field and per dimension, `payout` and `dailyBudget` replace the base
+ * (a null dailyBudget removes it). Used for FAUCET_POLICY and for the
+ * overrides set at runtime through the admin API.
+ *
+ * @param {Object} policy base faucet policy
+ * @param {Object} overrides partial policy
+ * @returns {Object} the combined policy
+ */
+function applyPolicyOverrides(policy, overrides = {}) {
+  return {
+    payout: overrides.payout || policy.payout,
+    eligibility: Object.assign({}, policy.eligibility, overrides.eligibility),
+    rateLimits: Object.assign({}, policy.rateLimits, overrides.rateLimits),
+    dailyBudget:
+      overrides.dailyBudget !== undefined
+        ? overrides.dailyBudget === null
+          ? undefined
+          : overrides.dailyBudget
+        : policy.dailyBudget,
+  };
+}
+
+/**
+ * Checks that a policy is usable.
+ *
+ * @param {Object} policy faucet policy
+ * @returns {string} Error message, or null if the policy is valid
+ */
+function validateFaucetPolicy(policy) {
+  if (policy.invalid) {
+    return policy.invalid;
+  }
+  const { payout, eligibility } = policy;
+  const isAmount = (value) => nanoToRaw(value).error === undefined;
+  const isOptionalAmount = (value) => value === undefined || isAmount(value);
+  const isPositive = (value) => typeof value === 'number' && value > 0;
+
+  if (!payout || !PAYOUT_TYPES.includes(payout.type)) {
+    return `faucet payout type must be one of ${PAYOUT_TYPES.join(', ')}`;
+  } else if (payout.type === 'fixed' && !isAmount(payout.amount)) {
+    return 'fixed faucet payout needs an amount';
+  } else if (
+    payout.type === 'percent' &&
+    !(isPositive(payout.percent) && payout.percent <= 1)
+  ) {
+    return 'percent faucet payout needs a percent between 0 and 1';
+  } else if (
+    payout.type === 'decay' &&
+    !(isAmount(payout.amount) && isAmount(payout.fullBalance))
+  ) {
+    return 'decay faucet payout needs an amount and a fullBalance';
+  } else if (
+    payout.type === 'decay' &&
+    (nanoToRaw(payout.fullBalance).value === BigInt(0) ||
+      !(payout.exponent === undefined || isPositive(payout.exponent)))
+  ) {
+    return 'decay faucet payout needs a non-zero fullBalance and a positive exponent';
+  } else if (!isOptionalAmount(payout.min) || !isOptionalAmount(payout.max)) {
+    return 'faucet payout min and max must be NANO amounts';
+  } else if (!isOptionalAmount(policy.dailyBudget)) {
+    return 'faucet dailyBudget must be a NANO amount';
+  }
+
+  const counts = ['throttleSeconds', 'maxClaims', 'windowHours'];
+  const badCount = counts.find(
+    (name) => !(Number.isInteger(eligibility[name]) && eligibility[name] >= 0)
+  );
+  if (badCount) {
+    return `faucet eligibility ${badCount} must be a non-negative integer`;
+  }
+
+  for (const dimension of Object.keys(policy.rateLimits)) {
+    const rules = policy.rateLimits[dimension];
+    if (!RATE_LIMIT_DIMENSIONS.includes(dimension)) {
+      return `unknown faucet rate limit dimension: ${dimension}`;
+    } else if (
+      !Array.isArray(rules) ||
+      !rules.every(
+        (rule) =>
+          Number.isInteger(rule.limit) &&
+          rule.limit >= 1 &&
+          Number.isInteger(rule.windowSeconds) &&
+          rule.windowSeconds >= 1
+      )
+    ) {
+      return `faucet rate limits for ${dimension} must be a list of { limit, windowSeconds } positive integers`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decides whether a client may use the faucet.
+ *
+ * @param {Object} policy faucet policy
+ * @param {Object} history the client's faucetIpHistory row, if any
+ * @param {number} now current time in ms
+ * @returns {Object} { isEligible, code, reason, usage } where usage holds the
+ *  numFaucetInvocations/lastUsedTs to store when the client is eligible
+ */
+function checkEligibility(policy, history, now) {
+  const { throttleSeconds, maxClaims, windowHours } = policy.eligibility;
+  if (!history) {
+    return {
+      isEligible: true,
+      usage: { numFaucetInvocations: 1, lastUsedTs: now },
+    };
+  }
+
+  const secondsSinceLastUse = (now - history.lastUsedTs) / 1000;
+  const windowOver = secondsSinceLastUse / 3600 >= windowHours;
+  const claims = windowOver ? 1 : history.numFaucetInvocations + 1;
+
+  if (secondsSinceLastUse < throttleSeconds) {
+    return {
+      isEligible: false,
+      code: ERROR_CODES.FAUCET_THROTTLED,
+      reason: `Faucet was used within the past ${describeSeconds(
+        throttleSeconds
+      )}, please try again later.`,
+    };
+  }
+  if (claims > maxClaims) {
+    return {
+      isEligible: false,
+      code: ERROR_CODES.FAUCET_LIMIT_REACHED,
+      reason: `You have reached the max number of faucet uses, please try again after ${windowHours} hours.`,
+    };
+  }
+  return {
+    isEligible: true,
+    usage: { numFaucetInvocations: claims, lastUsedTs: now },
+  };
+}
+
+/**
+ * Works out the next payout.
+ *
+ * @param {Object} policy faucet policy
+ * @param {Object} state { balance, spentToday } raw BigInt amounts
+ * @returns {Object} { amount } raw BigInt, or { amount: 0n, code, reason } if
+ *  nothing can be paid out
+ */
+function computePayout(policy, { balance, spentToday = BigInt(0) }) {
+  const zero = BigInt(0);
+  if (balance <= zero) {
+    return {
+      amount: zero,
+      code: ERROR_CODES.FAUCET_EMPTY,
+      reason: 'Faucet balance is zero',
+    };
+  }
+
+  let budgetLeft;
+  if (policy.dailyBudget !== undefined) {
+    budgetLeft = raw(policy.dailyBudget) - spentToday;
+    if (budgetLeft <= zero) {
+      return {
+        amount: zero,
+        code: ERROR_CODES.FAUCET_BUDGET_EXHAUSTED,
+        reason: `Faucet has paid out its daily budget, please try again tomorrow.`,
+      };
+    }
+  }
+
+  const { payout } = policy;
+  let amount;
+  if (payout.type === 'fixed') {
+    amount = raw(payout.amount);
+  } else if (payout.type === 'percent') {
+    amount = scale(balance, payout.percent);
+  } else {
+    const fullBalance = raw(payout.fullBalance);
+    const fill = balance >= fullBalance ? 1 : ratio(balance, fullBalance);
+    amount = scale(raw(payout.amount), Math.pow(fill, payout.exponent || 1));
+  }
+
+  if (payout.min !== undefined && amount < raw(payout.min)) {
+    amount = raw(payout.min);
+  }
+  if (payout.max !== undefined && amount > raw(payout.max)) {
+    amount = raw(payout.max);
+  }
+  amount = min(amount, balance);
+  if (budgetLeft !== undefined) {
+    amount = min(amount, budgetLeft);
+  }
+
+  if (amount <= zero) {
+    return {
+      amount: zero,
+      code: ERROR_CODES.FAUCET_EMPTY,
+      reason: 'Faucet balance is too low to pay out',
+    };
+  }
+  return { amount: amount };
+}
+
+/**
+ * @param {number} now current time in ms
+ * @returns {string} the UTC day the daily budget is tracked under, e.g. '2024-01-31'
+ */
+function budgetDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} nano NANO decimal string
+ * @returns {BigInt} raw amount
+ */
+function raw(nano) {
+  return nanoToRaw(nano).value;
+}
+
+/**
+ * @param {BigInt} amount raw amount
+ * @param {number} fraction multiplier, 0 - 1
+ * @returns {BigInt} amount * fraction, rounded down
+ */
+function scale(amount, fraction) {
+  return (
+    (amount * BigInt(Math.floor(fraction * FRACTION_SCALE))) /
+    BigInt(FRACTION_SCALE)
+  );
+}
+
+/**
+ * @param {BigInt} a numerator
+ * @param {BigInt} b denominator
+ * @returns {number} a / b as a float
+ */
+function ratio(a, b) {
+  return Number((a * BigInt(FRACTION_SCALE)) / b) / FRACTION_SCALE;
+}
+
+/**
+ * @param {BigInt} a first amount
+ * @param {BigInt} b second amount
+ * @returns {BigInt} the smaller of the two
+ */
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+/**
+ * @param {number} seconds duration
+ * @returns {string} e.g. '10 minutes'
+ */
+function describeSeconds(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60} minutes` : `${seconds} seconds`;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  applyPolicyOverrides,
+  budgetDay,
+  checkEligibility,
+  computePayout,
+  faucetPolicyFromEnv,
+  validateFaucetPolicy,
+};
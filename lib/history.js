@@ -0,0 +1,200 @@
+const { formatAmount } = require('./amounts');
+
+/*
+    Wallet activity history.
+
+    The on-chain account history is the source of truth, but it can't tell a
+    faucet payout apart from any other receive and it knows nothing about
+    blocks that haven't been received yet. So every send and faucet payout
+    done through the API is also written to a small per-wallet ledger in the
+    `walletHistory` table, and the two are merged when history is read. A
+    ledger entry matches a chain block by its own `hash`, or for payouts the
+    wallet still has to receive, by the send block in `link`.
+
+    Ledger amounts are raw strings; entries are returned with { raw, nano }.
+*/
+
+const MAX_LEDGER_ENTRIES = 200;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Error code thrown when a pagination cursor can't be decoded
+const INVALID_CURSOR = 'INVALID_CURSOR';
+
+/**
+ * Appends an entry to a wallet's local ledger, keeping only the most recent
+ * MAX_LEDGER_ENTRIES entries.
+ *
+ * @param {Object} store storage backend
+ * @param {string} address wallet address
+ * @param {Object} entry { type, hash, link, amount, counterparty, timestamp }
+ *  - hash: block on this wallet's chain (sends)
+ *  - link: send block this wallet still has to receive (faucet payouts)
+ * @param {number} expirationTs when the ledger row may be expired (seconds)
+ */
+async function recordActivity(store, address, entry, expirationTs) {
+  const existing = await store.getItem('walletHistory', address);
+  const entries = (existing ? existing.entries : [])
+    .concat([entry])
+    .slice(-MAX_LEDGER_ENTRIES);
+  await store.putItem('walletHistory', {
+    walletID: address,
+    entries: entries,
+    expirationTs: expirationTs,
+  });
+}
+
+/**
+ * Reads one page of a wallet's history, newest first.
+ *
+ * @param {Object} deps { store, node, faucetAddress }
+ * @param {string} address wallet address
+ * @param {Object} options { cursor, limit }
+ * @returns {Object} { entries, cursor } where cursor is undefined on the last page
+ */
+async function getWalletHistory(deps, address, { cursor, limit } = {}) {
+  const { store, node, faucetAddress } = deps;
+  const count = Math.min(Number(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const head = cursor ? decodeCursor(cursor) : undefined;
+
+  const chain = await node.rpc(
+    'account_history',
+    Object.assign(
+      { account: address, count: count.toString(), raw: 'true' },
+      head ? { head: head } : {}
+    )
+  );
+  // unopened accounts have no history yet
+  const blocks = Array.isArray(chain.history) ? chain.history : [];
+
+  const ledgerRow = await store.getItem('walletHistory', address);
+  const ledger = ledgerRow ? ledgerRow.entries : [];
+  const byHash = new Map();
+  const byLink = new Map();
+  ledger.forEach((entry) => {
+    if (entry.hash) {
+      byHash.set(entry.hash, entry);
+    }
+    if (entry.link) {
+      byLink.set(entry.link, entry);
+    }
+  });
+
+  const confirmed = await confirmationStatus(
+    node,
+    blocks.filter((b) => b.confirmed === undefined).map((b) => b.hash)
+  );
+
+  const matched = new Set();
+  const entries = blocks.map((block) => {
+    const local = byHash.get(block.hash) || byLink.get(block.link);
+    if (local) {
+      matched.add(local);
+    }
+    const type = block.subtype || block.type;
+    const isConfirmed =
+      block.confirmed !== undefined
+        ? String(block.confirmed) === 'true'
+        : confirmed[block.hash] === true;
+    return {
+      hash: block.hash,
+      type:
+        type === 'receive' && block.account === faucetAddress ? 'faucet' : type,
+      amount: formatAmount(block.amount),
+      counterparty: block.account,
+      timestamp: Number(block.local_timestamp) * 1000,
+      status: isConfirmed ? 'confirmed' : 'unconfirmed',
+      viaApi: !!local,
+    };
+  });
+
+  /*
+    Payouts the wallet hasn't received yet aren't on its chain at all. They
+    are newer than anything that is, so they only belong on the first page.
+  */
+  if (!head) {
+    const receivable = await receivableHashes(node, address);
+    const offChain = ledger
+      .filter((entry) => !matched.has(entry) && receivable.has(entry.link))
+      .map((entry) => ({
+        hash: entry.link,
+        type: entry.type,
+        amount: formatAmount(entry.amount),
+        counterparty: entry.counterparty,
+        timestamp: entry.timestamp,
+        status: 'receivable',
+        viaApi: true,
+      }));
+    entries.unshift(...offChain.reverse());
+  }
+
+  return {
+    entries: entries,
+    cursor:
+      chain.previous && blocks.length === count
+        ? encodeCursor(chain.previous)
+        : undefined,
+  };
+}
+
+/**
+ * Looks up confirmation status for blocks whose history entry didn't say.
+ *
+ * @param {Object} node node pool
+ * @param {string[]} hashes block hashes
+ * @returns {Object} map of hash -> confirmed boolean
+ */
+async function confirmationStatus(node, hashes) {
+  if (!hashes.length) {
+    return {};
+  }
+  const res = await node.rpc('blocks_info', { hashes: hashes });
+  const out = {};
+  Object.keys(res.blocks || {}).forEach((hash) => {
+    out[hash] = String(res.blocks[hash].confirmed) === 'true';
+  });
+  return out;
+}
+
+/**
+ * @param {Object} node node pool
+ * @param {string} address wallet address
+ * @returns {Set} hashes of the send blocks the wallet can still receive
+ */
+async function receivableHashes(node, address) {
+  const res = await node.rpc('pending', { account: address, source: 'true' });
+  // the node returns an empty string rather than an empty object
+  return new Set(res.blocks ? Object.keys(res.blocks) : []);
+}
+
+/**
+ * @param {string} head block hash to continue from
+ * @returns {string} opaque pagination cursor
+ */
+function encodeCursor(head) {
+  return Buffer.from(JSON.stringify({ head: head })).toString('base64');
+}
+
+/**
+ * @param {string} cursor cursor returned by a previous page
+ * @returns {string} block hash to continue from
+ */
+function decodeCursor(cursor) {
+  try {
+    const { head } = JSON.parse(Buffer.from(cursor, 'base64').toString());
+    if (typeof head === 'string') {
+      return head;
+    }
+  } catch (err) {
+    // fall through
+  }
+  const err = new Error('invalid history cursor');
+  err.code = INVALID_CURSOR;
+  throw err;
+}
+
+module.exports = {
+  INVALID_CURSOR,
+  getWalletHistory,
+  recordActivity,
+};
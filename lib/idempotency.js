@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { CONDITION_FAILED } = require('./storage');
+
+/*
+    Idempotency keys for routes that move funds.
+
+    The first request with a given key claims it by writing an `in_progress`
+    record (a conditional put, so two concurrent requests can't both win).
+    When the request finishes its response is stored on the record, and any
+    replay with the same key and the same body gets that response back
+    instead of running again. Records expire after a TTL.
+
+    An `in_progress` claim is a lease: if the Lambda holding it crashes, a
+    retry after IN_PROGRESS_LEASE_SECONDS takes the key over instead of
+    waiting out the TTL. Each claim has its own claimId, so a request that
+    lost its claim can't overwrite or release the new one.
+
+    A failed request only gives its key back when it failed before it
+    published a block: the node pool calls noteBroadcast before every
+    `process`, and trackBroadcasts tells the caller whether that happened.
+    Once a block may have gone out, even the failure is stored and replayed,
+    as running the request again could send twice.
+*/
+
+const DEFAULT_TTL_SECONDS = 86400; // 24 hours
+// The longest a Lambda can run, so the request holding the claim is gone
+const IN_PROGRESS_LEASE_SECONDS = 900;
+
+// { broadcast } of the request being tracked, see trackBroadcasts
+const attempts = new AsyncLocalStorage();
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * @param {string} key the Idempotency-Key header value
+ * @returns {boolean} true if the key is usable
+ */
+function isValidIdempotencyKey(key) {
+  return (
+    typeof key === 'string' &&
+    key.length > 0 &&
+    key.length <= MAX_KEY_LENGTH &&
+    /^[\x21-\x7e]+$/.test(key)
+  );
+}
+
+/**
+ * Fingerprints a request so a key can't be replayed with a different body.
+ *
+ * @param {string} path the requested route
+ * @param {Object} body the parsed request body
+ * @returns {string} hex sha256 of the route and canonical body
+ */
+function requestFingerprint(path, body) {
+  return crypto
+    .createHash('sha256')
+    .update(path)
+    .update(canonicalJson(body))
+    .digest('hex');
+}
+
+/**
+ * Tries to claim an idempotency key.
+ *
+ * @param {Object} store storage backend
+ * @param {string} id the scoped key (route + header value)
+ * @param {string} fingerprint request fingerprint
+ * @param {number} ttlSeconds how long the record is kept
+ * @returns {Object} { state, record } where state is one of
+ *  'claimed', 'replay', 'mismatch' or 'in_progress'
+ */
+async function claimIdempotencyKey(
+  store,
+  id,
+  fingerprint,
+  ttlSeconds = DEFAULT_TTL_SECONDS
+) {
+  const now = Math.round(Date.now() / 1000);
+  const record = {
+    idempotencyKey: id,
+    fingerprint: fingerprint,
+    status: 'in_progress',
+    claimId: crypto.randomBytes(16).toString('hex'),
+    createdTs: now,
+    expirationTs: now + ttlSeconds,
+  };
+
+  try {
+    await store.putItem('idempotencyKeys', record, {
+      conditions: [{ attr: 'idempotencyKey', op: 'notExists' }],
+    });
+    return { state: 'claimed', record: record };
+  } catch (err) {
+    if (err.code !== CONDITION_FAILED) {
+      throw err;
+    }
+  }
+
+  const existing = await store.getItem('idempotencyKeys', id);
+  const expired = !existing || existing.expirationTs < now;
+  const stale =
+    !expired &&
+    existing.status !== 'complete' &&
+    existing.fingerprint === fingerprint &&
+    existing.createdTs + IN_PROGRESS_LEASE_SECONDS < now;
+  if (expired || stale) {
+    // expired but not yet cleaned up by the table's TTL, or claimed by a
+    // request that never finished: take it over
+    try {
+      await store.putItem('idempotencyKeys', record, {
+        conditions: existing
+          ? [{ attr: 'expirationTs', op: '=', value: existing.expirationTs }]
+          : [{ attr: 'idempotencyKey', op: 'notExists' }],
+      });
+      return { state: 'claimed', record: record };
+    } catch (err) {
+      if (err.code !== CONDITION_FAILED) {
+        throw err;
+      }
+      // someone else took it over first
+      return { state: 'in_progress', record: record };
+    }
+  }
+
+  if (existing.fingerprint !== fingerprint) {
+    return { state: 'mismatch', record: existing };
+  }
+  if (existing.status !== 'complete') {
+    return { state: 'in_progress', record: existing };
+  }
+  return { state: 'replay', record: existing };
+}
+
+/**
+ * Stores the response for a claimed key so replays can return it. Does
+ * nothing if the claim was taken over in the meantime.
+ *
+ * @param {Object} store storage backend
+ * @param {Object} record the claimed record
+ * @param {Object} response the HttpResponse object to replay
+ */
+async function saveIdempotentResponse(store, record, response) {
+  await ifStillClaimed(() =>
+    store.updateItem(
+      'idempotencyKeys',
+      record.idempotencyKey,
+      { status: 'complete', response: response },
+      { conditions: [{ attr: 'claimId', op: '=', value: record.claimId }] }
+    )
+  );
+}
+
+/**
+ * Releases a claimed key so the request can be retried, used when the
+ * request failed before it published anything. Does nothing if the claim
+ * was taken over in the meantime.
+ *
+ * @param {Object} store storage backend
+ * @param {Object} record the claimed record
+ */
+async function releaseIdempotencyKey(store, record) {
+  await ifStillClaimed(() =>
+    store.deleteItem('idempotencyKeys', record.idempotencyKey, {
+      conditions: [{ attr: 'claimId', op: '=', value: record.claimId }],
+    })
+  );
+}
+
+/**
+ * Runs fn, noting in state.broadcast whether it tried to publish a block.
+ *
+ * @param {Object} state { broadcast: false }, updated as fn runs
+ * @param {Function} fn async function to run
+ * @returns {*} what fn returns
+ */
+async function trackBroadcasts(state, fn) {
+  return await attempts.run(state, fn);
+}
+
+/**
+ * Marks the tracked request as having published a block, called before
+ * every `process` RPC. Does nothing outside trackBroadcasts.
+ */
+function noteBroadcast() {
+  const state = attempts.getStore();
+  if (state) {
+    state.broadcast = true;
+  }
+}
+
+/**
+ * Runs a write conditioned on our claimId, ignoring a failed condition.
+ *
+ * @param {Function} write async conditional write
+ */
+async function ifStillClaimed(write) {
+  try {
+    await write();
+  } catch (err) {
+    if (err.code !== CONDITION_FAILED) {
+      throw err;
+    }
+    // another request took the key over after our lease ran out
+  }
+}
+
+/**
+ * JSON.stringify with object keys sorted, so key order doesn't change the
+ * fingerprint.
+ *
+ * @param {*} value any JSON value
+ * @returns {string} canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  claimIdempotencyKey,
+  isValidIdempotencyKey,
+  noteBroadcast,
+  releaseIdempotencyKey,
+  requestFingerprint,
+  saveIdempotentResponse,
+  trackBroadcasts,
+};
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+
+const CIPHER = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Reads the key vault options from environment variables.
+ *
+ *  - WALLET_KEY_PROVIDER: 'local' (default) or 'kms'
+ *  - WALLET_MASTER_KEY: 32 byte hex master key for the local provider
+ *  - WALLET_MASTER_KEY_ID: label stored with every envelope, for rotation
+ *  - WALLET_KMS_KEY_ID: KMS key id/arn for the kms provider
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createKeyVault
+ */
+function keyVaultOptionsFromEnv(env) {
+  return {
+    provider: env.WALLET_KEY_PROVIDER || 'local',
+    masterKey: env.WALLET_MASTER_KEY,
+    masterKeyId: env.WALLET_MASTER_KEY_ID,
+    kmsKeyId: env.WALLET_KMS_KEY_ID,
+  };
+}
+
+/**
+ * Checks that the key vault options are usable.
+ *
+ * @param {Object} options key vault options
+ * @returns {string} Error message, or null if the options are valid
+ */
+function validateKeyVaultOptions(options) {
+  if (options.provider === 'local') {
+    if (!options.masterKey) {
+      return 'WALLET_MASTER_KEY key missing from .env - you must fix';
+    } else if (!/^[0-9a-fA-F]{64}$/.test(options.masterKey)) {
+      return 'WALLET_MASTER_KEY must be 32 bytes of hex - you must fix';
+    }
+  } else if (options.provider === 'kms') {
+    if (!options.kmsKeyId) {
+      return 'WALLET_KMS_KEY_ID key missing from .env - you must fix';
+    }
+  } else {
+    return `unknown WALLET_KEY_PROVIDER: ${options.provider}`;
+  }
+  return null;
+}
+
+/**
+ * Master key provider backed by a key held in config. Data keys are wrapped
+ * with AES-256-GCM under the master key.
+ *
+ * @param {string} masterKey 32 byte hex master key
+ * @param {string} keyId label identifying this master key
+ * @returns {Object} provider: { wrapKey, unwrapKey }
+ */
+function createLocalKeyProvider(masterKey, keyId = 'local-1') {
+  const key = Buffer.from(masterKey || '', 'hex');
+  return {
+    async wrapKey(dataKey) {
+      return {
+        keyId: keyId,
+        wrappedKey: seal(key, dataKey),
+      };
+    },
+    async unwrapKey({ keyId: wrappedWith, wrappedKey }) {
+      if (wrappedWith !== keyId) {
+        throw new Error(`unknown master key id: ${wrappedWith}`);
+      }
+      return open(key, wrappedKey);
+    },
+  };
+}
+
+/**
+ * Master key provider backed by AWS KMS. Any object with the same
+ * wrapKey/unwrapKey shape can be passed to createKeyVault instead.
+ *
+ * @param {string} kmsKeyId KMS key id or arn
+ * @param {string} region AWS region
+ * @returns {Object} provider: { wrapKey, unwrapKey }
+ */
+function createKmsKeyProvider(kmsKeyId, region = 'us-west-1') {
+  const AWS = require('aws-sdk');
+  const kms = new AWS.KMS({ region: region });
+  return {
+    async wrapKey(dataKey) {
+      const res = await kms
+        .encrypt({ KeyId: kmsKeyId, Plaintext: dataKey })
+        .promise();
+      return {
+        keyId: res.KeyId,
+        wrappedKey: res.CiphertextBlob.toString('base64'),
+      };
+    },
+    async unwrapKey({ keyId, wrappedKey }) {
+      const res = await kms
+        .decrypt({
+          KeyId: keyId,
+          CiphertextBlob: Buffer.from(wrappedKey, 'base64'),
+        })
+        .promise();
+      return Buffer.from(res.Plaintext);
+    },
+  };
+}
+
+/**
+ * Creates the key vault used to protect wallet private keys at rest.
+ *
+ * Private keys are envelope encrypted: each key gets its own random data key,
+ * the data key is wrapped by the master key provider, and both are stored on
+ * the wallet row. Ownership checks use a salted hash so the key never has to
+ * be decrypted just to authenticate a request.
+ *
+ * Rows written before encryption was introduced still carry a plaintext
+ * `privateKey`; every method here accepts them so they can be migrated.
+ *
+ * HD wallet seeds are protected the same way, on the seed wallet row.
+ *
+ * @param {Object} options { provider, masterKey, masterKeyId, kmsKeyId, region }
+ *  or { keyProvider } to supply a custom wrapKey/unwrapKey implementation
+ * @returns {Object} vault: { sealPrivateKey, openPrivateKey, verifyPrivateKey, sealSeed, openSeed,
+ *  verifySeed, migrationAttrs, isLegacy }
+ */
+function createKeyVault(options = {}) {
+  let keyProvider = options.keyProvider;
+  if (!keyProvider) {
+    keyProvider =
+      options.provider === 'kms'
+        ? createKmsKeyProvider(options.kmsKeyId, options.region)
+        : createLocalKeyProvider(options.masterKey, options.masterKeyId);
+  }
+
+  /**
+   * Envelope encrypts a secret under a new data key and hashes it for ownership checks.
+   *
+   * @param {string} secret hex key or seed
+   * @returns {Object} { envelope, salt, hash }
+   */
+  async function sealSecret(secret) {
+    const dataKey = crypto.randomBytes(32);
+    const wrapped = await keyProvider.wrapKey(dataKey);
+    const salt = crypto.randomBytes(16).toString('hex');
+    return {
+      envelope: {
+        version: ENVELOPE_VERSION,
+        keyId: wrapped.keyId,
+        wrappedKey: wrapped.wrappedKey,
+        ciphertext: seal(dataKey, Buffer.from(secret, 'utf8')),
+      },
+      salt: salt,
+      hash: hashPrivateKey(secret, salt),
+    };
+  }
+
+  /**
+   * Decrypts an envelope made by sealSecret.
+   *
+   * @param {Object} envelope the stored envelope
+   * @param {string} owner what the envelope belongs to, for the error message
+   * @returns {string} the secret
+   */
+  async function openSecret(envelope, owner) {
+    if (!envelope || envelope.version !== ENVELOPE_VERSION) {
+      throw new Error(`${owner} has no readable key`);
+    }
+    const dataKey = await keyProvider.unwrapKey(envelope);
+    return open(dataKey, envelope.ciphertext).toString('utf8');
+  }
+
+  const vault = {
+    /**
+     * Encrypts a private key and hashes it for ownership checks.
+     *
+     * @param {string} privateKey hex private key
+     * @returns {Object} wallet attributes: encryptedPrivateKey, privateKeySalt, privateKeyHash
+     */
+    async sealPrivateKey(privateKey) {
+      const sealed = await sealSecret(privateKey);
+      return {
+        encryptedPrivateKey: sealed.envelope,
+        privateKeySalt: sealed.salt,
+        privateKeyHash: sealed.hash,
+      };
+    },
+
+    /**
+     * Decrypts the private key stored on a wallet row.
+     *
+     * @param {Object} wallet wallet row from the store
+     * @returns {string} hex private key
+     */
+    async openPrivateKey(wallet) {
+      if (isLegacy(wallet)) {
+        return wallet.privateKey;
+      }
+      return await openSecret(
+        wallet.encryptedPrivateKey,
+        `wallet ${wallet.walletID}`
+      );
+    },
+
+    /**
+     * Checks a caller supplied private key against the wallet row.
+     *
+     * @param {Object} wallet wallet row from the store
+     * @param {string} privateKey private key supplied by the caller
+     * @returns {boolean} true if the key belongs to the wallet
+     */
+    verifyPrivateKey(wallet, privateKey) {
+      if (typeof privateKey !== 'string') {
+        return false;
+      }
+      const expected = isLegacy(wallet)
+        ? hashPrivateKey(wallet.privateKey, '')
+        : wallet.privateKeyHash;
+      const actual = isLegacy(wallet)
+        ? hashPrivateKey(privateKey, '')
+        : hashPrivateKey(privateKey, wallet.privateKeySalt);
+      return (
+        typeof expected === 'string' &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual))
+      );
+    },
+
+    /**
+     * Encrypts an HD wallet seed and hashes it for ownership checks.
+     *
+     * @param {string} seed hex seed
+     * @returns {Object} seed wallet attributes: encryptedSeed, seedSalt, seedHash
+     */
+    async sealSeed(seed) {
+      const sealed = await sealSecret(seed);
+      return {
+        encryptedSeed: sealed.envelope,
+        seedSalt: sealed.salt,
+        seedHash: sealed.hash,
+      };
+    },
+
+    /**
+     * Decrypts the seed stored on a seed wallet row.
+     *
+     * @param {Object} seedWallet seed wallet row from the store
+     * @returns {string} hex seed
+     */
+    async openSeed(seedWallet) {
+      return await openSecret(
+        seedWallet.encryptedSeed,
+        `seed wallet ${seedWallet.walletId}`
+      );
+    },
+
+    /**
+     * Checks a caller supplied seed against the seed wallet row.
+     *
+     * @param {Object} seedWallet seed wallet row from the store
+     * @param {string} seed seed supplied by the caller
+     * @returns {boolean} true if the seed belongs to the wallet
+     */
+    verifySeed(seedWallet, seed) {
+      if (typeof seed !== 'string' || typeof seedWallet.seedHash !== 'string') {
+        return false;
+      }
+      return crypto.timingSafeEqual(
+        Buffer.from(seedWallet.seedHash),
+        Buffer.from(hashPrivateKey(seed, seedWallet.seedSalt))
+      );
+    },
+
+    /**
+     * Builds the update that encrypts a legacy plaintext wallet row.
+     *
+     * @param {Object} wallet legacy wallet row from the store
+     * @returns {Object} attributes to write, removes the plaintext privateKey
+     */
+    async migrationAttrs(wallet) {
+      return Object.assign(await vault.sealPrivateKey(wallet.privateKey), {
+        privateKey: undefined,
+      });
+    },
+
+    isLegacy: isLegacy,
+  };
+
+  return vault;
+}
+
+/**
+ * @param {Object} wallet wallet row from the store
+ * @returns {boolean} true if the row still stores its private key in plaintext
+ */
+function isLegacy(wallet) {
+  return typeof wallet.privateKey === 'string';
+}
+
+/**
+ * @param {string} privateKey hex private key (or seed)
+ * @param {string} salt hex salt
+ * @returns {string} hex sha256 of salt + private key
+ */
+function hashPrivateKey(privateKey, salt) {
+  return crypto
+    .createHash('sha256')
+    .update(salt)
+    .update(privateKey.toLowerCase())
+    .digest('hex');
+}
+
+/**
+ * Encrypts a buffer with AES-256-GCM.
+ *
+ * @param {Buffer} key 32 byte key
+ * @param {Buffer} plaintext data to encrypt
+ * @returns {string} base64 of iv + auth tag + ciphertext
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString(
+    'base64'
+  );
+}
+
+/**
+ * Decrypts the output of seal().
+ *
+ * @param {Buffer} key 32 byte key
+ * @param {string} sealed base64 of iv + auth tag + ciphertext
+ * @returns {Buffer} plaintext
+ */
+function open(key, sealed) {
+  const raw = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER, key, raw.slice(0, 12));
+  decipher.setAuthTag(raw.slice(12, 28));
+  return Buffer.concat([decipher.update(raw.slice(28)), decipher.final()]);
+}
+
+module.exports = {
+  createKeyVault,
+  createKmsKeyProvider,
+  createLocalKeyProvider,
+  keyVaultOptionsFromEnv,
+  validateKeyVaultOptions,
+};
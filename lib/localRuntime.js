@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+/*
+    What AWS wraps around the Lambdas, for running them locally (see
+    devServer.js): API Gateway HTTP API (payload format 2.0) request events
+    and response mapping, EventBridge scheduled events and the Lambda
+    context object.
+*/
+
+const REGION = 'us-west-1';
+const ACCOUNT_ID = '000000000000';
+
+// bodies of these types reach the Lambda as text, anything else base64 encoded
+const TEXT_TYPES =
+  /^(text\/|application\/(json|x-www-form-urlencoded|xml|javascript))/;
+
+/**
+ * Builds the API Gateway HTTP API event for a request.
+ *
+ * @param {Object} req the request: { method, path, query, headers, body, sourceIp }
+ *  - path: path without the query string
+ *  - query: raw query string, without the '?'
+ *  - headers: node style lowercased headers
+ *  - body: Buffer, undefined if there was none
+ * @returns {Object} payload format 2.0 event
+ */
+function httpApiEvent(req) {
+  const now = new Date();
+  const headers = {};
+  Object.keys(req.headers).forEach((name) => {
+    const value = req.headers[name];
+    headers[name] = Array.isArray(value) ? value.join(',') : value;
+  });
+
+  // cookies get their own field
+  const cookies = headers.cookie ? headers.cookie.split(/;\s*/) : undefined;
+  delete headers.cookie;
+
+  Object.assign(headers, {
+    'x-forwarded-for': headers['x-forwarded-for']
+      ? `${headers['x-forwarded-for']}, ${req.sourceIp}`
+      : req.sourceIp,
+    'x-forwarded-proto': 'http',
+    'x-amzn-trace-id': `Root=1-${Math.floor(now.getTime() / 1000).toString(
+      16
+    )}-${crypto.randomBytes(12).toString('hex')}`,
+  });
+
+  const query = new URLSearchParams(req.query || '');
+  const queryStringParameters = {};
+  for (const name of new Set(query.keys())) {
+    queryStringParameters[name] = query.getAll(name).join(',');
+  }
+
+  const text =
+    !req.body || !req.body.length || TEXT_TYPES.test(headers['content-type']);
+
+  return {
+    version: '2.0',
+    routeKey: '$default',
+    rawPath: req.path,
+    rawQueryString: req.query || '',
+    cookies: cookies,
+    headers: headers,
+    queryStringParameters: Object.keys(queryStringParameters).length
+      ? queryStringParameters
+      : undefined,
+    requestContext: {
+      accountId: ACCOUNT_ID,
+      apiId: 'local',
+      domainName: headers.host,
+      domainPrefix: (headers.host || '').split('.')[0],
+      http: {
+        method: req.method,
+        path: req.path,
+        protocol: 'HTTP/1.1',
+        sourceIp: req.sourceIp,
+        userAgent: headers['user-agent'],
+      },
+      requestId: crypto.randomBytes(10).toString('hex'),
+      routeKey: '$default',
+      stage: '$default',
+      time: now.toUTCString(),
+      timeEpoch: now.getTime(),
+    },
+    body:
+      req.body && req.body.length
+        ? req.body.toString(text ? 'utf8' : 'base64')
+        : undefined,
+    isBase64Encoded: !text,
+  };
+}
+
+/**
+ * Maps a Lambda result to the HTTP response API Gateway would send.
+ *
+ * @param {*} result what the handler returned
+ * @returns {Object} { statusCode, headers, body } with body a Buffer
+ */
+function httpApiResponse(result) {
+  // anything without a statusCode is taken as a JSON body
+  if (!result || typeof result !== 'object' || !result.statusCode) {
+    return {
+      statusCode: 200,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify(result)),
+    };
+  }
+  const headers = Object.assign({}, result.headers);
+  if (result.cookies && result.cookies.length) {
+    headers['set-cookie'] = result.cookies;
+  }
+  const body =
+    typeof result.body === 'string' ? result.body : JSON.stringify(result.body);
+  return {
+    statusCode: result.statusCode,
+    headers: headers,
+    body:
+      result.body === undefined
+        ? Buffer.alloc(0)
+        : Buffer.from(body, result.isBase64Encoded ? 'base64' : 'utf8'),
+  };
+}
+
+/**
+ * Builds the event an EventBridge schedule rule sends.
+ *
+ * @param {string} ruleName the schedule rule
+ * @returns {Object} scheduled event
+ */
+function scheduledEvent(ruleName) {
+  return {
+    version: '0',
+    id: crypto.randomUUID(),
+    'detail-type': 'Scheduled Event',
+    source: 'aws.events',
+    account: ACCOUNT_ID,
+    time: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+    region: REGION,
+    resources: [`arn:aws:events:${REGION}:${ACCOUNT_ID}:rule/${ruleName}`],
+    detail: {},
+  };
+}
+
+/**
+ * Builds a Lambda context for one invocation.
+ *
+ * @param {string} functionName the function
+ * @param {number} timeoutMs the function's timeout
+ * @returns {Object} context with awsRequestId and getRemainingTimeInMillis
+ */
+function lambdaContext(functionName, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  return {
+    functionName: functionName,
+    functionVersion: '$LATEST',
+    invokedFunctionArn: `arn:aws:lambda:${REGION}:${ACCOUNT_ID}:function:${functionName}`,
+    memoryLimitInMB: '128',
+    awsRequestId: crypto.randomUUID(),
+    logGroupName: `/aws/lambda/${functionName}`,
+    logStreamName: 'local',
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now()),
+  };
+}
+
+module.exports = {
+  httpApiEvent,
+  httpApiResponse,
+  lambdaContext,
+  scheduledEvent,
+};
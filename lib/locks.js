@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { CONDITION_FAILED } = require('./storage');
+const { logger } = require('./logger');
+
+/*
+    Per-account leases, so only one caller at a time builds blocks on an
+    account's frontier. Two blocks built on the same frontier fork the
+    account, and the faucet is shared by every user, so every send/receive
+    (and the return sweep) runs inside withAccountLock.
+
+    A lease is a row in the `accountLocks` table claimed with a conditional
+    put. It carries an owner token so only the holder can release it, and an
+    expiry so a crashed Lambda can't hold an account forever.
+
+    The holder renews its lease while it works, so slow RPC calls or work
+    generation don't let it run out. If it does run out and someone else
+    takes it, the holder must not publish: the node pool calls
+    verifyAccountLeases before every `process`, which confirms (and renews)
+    every lease the calling code runs under and throws if one was lost.
+*/
+
+const DEFAULT_LEASE_MS = 30000;
+const DEFAULT_WAIT_MS = 0;
+const RETRY_INTERVAL_MS = 200;
+
+// Error code thrown when an account is locked by someone else
+const ACCOUNT_BUSY = 'ACCOUNT_BUSY';
+
+// The leases the current async context holds, innermost last
+const heldLeases = new AsyncLocalStorage();
+
+/**
+ * Tries to take the lease on an account once.
+ *
+ * @param {Object} store storage backend
+ * @param {string} account the account to lock
+ * @param {number} leaseMs how long the lease is valid for
+ * @returns {string} the owner token, or null if the account is locked
+ */
+async function tryAcquire(store, account, leaseMs) {
+  const now = Date.now();
+  const lease = {
+    account: account,
+    owner: crypto.randomBytes(16).toString('hex'),
+    leaseUntil: now + leaseMs,
+    expirationTs: Math.round((now + leaseMs) / 1000) + 3600,
+  };
+
+  const claim = async (conditions) => {
+    try {
+      await store.putItem('accountLocks', lease, { conditions });
+      return lease.owner;
+    } catch (err) {
+      if (err.code === CONDITION_FAILED) {
+        return null;
+      }
+      throw err;
+    }
+  };
+
+  const owner = await claim([{ attr: 'account', op: 'notExists' }]);
+  if (owner) {
+    return owner;
+  }
+
+  // take over a lease its holder never released, if it has run out
+  const existing = await store.getItem('accountLocks', account);
+  if (!existing) {
+    return await claim([{ attr: 'account', op: 'notExists' }]);
+  }
+  if (existing.leaseUntil < now) {
+    return await claim([
+      { attr: 'owner', op: '=', value: existing.owner },
+      { attr: 'leaseUntil', op: '=', value: existing.leaseUntil },
+    ]);
+  }
+  return null;
+}
+
+/**
+ * Releases a lease, if we still hold it.
+ *
+ * @param {Object} store storage backend
+ * @param {string} account the locked account
+ * @param {string} owner the owner token returned when the lease was taken
+ */
+async function release(store, account, owner) {
+  try {
+    await store.deleteItem('accountLocks', account, {
+      conditions: [{ attr: 'owner', op: '=', value: owner }],
+    });
+  } catch (err) {
+    if (err.code !== CONDITION_FAILED) {
+      throw err;
+    }
+    // the lease ran out and someone else took it, nothing to release
+  }
+}
+
+/**
+ * Extends a lease we hold, if nobody took it over.
+ *
+ * @param {Object} lease { store, account, owner, leaseMs, lost }
+ * @returns {boolean} true if the lease is still ours
+ */
+async function renew(lease) {
+  if (lease.lost) {
+    return false;
+  }
+  const leaseUntil = Date.now() + lease.leaseMs;
+  try {
+    await lease.store.updateItem(
+      'accountLocks',
+      lease.account,
+      {
+        leaseUntil: leaseUntil,
+        expirationTs: Math.round(leaseUntil / 1000) + 3600,
+      },
+      { conditions: [{ attr: 'owner', op: '=', value: lease.owner }] }
+    );
+    return true;
+  } catch (err) {
+    if (err.code !== CONDITION_FAILED) {
+      throw err;
+    }
+    lease.lost = true;
+    return false;
+  }
+}
+
+/**
+ * Checks that every lease the calling code runs under (see withAccountLock)
+ * is still ours, renewing them. Called right before a block is published.
+ *
+ * @throws an error with code ACCOUNT_BUSY if a lease was lost
+ */
+async function verifyAccountLeases() {
+  for (const lease of heldLeases.getStore() || []) {
+    if (!(await renew(lease))) {
+      const err = new Error(
+        `lost the lease on ${lease.account} to another transaction`
+      );
+      err.code = ACCOUNT_BUSY;
+      throw err;
+    }
+  }
+}
+
+/**
+ * Runs fn while holding the lease on an account, renewing it every third of
+ * leaseMs until fn is done.
+ *
+ * @param {Object} store storage backend
+ * @param {string} account the account to lock
+ * @param {Function} fn async work to run while the account is locked
+ * @param {Object} options { leaseMs, waitMs }
+ *  - waitMs: how long to keep retrying a locked account before giving up
+ * @returns {*} whatever fn resolves to
+ * @throws an error with code ACCOUNT_BUSY if the lease couldn't be taken
+ */
+async function withAccountLock(store, account, fn, options = {}) {
+  const leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+  const waitMs = options.waitMs || DEFAULT_WAIT_MS;
+  const giveUpAt = Date.now() + waitMs;
+
+  let owner = await tryAcquire(store, account, leaseMs);
+  while (!owner && Date.now() < giveUpAt) {
+    await sleep(RETRY_INTERVAL_MS + Math.random() * RETRY_INTERVAL_MS);
+    owner = await tryAcquire(store, account, leaseMs);
+  }
+  if (!owner) {
+    const err = new Error(`${account} is busy with another transaction`);
+    err.code = ACCOUNT_BUSY;
+    throw err;
+  }
+
+  const lease = {
+    store: store,
+    account: account,
+    owner: owner,
+    leaseMs: leaseMs,
+    lost: false,
+  };
+  const renewal = setInterval(() => {
+    renew(lease).catch((err) =>
+      logger.warn('unable to renew account lease', {
+        account: account,
+        err: err,
+      })
+    );
+  }, leaseMs / 3);
+  renewal.unref();
+
+  try {
+    const outer = heldLeases.getStore() || [];
+    return await heldLeases.run(outer.concat([lease]), fn);
+  } finally {
+    clearInterval(renewal);
+    await release(store, account, owner);
+  }
+}
+
+/**
+ * Resolves after the given number of milliseconds.
+ *
+ * @param {number} ms delay in milliseconds
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  ACCOUNT_BUSY,
+  verifyAccountLeases,
+  withAccountLock,
+};
@@ -0,0 +1,143 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/*
+    Structured logging.
+
+    Every entry is one JSON line on stdout, e.g.
+
+        {"level":"info","time":"...","msg":"faucet payout","requestId":"...","address":"nano_..."}
+
+    The fields of the current request context (requestId, traceId, ...) are
+    added to every entry logged while handling that request, however deep
+    the call, so lib modules can log without threading ids through. Fields
+    whose name looks like a secret (private keys, tokens, API keys, ...) are
+    redacted at any depth before anything is written.
+*/
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_FIELD =
+  /private.?key|secret|password|passphrase|token|seed|mnemonic|api.?key|authorization|cookie|ciphertext|wrapped.?key|x-recaptcha|x-pow-nonce/i;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs a function with fields that every log entry (and trace span) made
+ * while it runs will carry, e.g. the Lambda request id.
+ *
+ * @param {Object} fields context fields, merged over the enclosing context
+ * @param {Function} fn function to run
+ * @returns {*} whatever fn returns
+ */
+function runWithContext(fields, fn) {
+  return requestContext.run(Object.assign({}, currentContext(), fields), fn);
+}
+
+/**
+ * @returns {Object} the fields of the current request context
+ */
+function currentContext() {
+  return requestContext.getStore() || {};
+}
+
+/**
+ * Deep copies a value with secret fields replaced, so it can be logged.
+ *
+ * @param {*} value anything JSON serializable, Errors are flattened
+ * @param {number} depth current nesting depth
+ * @returns {*} the redacted copy
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return redact(
+      { message: value.message, code: value.code, stack: value.stack },
+      depth
+    );
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    copy[key] = SECRET_FIELD.test(key)
+      ? REDACTED
+      : redact(value[key], depth + 1);
+  });
+  return copy;
+}
+
+/**
+ * Creates a logger.
+ *
+ * @param {Object} options { level, fields, write }
+ *  - level: least severe level written, defaults to LOG_LEVEL or 'info'
+ *  - fields: added to every entry
+ *  - write: (line) => void, defaults to stdout
+ * @returns {Object} logger: { debug, info, warn, error, child, isEnabled }
+ */
+function createLogger(options = {}) {
+  // read per entry when not given, so LOG_LEVEL from a .env loaded later applies
+  const threshold = () =>
+    LEVELS[options.level || process.env.LOG_LEVEL] || LEVELS.info;
+  const fields = options.fields || {};
+  const write = options.write || ((line) => process.stdout.write(line + '\n'));
+
+  const log = (entryLevel, msg, extra) => {
+    if (LEVELS[entryLevel] < threshold()) {
+      return;
+    }
+    const entry = Object.assign(
+      { level: entryLevel, time: new Date().toISOString(), msg: msg },
+      currentContext(),
+      fields,
+      extra
+    );
+    write(JSON.stringify(redact(entry)));
+  };
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+
+    /**
+     * @param {Object} childFields added to every entry of the child logger
+     * @returns {Object} a logger writing the same way with extra fields
+     */
+    child: (childFields) =>
+      createLogger(
+        Object.assign({}, options, {
+          fields: Object.assign({}, fields, childFields),
+        })
+      ),
+
+    /**
+     * @param {string} entryLevel a log level
+     * @returns {boolean} whether entries at that level are written
+     */
+    isEnabled: (entryLevel) => LEVELS[entryLevel] >= threshold(),
+  };
+}
+
+// Shared logger, lib modules log through this
+const logger = createLogger();
+
+module.exports = {
+  createLogger,
+  currentContext,
+  logger,
+  redact,
+  runWithContext,
+};
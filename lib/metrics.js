@@ -0,0 +1,258 @@
+/*
+    Metrics.
+
+    Counters and timings are kept in an in-process registry that can be
+    scraped in the Prometheus text format (the local server serves it at
+    /metrics), and, in Lambda, buffered and written as CloudWatch Embedded
+    Metric Format (EMF) log lines when the handler calls flush().
+
+    Dimensions must stay low-cardinality (route names, statuses, RPC
+    actions), never addresses or ids.
+*/
+
+const DEFAULT_NAMESPACE = 'TryNano';
+const PROMETHEUS_PREFIX = 'trynano_';
+const TIMING_BUCKETS_MS = [
+  5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000,
+];
+// EMF allows at most 100 values per metric in one document
+const MAX_EMF_VALUES = 100;
+
+/**
+ * Reads the metrics options from environment variables.
+ *
+ *  - METRICS_NAMESPACE: CloudWatch namespace, defaults to TryNano
+ *  - METRICS_EMF: 'true' / 'false' to force EMF output on or off, it is on
+ *    by default inside Lambda
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createMetrics
+ */
+function metricsOptionsFromEnv(env) {
+  return {
+    namespace: env.METRICS_NAMESPACE || DEFAULT_NAMESPACE,
+    emf:
+      env.METRICS_EMF !== undefined
+        ? env.METRICS_EMF === 'true'
+        : !!env.AWS_LAMBDA_FUNCTION_NAME,
+  };
+}
+
+/**
+ * Creates a metrics registry.
+ *
+ * @param {Object} options { namespace, emf, env, write }
+ *  - env: read namespace/emf from this environment (see metricsOptionsFromEnv)
+ *    each time they're needed instead, so .env files loaded later still apply
+ *  - write: (line) => void for EMF documents, defaults to stdout
+ * @returns {Object} metrics: { increment, timing, time, flush, prometheus }
+ */
+function createMetrics(options = {}) {
+  const settings = () =>
+    options.env ? metricsOptionsFromEnv(options.env) : options;
+  const write = options.write || ((line) => process.stdout.write(line + '\n'));
+
+  // series key -> { name, type, dimensions, value | buckets, sum, count }
+  const series = new Map();
+  // EMF values waiting for flush(): series key -> { name, unit, dimensions, values }
+  let pending = new Map();
+
+  const seriesFor = (name, type, dimensions) => {
+    const key = seriesKey(name, dimensions);
+    if (!series.has(key)) {
+      series.set(
+        key,
+        type === 'counter'
+          ? { name, type, dimensions, value: 0 }
+          : {
+              name,
+              type,
+              dimensions,
+              buckets: TIMING_BUCKETS_MS.map(() => 0),
+              sum: 0,
+              count: 0,
+            }
+      );
+    }
+    return series.get(key);
+  };
+
+  const buffer = (name, unit, dimensions, value) => {
+    if (!settings().emf) {
+      return;
+    }
+    const key = seriesKey(name, dimensions);
+    if (!pending.has(key)) {
+      pending.set(key, { name, unit, dimensions, values: [] });
+    }
+    pending.get(key).values.push(value);
+  };
+
+  /**
+   * Adds to a counter.
+   *
+   * @param {string} name metric name, e.g. 'faucet_payouts'
+   * @param {Object} dimensions e.g. { route: 'send' }
+   * @param {number} value amount to add
+   */
+  function increment(name, dimensions = {}, value = 1) {
+    seriesFor(name, 'counter', dimensions).value += value;
+    buffer(name, 'Count', dimensions, value);
+  }
+
+  /**
+   * Records a duration.
+   *
+   * @param {string} name metric name, e.g. 'request_duration_ms'
+   * @param {number} ms duration in milliseconds
+   * @param {Object} dimensions e.g. { route: 'send' }
+   */
+  function timing(name, ms, dimensions = {}) {
+    const histogram = seriesFor(name, 'histogram', dimensions);
+    TIMING_BUCKETS_MS.forEach((bound, i) => {
+      if (ms <= bound) {
+        histogram.buckets[i]++;
+      }
+    });
+    histogram.sum += ms;
+    histogram.count++;
+    buffer(name, 'Milliseconds', dimensions, ms);
+  }
+
+  /**
+   * Times an async function, whether it resolves or throws.
+   *
+   * @param {string} name metric name
+   * @param {Object} dimensions metric dimensions
+   * @param {Function} fn async function to time
+   * @returns {*} whatever fn resolves to
+   */
+  async function time(name, dimensions, fn) {
+    const start = Date.now();
+    try {
+      return await fn();
+    } finally {
+      timing(name, Date.now() - start, dimensions);
+    }
+  }
+
+  /**
+   * Writes the buffered values as EMF documents, one per metric and
+   * dimension set. Call at the end of every Lambda invocation.
+   *
+   * @param {Object} properties extra (non-dimension) fields, e.g. { requestId }
+   */
+  function flush(properties = {}) {
+    const batch = pending;
+    pending = new Map();
+    batch.forEach(({ name, unit, dimensions, values }) => {
+      for (let i = 0; i < values.length; i += MAX_EMF_VALUES) {
+        const chunk = values.slice(i, i + MAX_EMF_VALUES);
+        write(
+          JSON.stringify(
+            Object.assign({}, properties, dimensions, {
+              _aws: {
+                Timestamp: Date.now(),
+                CloudWatchMetrics: [
+                  {
+                    Namespace: settings().namespace || DEFAULT_NAMESPACE,
+                    Dimensions: [Object.keys(dimensions)],
+                    Metrics: [{ Name: name, Unit: unit }],
+                  },
+                ],
+              },
+              [name]: chunk.length === 1 ? chunk[0] : chunk,
+            })
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * @returns {string} every series in the Prometheus text exposition format
+   */
+  function prometheus() {
+    const byName = new Map();
+    series.forEach((s) => {
+      if (!byName.has(s.name)) {
+        byName.set(s.name, []);
+      }
+      byName.get(s.name).push(s);
+    });
+
+    const lines = [];
+    byName.forEach((list, name) => {
+      const metric = PROMETHEUS_PREFIX + name;
+      if (list[0].type === 'counter') {
+        lines.push(`# TYPE ${metric}_total counter`);
+        list.forEach((s) =>
+          lines.push(`${metric}_total${labels(s.dimensions)} ${s.value}`)
+        );
+        return;
+      }
+      lines.push(`# TYPE ${metric} histogram`);
+      list.forEach((s) => {
+        TIMING_BUCKETS_MS.forEach((bound, i) =>
+          lines.push(
+            `${metric}_bucket${labels(s.dimensions, { le: bound })} ${
+              s.buckets[i]
+            }`
+          )
+        );
+        lines.push(
+          `${metric}_bucket${labels(s.dimensions, { le: '+Inf' })} ${s.count}`
+        );
+        lines.push(`${metric}_sum${labels(s.dimensions)} ${s.sum}`);
+        lines.push(`${metric}_count${labels(s.dimensions)} ${s.count}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    increment: increment,
+    timing: timing,
+    time: time,
+    flush: flush,
+    prometheus: prometheus,
+  };
+}
+
+/**
+ * @param {string} name metric name
+ * @param {Object} dimensions metric dimensions
+ * @returns {string} a key identifying one series
+ */
+function seriesKey(name, dimensions) {
+  const pairs = Object.keys(dimensions)
+    .sort()
+    .map((key) => `${key}=${dimensions[key]}`);
+  return [name].concat(pairs).join('|');
+}
+
+/**
+ * @param {Object} dimensions metric dimensions
+ * @param {Object} extra extra labels, e.g. the histogram bucket
+ * @returns {string} Prometheus label set, e.g. {route="send"}
+ */
+function labels(dimensions, extra = {}) {
+  const all = Object.assign({}, dimensions, extra);
+  const pairs = Object.keys(all).map(
+    (key) =>
+      `${key}="${String(all[key])
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Shared registry, lib modules record through this
+const metrics = createMetrics({ env: process.env });
+
+module.exports = {
+  createMetrics,
+  metrics,
+  metricsOptionsFromEnv,
+};
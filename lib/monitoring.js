@@ -0,0 +1,382 @@
+const { CONDITION_FAILED } = require('./storage');
+const { nanoToRaw, rawToNano } = require('./amounts');
+const { logger } = require('./logger');
+const { createAlertNotifier, validateAlertSinks } = require('./alertSinks');
+
+/*
+    Faucet monitoring and alerting.
+
+    The API records the faucet balance after every payout (and when a payout
+    is refused because the faucet is empty), the sweep records its outcome
+    after every run. Balance samples from the last two days are kept in the
+    `monitorState` table, and every record is checked against these alerts:
+
+      faucet_balance_low     the balance is below `lowBalance` (warning) or
+                             `criticalBalance` (critical)
+      faucet_draining        at the rate it fell over the last `trendHours`,
+                             the faucet is empty within `drainHours`
+      faucet_payout_spike    the last hour had at least `payoutSpikeMinPayouts`
+                             payouts and `payoutSpikeFactor` times the hourly
+                             average of the day before
+      sweep_failures         the last sweep failed, or failed to return some
+                             wallets
+
+    Alerts are sent (lib/alertSinks.js) when they start firing, when their
+    severity changes and once when they resolve, never for every check. Set
+    `repeatMinutes` to be reminded of an alert that keeps firing. The state
+    of each alert is kept in `monitorState` with a conditional write, so
+    concurrent Lambdas don't send the same alert twice.
+
+    ALERT_RULES is a JSON object merged over DEFAULT_ALERT_RULES, amounts are
+    NANO decimal strings.
+*/
+
+const DEFAULT_ALERT_RULES = {
+  lowBalance: '10',
+  criticalBalance: '1',
+  trendHours: 6,
+  drainHours: 24,
+  payoutSpikeFactor: 3,
+  payoutSpikeMinPayouts: 20,
+  repeatMinutes: 0,
+};
+
+const HOUR_MS = 3600000;
+const SAMPLES_ROW = 'faucetBalance';
+const SAMPLE_RETENTION_MS = 48 * HOUR_MS;
+const MAX_SAMPLES = 2000;
+const MAX_WRITE_ATTEMPTS = 3;
+
+// trends need samples spanning at least this long
+const MIN_TREND_MS = 15 * 60000;
+
+/**
+ * Reads the monitoring config from the environment.
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} { rules, sinks, smtpUrl }, with { invalid } in place of
+ *  rules or sinks whose JSON is broken
+ */
+function monitorOptionsFromEnv(env) {
+  const parse = (name, fallback) => {
+    if (!env[name]) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(env[name]);
+    } catch (err) {
+      // reported by validateMonitorOptions
+      return { invalid: `${name} is not valid JSON` };
+    }
+  };
+  const rules = parse('ALERT_RULES', {});
+  return {
+    rules: rules.invalid
+      ? rules
+      : Object.assign({}, DEFAULT_ALERT_RULES, rules),
+    sinks: parse('ALERT_SINKS', []),
+    smtpUrl: env.SMTP_URL,
+  };
+}
+
+/**
+ * Checks the monitoring config.
+ *
+ * @param {Object} options { rules, sinks, smtpUrl }
+ * @returns {string} Error message, or null if the config is valid
+ */
+function validateMonitorOptions({ rules, sinks, smtpUrl }) {
+  if (rules.invalid) {
+    return rules.invalid;
+  }
+  for (const field of ['lowBalance', 'criticalBalance']) {
+    const amount = nanoToRaw(rules[field]);
+    if (amount.error) {
+      return `alert rule ${field} ${amount.error}`;
+    }
+  }
+  for (const field of [
+    'trendHours',
+    'drainHours',
+    'payoutSpikeFactor',
+    'payoutSpikeMinPayouts',
+  ]) {
+    if (typeof rules[field] !== 'number' || !(rules[field] > 0)) {
+      return `alert rule ${field} must be a positive number`;
+    }
+  }
+  if (typeof rules.repeatMinutes !== 'number' || rules.repeatMinutes < 0) {
+    return 'alert rule repeatMinutes must be a number, 0 to never repeat';
+  }
+  return validateAlertSinks(sinks, smtpUrl);
+}
+
+/**
+ * Creates the faucet monitor. Recording never throws: monitoring problems
+ * are logged and must not fail a payout or a sweep.
+ *
+ * @param {Object} deps { store, options, notify }
+ *  - options: from monitorOptionsFromEnv
+ *  - notify: async (alert) => void, defaults to the configured sinks
+ * @returns {Object} { recordFaucetBalance, recordSweep }
+ */
+function createFaucetMonitor({ store, options, notify }) {
+  const { rules } = options;
+  const send = notify || createAlertNotifier(options.sinks, options.smtpUrl);
+
+  /**
+   * Records the faucet balance, e.g. after a payout.
+   *
+   * @param {BigInt} balance faucet balance in raw
+   * @param {Object} sample { payout, ts }, payout in raw if one was just made
+   */
+  async function recordFaucetBalance(balance, { payout, ts = Date.now() }) {
+    try {
+      const samples = await addSample({
+        ts: ts,
+        balance: balance.toString(),
+        payout: payout === undefined ? undefined : payout.toString(),
+      });
+      await update('faucet_balance_low', balanceAlert(balance), ts);
+      await update('faucet_draining', drainAlert(samples, ts), ts);
+      if (payout !== undefined) {
+        await update('faucet_payout_spike', payoutSpikeAlert(samples, ts), ts);
+      }
+    } catch (err) {
+      logger.warn('faucet monitoring failed', { err: err });
+    }
+  }
+
+  /**
+   * Records the outcome of a sweep. Dry runs shouldn't be recorded.
+   *
+   * @param {Object} outcome { balance, failed, error, ts }
+   *  - balance: faucet balance in raw after the sweep, if known
+   *  - failed: number of wallets that couldn't be swept
+   *  - error: why the sweep itself failed, if it did
+   */
+  async function recordSweep({ balance, failed = 0, error, ts = Date.now() }) {
+    try {
+      const firing = error || failed > 0;
+      await update(
+        'sweep_failures',
+        firing && {
+          severity: error ? 'critical' : 'warning',
+          summary: error
+            ? `the sweep failed: ${error}`
+            : `the sweep failed to return ${failed} wallet(s)`,
+          details: { error: error, failed: failed },
+        },
+        ts
+      );
+    } catch (err) {
+      logger.warn('faucet monitoring failed', { err: err });
+    }
+    if (balance !== undefined) {
+      await recordFaucetBalance(balance, { ts: ts });
+    }
+  }
+
+  /**
+   * Adds a balance sample, dropping samples past retention.
+   *
+   * @param {Object} sample { ts, balance, payout }, amounts as raw strings
+   * @returns {Object[]} the retained samples, oldest first
+   */
+  async function addSample(sample) {
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      const row = await store.getItem('monitorState', SAMPLES_ROW);
+      const samples = (row ? row.samples : [])
+        .filter((s) => s.ts > sample.ts - SAMPLE_RETENTION_MS)
+        .concat(sample)
+        .slice(-MAX_SAMPLES);
+      try {
+        await store.putItem(
+          'monitorState',
+          { name: SAMPLES_ROW, samples: samples, updatedAt: sample.ts },
+          {
+            conditions: row
+              ? [{ attr: 'updatedAt', op: '=', value: row.updatedAt }]
+              : [{ attr: 'name', op: 'notExists' }],
+          }
+        );
+        return samples;
+      } catch (err) {
+        if (err.code !== CONDITION_FAILED) {
+          throw err;
+        }
+      }
+    }
+    throw new Error('gave up recording faucet balance sample');
+  }
+
+  /**
+   * @param {BigInt} balance faucet balance in raw
+   * @returns {Object} the alert if the balance is low, otherwise undefined
+   */
+  function balanceAlert(balance) {
+    const low = nanoToRaw(rules.lowBalance).value;
+    const critical = nanoToRaw(rules.criticalBalance).value;
+    if (balance >= low) {
+      return undefined;
+    }
+    return {
+      severity: balance < critical ? 'critical' : 'warning',
+      summary: `the faucet holds ${rawToNano(balance)} NANO`,
+      details: {
+        balance: rawToNano(balance),
+        threshold:
+          balance < critical ? rules.criticalBalance : rules.lowBalance,
+      },
+    };
+  }
+
+  /**
+   * @param {Object[]} samples balance samples, oldest first
+   * @param {number} ts current time in ms
+   * @returns {Object} the alert if the faucet empties within drainHours, otherwise undefined
+   */
+  function drainAlert(samples, ts) {
+    const recent = samples.filter(
+      (s) => s.ts >= ts - rules.trendHours * HOUR_MS
+    );
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    if (!first || last.ts - first.ts < MIN_TREND_MS) {
+      return undefined;
+    }
+    const drained = BigInt(first.balance) - BigInt(last.balance);
+    if (drained <= BigInt(0)) {
+      return undefined;
+    }
+    const perHour = (drained * BigInt(HOUR_MS)) / BigInt(last.ts - first.ts);
+    const hoursLeft =
+      Number((BigInt(last.balance) * BigInt(100)) / perHour) / 100;
+    if (hoursLeft >= rules.drainHours) {
+      return undefined;
+    }
+    return {
+      severity: 'warning',
+      summary: `the faucet will be empty in about ${hoursLeft} hours`,
+      details: {
+        balance: rawToNano(last.balance),
+        drainPerHour: rawToNano(perHour),
+        hoursLeft: hoursLeft,
+      },
+    };
+  }
+
+  /**
+   * @param {Object[]} samples balance samples, oldest first
+   * @param {number} ts current time in ms
+   * @returns {Object} the alert if payouts spiked in the last hour, otherwise undefined
+   */
+  function payoutSpikeAlert(samples, ts) {
+    const payouts = samples.filter((s) => s.payout !== undefined);
+    const lastHour = payouts.filter((s) => s.ts > ts - HOUR_MS);
+    const before = payouts.filter(
+      (s) => s.ts <= ts - HOUR_MS && s.ts > ts - 25 * HOUR_MS
+    );
+    if (lastHour.length < rules.payoutSpikeMinPayouts || !before.length) {
+      return undefined;
+    }
+    // average over the history there is, up to a day
+    const hours = Math.max(
+      1,
+      Math.min(24, (ts - HOUR_MS - before[0].ts) / HOUR_MS)
+    );
+    const average = before.length / hours;
+    if (lastHour.length < rules.payoutSpikeFactor * average) {
+      return undefined;
+    }
+    return {
+      severity: 'warning',
+      summary: `${lastHour.length} faucet payouts in the last hour, ${
+        Math.round(average * 10) / 10
+      } an hour before`,
+      details: {
+        lastHour: lastHour.length,
+        hourlyAverage: Math.round(average * 10) / 10,
+        paidLastHour: rawToNano(
+          lastHour.reduce((sum, s) => sum + BigInt(s.payout), BigInt(0))
+        ),
+      },
+    };
+  }
+
+  /**
+   * Updates an alert's state, and sends it if it started firing, changed
+   * severity, is due a reminder or resolved.
+   *
+   * @param {string} id alert name
+   * @param {Object} result { severity, summary, details } if firing, otherwise falsy
+   * @param {number} ts current time in ms
+   */
+  async function update(id, result, ts) {
+    const key = `alert:${id}`;
+    const state = await store.getItem('monitorState', key);
+    const firing = state && state.status === 'firing';
+    let alert;
+    if (result) {
+      const due =
+        firing &&
+        rules.repeatMinutes > 0 &&
+        ts - state.notifiedAt >= rules.repeatMinutes * 60000;
+      if (firing && state.severity === result.severity && !due) {
+        return;
+      }
+      alert = Object.assign({ alert: id, status: 'firing' }, result, {
+        ts: ts,
+      });
+    } else if (firing) {
+      alert = {
+        alert: id,
+        severity: state.severity,
+        status: 'resolved',
+        summary: `resolved: ${state.summary}`,
+        details: { firingSince: new Date(state.since).toISOString() },
+        ts: ts,
+      };
+    } else {
+      return;
+    }
+
+    try {
+      await store.putItem(
+        'monitorState',
+        {
+          name: key,
+          status: alert.status,
+          severity: alert.severity,
+          summary: result ? result.summary : state.summary,
+          since: firing && result ? state.since : ts,
+          notifiedAt: ts,
+        },
+        {
+          conditions: state
+            ? [{ attr: 'notifiedAt', op: '=', value: state.notifiedAt }]
+            : [{ attr: 'name', op: 'notExists' }],
+        }
+      );
+    } catch (err) {
+      if (err.code === CONDITION_FAILED) {
+        // another process got there first and sent it
+        return;
+      }
+      throw err;
+    }
+    await send(alert);
+  }
+
+  return {
+    recordFaucetBalance,
+    recordSweep,
+  };
+}
+
+module.exports = {
+  DEFAULT_ALERT_RULES,
+  createFaucetMonitor,
+  monitorOptionsFromEnv,
+  validateMonitorOptions,
+};
@@ -0,0 +1,146 @@
+const WebSocket = require('ws');
+const { logger } = require('./logger');
+
+const DEFAULT_RECONNECT_MS = 5000;
+const MAX_RECONNECT_MS = 60000;
+
+/**
+ * Reads the node feed options from environment variables.
+ *
+ *  - NANO_WS_URL: the node's WebSocket endpoint, e.g. wss://node.example/websocket
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createNodeFeed
+ */
+function nodeFeedOptionsFromEnv(env) {
+  return {
+    url: env.NANO_WS_URL,
+  };
+}
+
+/**
+ * Subscribes to a Nano node's `confirmation` WebSocket topic for a set of
+ * accounts, reconnecting (with backoff) whenever the connection drops.
+ *
+ * @param {Object} options { url, connect, reconnectMs }
+ *  - connect: (url) => WebSocket-like object, lets tests feed the
+ *    subscriber from a mocked node instead of a real socket
+ * @returns {Object} feed: { setAccounts, onConfirmation, close }
+ */
+function createNodeFeed(options) {
+  const connect = options.connect || ((url) => new WebSocket(url));
+  const reconnectMs = options.reconnectMs || DEFAULT_RECONNECT_MS;
+
+  let socket;
+  let accounts = [];
+  let listeners = [];
+  let closed = false;
+  let retryMs = reconnectMs;
+  let retryTimer;
+
+  /*
+    An empty accounts filter means "every confirmation on the network", so
+    with nothing to watch we unsubscribe instead.
+  */
+  const sendSubscription = () => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    socket.send(
+      JSON.stringify(
+        accounts.length
+          ? {
+              action: 'subscribe',
+              topic: 'confirmation',
+              options: { accounts: accounts },
+            }
+          : { action: 'unsubscribe', topic: 'confirmation' }
+      )
+    );
+  };
+
+  const open = () => {
+    socket = connect(options.url);
+    socket.on('open', () => {
+      retryMs = reconnectMs;
+      sendSubscription();
+    });
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        logger.warn('unable to parse node websocket message');
+        return;
+      }
+      if (message.topic !== 'confirmation' || !message.message) {
+        return;
+      }
+      const confirmation = parseConfirmation(message.message);
+      listeners.forEach((listener) => listener(confirmation));
+    });
+    socket.on('error', (err) => {
+      logger.warn('node websocket error', { err: err });
+    });
+    socket.on('close', () => {
+      if (closed) {
+        return;
+      }
+      retryTimer = setTimeout(open, retryMs);
+      retryMs = Math.min(retryMs * 2, MAX_RECONNECT_MS);
+    });
+  };
+  open();
+
+  return {
+    /**
+     * Replaces the set of accounts confirmations are wanted for.
+     *
+     * @param {string[]} addresses accounts to watch
+     */
+    setAccounts(addresses) {
+      accounts = Array.from(new Set(addresses)).sort();
+      sendSubscription();
+    },
+
+    /**
+     * @param {Function} listener called with every parsed confirmation
+     */
+    onConfirmation(listener) {
+      listeners.push(listener);
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      listeners = [];
+      socket.close();
+    },
+  };
+}
+
+/**
+ * Flattens a node confirmation message.
+ *
+ * @param {Object} message the `message` of a confirmation topic event
+ * @returns {Object} { hash, account, subtype, amount, balance, linkAccount }
+ *  - account: the account whose chain the block is on
+ *  - linkAccount: for sends, the account being paid
+ *  - balance: the account's balance after the block, in raw
+ */
+function parseConfirmation(message) {
+  const block = message.block || {};
+  return {
+    hash: message.hash,
+    account: message.account,
+    subtype: block.subtype,
+    amount: message.amount,
+    balance: block.balance,
+    linkAccount: block.subtype === 'send' ? block.link_as_account : undefined,
+  };
+}
+
+module.exports = {
+  createNodeFeed,
+  nodeFeedOptionsFromEnv,
+};
@@ -0,0 +1,329 @@
+const axios = require('axios');
+const nano_client = require('@nanobox/nano-client');
+const {
+  wrapHttpLibrary,
+  ResponseContext,
+} = require('@nanobox/nano-rpc-typescript');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { withSpan } = require('./tracing');
+
+const DEFAULT_RPC_URL = 'https://proxy.powernode.cc/proxy';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 1;
+const DEFAULT_COOLDOWN_MS = 30000;
+const RETRY_BACKOFF_MS = 250;
+
+// Error code thrown when no configured RPC endpoint could answer a request
+const NODE_UNAVAILABLE = 'NODE_UNAVAILABLE';
+
+/**
+ * Reads the Nano node pool options from environment variables.
+ *
+ *  - NANO_RPC_URLS: comma separated list of RPC endpoints, in priority order
+ *  - NANO_RPC_TIMEOUT_MS: per-request timeout
+ *  - NANO_RPC_RETRIES: extra passes over the endpoint list before giving up
+ *  - NANO_RPC_COOLDOWN_MS: how long a failing endpoint is skipped for
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createNodePool
+ */
+function nodePoolOptionsFromEnv(env) {
+  const toNumber = (value) => (value ? Number(value) : undefined);
+  return {
+    urls: (env.NANO_RPC_URLS || '')
+      .split(',')
+      .map((url) => url.trim())
+      .filter((url) => url),
+    timeoutMs: toNumber(env.NANO_RPC_TIMEOUT_MS),
+    retries: toNumber(env.NANO_RPC_RETRIES),
+    cooldownMs: toNumber(env.NANO_RPC_COOLDOWN_MS),
+  };
+}
+
+/**
+ * Default transport, POSTs the RPC body to the endpoint with axios.
+ *
+ * @param {Object} req { url, body, headers, timeoutMs }
+ * @returns {Object} { status, headers, body } where body is the raw text
+ */
+async function axiosTransport({ url, body, headers, timeoutMs }) {
+  const res = await axios.post(url, body, {
+    headers: headers,
+    timeout: timeoutMs,
+    transformResponse: (data) => data,
+    validateStatus: () => true,
+  });
+  return {
+    status: res.status,
+    headers: res.headers,
+    body: typeof res.data === 'string' ? res.data : JSON.stringify(res.data),
+  };
+}
+
+/**
+ * Creates a pool of Nano RPC endpoints with failover. Requests go to the
+ * first healthy endpoint; network errors, timeouts, 5xx/429 responses and
+ * non-JSON bodies mark the endpoint unhealthy for a cooldown period and the
+ * request moves on to the next one.
+ *
+ * RPC level errors (e.g. `{ "error": "Account not found" }`) are real answers
+ * from a working node and are passed through untouched.
+ *
+ * @param {Object} options { urls, timeoutMs, retries, cooldownMs, transport, beforeProcess }
+ *  - transport: async ({ url, body, headers, timeoutMs }) => { status, headers, body },
+ *    lets tests point the pool at an in-process mock node
+ *  - beforeProcess: async () => {}, awaited before every `process` (publishing
+ *    a block), throws to stop it
+ * @returns {Object} the pool: { urls, rpc, post, checkHealth, status, httpLibrary }
+ */
+function createNodePool(options = {}) {
+  const urls =
+    options.urls && options.urls.length ? options.urls : [DEFAULT_RPC_URL];
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const retries =
+    options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+  const cooldownMs = options.cooldownMs || DEFAULT_COOLDOWN_MS;
+  const transport = options.transport || axiosTransport;
+  const beforeProcess = options.beforeProcess || (async () => {});
+
+  const endpoints = urls.map((url) => ({
+    url: url,
+    unhealthyUntil: 0,
+    failures: 0,
+    lastError: undefined,
+  }));
+
+  const markHealthy = (endpoint) => {
+    endpoint.unhealthyUntil = 0;
+    endpoint.failures = 0;
+    endpoint.lastError = undefined;
+  };
+
+  const markUnhealthy = (endpoint, err) => {
+    endpoint.unhealthyUntil = Date.now() + cooldownMs;
+    endpoint.failures++;
+    // transports may put the URL in their errors
+    endpoint.lastError = err.message
+      .split(endpoint.url)
+      .join(endpointHost(endpoint.url));
+  };
+
+  /*
+    Healthy endpoints first in configured order, then the ones still cooling
+    down (soonest to recover first) so we never refuse to try at all.
+  */
+  const orderedEndpoints = () => {
+    const now = Date.now();
+    const healthy = endpoints.filter((e) => e.unhealthyUntil <= now);
+    const cooling = endpoints
+      .filter((e) => e.unhealthyUntil > now)
+      .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+    return healthy.concat(cooling);
+  };
+
+  const sendTo = async (endpoint, body, headers) => {
+    const res = await transport({
+      url: endpoint.url,
+      body: body,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+      timeoutMs: timeoutMs,
+    });
+    if (res.status === 429 || res.status >= 500) {
+      throw new Error(
+        `${endpointHost(endpoint.url)} responded with HTTP ${res.status}`
+      );
+    }
+    try {
+      JSON.parse(res.body);
+    } catch (err) {
+      throw new Error(
+        `${endpointHost(endpoint.url)} responded with a non-JSON body`
+      );
+    }
+    return res;
+  };
+
+  /**
+   * Sends a raw RPC body through the pool. Traced and timed
+   * (nano_rpc_duration_ms, by RPC action).
+   *
+   * @param {string} body JSON encoded RPC request
+   * @param {Object} headers extra request headers
+   * @returns {Object} { status, headers, body } of the first usable response
+   */
+  async function post(body, headers = {}) {
+    const action = rpcAction(body);
+    if (action === 'process') {
+      await beforeProcess();
+    }
+    return await withSpan('nano.rpc', { action: action }, () =>
+      metrics.time('nano_rpc_duration_ms', { action: action }, () =>
+        postToPool(body, headers)
+      )
+    );
+  }
+
+  /**
+   * @param {string} body JSON encoded RPC request
+   * @param {Object} headers extra request headers
+   * @returns {Object} { status, headers, body } of the first usable response
+   */
+  async function postToPool(body, headers) {
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(RETRY_BACKOFF_MS * Math.pow(2, attempt - 1));
+      }
+      for (const endpoint of orderedEndpoints()) {
+        try {
+          const res = await sendTo(endpoint, body, headers);
+          markHealthy(endpoint);
+          return res;
+        } catch (err) {
+          markUnhealthy(endpoint, err);
+          logger.warn('nano rpc request failed', {
+            endpoint: endpointHost(endpoint.url),
+            error: endpoint.lastError,
+          });
+          metrics.increment('nano_rpc_errors', {
+            endpoint: endpointHost(endpoint.url),
+          });
+          lastError = endpoint.lastError;
+        }
+      }
+    }
+    const err = new Error(`no Nano node available (last error: ${lastError})`);
+    err.code = NODE_UNAVAILABLE;
+    throw err;
+  }
+
+  /**
+   * Calls a node RPC action through the pool.
+   *
+   * @param {string} action RPC action, e.g. 'account_info'
+   * @param {Object} params the remaining RPC fields
+   * @returns {Object} the parsed RPC response
+   */
+  async function rpc(action, params = {}) {
+    const res = await post(JSON.stringify(Object.assign({ action }, params)));
+    return JSON.parse(res.body);
+  }
+
+  /**
+   * Pings every endpoint with `block_count` and updates its health.
+   *
+   * @returns {Object[]} status of every endpoint
+   */
+  async function checkHealth() {
+    await Promise.all(
+      endpoints.map(async (endpoint) => {
+        try {
+          await sendTo(endpoint, JSON.stringify({ action: 'block_count' }));
+          markHealthy(endpoint);
+        } catch (err) {
+          markUnhealthy(endpoint, err);
+        }
+      })
+    );
+    return status();
+  }
+
+  /**
+   * @returns {Object[]} current health of every endpoint, by host so the
+   *  status can be shown without the URLs' API keys
+   */
+  function status() {
+    const now = Date.now();
+    return endpoints.map((endpoint) => ({
+      host: endpointHost(endpoint.url),
+      healthy: endpoint.unhealthyUntil <= now,
+      failures: endpoint.failures,
+      lastError: endpoint.lastError,
+    }));
+  }
+
+  // Adapter so the nano-client's generated RPC api goes through the pool
+  const httpLibrary = wrapHttpLibrary({
+    send: async (request) => {
+      const res = await post(request.getBody(), request.getHeaders());
+      // The body was already validated as JSON, whatever the server said
+      const headers = Object.assign({}, res.headers, {
+        'content-type': 'application/json',
+      });
+      return new ResponseContext(res.status, headers, {
+        text: async () => res.body,
+        binary: async () => Buffer.from(res.body),
+      });
+    },
+  });
+
+  return {
+    urls: urls,
+    post: post,
+    rpc: rpc,
+    checkHealth: checkHealth,
+    status: status,
+    httpLibrary: httpLibrary,
+  };
+}
+
+/**
+ * Creates a NanoClient whose RPC calls go through the given node pool.
+ *
+ * @param {Object} pool pool created by createNodePool
+ * @param {Object} work optional work provider (lib/work) the client gets
+ *  block work from, instead of the node's work_generate
+ * @returns {NanoClient} nano client
+ */
+function createNanoClient(pool, work) {
+  const client = new nano_client.NanoClient({
+    url: pool.urls[0],
+    httpLibrary: pool.httpLibrary,
+  });
+  if (work) {
+    client.nano.generateWork = (hash, difficulty) =>
+      work.generate(hash, difficulty);
+  }
+  return client;
+}
+
+/**
+ * @param {string} body JSON encoded RPC request
+ * @returns {string} its action, for spans and metrics
+ */
+function rpcAction(body) {
+  try {
+    return JSON.parse(body).action || 'unknown';
+  } catch (err) {
+    return 'unknown';
+  }
+}
+
+/**
+ * @param {string} url RPC endpoint
+ * @returns {string} its host, endpoint URLs may carry API keys in the path or query
+ */
+function endpointHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return 'invalid';
+  }
+}
+
+/**
+ * Resolves after the given number of milliseconds.
+ *
+ * @param {number} ms delay in milliseconds
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  NODE_UNAVAILABLE,
+  createNanoClient,
+  createNodePool,
+  nodePoolOptionsFromEnv,
+};
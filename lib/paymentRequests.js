@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const { CONDITION_FAILED } = require('./storage');
+const { formatAmount } = require('./amounts');
+const { logger } = require('./logger');
+
+/*
+    Payment requests (invoices) for demo merchants, in the `paymentRequests`
+    table. A request asks for an amount to be paid into a TryNano wallet
+    before it expires:
+
+        { requestId, address, amount, label, message, webhookUrl,
+          webhookSecret, frontier, status, received, payments, createdAt,
+          expiresAt, expirationTs }
+
+    A wallet has at most one open request at a time (its row points at it
+    with `paymentRequestId`), so every receive into the wallet after
+    `frontier` (its last block when the request was created, once pending
+    blocks were received) and sent before expiresAt counts towards it,
+    except faucet payouts. Payments are found on the wallet's chain after
+    receiving whatever is pending, the same way /api/receive does, whenever
+    getPaymentRequest is polled and on every DeliverWebhooks run
+    (checkOpenPaymentRequests).
+
+    status is 'open', 'partial' (something arrived, not enough yet), 'paid'
+    or 'expired'. 'paid' and 'expired' are final. Amounts are raw strings,
+    times are ms.
+
+    Status changes are POSTed to webhookUrl as `paymentRequest.<status>`
+    webhook events, through the webhook delivery queue (lib/webhooks.js
+    emitTo) and signed with the request's own webhookSecret, which only
+    its creator is shown.
+*/
+
+const DEFAULT_EXPIRY_MINUTES = 30;
+const MAX_EXPIRY_MINUTES = 1440;
+
+// Chain history read per status check: HISTORY_PAGES pages of HISTORY_PAGE_SIZE blocks
+const HISTORY_PAGE_SIZE = 100;
+const HISTORY_PAGES = 5;
+const SCAN_PAGE_SIZE = 100;
+
+/**
+ * Builds a new payment request row.
+ *
+ * @param {Object} wallet the destination wallet row
+ * @param {string} frontier the wallet's last block, undefined if it isn't opened
+ * @param {Object} params { amount, expiresInMinutes, label, message, webhookUrl }, amount a NANO object
+ * @param {number} now current time in ms
+ * @returns {Object} the payment request row
+ */
+function newPaymentRequest(wallet, frontier, params, now) {
+  const minutes = params.expiresInMinutes || DEFAULT_EXPIRY_MINUTES;
+  return {
+    requestId: crypto.randomBytes(16).toString('hex'),
+    address: wallet.walletID,
+    amount: params.amount.RAW,
+    label: params.label,
+    message: params.message,
+    webhookUrl: params.webhookUrl,
+    webhookSecret: params.webhookUrl
+      ? `whsec_${crypto.randomBytes(32).toString('hex')}`
+      : undefined,
+    frontier: frontier,
+    status: 'open',
+    received: '0',
+    payments: [],
+    createdAt: now,
+    // a request can't outlive its wallet
+    expiresAt: Math.min(now + minutes * 60000, wallet.expirationTs * 1000),
+    expirationTs: wallet.expirationTs,
+  };
+}
+
+/**
+ * @param {Object} request payment request row
+ * @returns {boolean} true if the request is paid or expired, its status won't change again
+ */
+function isSettled(request) {
+  return request.status === 'paid' || request.status === 'expired';
+}
+
+/**
+ * @param {Object} request payment request row
+ * @param {number} now current time in ms
+ * @returns {boolean} true if payments can still arrive for the request
+ */
+function isOpen(request, now) {
+  return !isSettled(request) && request.expiresAt > now;
+}
+
+/**
+ * Builds the `nano:` URI for a request, which is also what its QR code
+ * should encode, e.g. nano:nano_1abc...?amount=1000000&label=Coffee
+ *
+ * @param {Object} request payment request row
+ * @returns {string} the URI
+ */
+function paymentUri(request) {
+  const query = new URLSearchParams({ amount: request.amount });
+  if (request.label) {
+    query.set('label', request.label);
+  }
+  if (request.message) {
+    query.set('message', request.message);
+  }
+  return `nano:${request.address}?${query.toString()}`;
+}
+
+/**
+ * @param {Object} request payment request row
+ * @returns {Object} the request as the API returns it
+ */
+function formatPaymentRequest(request) {
+  return {
+    requestId: request.requestId,
+    address: request.address,
+    amount: formatAmount(request.amount),
+    label: request.label,
+    message: request.message,
+    uri: paymentUri(request),
+    status: request.status,
+    received: formatAmount(request.received),
+    payments: request.payments.map((payment) => ({
+      hash: payment.hash,
+      amount: formatAmount(payment.amount),
+      from: payment.from,
+      timestamp: payment.timestamp,
+    })),
+    createdAt: request.createdAt,
+    expiresAt: request.expiresAt,
+  };
+}
+
+/**
+ * Checks an open request against the receives on its wallet's chain and
+ * stores its new status. Receive pending blocks into the wallet first.
+ *
+ * @param {Object} deps { store, node, faucetAddress }
+ * @param {Object} request payment request row
+ * @param {number} now current time in ms
+ * @returns {Object} { request, changed } where changed is true if this
+ *  call moved the request to a new status
+ */
+async function checkPaymentRequest(deps, request, now) {
+  const { store, node, faucetAddress } = deps;
+  const payments = await findPayments(node, request, faucetAddress);
+  const received = payments.reduce(
+    (sum, payment) => sum + BigInt(payment.amount),
+    BigInt(0)
+  );
+
+  let status = 'open';
+  if (received >= BigInt(request.amount)) {
+    status = 'paid';
+  } else if (now >= request.expiresAt) {
+    status = 'expired';
+  } else if (received > BigInt(0)) {
+    status = 'partial';
+  }
+
+  if (status === request.status && received.toString() === request.received) {
+    return { request: request, changed: false };
+  }
+
+  try {
+    const updated = await store.updateItem(
+      'paymentRequests',
+      request.requestId,
+      {
+        status: status,
+        received: received.toString(),
+        payments: payments,
+        updatedAt: now,
+      },
+      {
+        // another check got there first, it also sends the webhook
+        conditions: [
+          { attr: 'status', op: '=', value: request.status },
+          { attr: 'received', op: '=', value: request.received },
+        ],
+      }
+    );
+    return { request: updated, changed: status !== request.status };
+  } catch (err) {
+    if (err.code !== CONDITION_FAILED) {
+      throw err;
+    }
+    return {
+      request: await store.getItem('paymentRequests', request.requestId),
+      changed: false,
+    };
+  }
+}
+
+/**
+ * Finds the receives into a request's wallet after its frontier, leaving
+ * out faucet payouts and payments sent after the request expired. A payment
+ * counts from when its send block arrived, not when it was received, as
+ * nothing may receive it until after expiresAt.
+ *
+ * @param {Object} node node pool
+ * @param {Object} request payment request row
+ * @param {string} faucetAddress the faucet's address
+ * @returns {Object[]} payments { hash, amount, from, timestamp }, newest
+ *  first, timestamp being when the send arrived
+ */
+async function findPayments(node, request, faucetAddress) {
+  const payments = [];
+  let head;
+  for (let page = 0; page < HISTORY_PAGES; page++) {
+    const chain = await node.rpc(
+      'account_history',
+      Object.assign(
+        {
+          account: request.address,
+          count: HISTORY_PAGE_SIZE.toString(),
+          raw: 'true',
+        },
+        head ? { head: head } : {}
+      )
+    );
+    // unopened accounts have no history yet
+    const blocks = Array.isArray(chain.history) ? chain.history : [];
+    const frontier = blocks.findIndex(
+      (block) => block.hash === request.frontier
+    );
+    const receives = blocks
+      .slice(0, frontier === -1 ? blocks.length : frontier)
+      .filter(
+        (block) =>
+          (block.subtype || block.type) === 'receive' &&
+          block.account !== faucetAddress
+      );
+    const sentAt = await arrivalTimes(
+      node,
+      receives.map((block) => block.link)
+    );
+    for (const block of receives) {
+      const timestamp =
+        sentAt[block.link] || Number(block.local_timestamp) * 1000;
+      if (timestamp <= request.expiresAt) {
+        payments.push({
+          hash: block.hash,
+          amount: block.amount,
+          from: block.account,
+          timestamp: timestamp,
+        });
+      }
+    }
+    if (frontier !== -1 || !chain.previous) {
+      break;
+    }
+    head = chain.previous;
+  }
+  return payments;
+}
+
+/**
+ * @param {Object} node node pool
+ * @param {string[]} hashes send block hashes
+ * @returns {Object} hash -> when the node first saw the block, in ms; empty
+ *  if the node doesn't know one of them
+ */
+async function arrivalTimes(node, hashes) {
+  if (!hashes.length) {
+    return {};
+  }
+  const res = await node.rpc('blocks_info', { hashes: hashes });
+  const times = {};
+  for (const hash of Object.keys(res.blocks || {})) {
+    times[hash] = Number(res.blocks[hash].local_timestamp) * 1000;
+  }
+  return times;
+}
+
+/**
+ * Checks every request that is still open or partial, so status changes
+ * and their webhooks don't wait for someone to poll getPaymentRequest. The
+ * DeliverWebhooks Lambda runs it before its deliveries.
+ *
+ * @param {Object} deps { store, node, nano, webhooks, faucetAddress }
+ * @param {Function} outOfTime returns true when the run should stop
+ * @returns {number} how many requests changed status
+ */
+async function checkOpenPaymentRequests(deps, outOfTime) {
+  let changed = 0;
+  let startKey;
+  do {
+    const page = await deps.store.scanItems('paymentRequests', {
+      conditions: [
+        { attr: 'status', op: '<>', value: 'paid' },
+        { attr: 'status', op: '<>', value: 'expired' },
+      ],
+      startKey: startKey,
+      limit: SCAN_PAGE_SIZE,
+    });
+    for (const request of page.items) {
+      if (outOfTime()) {
+        return changed;
+      }
+      try {
+        // undefined once the wallet is deleted, payments already received still count
+        await deps.nano.receiveWallet(request.address);
+        const res = await checkPaymentRequest(deps, request, Date.now());
+        if (res.changed) {
+          await sendPaymentWebhook(deps.webhooks, res.request);
+          changed++;
+        }
+      } catch (err) {
+        logger.warn('unable to check payment request', {
+          requestId: request.requestId,
+          err: err,
+        });
+      }
+    }
+    startKey = page.lastKey;
+  } while (startKey !== undefined);
+  return changed;
+}
+
+/**
+ * Queues a request's new status for its webhookUrl, if it has one. Never
+ * throws; the status route is the source of truth.
+ *
+ * @param {Object} webhooks the webhook service
+ * @param {Object} request payment request row
+ */
+async function sendPaymentWebhook(webhooks, request) {
+  if (!request.webhookUrl) {
+    return;
+  }
+  await webhooks.emitTo(
+    { url: request.webhookUrl, secret: request.webhookSecret },
+    `paymentRequest.${request.status}`,
+    formatPaymentRequest(request)
+  );
+}
+
+module.exports = {
+  MAX_EXPIRY_MINUTES,
+  checkOpenPaymentRequests,
+  checkPaymentRequest,
+  formatPaymentRequest,
+  isOpen,
+  isSettled,
+  newPaymentRequest,
+  sendPaymentWebhook,
+};
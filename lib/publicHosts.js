@@ -0,0 +1,115 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/*
+    Guards for URLs that anyone can ask TryNano to call (payment request
+    webhooks). Those must reach the public internet only, never the
+    loopback, private networks or the cloud metadata service next to the
+    Lambda. Hosts are checked when the URL is accepted and again when it is
+    called, as a name can resolve to something else by then.
+*/
+
+const NOT_PUBLIC = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], // this network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, includes the metadata service
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+]) {
+  NOT_PUBLIC.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  // IPv4-mapped addresses are matched by the IPv4 subnets
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+]) {
+  NOT_PUBLIC.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * @param {string} address an IPv4 or IPv6 address
+ * @returns {boolean} true if the address is on the public internet
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !NOT_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Checks a URL's hostname without resolving it: IP literals must be public
+ * and localhost names are refused.
+ *
+ * @param {string} hostname a URL's hostname, IPv6 literals in brackets
+ * @returns {boolean} false if the host is certainly not public
+ */
+function isPublicHostname(hostname) {
+  const host = hostname
+    .replace(/^\[(.*)\]$/, '$1')
+    .replace(/\.$/, '')
+    .toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return false;
+  }
+  return net.isIP(host) ? isPublicAddress(host) : host.length > 0;
+}
+
+/**
+ * dns.lookup for sockets, failing when the name resolves to an address that
+ * isn't public. Handles both single and `all` lookups.
+ *
+ * @param {string} hostname the name to resolve
+ * @param {Object} options dns.lookup options
+ * @param {Function} callback dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address)
+      ? address.map((entry) => entry.address)
+      : [address];
+    const refused = addresses.find((entry) => !isPublicAddress(entry));
+    if (refused) {
+      const error = new Error(`${hostname} resolves to non-public ${refused}`);
+      error.code = 'EHOSTNOTPUBLIC';
+      return callback(error);
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Agents for axios requests that may only connect to public addresses.
+ * Pair them with isPublicHostname, IP literals skip the lookup.
+ *
+ * @returns {Object} { httpAgent, httpsAgent }
+ */
+function publicAgents() {
+  return {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup }),
+  };
+}
+
+module.exports = {
+  isPublicAddress,
+  isPublicHostname,
+  publicAgents,
+  publicLookup,
+};
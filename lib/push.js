@@ -0,0 +1,361 @@
+const { tools } = require('nanocurrency-web');
+const { ACCOUNT_BUSY } = require('./locks');
+const { NODE_UNAVAILABLE } = require('./nanoNode');
+const { ERROR_CODES } = require('./errors');
+const { formatAmount } = require('./amounts');
+const { logger } = require('./logger');
+
+/*
+    Real-time wallet updates over WebSocket.
+
+    Clients subscribe their TryNano wallet addresses over a WebSocket (the
+    local express server, or API Gateway in production). Subscriptions are
+    kept in the `pushConnections` table, one row per connection, so the
+    API Gateway handler, which only sees one message at a time, and the
+    long-running process watching the node can share them.
+
+    The watcher follows the node's confirmation feed for every subscribed
+    address and pushes:
+
+        { type: 'pending', address, hash, from, amount }
+            a send to the wallet was confirmed and can be received
+        { type: 'received', address, resolvedCount, balance }
+            the result of receiving it automatically
+        { type: 'confirmed', address, hash, to, amount, balance }
+            a send from the wallet was confirmed
+        { type: 'balance', address, hash, balance }
+            any other confirmed block on the wallet (e.g. a receive)
+
+    Clients send { action: 'subscribe' | 'unsubscribe', addresses: [...] }.
+    Amounts and balances are { raw, nano }.
+*/
+
+const MAX_ADDRESSES_PER_CONNECTION = 10;
+const CONNECTION_TTL_SECONDS = 7200; // API Gateway drops connections after 2 hours
+
+/**
+ * Creates the push service.
+ *
+ * @param {Object} deps { store, feed, deliver, receive, refreshMs }
+ *  - feed: node confirmation feed (lib/nanoFeed.js), omit when only
+ *    handling client messages
+ *  - deliver: async (connectionId, message) => false if the connection is gone
+ *  - receive: async (address) => { balance, resolvedCount }, receives pending
+ *    blocks for a wallet (balance in raw), undefined if the wallet no longer
+ *    exists; omit to disable auto-receive
+ *  - refreshMs: how often to reload subscriptions made by other processes
+ * @returns {Object} { subscribe, unsubscribe, disconnect, handleMessage, refresh, handleConfirmation, start, stop }
+ */
+function createPushService(deps) {
+  const { store, feed, deliver, receive } = deps;
+
+  // address -> Set of connection ids, rebuilt from the store on refresh
+  let watchers = new Map();
+  let refreshTimer;
+
+  /**
+   * Reloads every subscription from the store and points the node feed at
+   * the subscribed addresses.
+   */
+  async function refresh() {
+    const next = new Map();
+    const now = Date.now() / 1000;
+    let startKey;
+    do {
+      const page = await store.scanItems('pushConnections', {
+        startKey: startKey,
+      });
+      page.items
+        .filter((row) => !(row.expirationTs < now))
+        .forEach((row) => {
+          row.addresses.forEach((address) => {
+            if (!next.has(address)) {
+              next.set(address, new Set());
+            }
+            next.get(address).add(row.connectionId);
+          });
+        });
+      startKey = page.lastKey;
+    } while (startKey !== undefined);
+
+    watchers = next;
+    if (feed) {
+      feed.setAccounts(Array.from(watchers.keys()));
+    }
+  }
+
+  /**
+   * Adds wallet addresses to a connection's subscription.
+   *
+   * @param {string} connectionId the client's connection
+   * @param {string[]} addresses TryNano wallet addresses
+   * @returns {Object} the reply for the client
+   */
+  async function subscribe(connectionId, addresses) {
+    const invalid = await findInvalidAddress(addresses);
+    if (invalid) {
+      return invalid;
+    }
+    const row = await store.getItem('pushConnections', connectionId);
+    const subscribed = Array.from(
+      new Set((row ? row.addresses : []).concat(addresses))
+    );
+    if (subscribed.length > MAX_ADDRESSES_PER_CONNECTION) {
+      return errorMessage(
+        ERROR_CODES.INVALID_REQUEST,
+        `at most ${MAX_ADDRESSES_PER_CONNECTION} addresses per connection`
+      );
+    }
+    await saveConnection(connectionId, subscribed);
+    return { type: 'subscribed', addresses: subscribed };
+  }
+
+  /**
+   * Removes wallet addresses from a connection's subscription.
+   *
+   * @param {string} connectionId the client's connection
+   * @param {string[]} addresses wallet addresses
+   * @returns {Object} the reply for the client
+   */
+  async function unsubscribe(connectionId, addresses) {
+    const row = await store.getItem('pushConnections', connectionId);
+    const subscribed = (row ? row.addresses : []).filter(
+      (address) => !addresses.includes(address)
+    );
+    await saveConnection(connectionId, subscribed);
+    return { type: 'subscribed', addresses: subscribed };
+  }
+
+  /**
+   * Forgets a closed connection.
+   *
+   * @param {string} connectionId the client's connection
+   */
+  async function disconnect(connectionId) {
+    await store.deleteItem('pushConnections', connectionId);
+    watchers.forEach((ids) => ids.delete(connectionId));
+    if (feed) {
+      await refresh();
+    }
+  }
+
+  /**
+   * Handles a raw message from a client.
+   *
+   * @param {string} connectionId the client's connection
+   * @param {string} body the message text
+   * @returns {Object} the reply for the client
+   */
+  async function handleMessage(connectionId, body) {
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (err) {
+      return errorMessage(
+        ERROR_CODES.INVALID_REQUEST,
+        'message is not valid JSON'
+      );
+    }
+    if (!message || !Array.isArray(message.addresses)) {
+      return errorMessage(ERROR_CODES.MISSING_FIELD, 'addresses is required');
+    }
+    const addresses = message.addresses.map((address) =>
+      typeof address === 'string' ? address.replace(/^xrb_/, 'nano_') : address
+    );
+    if (message.action === 'subscribe') {
+      return await subscribe(connectionId, addresses);
+    } else if (message.action === 'unsubscribe') {
+      return await unsubscribe(connectionId, addresses);
+    }
+    return errorMessage(
+      ERROR_CODES.INVALID_REQUEST,
+      'action must be subscribe or unsubscribe'
+    );
+  }
+
+  /**
+   * Pushes the updates a confirmed block means for subscribed wallets.
+   *
+   * @param {Object} confirmation a parsed confirmation from the node feed
+   */
+  async function handleConfirmation(confirmation) {
+    const { hash, account, subtype, amount, balance, linkAccount } =
+      confirmation;
+
+    if (linkAccount && watchers.has(linkAccount)) {
+      await push(linkAccount, {
+        type: 'pending',
+        address: linkAccount,
+        hash: hash,
+        from: account,
+        amount: formatAmount(amount),
+      });
+      if (receive) {
+        await autoReceive(linkAccount);
+      }
+    }
+
+    if (watchers.has(account)) {
+      await push(
+        account,
+        subtype === 'send'
+          ? {
+              type: 'confirmed',
+              address: account,
+              hash: hash,
+              to: linkAccount,
+              amount: formatAmount(amount),
+              balance: formatAmount(balance),
+            }
+          : {
+              type: 'balance',
+              address: account,
+              hash: hash,
+              balance: formatAmount(balance),
+            }
+      );
+    }
+  }
+
+  /**
+   * Receives pending blocks for a wallet and pushes the result.
+   *
+   * @param {string} address the wallet address
+   */
+  async function autoReceive(address) {
+    try {
+      const res = await receive(address);
+      if (!res) {
+        return;
+      }
+      await push(address, {
+        type: 'received',
+        address: address,
+        resolvedCount: res.resolvedCount,
+        balance: formatAmount(res.balance),
+      });
+    } catch (err) {
+      if (err.code === ACCOUNT_BUSY) {
+        // someone else is receiving (or sending), their block shows up as a balance update
+        return;
+      }
+      logger.warn('auto-receive failed', { address: address, err: err });
+      await push(
+        address,
+        Object.assign(
+          { address: address },
+          err.code === NODE_UNAVAILABLE
+            ? errorMessage(
+                ERROR_CODES.NODE_UNAVAILABLE,
+                'Nano network is unreachable, unable to receive'
+              )
+            : errorMessage(ERROR_CODES.SERVER_ERROR, 'unable to receive')
+        )
+      );
+    }
+  }
+
+  /**
+   * Delivers a message to every connection watching an address, dropping
+   * connections that have gone away.
+   *
+   * @param {string} address the wallet address
+   * @param {Object} message the message to push
+   */
+  async function push(address, message) {
+    const ids = Array.from(watchers.get(address) || []);
+    await Promise.all(
+      ids.map(async (connectionId) => {
+        const delivered = await deliver(connectionId, message);
+        if (delivered === false) {
+          await disconnect(connectionId);
+        }
+      })
+    );
+  }
+
+  /**
+   * @param {string[]} addresses addresses a client wants to subscribe
+   * @returns {Object} an error reply, or undefined if every address is a TryNano wallet
+   */
+  async function findInvalidAddress(addresses) {
+    for (const address of addresses) {
+      if (typeof address !== 'string' || !tools.validateAddress(address)) {
+        return errorMessage(
+          ERROR_CODES.INVALID_ADDRESS,
+          `${address} is not a valid Nano address`
+        );
+      }
+      if (!(await store.getItem('wallets', address))) {
+        return errorMessage(
+          ERROR_CODES.WALLET_NOT_FOUND,
+          `${address} is not a TryNano wallet`
+        );
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {string} connectionId the client's connection
+   * @param {string[]} addresses the connection's subscribed addresses
+   */
+  async function saveConnection(connectionId, addresses) {
+    await store.putItem('pushConnections', {
+      connectionId: connectionId,
+      addresses: addresses,
+      expirationTs: Math.round(Date.now() / 1000) + CONNECTION_TTL_SECONDS,
+    });
+    if (feed) {
+      await refresh();
+    }
+  }
+
+  return {
+    subscribe: subscribe,
+    unsubscribe: unsubscribe,
+    disconnect: disconnect,
+    handleMessage: handleMessage,
+    refresh: refresh,
+    handleConfirmation: handleConfirmation,
+
+    /**
+     * Starts following the node feed and reloading subscriptions.
+     */
+    async start() {
+      feed.onConfirmation((confirmation) => {
+        handleConfirmation(confirmation).catch((err) =>
+          logger.warn('unable to push confirmation', { err: err })
+        );
+      });
+      await refresh();
+      if (deps.refreshMs) {
+        refreshTimer = setInterval(() => {
+          refresh().catch((err) =>
+            logger.warn('unable to refresh subscriptions', { err: err })
+          );
+        }, deps.refreshMs);
+      }
+    },
+
+    stop() {
+      clearInterval(refreshTimer);
+      if (feed) {
+        feed.close();
+      }
+    },
+  };
+}
+
+/**
+ * @param {string} code error code
+ * @param {string} error error message
+ * @returns {Object} an error message for the client
+ */
+function errorMessage(code, error) {
+  return { type: 'error', code: code, error: error };
+}
+
+module.exports = {
+  createPushService,
+};
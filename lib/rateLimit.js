@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const net = require('net');
+const { CONDITION_FAILED } = require('./storage');
+
+/*
+    Sliding-window rate limits.
+
+    Each limited key (an IP prefix, a wallet, ...) gets one counter row per
+    rule in the `rateLimits` table, holding the count for the current fixed
+    window and the one before it. The count over the last `windowSeconds` is
+    estimated by weighting the previous window by how much of it still
+    overlaps the sliding window:
+
+        previous * (1 - elapsed / window) + current
+
+    Checking and counting are separate steps so a request that is refused by
+    one dimension isn't counted against the others. Callers must run both
+    under one lock (the faucet's account lock), otherwise concurrent requests
+    all pass the check before any of them is counted.
+*/
+
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Error code thrown when a hit couldn't be counted, the request must not go ahead
+const HIT_NOT_RECORDED = 'HIT_NOT_RECORDED';
+
+/**
+ * Groups an IP address with its neighbours: IPv4 by /24 and IPv6 by /64,
+ * the smallest block one user can usually hop around in.
+ *
+ * @param {string} ip the client's ip address
+ * @returns {string} the prefix, e.g. '203.0.113.0/24' or '2001:db8:0:1::/64'
+ */
+function ipPrefix(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) {
+    ip = mapped[1];
+  }
+  if (net.isIPv4(ip)) {
+    return `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (net.isIPv6(ip)) {
+    const groups = expandIPv6(ip).slice(0, 4);
+    return `${groups.map((g) => parseInt(g, 16).toString(16)).join(':')}::/64`;
+  }
+  return ip;
+}
+
+/**
+ * @param {string} ip an IPv6 address
+ * @returns {string[]} its eight 16 bit groups
+ */
+function expandIPv6(ip) {
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  // an embedded IPv4 tail counts as two groups
+  const last = tailGroups.length ? tailGroups : headGroups;
+  if (last.length && last[last.length - 1].includes('.')) {
+    const octets = last.pop().split('.').map(Number);
+    last.push(
+      ((octets[0] << 8) | octets[1]).toString(16),
+      ((octets[2] << 8) | octets[3]).toString(16)
+    );
+  }
+  const missing = 8 - headGroups.length - tailGroups.length;
+  return headGroups.concat(new Array(missing).fill('0'), tailGroups);
+}
+
+/**
+ * Identifies the client that created a wallet, so the wallets one person
+ * creates can be limited together wherever they claim from.
+ *
+ * @param {string} ip the client's ip address
+ * @param {string} userAgent the client's User-Agent header
+ * @returns {string} hex id of the creator session
+ */
+function creatorSession(ip, userAgent) {
+  return crypto
+    .createHash('sha256')
+    .update(`${ipPrefix(ip)}|${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Checks a request against every rule of every dimension, without counting it.
+ *
+ * @param {Object} store storage backend
+ * @param {Object} rules dimension -> [{ limit, windowSeconds }]
+ * @param {Object} keys dimension -> key to limit, dimensions without a key are skipped
+ * @param {number} now current time in ms
+ * @returns {Object} { allowed, dimension, retryAfterSeconds, hits } where
+ *  hits is what to pass to recordHits once the request goes ahead
+ */
+async function checkRateLimits(store, rules, keys, now) {
+  const hits = [];
+  let blocked;
+  for (const dimension of Object.keys(rules)) {
+    if (!keys[dimension]) {
+      continue;
+    }
+    for (const rule of rules[dimension]) {
+      const bucket = `${dimension}:${keys[dimension]}:${rule.windowSeconds}`;
+      const row = await store.getItem('rateLimits', bucket);
+      const window = windowState(row, rule, now);
+      const wait = retryAfterMs(window, rule, now);
+      if (wait > 0 && (!blocked || wait > blocked.wait)) {
+        blocked = { dimension: dimension, wait: wait };
+      }
+      hits.push({ bucket: bucket, rule: rule });
+    }
+  }
+
+  if (blocked) {
+    return {
+      allowed: false,
+      dimension: blocked.dimension,
+      retryAfterSeconds: Math.max(1, Math.ceil(blocked.wait / 1000)),
+    };
+  }
+  return { allowed: true, hits: hits };
+}
+
+/**
+ * Counts a request that passed checkRateLimits.
+ *
+ * @param {Object} store storage backend
+ * @param {Object[]} hits the hits returned by checkRateLimits
+ * @param {number} now current time in ms
+ * @throws an error with code HIT_NOT_RECORDED if a counter kept changing under us
+ */
+async function recordHits(store, hits, now) {
+  for (const { bucket, rule } of hits) {
+    await recordHit(store, bucket, rule, now);
+  }
+}
+
+/**
+ * Adds one to a counter row, retrying if another request wrote it first.
+ *
+ * @param {Object} store storage backend
+ * @param {string} bucket counter row key
+ * @param {Object} rule { limit, windowSeconds }
+ * @param {number} now current time in ms
+ */
+async function recordHit(store, bucket, rule, now) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const row = await store.getItem('rateLimits', bucket);
+    const window = windowState(row, rule, now);
+    const windowMs = rule.windowSeconds * 1000;
+    try {
+      await store.putItem(
+        'rateLimits',
+        {
+          bucket: bucket,
+          windowStart: window.start,
+          current: window.current + 1,
+          previous: window.previous,
+          // the row is useless once both windows have passed
+          expirationTs: Math.ceil((window.start + 2 * windowMs) / 1000),
+        },
+        {
+          conditions: row
+            ? [
+                { attr: 'windowStart', op: '=', value: row.windowStart },
+                { attr: 'current', op: '=', value: row.current },
+              ]
+            : [{ attr: 'bucket', op: 'notExists' }],
+        }
+      );
+      return;
+    } catch (err) {
+      if (err.code !== CONDITION_FAILED) {
+        throw err;
+      }
+    }
+  }
+  const err = new Error(`unable to count rate limit hit on ${bucket}`);
+  err.code = HIT_NOT_RECORDED;
+  throw err;
+}
+
+/**
+ * Rolls a counter row forward to the window `now` falls in.
+ *
+ * @param {Object} row counter row, if any
+ * @param {Object} rule { limit, windowSeconds }
+ * @param {number} now current time in ms
+ * @returns {Object} { start, current, previous } for the current window
+ */
+function windowState(row, rule, now) {
+  const windowMs = rule.windowSeconds * 1000;
+  const start = Math.floor(now / windowMs) * windowMs;
+  if (row && row.windowStart === start) {
+    return { start: start, current: row.current, previous: row.previous };
+  } else if (row && row.windowStart === start - windowMs) {
+    return { start: start, current: 0, previous: row.current };
+  }
+  return { start: start, current: 0, previous: 0 };
+}
+
+/**
+ * Works out how long until one more request fits under the rule.
+ *
+ * @param {Object} window { start, current, previous } from windowState
+ * @param {Object} rule { limit, windowSeconds }
+ * @param {number} now current time in ms
+ * @returns {number} ms to wait, 0 if a request is allowed now
+ */
+function retryAfterMs(window, rule, now) {
+  const windowMs = rule.windowSeconds * 1000;
+  const allowance = rule.limit - 1;
+  const estimate = (elapsed, previous, current) =>
+    previous * (1 - elapsed / windowMs) + current;
+
+  const elapsed = now - window.start;
+  if (estimate(elapsed, window.previous, window.current) <= allowance) {
+    return 0;
+  }
+  // the previous window decays out over the rest of this one...
+  if (window.current <= allowance && window.previous > 0) {
+    const fitsAt =
+      windowMs * (1 - (allowance - window.current) / window.previous);
+    if (fitsAt < windowMs) {
+      return Math.ceil(fitsAt - elapsed);
+    }
+  }
+  // ...otherwise wait for this window's count to decay out of the next one
+  const fitsAt =
+    window.current > allowance
+      ? windowMs * (1 - allowance / window.current)
+      : 0;
+  return Math.ceil(windowMs - elapsed + fitsAt);
+}
+
+module.exports = {
+  HIT_NOT_RECORDED,
+  checkRateLimits,
+  creatorSession,
+  ipPrefix,
+  recordHits,
+};
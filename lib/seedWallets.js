@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { wallet: nanoWallet } = require('nanocurrency-web');
+const { formatAmount } = require('./amounts');
+
+/*
+    HD (seed) wallets.
+
+    A TryNano wallet is a seed plus the accounts derived from it, using the
+    same legacy derivation as nano-client's generateWallet (account i is
+    blake2b(seed || i)). The seed is envelope encrypted on a `seedWallets`
+    row, keyed by a random walletId:
+
+        { walletId, encryptedSeed, seedSalt, seedHash, accounts, label,
+          creatorSession, expirationTs }
+
+    `accounts` lists the derived { accountIndex, address }. Each account is
+    also an ordinary `wallets` row (with seedWalletId and accountIndex), so
+    send, receive, the faucet and the sweep work on it like on any account,
+    including between accounts of the same wallet.
+*/
+
+const MAX_WALLET_ACCOUNTS = 20;
+
+/**
+ * @returns {string} a new random wallet id
+ */
+function newWalletId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Derives one account from a seed.
+ *
+ * @param {string} seed hex seed
+ * @param {number} index account index
+ * @returns {Object} { accountIndex, address, publicKey, privateKey }
+ */
+function deriveAccount(seed, index) {
+  return nanoWallet.legacyAccounts(seed, index, index)[0];
+}
+
+/**
+ * Sums up the balances of every account of a seed wallet, as the node sees
+ * them. Accounts that were deleted are left out.
+ *
+ * @param {Object} deps { store, node }
+ * @param {Object} seedWallet seed wallet row
+ * @returns {Object} { accounts, balance, receivable }, each account
+ *  { accountIndex, address, balance, receivable }, amounts as { raw, nano }
+ */
+async function getWalletSummary(deps, seedWallet) {
+  const { store, node } = deps;
+  const accounts = (
+    await Promise.all(
+      seedWallet.accounts.map(async (account) =>
+        (await store.getItem('wallets', account.address)) ? account : null
+      )
+    )
+  ).filter((account) => account);
+
+  let balances = {};
+  if (accounts.length) {
+    const res = await node.rpc('accounts_balances', {
+      accounts: accounts.map((account) => account.address),
+    });
+    balances = res.balances || {};
+  }
+
+  let balance = BigInt(0);
+  let receivable = BigInt(0);
+  const summary = accounts.map((account) => {
+    // unopened accounts may be missing or reported with an error
+    const info = balances[account.address] || {};
+    const accountBalance = BigInt(info.balance || 0);
+    const accountReceivable = BigInt(info.receivable || info.pending || 0);
+    balance += accountBalance;
+    receivable += accountReceivable;
+    return {
+      accountIndex: account.accountIndex,
+      address: account.address,
+      balance: formatAmount(accountBalance),
+      receivable: formatAmount(accountReceivable),
+    };
+  });
+
+  return {
+    accounts: summary,
+    balance: formatAmount(balance),
+    receivable: formatAmount(receivable),
+  };
+}
+
+module.exports = {
+  MAX_WALLET_ACCOUNTS,
+  deriveAccount,
+  getWalletSummary,
+  newWalletId,
+};
@@ -0,0 +1,637 @@
+const crypto = require('crypto');
+const http = require('http');
+const { blake2b } = require('blakejs');
+const WebSocket = require('ws');
+const { searchWork, workValue } = require('./work/worker');
+
+/*
+    An in-process simulated Nano node, for running TryNano without a real
+    network (see devServer.js and the tests). It keeps a ledger of accounts, blocks and
+    receivable sends, and answers the RPC actions TryNano and nano-client
+    use:
+
+      account_info, accounts_balances, pending / receivable, process,
+      work_generate, account_history, blocks_info, block_count
+
+    `process` checks blocks like a node does: the previous block must be the
+    account's frontier, the work must meet the threshold, a receive must
+    match a receivable send and its amount. Signatures aren't checked. Every
+    block is confirmed at once and published on the WebSocket `confirmation`
+    topic, so the push service works against it too.
+
+    The work thresholds default to far lower than the live network's, so
+    `work_generate` answers instantly. Point WORK_SEND_DIFFICULTY and
+    WORK_RECEIVE_DIFFICULTY at the same values.
+*/
+
+const SIMULATED_SEND_DIFFICULTY = 'ff00000000000000';
+const SIMULATED_RECEIVE_DIFFICULTY = 'f000000000000000';
+
+const ZERO_HASH = '0'.repeat(64);
+const GENESIS_ADDRESS =
+  'nano_3t6k35gi95xu6tergt6p69ck76ogmitsa8mnijtpxm9fkcm736xtoncuohr3';
+const DEFAULT_REPRESENTATIVE =
+  'nano_1kaiak5dbaaqpenb7nshqgq9tehgb5wy9y9ju9ehunexzmkzmzphk8yw8r7u';
+
+const ALPHABET = '13456789abcdefghijkmnopqrstuwxyz';
+
+// state blocks are hashed with this preamble
+const STATE_PREAMBLE = Buffer.alloc(32);
+STATE_PREAMBLE[31] = 6;
+
+/**
+ * Creates a simulated ledger.
+ *
+ * @param {Object} options { sendDifficulty, receiveDifficulty, now }
+ *  - now: () => current time in ms, for block timestamps
+ * @returns {Object} ledger: { rpc, openAccount, fund, onConfirmation, sendDifficulty, receiveDifficulty }
+ */
+function createSimulatedLedger(options = {}) {
+  const sendDifficulty = options.sendDifficulty || SIMULATED_SEND_DIFFICULTY;
+  const receiveDifficulty =
+    options.receiveDifficulty || SIMULATED_RECEIVE_DIFFICULTY;
+  // looked up per call, so a mocked Date applies
+  const now = options.now || (() => Date.now());
+
+  // address => { balance, frontier, representative, chain: [hash, ...] }
+  const accounts = new Map();
+  // hash => block with its subtype, amount, height and timestamp
+  const blocks = new Map();
+  // address => Map of send hash => { amount, source }
+  const receivable = new Map();
+  let listeners = [];
+
+  const RPC = {
+    block_count: () => ({
+      count: String(blocks.size),
+      unchecked: '0',
+      cemented: String(blocks.size),
+    }),
+    account_info: accountInfo,
+    accounts_balances: accountsBalances,
+    pending: pending,
+    receivable: pending,
+    process: processBlock,
+    work_generate: workGenerate,
+    account_history: accountHistory,
+    blocks_info: blocksInfo,
+  };
+
+  /**
+   * Answers an RPC request.
+   *
+   * @param {Object} request parsed RPC body, with its `action`
+   * @returns {Object} the RPC response, node errors as { error }
+   */
+  function rpc(request) {
+    const action = RPC[request.action];
+    return action ? action(request) : { error: 'Unknown command' };
+  }
+
+  /**
+   * Opens an account with a balance, as if it had received it from genesis.
+   *
+   * @param {string} address the account
+   * @param {string} raw its balance
+   * @returns {string} hash of the open block
+   */
+  function openAccount(address, raw) {
+    const send = fund(address, raw);
+    const hash = randomHash();
+    addBlock(
+      {
+        type: 'state',
+        account: address,
+        previous: ZERO_HASH,
+        representative: DEFAULT_REPRESENTATIVE,
+        balance: String(raw),
+        link: send,
+      },
+      hash,
+      'receive',
+      BigInt(raw),
+      GENESIS_ADDRESS
+    );
+    receivable.get(address).delete(send);
+    return hash;
+  }
+
+  /**
+   * Sends an amount from genesis, for the account to receive.
+   *
+   * @param {string} address the account
+   * @param {string} raw amount
+   * @returns {string} hash of the send block
+   */
+  function fund(address, raw) {
+    const hash = randomHash();
+    blocks.set(hash, {
+      hash: hash,
+      account: GENESIS_ADDRESS,
+      subtype: 'send',
+      amount: BigInt(raw),
+      linkAccount: address,
+      height: 1,
+      timestamp: Math.floor(now() / 1000),
+      contents: { type: 'state', account: GENESIS_ADDRESS, link: address },
+    });
+    addReceivable(address, hash, BigInt(raw), GENESIS_ADDRESS);
+    return hash;
+  }
+
+  /**
+   * @param {Function} listener called with every confirmed block, shaped
+   *  like a node WebSocket confirmation message
+   */
+  function onConfirmation(listener) {
+    listeners.push(listener);
+  }
+
+  /**
+   * @param {Object} request { account }
+   * @returns {Object} account_info, or 'Account not found' if unopened
+   */
+  function accountInfo({ account }) {
+    const acc = accounts.get(normalize(account));
+    if (!acc) {
+      return { error: 'Account not found' };
+    }
+    return {
+      frontier: acc.frontier,
+      open_block: acc.chain[0],
+      representative_block: acc.frontier,
+      balance: acc.balance.toString(),
+      modified_timestamp: String(blocks.get(acc.frontier).timestamp),
+      block_count: String(acc.chain.length),
+      confirmation_height: String(acc.chain.length),
+      confirmation_height_frontier: acc.frontier,
+      account_version: '2',
+      representative: acc.representative,
+    };
+  }
+
+  /**
+   * @param {Object} request { accounts }
+   * @returns {Object} { balances } with the receivable total of each account
+   */
+  function accountsBalances({ accounts: addresses }) {
+    const balances = {};
+    (addresses || []).forEach((address) => {
+      const acc = accounts.get(normalize(address));
+      const waiting = Array.from(
+        (receivable.get(normalize(address)) || new Map()).values()
+      ).reduce((sum, entry) => sum + entry.amount, BigInt(0));
+      balances[address] = {
+        balance: acc ? acc.balance.toString() : '0',
+        pending: waiting.toString(),
+        receivable: waiting.toString(),
+      };
+    });
+    return { balances: balances };
+  }
+
+  /**
+   * @param {Object} request { account, count, threshold, source, sorting }
+   * @returns {Object} { blocks } the account can receive, largest first if sorted
+   */
+  function pending({ account, count, threshold, source, sorting }) {
+    let entries = Array.from(
+      (receivable.get(normalize(account)) || new Map()).entries()
+    ).filter(([, entry]) => entry.amount >= BigInt(threshold || 0));
+    if (String(sorting) === 'true') {
+      entries.sort(([, a], [, b]) => (a.amount < b.amount ? 1 : -1));
+    }
+    if (count) {
+      entries = entries.slice(0, Number(count));
+    }
+    if (!entries.length) {
+      // like the node, an empty string rather than an empty object
+      return { blocks: '' };
+    }
+    const out = {};
+    entries.forEach(([hash, entry]) => {
+      out[hash] =
+        String(source) === 'true'
+          ? { amount: entry.amount.toString(), source: entry.source }
+          : entry.amount.toString();
+    });
+    return { blocks: out };
+  }
+
+  /**
+   * Checks a state block and adds it to its account's chain.
+   *
+   * @param {Object} request { block }, as JSON or a JSON string
+   * @returns {Object} { hash }, or the node's error for the block
+   */
+  function processBlock({ block }) {
+    let b;
+    try {
+      b = typeof block === 'string' ? JSON.parse(block) : block;
+    } catch (err) {
+      return { error: 'Block is invalid' };
+    }
+    if (!b || b.type !== 'state' || !b.account || !b.previous || !b.link) {
+      return { error: 'Block is invalid' };
+    }
+    const address = normalize(b.account);
+    const acc = accounts.get(address);
+    const previous = b.previous.toUpperCase();
+    if (!acc && previous !== ZERO_HASH) {
+      return { error: 'Gap previous block' };
+    } else if (acc && previous !== acc.frontier) {
+      return {
+        error: blocks.has(previous) ? 'Fork' : 'Gap previous block',
+      };
+    }
+
+    const balance = BigInt(b.balance);
+    const old = acc ? acc.balance : BigInt(0);
+    const link = b.link.toUpperCase();
+    let subtype;
+    if (balance < old) {
+      subtype = 'send';
+    } else if (balance > old) {
+      subtype = acc ? 'receive' : 'open';
+    } else if (link === ZERO_HASH) {
+      subtype = 'change';
+    } else {
+      return { error: 'Block is invalid' };
+    }
+
+    const root = acc ? previous : addressToPublicKey(address);
+    const threshold =
+      subtype === 'send' || subtype === 'change'
+        ? sendDifficulty
+        : receiveDifficulty;
+    if (!b.work || workValue(root, b.work) < threshold.toLowerCase()) {
+      return { error: 'Block work is insufficient' };
+    }
+
+    let source;
+    if (subtype === 'receive' || subtype === 'open') {
+      const entry = (receivable.get(address) || new Map()).get(link);
+      if (!entry) {
+        return { error: 'Unreceivable' };
+      } else if (entry.amount !== balance - old) {
+        return { error: 'Balance and amount delta do not match' };
+      }
+      receivable.get(address).delete(link);
+      source = entry.source;
+    }
+
+    const hash = blockHash(b);
+    if (blocks.has(hash)) {
+      return { error: 'Old block' };
+    }
+    const amount = balance > old ? balance - old : old - balance;
+    addBlock(b, hash, subtype === 'open' ? 'receive' : subtype, amount, source);
+    if (subtype === 'send') {
+      addReceivable(publicKeyToAddress(link), hash, amount, address);
+    }
+    return { hash: hash };
+  }
+
+  /**
+   * @param {Object} request { hash, difficulty }
+   * @returns {Object} { work, difficulty, multiplier, hash }
+   */
+  function workGenerate({ hash, difficulty }) {
+    // never harder than the simulated network needs
+    const target =
+      difficulty && difficulty.toLowerCase() < sendDifficulty
+        ? difficulty.toLowerCase()
+        : sendDifficulty;
+    const start = crypto.randomBytes(8);
+    let work;
+    while (!work) {
+      work = searchWork(
+        hash,
+        target,
+        [start.readUInt32LE(0), start.readUInt32LE(4)],
+        1 << 20
+      );
+    }
+    return {
+      work: work,
+      difficulty: workValue(hash, work),
+      multiplier: '1',
+      hash: hash,
+    };
+  }
+
+  /**
+   * @param {Object} request { account, count, head, raw }
+   * @returns {Object} { account, history, previous }, newest first from head
+   */
+  function accountHistory({ account, count, head, raw }) {
+    const acc = accounts.get(normalize(account));
+    if (!acc) {
+      return { account: account, history: '' };
+    }
+    const chain = acc.chain.slice().reverse();
+    const start = head ? chain.indexOf(head.toUpperCase()) : 0;
+    if (start < 0) {
+      return { error: 'Invalid block hash' };
+    }
+    const page = chain.slice(start, start + Number(count || chain.length));
+    const out = {
+      account: normalize(account),
+      history: page.map((hash) => historyEntry(blocks.get(hash), raw)),
+    };
+    if (chain[start + page.length]) {
+      out.previous = chain[start + page.length];
+    }
+    return out;
+  }
+
+  /**
+   * @param {Object} request { hashes }
+   * @returns {Object} { blocks }, or 'Block not found' if any is unknown
+   */
+  function blocksInfo({ hashes }) {
+    const out = {};
+    for (const hash of hashes || []) {
+      const block = blocks.get(hash.toUpperCase());
+      if (!block) {
+        return { error: 'Block not found' };
+      }
+      out[hash] = {
+        block_account: block.account,
+        amount: block.amount.toString(),
+        balance: block.contents.balance,
+        height: String(block.height),
+        local_timestamp: String(block.timestamp),
+        confirmed: 'true',
+        contents: block.contents,
+        subtype: block.subtype,
+      };
+    }
+    return { blocks: out };
+  }
+
+  /**
+   * @param {Object} block a stored block
+   * @param {string} raw 'true' for the block's fields, like the node
+   * @returns {Object} the block as an account_history entry
+   */
+  function historyEntry(block, raw) {
+    const entry = {
+      type: String(raw) === 'true' ? 'state' : block.subtype,
+      account: block.counterparty,
+      amount: block.amount.toString(),
+      local_timestamp: String(block.timestamp),
+      height: String(block.height),
+      hash: block.hash,
+      confirmed: 'true',
+    };
+    if (String(raw) === 'true') {
+      Object.assign(entry, {
+        subtype: block.subtype,
+        representative: block.contents.representative,
+        link: block.contents.link,
+        balance: block.contents.balance,
+        previous: block.contents.previous,
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * Adds a block to an account's chain and publishes its confirmation.
+   *
+   * @param {Object} contents the state block
+   * @param {string} hash its hash
+   * @param {string} subtype 'send', 'receive' or 'change'
+   * @param {BigInt} amount amount moved
+   * @param {string} source for receives, the sending account
+   */
+  function addBlock(contents, hash, subtype, amount, source) {
+    const address = normalize(contents.account);
+    const acc = accounts.get(address) || {
+      balance: BigInt(0),
+      chain: [],
+    };
+    const linkAccount =
+      subtype === 'send'
+        ? publicKeyToAddress(contents.link.toUpperCase())
+        : undefined;
+    const block = {
+      hash: hash,
+      account: address,
+      subtype: subtype,
+      amount: amount,
+      counterparty: subtype === 'send' ? linkAccount : source,
+      linkAccount: linkAccount,
+      height: acc.chain.length + 1,
+      timestamp: Math.floor(now() / 1000),
+      contents: Object.assign({}, contents, {
+        account: address,
+        link_as_account: linkAccount,
+      }),
+    };
+    blocks.set(hash, block);
+    acc.balance = BigInt(contents.balance);
+    acc.frontier = hash;
+    acc.representative = contents.representative || DEFAULT_REPRESENTATIVE;
+    acc.chain.push(hash);
+    accounts.set(address, acc);
+
+    const confirmation = {
+      account: address,
+      amount: amount.toString(),
+      hash: hash,
+      confirmation_type: 'active_quorum',
+      block: Object.assign({}, block.contents, { subtype: subtype }),
+    };
+    listeners.forEach((listener) => listener(confirmation));
+  }
+
+  /**
+   * @param {string} address the receiving account
+   * @param {string} hash the send block
+   * @param {BigInt} amount amount sent
+   * @param {string} source the sending account
+   */
+  function addReceivable(address, hash, amount, source) {
+    if (!receivable.has(address)) {
+      receivable.set(address, new Map());
+    }
+    receivable.get(address).set(hash, { amount: amount, source: source });
+  }
+
+  return {
+    sendDifficulty: sendDifficulty,
+    receiveDifficulty: receiveDifficulty,
+    rpc: rpc,
+    openAccount: openAccount,
+    fund: fund,
+    onConfirmation: onConfirmation,
+  };
+}
+
+/**
+ * Serves a simulated ledger like a node: RPC as JSON POSTs, and the
+ * `confirmation` topic over WebSocket on the same port.
+ *
+ * @param {Object} ledger from createSimulatedLedger
+ * @returns {http.Server} the server, not yet listening
+ */
+function createSimulatedNodeServer(ledger) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      let result;
+      try {
+        result = ledger.rpc(JSON.parse(body));
+      } catch (err) {
+        result = { error: 'Unable to parse JSON' };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    });
+  });
+
+  // socket => Set of watched accounts, or null for every account
+  const subscribers = new Map();
+  new WebSocket.Server({ server: server }).on('connection', (socket) => {
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return;
+      }
+      if (message.topic !== 'confirmation') {
+        return;
+      }
+      if (message.action === 'subscribe') {
+        const watched = message.options && message.options.accounts;
+        subscribers.set(socket, watched ? new Set(watched) : null);
+      } else if (message.action === 'unsubscribe') {
+        subscribers.delete(socket);
+      }
+      if (message.ack) {
+        socket.send(JSON.stringify({ ack: message.action, id: message.id }));
+      }
+    });
+    socket.on('close', () => subscribers.delete(socket));
+  });
+
+  ledger.onConfirmation((confirmation) => {
+    const event = JSON.stringify({
+      topic: 'confirmation',
+      time: String(Date.now()),
+      message: confirmation,
+    });
+    subscribers.forEach((watched, socket) => {
+      if (
+        !watched ||
+        watched.has(confirmation.account) ||
+        watched.has(confirmation.block.link_as_account)
+      ) {
+        socket.send(event);
+      }
+    });
+  });
+
+  return server;
+}
+
+/**
+ * @param {Object} block a state block
+ * @returns {string} its hash, as the node computes it
+ */
+function blockHash(block) {
+  const balance = Buffer.from(
+    BigInt(block.balance).toString(16).padStart(32, '0'),
+    'hex'
+  );
+  return Buffer.from(
+    blake2b(
+      Buffer.concat([
+        STATE_PREAMBLE,
+        Buffer.from(addressToPublicKey(block.account), 'hex'),
+        Buffer.from(block.previous, 'hex'),
+        Buffer.from(addressToPublicKey(block.representative), 'hex'),
+        balance,
+        Buffer.from(block.link, 'hex'),
+      ]),
+      null,
+      32
+    )
+  )
+    .toString('hex')
+    .toUpperCase();
+}
+
+/**
+ * @param {string} address nano_ or xrb_ address
+ * @returns {string} its public key, 64 uppercase hex
+ */
+function addressToPublicKey(address) {
+  // 52 base32 characters: 4 padding bits and the 256-bit key
+  let bits = '';
+  for (const char of address.slice(-60, -8)) {
+    bits += ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+  return BigInt('0b' + bits.slice(4))
+    .toString(16)
+    .padStart(64, '0')
+    .toUpperCase();
+}
+
+/**
+ * @param {string} publicKey 64 hex public key
+ * @returns {string} its nano_ address
+ */
+function publicKeyToAddress(publicKey) {
+  const key = Buffer.from(publicKey, 'hex');
+  const checksum = Buffer.from(blake2b(key, null, 5)).reverse();
+  return `nano_${base32(
+    '0000' +
+      BigInt('0x' + publicKey)
+        .toString(2)
+        .padStart(256, '0')
+  )}${base32(
+    BigInt('0x' + checksum.toString('hex'))
+      .toString(2)
+      .padStart(40, '0')
+  )}`;
+}
+
+/**
+ * @param {string} bits binary string, a multiple of 5 long
+ * @returns {string} the bits in nano's base32 alphabet
+ */
+function base32(bits) {
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    out += ALPHABET[parseInt(bits.slice(i, i + 5), 2)];
+  }
+  return out;
+}
+
+/**
+ * @param {string} address nano_ or xrb_ address
+ * @returns {string} the nano_ form
+ */
+function normalize(address) {
+  return address.replace(/^xrb_/, 'nano_');
+}
+
+/**
+ * @returns {string} a random block hash, for blocks outside any chain
+ */
+function randomHash() {
+  return crypto.randomBytes(32).toString('hex').toUpperCase();
+}
+
+module.exports = {
+  GENESIS_ADDRESS,
+  SIMULATED_RECEIVE_DIFFICULTY,
+  SIMULATED_SEND_DIFFICULTY,
+  createSimulatedLedger,
+  createSimulatedNodeServer,
+};
@@ -0,0 +1,107 @@
+/*
+    A tiny, backend-agnostic condition language shared by the storage
+    implementations. A condition list is an array of
+    { attr, op, value } objects that are AND-ed together, e.g.
+
+        [
+          { attr: 'returnToFaucetEpoch', op: '<', value: Date.now() },
+          { attr: 'balance', op: '<>', value: '0' },
+        ]
+
+    Supported ops: =, <>, <, <=, >, >=, exists, notExists
+*/
+
+const COMPARISON_OPS = ['=', '<>', '<', '<=', '>', '>='];
+
+// Error code thrown when a conditional write is rejected. Matches the code
+// DynamoDB uses so callers only ever need to check for one value.
+const CONDITION_FAILED = 'ConditionalCheckFailedException';
+
+/**
+ * Checks whether an in-memory item satisfies every condition in the list.
+ *
+ * @param {Object} item the stored item (may be null if it does not exist)
+ * @param {Object[]} conditions list of { attr, op, value } conditions
+ * @returns {boolean} true if all conditions hold
+ */
+function matchesConditions(item, conditions = []) {
+  return conditions.every(({ attr, op, value }) => {
+    const actual = item ? item[attr] : undefined;
+    switch (op) {
+      case 'exists':
+        return actual !== undefined;
+      case 'notExists':
+        return actual === undefined;
+      case '=':
+        return actual === value;
+      case '<>':
+        return actual !== value;
+      case '<':
+        return actual !== undefined && actual < value;
+      case '<=':
+        return actual !== undefined && actual <= value;
+      case '>':
+        return actual !== undefined && actual > value;
+      case '>=':
+        return actual !== undefined && actual >= value;
+      default:
+        throw new Error(`unsupported condition operator: ${op}`);
+    }
+  });
+}
+
+/**
+ * Translates a condition list into a DynamoDB expression plus its attribute
+ * name/value placeholders. Values are left unmarshalled so callers can run
+ * them through the DynamoDB converter alongside their other values.
+ *
+ * @param {Object[]} conditions list of { attr, op, value } conditions
+ * @param {string} prefix placeholder prefix, keeps names unique when an
+ *  update expression and a condition expression are combined
+ * @returns {{expression: string, names: Object, values: Object}}
+ */
+function buildConditionExpression(conditions = [], prefix = 'c') {
+  const names = {};
+  const values = {};
+  const clauses = conditions.map(({ attr, op, value }, i) => {
+    const name = `#${prefix}${i}`;
+    names[name] = attr;
+    if (op === 'exists') {
+      return `attribute_exists(${name})`;
+    }
+    if (op === 'notExists') {
+      return `attribute_not_exists(${name})`;
+    }
+    if (!COMPARISON_OPS.includes(op)) {
+      throw new Error(`unsupported condition operator: ${op}`);
+    }
+    const placeholder = `:${prefix}${i}`;
+    values[placeholder] = value;
+    return `${name} ${op} ${placeholder}`;
+  });
+
+  return {
+    expression: clauses.join(' AND '),
+    names: names,
+    values: values,
+  };
+}
+
+/**
+ * Builds the error thrown by non-DynamoDB stores when a conditional write
+ * is rejected.
+ *
+ * @returns {Error} error with code set to CONDITION_FAILED
+ */
+function conditionFailedError() {
+  const err = new Error('The conditional request failed');
+  err.code = CONDITION_FAILED;
+  return err;
+}
+
+module.exports = {
+  CONDITION_FAILED,
+  conditionFailedError,
+  matchesConditions,
+  buildConditionExpression,
+};
@@ -0,0 +1,157 @@
+const AWS = require('aws-sdk');
+const { buildConditionExpression } = require('./conditions');
+
+const { marshall, unmarshall } = AWS.DynamoDB.Converter;
+
+/**
+ * Creates a store backed by DynamoDB. Every logical table maps onto a real
+ * DynamoDB table with a single string hash key.
+ *
+ * @param {Object} tables logical table definitions ({ name, key })
+ * @param {Object} options { region }
+ * @returns {Object} store implementing the storage interface
+ */
+function createDynamoStore(tables, options = {}) {
+  const ddb = new AWS.DynamoDB({
+    region: options.region || 'us-west-1',
+  });
+
+  const tableFor = (table) => {
+    const def = tables[table];
+    if (!def) {
+      throw new Error(`unknown table: ${table}`);
+    }
+    return def;
+  };
+
+  const keyFor = (def, key) => marshall({ [def.key]: key });
+
+  return {
+    async getItem(table, key) {
+      const def = tableFor(table);
+      const res = await ddb
+        .getItem({
+          TableName: def.name,
+          Key: keyFor(def, key),
+        })
+        .promise();
+      return res.Item ? unmarshall(res.Item) : null;
+    },
+
+    async putItem(table, item, { conditions } = {}) {
+      const def = tableFor(table);
+      const params = {
+        TableName: def.name,
+        Item: marshall(item, { removeUndefinedValues: true }),
+      };
+      if (conditions && conditions.length) {
+        const cond = buildConditionExpression(conditions);
+        params.ConditionExpression = cond.expression;
+        params.ExpressionAttributeNames = cond.names;
+        if (Object.keys(cond.values).length) {
+          params.ExpressionAttributeValues = marshall(cond.values);
+        }
+      }
+      await ddb.putItem(params).promise();
+      return item;
+    },
+
+    async updateItem(table, key, attrs, { conditions } = {}) {
+      const def = tableFor(table);
+      const names = {};
+      const values = {};
+      const sets = [];
+      const removes = [];
+      Object.keys(attrs).forEach((attr, i) => {
+        names[`#u${i}`] = attr;
+        if (attrs[attr] === undefined) {
+          removes.push(`#u${i}`);
+        } else {
+          values[`:u${i}`] = attrs[attr];
+          sets.push(`#u${i} = :u${i}`);
+        }
+      });
+      const clauses = [];
+      if (sets.length) {
+        clauses.push(`SET ${sets.join(', ')}`);
+      }
+      if (removes.length) {
+        clauses.push(`REMOVE ${removes.join(', ')}`);
+      }
+      const params = {
+        TableName: def.name,
+        Key: keyFor(def, key),
+        UpdateExpression: clauses.join(' '),
+        ReturnValues: 'ALL_NEW',
+      };
+      if (conditions && conditions.length) {
+        const cond = buildConditionExpression(conditions);
+        params.ConditionExpression = cond.expression;
+        Object.assign(names, cond.names);
+        Object.assign(values, cond.values);
+      }
+      params.ExpressionAttributeNames = names;
+      if (Object.keys(values).length) {
+        params.ExpressionAttributeValues = marshall(values);
+      }
+      const res = await ddb.updateItem(params).promise();
+      return res.Attributes ? unmarshall(res.Attributes) : null;
+    },
+
+    async deleteItem(table, key, { conditions } = {}) {
+      const def = tableFor(table);
+      const params = {
+        TableName: def.name,
+        Key: keyFor(def, key),
+      };
+      if (conditions && conditions.length) {
+        const cond = buildConditionExpression(conditions);
+        params.ConditionExpression = cond.expression;
+        params.ExpressionAttributeNames = cond.names;
+        if (Object.keys(cond.values).length) {
+          params.ExpressionAttributeValues = marshall(cond.values);
+        }
+      }
+      await ddb.deleteItem(params).promise();
+    },
+
+    async scanItems(table, { conditions, attributes, startKey, limit } = {}) {
+      const def = tableFor(table);
+      const params = {
+        TableName: def.name,
+      };
+      if (conditions && conditions.length) {
+        const cond = buildConditionExpression(conditions);
+        params.FilterExpression = cond.expression;
+        params.ExpressionAttributeNames = cond.names;
+        params.ExpressionAttributeValues = marshall(cond.values);
+      }
+      if (attributes && attributes.length) {
+        params.ExpressionAttributeNames = params.ExpressionAttributeNames || {};
+        params.ProjectionExpression = attributes
+          .map((attr, i) => {
+            params.ExpressionAttributeNames[`#p${i}`] = attr;
+            return `#p${i}`;
+          })
+          .join(', ');
+      }
+      if (startKey) {
+        params.ExclusiveStartKey = keyFor(def, startKey);
+      }
+      if (limit) {
+        params.Limit = limit;
+      }
+      const res = await ddb.scan(params).promise();
+      return {
+        items: (res.Items || []).map((item) => unmarshall(item)),
+        lastKey: res.LastEvaluatedKey
+          ? unmarshall(res.LastEvaluatedKey)[def.key]
+          : undefined,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createDynamoStore,
+};
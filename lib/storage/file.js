@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+
+/**
+ * Creates a store that keeps every table in a single JSON file on disk. The
+ * file is read once on startup and rewritten after every write, which is
+ * plenty for local development but not meant for concurrent processes.
+ *
+ * @param {Object} tables logical table definitions ({ name, key })
+ * @param {Object} options { filePath }
+ * @returns {Object} store implementing the storage interface
+ */
+function createFileStore(tables, options = {}) {
+  const filePath = path.resolve(options.filePath || '.trynano-data.json');
+
+  let data = {};
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  return createMemoryStore(tables, {
+    data: data,
+    onChange: (snapshot) => {
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    },
+  });
+}
+
+module.exports = {
+  createFileStore,
+};
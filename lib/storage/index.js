@@ -0,0 +1,125 @@
+const { CONDITION_FAILED } = require('./conditions');
+const { metrics } = require('../metrics');
+const { withSpan } = require('../tracing');
+
+/*
+    Logical tables used by TryNano. `name` is the physical table name used by
+    the DynamoDB backend and `key` is the (string) hash key attribute.
+*/
+const TABLES = {
+  wallets: { name: 'TryNanoWallets', key: 'walletID' },
+  seedWallets: { name: 'TryNanoSeedWallets', key: 'walletId' },
+  faucetIpHistory: { name: 'FaucetIpHistory', key: 'ipAddress' },
+  walletHistory: { name: 'TryNanoWalletHistory', key: 'walletID' },
+  idempotencyKeys: { name: 'TryNanoIdempotencyKeys', key: 'idempotencyKey' },
+  accountLocks: { name: 'TryNanoAccountLocks', key: 'account' },
+  powChallenges: { name: 'TryNanoPowChallenges', key: 'challenge' },
+  faucetBudget: { name: 'TryNanoFaucetBudget', key: 'day' },
+  rateLimits: { name: 'TryNanoRateLimits', key: 'bucket' },
+  sweepCheckpoints: { name: 'TryNanoSweepCheckpoints', key: 'sweepId' },
+  pushConnections: { name: 'TryNanoPushConnections', key: 'connectionId' },
+  adminSettings: { name: 'TryNanoAdminSettings', key: 'setting' },
+  accessRules: { name: 'TryNanoAccessRules', key: 'subject' },
+  monitorState: { name: 'TryNanoMonitorState', key: 'name' },
+  workCache: { name: 'TryNanoWorkCache', key: 'hash' },
+  paymentRequests: { name: 'TryNanoPaymentRequests', key: 'requestId' },
+  webhooks: { name: 'TryNanoWebhooks', key: 'webhookId' },
+  webhookDeliveries: { name: 'TryNanoWebhookDeliveries', key: 'deliveryId' },
+  webhookDeadLetters: {
+    name: 'TryNanoWebhookDeadLetters',
+    key: 'deliveryId',
+  },
+  sendWatches: { name: 'TryNanoSendWatches', key: 'hash' },
+};
+
+const OPERATIONS = [
+  'getItem',
+  'putItem',
+  'updateItem',
+  'deleteItem',
+  'scanItems',
+];
+
+/**
+ * Creates the storage backend selected by config.
+ *
+ * Every backend implements the same interface:
+ *  - getItem(table, key)
+ *  - putItem(table, item, { conditions })
+ *  - updateItem(table, key, attrs, { conditions }), undefined attrs are removed
+ *  - deleteItem(table, key, { conditions })
+ *  - scanItems(table, { conditions, attributes, startKey, limit })
+ *
+ * Every call is traced and timed (storage_duration_ms, by table and
+ * operation).
+ *
+ * @param {Object} options { backend, region, filePath }
+ *  - backend: 'dynamodb' (default), 'memory' or 'file'
+ * @returns {Object} store implementing the storage interface
+ */
+function createStore(options = {}) {
+  const backend = options.backend || 'dynamodb';
+  switch (backend) {
+    case 'dynamodb':
+      return instrument(
+        require('./dynamodb').createDynamoStore(TABLES, options)
+      );
+    case 'memory':
+      return localStore('memory', () =>
+        require('./memory').createMemoryStore(TABLES, options)
+      );
+    case 'file':
+      return localStore(`file:${options.filePath || ''}`, () =>
+        require('./file').createFileStore(TABLES, options)
+      );
+    default:
+      throw new Error(`unknown storage backend: ${backend}`);
+  }
+}
+
+/*
+    The memory and file backends hold their data in the process, so every
+    createStore call for the same backend (and file) gets the same store.
+    Otherwise the API, the sweep and the push service would each see their
+    own copy when they run in one process (devServer.js).
+*/
+const localStores = new Map();
+
+/**
+ * @param {string} id backend and file the store is for
+ * @param {Function} create creates the backend if this process has none yet
+ * @returns {Object} the instrumented store
+ */
+function localStore(id, create) {
+  if (!localStores.has(id)) {
+    localStores.set(id, instrument(create()));
+  }
+  return localStores.get(id);
+}
+
+/**
+ * Wraps the storage interface of a backend with trace spans and timings.
+ *
+ * @param {Object} store storage backend
+ * @returns {Object} the instrumented store, backend extras are kept
+ */
+function instrument(store) {
+  const wrapped = Object.assign({}, store);
+  OPERATIONS.forEach((operation) => {
+    wrapped[operation] = (table, ...args) =>
+      withSpan(`storage.${operation}`, { table: table }, () =>
+        metrics.time(
+          'storage_duration_ms',
+          { table: table, operation: operation },
+          () => store[operation](table, ...args)
+        )
+      );
+  });
+  return wrapped;
+}
+
+module.exports = {
+  CONDITION_FAILED,
+  TABLES,
+  createStore,
+};
@@ -0,0 +1,135 @@
+const { matchesConditions, conditionFailedError } = require('./conditions');
+
+/**
+ * Creates a store that keeps every table in process memory. Useful for the
+ * local express server and tests; nothing survives a restart.
+ *
+ * @param {Object} tables logical table definitions ({ name, key })
+ * @param {Object} options { data, onChange }
+ *  - data: initial table contents, keyed by logical table name
+ *  - onChange: called with a snapshot of all tables after every write
+ * @returns {Object} store implementing the storage interface
+ */
+function createMemoryStore(tables, options = {}) {
+  const data = {};
+  Object.keys(tables).forEach((table) => {
+    data[table] = new Map();
+    const initial = (options.data && options.data[table]) || [];
+    initial.forEach((item) => data[table].set(item[tables[table].key], item));
+  });
+
+  const tableFor = (table) => {
+    if (!data[table]) {
+      throw new Error(`unknown table: ${table}`);
+    }
+    return data[table];
+  };
+
+  // Items are copied in and out so callers can't mutate stored state
+  const copy = (item) =>
+    item === undefined || item === null
+      ? null
+      : JSON.parse(JSON.stringify(item));
+
+  const changed = () => {
+    if (options.onChange) {
+      options.onChange(snapshot());
+    }
+  };
+
+  const snapshot = () => {
+    const out = {};
+    Object.keys(data).forEach((table) => {
+      out[table] = Array.from(data[table].values());
+    });
+    return out;
+  };
+
+  return {
+    async getItem(table, key) {
+      return copy(tableFor(table).get(key));
+    },
+
+    async putItem(table, item, { conditions } = {}) {
+      const rows = tableFor(table);
+      const key = item[tables[table].key];
+      if (!matchesConditions(rows.get(key) || null, conditions)) {
+        throw conditionFailedError();
+      }
+      rows.set(key, copy(item));
+      changed();
+      return copy(item);
+    },
+
+    async updateItem(table, key, attrs, { conditions } = {}) {
+      const rows = tableFor(table);
+      const existing = rows.get(key) || null;
+      if (!matchesConditions(existing, conditions)) {
+        throw conditionFailedError();
+      }
+      const updated = Object.assign({ [tables[table].key]: key }, existing);
+      Object.keys(attrs).forEach((attr) => {
+        if (attrs[attr] === undefined) {
+          delete updated[attr];
+        } else {
+          updated[attr] = copy(attrs[attr]);
+        }
+      });
+      rows.set(key, updated);
+      changed();
+      return copy(updated);
+    },
+
+    async deleteItem(table, key, { conditions } = {}) {
+      const rows = tableFor(table);
+      if (!matchesConditions(rows.get(key) || null, conditions)) {
+        throw conditionFailedError();
+      }
+      rows.delete(key);
+      changed();
+    },
+
+    async scanItems(table, { conditions, attributes, startKey, limit } = {}) {
+      // Scanned in key order so a page can resume after startKey even if
+      // that row was deleted since, like DynamoDB's ExclusiveStartKey
+      const rows = Array.from(tableFor(table).entries()).sort(([a], [b]) =>
+        a < b ? -1 : a > b ? 1 : 0
+      );
+      let start = 0;
+      if (startKey !== undefined) {
+        start = rows.findIndex(([key]) => key > startKey);
+        if (start < 0) {
+          start = rows.length;
+        }
+      }
+      // Like DynamoDB, the limit applies before filtering
+      const page = limit ? rows.slice(start, start + limit) : rows.slice(start);
+      const items = page
+        .map(([, item]) => item)
+        .filter((item) => matchesConditions(item, conditions))
+        .map((item) => {
+          if (!attributes || !attributes.length) {
+            return copy(item);
+          }
+          const projected = {};
+          attributes.forEach((attr) => {
+            if (item[attr] !== undefined) {
+              projected[attr] = item[attr];
+            }
+          });
+          return copy(projected);
+        });
+      const hasMore = limit && start + limit < rows.length;
+      return {
+        items: items,
+        lastKey: hasMore ? page[page.length - 1][0] : undefined,
+      };
+    },
+
+    snapshot: snapshot,
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,528 @@
+const { ACCOUNT_BUSY, withAccountLock } = require('./locks');
+const { validate } = require('./validation');
+const { formatAmount, rawToNano, storedBalance } = require('./amounts');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const {
+  RETURN_TO_FAUCET_EPOCH_MS,
+  response,
+  validateCoreOptions,
+} = require('./core');
+
+/*
+    The return-to-faucet sweep: sends the nano in wallets that haven't been
+    used for RETURN_TO_FAUCET_EPOCH_MS back to the faucet, then receives it.
+    Run on a schedule by the ReturnAllNanoToFaucet Lambda, and on demand
+    through the admin API.
+
+    The sweep checkpoints under this id so a run that times out is picked up
+    by the next one. Checkpoints older than a day are abandoned and the sweep
+    starts over.
+*/
+const SWEEP_ID = 'returnAllNanoToFaucet';
+const SWEEP_CHECKPOINT_TTL_SECONDS = 86400;
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_CONCURRENCY = 5;
+
+// Stop sweeping with this much Lambda time left, to receive and checkpoint
+const SWEEP_TIME_RESERVE_MS = 60000;
+
+/*
+    Options accepted in the event payload:
+      - dryRun: report what would be swept, and how much, without moving funds
+      - addresses: only sweep these wallets
+      - minBalance: skip wallets holding less than this (dust)
+      - idleMinutes: how long a wallet must be unused, instead of the usual hour
+*/
+const SWEEP_OPTIONS_SCHEMA = {
+  dryRun: { type: 'boolean' },
+  addresses: { type: 'list', of: 'address', max: 100 },
+  minBalance: { type: 'amount' },
+  idleMinutes: { type: 'integer', min: 0, max: 525600 },
+};
+
+/**
+ * Reads the sweep options from the environment.
+ *
+ *  - SWEEP_PAGE_SIZE: wallets read from the store per page
+ *  - SWEEP_CONCURRENCY: wallets swept at once
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createSweeper
+ */
+function sweepOptionsFromEnv(env) {
+  return {
+    pageSize: Number(env.SWEEP_PAGE_SIZE) || DEFAULT_PAGE_SIZE,
+    concurrency: Number(env.SWEEP_CONCURRENCY) || DEFAULT_CONCURRENCY,
+  };
+}
+
+/**
+ * Creates the sweep.
+ *
+ * @param {Object} deps { core, options }
+ *  - core: from createCore, see lib/core
+ *  - options: from sweepOptionsFromEnv
+ * @returns {Object} { run }
+ */
+function createSweeper({ core, options: sweepOptions }) {
+  const {
+    store,
+    node,
+    client: c,
+    wallets,
+    nano,
+    monitor,
+    webhooks,
+    faucet,
+  } = core;
+
+  /**
+   * Validates the sweep options, sweeps and receives the returned nano into the faucet.
+   *
+   * @param {Object} event sweep options (see SWEEP_OPTIONS_SCHEMA), anything else is ignored
+   * @param {Object} context Lambda context, used to stop before the function times out
+   * @returns {HttpResponse} Http response object
+   */
+  async function run(event, context) {
+    try {
+      logger.info('sweep started', { event: event });
+
+      const error = validateCoreOptions(core.options);
+      if (error) {
+        return response(500, { error: error });
+      }
+
+      const { params: options, error: optionsError } = validate(
+        SWEEP_OPTIONS_SCHEMA,
+        event || {}
+      );
+      if (optionsError) {
+        return response(400, { error: optionsError.message });
+      }
+
+      // Get Faucet account info to check things like the current balance
+      const accountInfo = await nano.faucetAccountInfo();
+
+      if (!accountInfo) {
+        return response(500, {
+          error: `unable to retrieve faucet account info`,
+        });
+      }
+
+      const previousFaucetBalance = formatAmount(accountInfo.balance.RAW);
+
+      // Try to return all non-zero nano balances back to the TryNano faucet
+      const sweep = await returnAllNanoToFaucet(options, () =>
+        context && context.getRemainingTimeInMillis
+          ? context.getRemainingTimeInMillis() < SWEEP_TIME_RESERVE_MS
+          : false
+      );
+
+      if (options.dryRun) {
+        return finish({
+          dryRun: true,
+          walletCount: sweep.walletCount,
+          complete: sweep.complete,
+          totals: sweep.totals,
+          report: sweep.report,
+          faucetBalance: previousFaucetBalance,
+        });
+      }
+
+      // Confirm any pending faucet transactions so the balance is fully up to date
+      const receiveRes = await nano.receiveFaucet();
+      if (receiveRes.error) {
+        await monitor.recordSweep({
+          failed: sweep.totals.failed,
+          error: receiveRes.error,
+        });
+        return response(500, {
+          error: receiveRes.error,
+          report: sweep.report,
+        });
+      }
+
+      const res = finish({
+        walletCount: sweep.walletCount,
+        complete: sweep.complete,
+        totals: sweep.totals,
+        report: sweep.report,
+        previousFaucetBalance: previousFaucetBalance,
+        updatedFaucetBalance: receiveRes.updatedFaucetBalance,
+        resolvedCount: receiveRes.resolvedCount,
+      });
+      await monitor.recordSweep({
+        balance: BigInt(receiveRes.updatedFaucetBalance.raw),
+        failed: sweep.totals.failed,
+      });
+      return res;
+    } catch (err) {
+      logger.error('sweep failed', { err: err });
+      if (!(event && event.dryRun)) {
+        await monitor.recordSweep({ error: err.message });
+      }
+      return response(500, { error: err.message });
+    }
+  }
+
+  /**
+   * Logs a finished sweep and builds its response. Per-wallet results are
+   * left out of the log, failures were already logged as they happened.
+   *
+   * @param {Object} body the sweep result
+   * @returns {HttpResponse} 200 response with the result
+   */
+  function finish(body) {
+    const summary = Object.assign({}, body);
+    delete summary.report;
+    logger.info('sweep finished', { statusCode: 200, body: summary });
+    return response(200, body);
+  }
+
+  /**
+   * Gets all non-zero balance nano accounts that haven't been used for at least 1 hour,
+   * and sends all their nano to the TryNano faucet.
+   *
+   * The wallet table is scanned a page at a time and each page is swept with
+   * `concurrency` wallets in flight. After every page a checkpoint is
+   * saved, so if the Lambda runs out of time (or is killed) the next run
+   * carries on from the last finished page instead of starting over. A failing
+   * wallet is recorded in the report and never stops the rest of the sweep.
+   *
+   * Dry runs and targeted sweeps are one-off inspections, so they never
+   * checkpoint. Sweeps with a custom minBalance or idleMinutes checkpoint
+   * separately from the scheduled sweep.
+   *
+   * @param {Object} options sweep options, see SWEEP_OPTIONS_SCHEMA
+   * @param {Function} shouldStop returns true when it's time to stop and checkpoint
+   * @returns {Object} { walletCount, complete, totals, report } where report has
+   *  one { address, status, reason, amount } entry per wallet swept by this run,
+   *  and amounts are { raw, nano }
+   */
+  async function returnAllNanoToFaucet(options, shouldStop) {
+    const now = Date.now();
+    const checkpoints = !options.dryRun && !options.addresses;
+    const sweepId = [SWEEP_ID, options.minBalance && options.minBalance.RAW]
+      .concat(options.idleMinutes !== undefined ? [options.idleMinutes] : [])
+      .filter((part) => part !== undefined)
+      .join(':');
+
+    let checkpoint = checkpoints
+      ? await store.getItem('sweepCheckpoints', sweepId)
+      : undefined;
+    if (checkpoint && checkpoint.expirationTs < now / 1000) {
+      // TTL deletion is lazy, don't resume a sweep that has been abandoned
+      checkpoint = undefined;
+    }
+    const sweep = checkpoint || {
+      sweepId: sweepId,
+      // wallets last used before this are idle
+      cutoff:
+        options.idleMinutes !== undefined
+          ? now - options.idleMinutes * 60000 + RETURN_TO_FAUCET_EPOCH_MS
+          : now,
+      startKey: undefined,
+      totals: {
+        [options.dryRun ? 'wouldReturn' : 'returned']: 0,
+        skipped: 0,
+        failed: 0,
+        amount: '0',
+      },
+    };
+    if (checkpoint) {
+      logger.info('resuming sweep from checkpoint', {
+        startKey: checkpoint.startKey,
+        totals: checkpoint.totals,
+      });
+    }
+
+    const report = [];
+    const mode = options.dryRun ? 'dryRun' : 'sweep';
+    const addResults = (results) => {
+      results.forEach((result) => {
+        sweep.totals[result.status]++;
+        metrics.increment('sweep_wallets', {
+          mode: mode,
+          status: result.status,
+        });
+        if (result.amount) {
+          metrics.increment(
+            'sweep_amount_nano',
+            { mode: mode },
+            Number(rawToNano(result.amount.raw))
+          );
+          sweep.totals.amount = (
+            BigInt(sweep.totals.amount) + BigInt(result.amount.raw)
+          ).toString();
+        }
+        report.push(result);
+      });
+    };
+    const sweepOne = (wallet) => sweepWallet(wallet, sweep.cutoff, options);
+    const minBalance = options.minBalance
+      ? BigInt(options.minBalance.RAW)
+      : BigInt(1);
+
+    if (options.addresses) {
+      const rows = await Promise.all(
+        options.addresses.map((address) => store.getItem('wallets', address))
+      );
+      addResults(
+        await mapWithConcurrency(
+          options.addresses,
+          sweepOptions.concurrency,
+          (address, index) =>
+            rows[index]
+              ? sweepOne(rows[index])
+              : sweepResult(
+                  { walletID: address },
+                  'skipped',
+                  'wallet not found'
+                )
+        )
+      );
+      return {
+        walletCount: report.length,
+        complete: true,
+        totals: formatTotals(sweep.totals),
+        report: report,
+      };
+    }
+
+    let complete = false;
+    while (!shouldStop()) {
+      const page = await store.scanItems('wallets', {
+        attributes: [
+          'walletID',
+          'publicKey',
+          'privateKey',
+          'encryptedPrivateKey',
+          'balance',
+          'returnToFaucetEpoch',
+        ],
+        conditions: [
+          { attr: 'returnToFaucetEpoch', op: '<', value: sweep.cutoff },
+          { attr: 'balance', op: '<>', value: '0' },
+        ],
+        startKey: sweep.startKey,
+        limit: sweepOptions.pageSize,
+      });
+
+      // balances are raw strings, which the store can't compare numerically
+      const idle = page.items.filter(
+        (wallet) => storedBalance(wallet.balance) >= minBalance
+      );
+      addResults(
+        await mapWithConcurrency(idle, sweepOptions.concurrency, sweepOne)
+      );
+
+      sweep.startKey = page.lastKey;
+      if (sweep.startKey === undefined) {
+        complete = true;
+        break;
+      }
+      if (checkpoints) {
+        await store.putItem(
+          'sweepCheckpoints',
+          Object.assign({}, sweep, {
+            expirationTs:
+              Math.round(Date.now() / 1000) + SWEEP_CHECKPOINT_TTL_SECONDS,
+          })
+        );
+      }
+    }
+
+    if (complete && checkpoints) {
+      await store.deleteItem('sweepCheckpoints', sweepId);
+    } else if (!complete) {
+      logger.info('stopping sweep early', { startKey: sweep.startKey });
+    }
+
+    return {
+      walletCount: report.length,
+      complete: complete,
+      totals: formatTotals(sweep.totals),
+      report: report,
+    };
+  }
+
+  /**
+   * Sweeps one wallet, never throws.
+   *
+   * @param {Object} wallet wallet row from the store
+   * @param {number} cutoff wallets with a returnToFaucetEpoch before this are idle
+   * @param {Object} options sweep options
+   * @returns {Object} report entry: { address, status, reason, amount }
+   *  status is 'returned', 'skipped' or 'failed', or 'wouldReturn' in a dry run
+   */
+  async function sweepWallet(wallet, cutoff, options) {
+    // targeted wallets don't come through the scan's filters
+    if (!(wallet.returnToFaucetEpoch < cutoff)) {
+      return sweepResult(wallet, 'skipped', 'wallet is still in use');
+    }
+    try {
+      if (options.dryRun) {
+        return await previewWallet(wallet, options);
+      }
+      return await withAccountLock(store, wallet.walletID, async () => {
+        // the scanned row may be stale: the wallet could have been used or
+        // deleted before we got the lock
+        const current = await wallets.load(wallet.walletID);
+        if (!current) {
+          return sweepResult(wallet, 'skipped', 'wallet was deleted');
+        } else if (!(current.returnToFaucetEpoch < cutoff)) {
+          return sweepResult(wallet, 'skipped', 'wallet is still in use');
+        }
+        return await returnWalletNano(current, options);
+      });
+    } catch (err) {
+      if (err.code === ACCOUNT_BUSY) {
+        // the wallet is in use right now, it'll be picked up next run
+        return sweepResult(wallet, 'skipped', 'wallet is busy');
+      }
+      logger.warn('failed to sweep wallet', {
+        address: wallet.walletID,
+        err: err,
+      });
+      return sweepResult(wallet, 'failed', err.message);
+    }
+  }
+
+  /**
+   * Works out what sweeping a wallet would return, without touching it.
+   *
+   * @param {Object} wallet wallet row from the store
+   * @param {Object} options sweep options
+   * @returns {Object} report entry for the wallet
+   */
+  async function previewWallet(wallet, options) {
+    const info = await node.rpc('account_info', { account: wallet.walletID });
+    // unopened accounts have nothing to return
+    const balance = info.error ? BigInt(0) : BigInt(info.balance);
+    return (
+      balanceResult(wallet, balance, options) ||
+      sweepResult(wallet, 'wouldReturn', undefined, balance)
+    );
+  }
+
+  /**
+   * Sends all the nano in one wallet to the TryNano faucet. Must be called
+   * while holding the wallet's account lock.
+   *
+   * @param {Object} wallet wallet row from the store
+   * @param {Object} options sweep options
+   * @returns {Object} report entry for the wallet
+   */
+  async function returnWalletNano(wallet, options) {
+    const accountInfo = await c.updateWalletAccount(
+      await wallets.toAccount(wallet)
+    );
+    if (!accountInfo) {
+      return sweepResult(wallet, 'failed', 'unable to retrieve account info');
+    }
+
+    const amount = BigInt(accountInfo.balance.RAW);
+    const skipped = balanceResult(wallet, amount, options);
+    if (skipped) {
+      // update the possibly stale balance so the scan stops picking it up
+      await wallets.updateBalance(accountInfo.address, amount);
+      return skipped;
+    }
+
+    logger.info('returning nano to the faucet', {
+      address: accountInfo.address,
+      amount: formatAmount(amount),
+    });
+
+    // now send all the nano in this wallet to the faucet
+    const sendRes = await c.sendMax(accountInfo, faucet.address);
+    if (!sendRes) {
+      return sweepResult(wallet, 'failed', 'send operation returned undefined');
+    }
+
+    // finally, update the wallet balance in the database
+    await wallets.updateBalance(
+      accountInfo.address,
+      BigInt(sendRes.balance.RAW)
+    );
+    await webhooks.emit('wallet.swept', {
+      address: accountInfo.address,
+      amount: formatAmount(amount),
+      faucetAddress: faucet.address,
+    });
+    return sweepResult(wallet, 'returned', undefined, amount);
+  }
+
+  return {
+    run: run,
+  };
+}
+
+/**
+ * @param {Object} wallet wallet row from the store
+ * @param {BigInt} balance the wallet's on-chain balance in raw
+ * @param {Object} options sweep options
+ * @returns {Object} a skipped report entry, or undefined if the balance should be returned
+ */
+function balanceResult(wallet, balance, options) {
+  if (balance === BigInt(0)) {
+    return sweepResult(wallet, 'skipped', 'balance is zero on chain');
+  } else if (options.minBalance && balance < BigInt(options.minBalance.RAW)) {
+    return sweepResult(wallet, 'skipped', 'balance is below minBalance');
+  }
+  return undefined;
+}
+
+/**
+ * @param {Object} wallet wallet row from the store
+ * @param {string} status 'returned', 'skipped', 'failed' or 'wouldReturn'
+ * @param {string} reason why the wallet was skipped or failed
+ * @param {BigInt} amount raw amount returned (or that would be) to the faucet
+ * @returns {Object} report entry
+ */
+function sweepResult(wallet, status, reason, amount) {
+  return {
+    address: wallet.walletID,
+    status: status,
+    reason: reason,
+    amount: amount === undefined ? undefined : formatAmount(amount),
+  };
+}
+
+/**
+ * @param {Object} totals running sweep totals, amount in raw
+ * @returns {Object} the totals as reported, with amount as { raw, nano }
+ */
+function formatTotals(totals) {
+  return Object.assign({}, totals, { amount: formatAmount(totals.amount) });
+}
+
+/**
+ * Maps a list through an async function with at most `limit` calls in flight.
+ *
+ * @param {Array} items list to map over
+ * @param {number} limit most calls to run at once
+ * @param {Function} fn async function to run on each item
+ * @returns {Array} results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+module.exports = {
+  SWEEP_OPTIONS_SCHEMA,
+  createSweeper,
+  sweepOptionsFromEnv,
+};
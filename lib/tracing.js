@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { currentContext, logger, runWithContext } = require('./logger');
+
+/*
+    Lightweight trace spans.
+
+    A span times one operation, such as a node RPC or a storage call. Span
+    ids live in the request context (lib/logger.js), so spans started inside
+    another span record it as their parent and every log entry carries the
+    trace id. With TRACE_SPANS=true each finished span is logged as
+
+        { msg: 'span', span: { traceId, spanId, parentSpanId, name,
+          attributes, start, durationMs, status, error } }
+
+    The trace id is taken from the X-Ray trace header when there is one, so
+    spans line up with API Gateway and Lambda traces.
+*/
+
+/**
+ * Works out the trace id for a request.
+ *
+ * @param {Object} headers request headers, may be undefined
+ * @returns {string} the X-Ray root trace id, or a new random id
+ */
+function traceIdFrom(headers) {
+  const header =
+    (headers && headers['x-amzn-trace-id']) || process.env._X_AMZN_TRACE_ID;
+  const root = header && /Root=([^;]+)/.exec(header);
+  return root ? root[1] : crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Runs an async function inside a span.
+ *
+ * @param {string} name span name, e.g. 'nano.rpc'
+ * @param {Object} attributes low-detail facts about the operation, e.g. { action }
+ * @param {Function} fn async function to run
+ * @returns {*} whatever fn resolves to
+ */
+async function withSpan(name, attributes, fn) {
+  const parent = currentContext();
+  const spanId = crypto.randomBytes(8).toString('hex');
+  const start = Date.now();
+  let error;
+  try {
+    return await runWithContext({ spanId: spanId }, fn);
+  } catch (err) {
+    error = err.code || err.message;
+    throw err;
+  } finally {
+    if (process.env.TRACE_SPANS === 'true') {
+      logger.info('span', {
+        span: {
+          traceId: parent.traceId,
+          spanId: spanId,
+          parentSpanId: parent.spanId,
+          name: name,
+          attributes: attributes,
+          start: start,
+          durationMs: Date.now() - start,
+          status: error ? 'error' : 'ok',
+          error: error,
+        },
+      });
+    }
+  }
+}
+
+module.exports = {
+  traceIdFrom,
+  withSpan,
+};
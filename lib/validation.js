@@ -0,0 +1,355 @@
+const net = require('net');
+const { tools } = require('nanocurrency-web');
+const { NANO } = require('@nanobox/nano-client/dist/models');
+const { ERROR_CODES } = require('./errors');
+const { MAX_RAW, nanoToRaw } = require('./amounts');
+const { isPublicHostname } = require('./publicHosts');
+
+/*
+    Declarative request validation. A schema maps body fields to a spec:
+
+        {
+          toAddress: { type: 'address', required: true },
+          amount: { type: 'amount' },
+        }
+
+    validate() checks every field in the schema, normalizes the values (e.g.
+    amounts become NANO objects) and returns either the cleaned params or
+    the first error with a stable code. Fields not in the schema are dropped.
+*/
+
+const FIELD_TYPES = {
+  address: parseAddress,
+  amount: parseAmount,
+  privateKey: parsePrivateKey,
+  seed: parseSeed,
+  string: parseString,
+  integer: parseInteger,
+  boolean: parseBoolean,
+  list: parseList,
+  object: parseObject,
+  ip: parseIp,
+  url: parseUrl,
+};
+
+/**
+ * Validates request params against a schema.
+ *
+ * @param {Object} schema map of field name -> { type, required, min, max, of, items }
+ * @param {Object} params the parsed request body
+ * @returns {Object} { params } on success, { error: { code, message, field } } otherwise
+ */
+function validate(schema, params) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return {
+      error: {
+        code: ERROR_CODES.INVALID_REQUEST,
+        message: 'request body must be a JSON object',
+      },
+    };
+  }
+
+  const cleaned = {};
+  for (const field of Object.keys(schema)) {
+    const spec = schema[field];
+    const value = params[field];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) {
+        return {
+          error: {
+            code: ERROR_CODES.MISSING_FIELD,
+            message: `${field} is required`,
+            field: field,
+          },
+        };
+      }
+      continue;
+    }
+    const parse = FIELD_TYPES[spec.type];
+    if (!parse) {
+      throw new Error(`unknown schema type ${spec.type} for ${field}`);
+    }
+    const res = parse(value, spec);
+    if (res.error) {
+      return {
+        error: {
+          code: res.error.code,
+          message: `${field} ${res.error.message}`,
+          field: field,
+        },
+      };
+    }
+    cleaned[field] = res.value;
+  }
+  return { params: cleaned };
+}
+
+/**
+ * Checks a Nano address, including its checksum. `xrb_` addresses are
+ * normalized to the `nano_` prefix.
+ *
+ * @param {*} value the field value
+ * @returns {Object} { value } or { error }
+ */
+function parseAddress(value) {
+  if (typeof value !== 'string' || !tools.validateAddress(value)) {
+    return invalid(ERROR_CODES.INVALID_ADDRESS, 'is not a valid Nano address');
+  }
+  return { value: value.replace(/^xrb_/, 'nano_') };
+}
+
+/**
+ * Parses an amount into a NANO object. Accepted forms:
+ *  - { raw: '1000' } or the serialized NANO object { RAW: '1000', ... }
+ *  - { nano: '0.001' }
+ *  - { raw, nano } as returned by the API, both must be the same amount
+ *  - '0.001' (a NANO decimal string)
+ * NANO values may have at most 30 decimal places (1 raw). The amount must
+ * be greater than zero and no more than the total supply.
+ *
+ * @param {*} value the field value
+ * @returns {Object} { value: NANO } or { error }
+ */
+function parseAmount(value) {
+  let raw;
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    if (value.raw !== undefined || value.RAW !== undefined) {
+      raw = parseRaw(value.raw !== undefined ? value.raw : value.RAW);
+      if (!raw.error && value.nano !== undefined) {
+        const nano = nanoToRaw(value.nano);
+        if (nano.error || nano.value !== raw.value) {
+          raw = { error: 'raw and nano must be the same amount' };
+        }
+      }
+    } else if (value.nano !== undefined) {
+      raw = nanoToRaw(value.nano);
+    }
+  } else if (typeof value === 'string') {
+    raw = nanoToRaw(value);
+  }
+
+  if (raw === undefined) {
+    return invalid(
+      ERROR_CODES.INVALID_AMOUNT,
+      'must be { raw }, { nano } or a NANO decimal string'
+    );
+  } else if (raw.error) {
+    return invalid(ERROR_CODES.INVALID_AMOUNT, raw.error);
+  } else if (raw.value <= BigInt(0)) {
+    return invalid(ERROR_CODES.INVALID_AMOUNT, 'must be greater than zero');
+  } else if (raw.value > MAX_RAW) {
+    return invalid(ERROR_CODES.INVALID_AMOUNT, 'is larger than the supply');
+  }
+  return { value: NANO.fromRAW(raw.value.toString()) };
+}
+
+/**
+ * @param {*} value raw amount, a string of digits
+ * @returns {Object} { value: BigInt } or { error }
+ */
+function parseRaw(value) {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    return { error: 'raw must be a string of digits' };
+  }
+  return { value: BigInt(value) };
+}
+
+/**
+ * Checks a private key is 32 bytes of hex.
+ *
+ * @param {*} value the field value
+ * @returns {Object} { value } or { error }
+ */
+function parsePrivateKey(value) {
+  if (typeof value !== 'string' || !/^[0-9a-fA-F]{64}$/.test(value)) {
+    return invalid(
+      ERROR_CODES.INVALID_PRIVATE_KEY,
+      'must be 64 hexadecimal characters'
+    );
+  }
+  return { value: value };
+}
+
+/**
+ * Checks an HD wallet seed is 32 bytes of hex.
+ *
+ * @param {*} value the field value
+ * @returns {Object} { value } or { error }
+ */
+function parseSeed(value) {
+  if (typeof value !== 'string' || !/^[0-9a-fA-F]{64}$/.test(value)) {
+    return invalid(
+      ERROR_CODES.INVALID_SEED,
+      'must be 64 hexadecimal characters'
+    );
+  }
+  return { value: value.toLowerCase() };
+}
+
+/**
+ * Checks a string, optionally bounded by spec.max length.
+ *
+ * @param {*} value the field value
+ * @param {Object} spec the field spec
+ * @returns {Object} { value } or { error }
+ */
+function parseString(value, spec) {
+  if (typeof value !== 'string' || (spec.max && value.length > spec.max)) {
+    return invalid(
+      ERROR_CODES.INVALID_REQUEST,
+      spec.max
+        ? `must be a string of at most ${spec.max} characters`
+        : 'must be a string'
+    );
+  }
+  return { value: value };
+}
+
+/**
+ * Checks an integer (or integer string), bounded by spec.min/max.
+ *
+ * @param {*} value the field value
+ * @param {Object} spec the field spec
+ * @returns {Object} { value } or { error }
+ */
+function parseInteger(value, spec) {
+  const n = typeof value === 'string' ? Number(value) : value;
+  if (
+    !Number.isInteger(n) ||
+    (spec.min !== undefined && n < spec.min) ||
+    (spec.max !== undefined && n > spec.max)
+  ) {
+    return invalid(
+      ERROR_CODES.INVALID_REQUEST,
+      `must be an integer between ${spec.min} and ${spec.max}`
+    );
+  }
+  return { value: n };
+}
+
+/**
+ * Checks a boolean.
+ *
+ * @param {*} value the field value
+ * @returns {Object} { value } or { error }
+ */
+function parseBoolean(value) {
+  if (typeof value !== 'boolean') {
+    return invalid(ERROR_CODES.INVALID_REQUEST, 'must be true or false');
+  }
+  return { value: value };
+}
+
+/**
+ * Checks a JSON object, left as is for the api method to interpret.
+ *
+ * @param {*} value the field value
+ * @returns {Object} { value } or { error }
+ */
+function parseObject(value) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return invalid(ERROR_CODES.INVALID_REQUEST, 'must be an object');
+  }
+  return { value: value };
+}
+
+/**
+ * Checks an IPv4 or IPv6 address.
+ *
+ * @param {*} value the field value
+ * @returns {Object} { value } or { error }
+ */
+function parseIp(value) {
+  if (typeof value !== 'string' || !net.isIP(value)) {
+    return invalid(ERROR_CODES.INVALID_REQUEST, 'must be an IP address');
+  }
+  return { value: value };
+}
+
+/**
+ * Checks an https URL without credentials, bounded by spec.max length.
+ * spec.allowHttp also accepts http URLs, spec.publicHost refuses hosts
+ * that aren't on the public internet (see lib/publicHosts.js).
+ *
+ * @param {*} value the field value
+ * @param {Object} spec the field spec
+ * @returns {Object} { value } or { error }
+ */
+function parseUrl(value, spec) {
+  let url;
+  try {
+    url = typeof value === 'string' ? new URL(value) : undefined;
+  } catch (err) {
+    // not a URL
+  }
+  const protocols = spec.allowHttp ? ['https:', 'http:'] : ['https:'];
+  if (
+    !url ||
+    !protocols.includes(url.protocol) ||
+    url.username ||
+    url.password ||
+    (spec.max && value.length > spec.max)
+  ) {
+    const kind = spec.allowHttp ? 'http(s)' : 'https';
+    return invalid(
+      ERROR_CODES.INVALID_REQUEST,
+      spec.max
+        ? `must be an ${kind} URL of at most ${spec.max} characters`
+        : `must be an ${kind} URL`
+    );
+  }
+  if (spec.publicHost && !isPublicHostname(url.hostname)) {
+    return invalid(
+      ERROR_CODES.INVALID_REQUEST,
+      'must be a URL on a public host'
+    );
+  }
+  return { value: url.toString() };
+}
+
+/**
+ * Checks a non-empty array of at most spec.max items, each parsed as
+ * spec.of with the spec in spec.items, e.g. { type: 'list', of: 'address', max: 100 }
+ * or { type: 'list', of: 'string', items: { max: 64 } }.
+ *
+ * @param {*} value the field value
+ * @param {Object} spec the field spec
+ * @returns {Object} { value } or { error }
+ */
+function parseList(value, spec) {
+  if (
+    !Array.isArray(value) ||
+    !value.length ||
+    (spec.max && value.length > spec.max)
+  ) {
+    return invalid(
+      ERROR_CODES.INVALID_REQUEST,
+      spec.max
+        ? `must be a list of 1 to ${spec.max} items`
+        : 'must be a non-empty list'
+    );
+  }
+  const parse = FIELD_TYPES[spec.of];
+  const items = [];
+  for (let i = 0; i < value.length; i++) {
+    const res = parse(value[i], spec.items || {});
+    if (res.error) {
+      return invalid(res.error.code, `[${i}] ${res.error.message}`);
+    }
+    items.push(res.value);
+  }
+  return { value: items };
+}
+
+/**
+ * @param {string} code error code
+ * @param {string} message error message, prefixed with the field name
+ * @returns {Object} a parse failure
+ */
+function invalid(code, message) {
+  return { error: { code, message } };
+}
+
+module.exports = {
+  validate,
+};
@@ -0,0 +1,535 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { CONDITION_FAILED } = require('./storage');
+const { isPublicHostname, publicAgents } = require('./publicHosts');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+/*
+    Outbound webhooks for wallet and faucet events. Integrators register
+    endpoints through the admin API (`webhooks` table), each for a list of
+    WEBHOOK_EVENTS or '*'. Every event is POSTed as JSON to the endpoints
+    subscribed to it:
+
+        { "id": "<event id>", "type": "send.broadcast", "createdAt": <ms>, "data": { ... } }
+
+    signed with the endpoint's secret. X-TryNano-Signature is
+    `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`, see signPayload.
+
+    Each (event, endpoint) pair is a delivery in `webhookDeliveries`.
+    Emitting only stores the deliveries, so a slow or unreachable endpoint
+    never holds up the request that emitted the event. The DeliverWebhooks
+    Lambda (deliverWebhooks.js) tries new deliveries on its next run and
+    retries failed ones with exponential backoff. After maxAttempts a
+    delivery moves to `webhookDeadLetters`, from where the admin API can
+    replay it.
+
+    send.confirmed comes from the DeliverWebhooks Lambda too: send.broadcast
+    watches the send block (`sendWatches`) until the node confirms it.
+
+    emitTo delivers an event to a single URL that isn't a registered
+    endpoint, such as a payment request's webhookUrl. Its delivery carries
+    the URL and secret itself (`target`), and is only ever sent to public
+    addresses, see lib/publicHosts.js.
+*/
+
+const WEBHOOK_EVENTS = [
+  'wallet.created',
+  'wallet.received',
+  'send.broadcast',
+  'send.confirmed',
+  'faucet.payout',
+  'wallet.swept',
+];
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+
+// Registered endpoints are read again at most this often per process
+const ENDPOINT_CACHE_MS = 30000;
+const DELIVERY_EXPIRATION_TIME_SECONDS = 604800; // 7 days
+// Send blocks the node hasn't confirmed in this long are no longer watched
+const SEND_WATCH_TTL_MS = 3600000;
+const SCAN_PAGE_SIZE = 100;
+
+/**
+ * Reads the webhook options from the environment.
+ *
+ *  - WEBHOOK_TIMEOUT_MS: how long an endpoint has to answer
+ *  - WEBHOOK_MAX_ATTEMPTS: attempts before a delivery is dead-lettered
+ *  - WEBHOOK_RETRY_BASE_SECONDS: wait before the first retry, doubled after each
+ *  - WEBHOOK_ALLOW_HTTP: accept http:// endpoints, for local development
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createWebhooks
+ */
+function webhookOptionsFromEnv(env) {
+  return {
+    timeoutMs: env.WEBHOOK_TIMEOUT_MS
+      ? Number(env.WEBHOOK_TIMEOUT_MS)
+      : DEFAULT_TIMEOUT_MS,
+    maxAttempts: env.WEBHOOK_MAX_ATTEMPTS
+      ? Number(env.WEBHOOK_MAX_ATTEMPTS)
+      : DEFAULT_MAX_ATTEMPTS,
+    retryBaseSeconds: env.WEBHOOK_RETRY_BASE_SECONDS
+      ? Number(env.WEBHOOK_RETRY_BASE_SECONDS)
+      : DEFAULT_RETRY_BASE_SECONDS,
+    allowHttp: env.WEBHOOK_ALLOW_HTTP === 'true',
+  };
+}
+
+/**
+ * Checks the webhook options.
+ *
+ * @param {Object} options from webhookOptionsFromEnv
+ * @returns {string} Error message, or null if the options are valid
+ */
+function validateWebhookOptions(options) {
+  if (!(options.timeoutMs > 0)) {
+    return 'WEBHOOK_TIMEOUT_MS must be a positive number';
+  } else if (
+    !Number.isInteger(options.maxAttempts) ||
+    options.maxAttempts < 1
+  ) {
+    return 'WEBHOOK_MAX_ATTEMPTS must be a positive integer';
+  } else if (!(options.retryBaseSeconds > 0)) {
+    return 'WEBHOOK_RETRY_BASE_SECONDS must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * Signs a webhook body the way receivers should check it.
+ *
+ * @param {string} secret the endpoint's secret
+ * @param {number} timestamp unix seconds, also sent in the header
+ * @param {string} body the exact request body
+ * @returns {string} the X-TryNano-Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  const mac = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Creates the webhook service.
+ *
+ * @param {Object} deps { store, node, options }
+ *  - node: node pool, to check send confirmations
+ *  - options: from webhookOptionsFromEnv
+ * @returns {Object} { emit, emitTo, register, list, remove, listDeadLetters, replay, runDue }
+ */
+function createWebhooks({ store, node, options }) {
+  // { at, endpoints }, see ENDPOINT_CACHE_MS
+  let endpointCache;
+  // for targets of emitTo
+  const agents = publicAgents();
+
+  /**
+   * Registers an endpoint.
+   *
+   * @param {Object} params { url, events, description }
+   * @param {string} createdBy id of the admin API key
+   * @returns {Object} the endpoint, with the secret to check signatures with
+   */
+  async function register({ url, events, description }, createdBy) {
+    const endpoint = {
+      webhookId: crypto.randomBytes(8).toString('hex'),
+      url: url,
+      events: events,
+      description: description,
+      secret: `whsec_${crypto.randomBytes(32).toString('hex')}`,
+      createdAt: Date.now(),
+      createdBy: createdBy,
+    };
+    await store.putItem('webhooks', endpoint);
+    endpointCache = undefined;
+    return endpoint;
+  }
+
+  /**
+   * @returns {Object[]} every registered endpoint
+   */
+  async function list() {
+    return await scanAll('webhooks');
+  }
+
+  /**
+   * Removes an endpoint. Its pending deliveries are dropped when next tried.
+   *
+   * @param {string} webhookId the endpoint
+   * @returns {boolean} false if there was no such endpoint
+   */
+  async function remove(webhookId) {
+    if (!(await store.getItem('webhooks', webhookId))) {
+      return false;
+    }
+    await store.deleteItem('webhooks', webhookId);
+    endpointCache = undefined;
+    return true;
+  }
+
+  /**
+   * @param {string} type event type
+   * @returns {Object[]} the endpoints subscribed to it
+   */
+  async function subscribers(type) {
+    const now = Date.now();
+    if (!endpointCache || now - endpointCache.at >= ENDPOINT_CACHE_MS) {
+      endpointCache = { at: now, endpoints: await list() };
+    }
+    return endpointCache.endpoints.filter(
+      (endpoint) =>
+        endpoint.events.includes('*') || endpoint.events.includes(type)
+    );
+  }
+
+  /**
+   * Queues an event for every endpoint subscribed to it, for runDue to
+   * deliver.
+   * Failures are logged and swallowed since the operation itself already
+   * succeeded.
+   *
+   * @param {string} type one of WEBHOOK_EVENTS
+   * @param {Object} data the event data
+   */
+  async function emit(type, data) {
+    try {
+      if (
+        type === 'send.broadcast' &&
+        (await subscribers('send.confirmed')).length
+      ) {
+        await store.putItem('sendWatches', {
+          hash: data.hash,
+          data: data,
+          createdAt: Date.now(),
+          expirationTs: Math.round((Date.now() + SEND_WATCH_TTL_MS) / 1000),
+        });
+      }
+
+      const endpoints = await subscribers(type);
+      if (!endpoints.length) {
+        return;
+      }
+      const event = newEvent(type, data);
+      for (const endpoint of endpoints) {
+        await store.putItem(
+          'webhookDeliveries',
+          newDelivery(event, { webhookId: endpoint.webhookId })
+        );
+      }
+    } catch (err) {
+      logger.warn('unable to emit webhook event', { type: type, err: err });
+    }
+  }
+
+  /**
+   * Queues an event for one URL, signed with the given secret. Failures are
+   * logged and swallowed like emit's.
+   *
+   * @param {Object} target { url, secret }, the url must be on a public host
+   * @param {string} type event type
+   * @param {Object} data the event data
+   */
+  async function emitTo(target, type, data) {
+    try {
+      await store.putItem(
+        'webhookDeliveries',
+        newDelivery(newEvent(type, data), {
+          target: { url: target.url, secret: target.secret },
+        })
+      );
+    } catch (err) {
+      logger.warn('unable to emit webhook event', { type: type, err: err });
+    }
+  }
+
+  /**
+   * @param {string} type event type
+   * @param {Object} data the event data
+   * @returns {Object} the event as it is POSTed
+   */
+  function newEvent(type, data) {
+    return {
+      id: crypto.randomBytes(16).toString('hex'),
+      type: type,
+      createdAt: Date.now(),
+      data: data,
+    };
+  }
+
+  /**
+   * @param {Object} event from newEvent
+   * @param {Object} to { webhookId } or { target }
+   * @returns {Object} a delivery row, due on the next run
+   */
+  function newDelivery(event, to) {
+    const now = Date.now();
+    return Object.assign(
+      {
+        deliveryId: crypto.randomBytes(16).toString('hex'),
+        event: event,
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+        expirationTs: Math.round(now / 1000) + DELIVERY_EXPIRATION_TIME_SECONDS,
+      },
+      to
+    );
+  }
+
+  /**
+   * Tries a delivery once. Failures are retried after retryDelay, or
+   * dead-lettered after options.maxAttempts.
+   *
+   * @param {Object} delivery delivery row
+   * @returns {string} 'delivered', 'retrying', 'deadLettered', 'dropped'
+   *  (the endpoint is gone) or 'skipped' (another run has this attempt)
+   */
+  async function attempt(delivery) {
+    const attempts = delivery.attempts + 1;
+    let claimed;
+    try {
+      claimed = await store.updateItem(
+        'webhookDeliveries',
+        delivery.deliveryId,
+        {
+          attempts: attempts,
+          nextAttemptAt: Date.now() + retryDelay(attempts),
+        },
+        {
+          conditions: [{ attr: 'attempts', op: '=', value: delivery.attempts }],
+        }
+      );
+    } catch (err) {
+      if (err.code === CONDITION_FAILED) {
+        return 'skipped';
+      }
+      throw err;
+    }
+
+    const endpoint =
+      claimed.target || (await store.getItem('webhooks', delivery.webhookId));
+    if (!endpoint) {
+      await store.deleteItem('webhookDeliveries', delivery.deliveryId);
+      return 'dropped';
+    }
+
+    const error = await post(endpoint, claimed);
+    if (!error) {
+      await store.deleteItem('webhookDeliveries', delivery.deliveryId);
+      metrics.increment('webhook_deliveries', { status: 'delivered' });
+      return 'delivered';
+    }
+
+    logger.warn('webhook delivery failed', {
+      webhookId: endpoint.webhookId,
+      deliveryId: delivery.deliveryId,
+      attempts: attempts,
+      error: error,
+    });
+    if (attempts >= options.maxAttempts) {
+      await store.putItem(
+        'webhookDeadLetters',
+        Object.assign({}, claimed, { lastError: error, failedAt: Date.now() })
+      );
+      await store.deleteItem('webhookDeliveries', delivery.deliveryId);
+      metrics.increment('webhook_deliveries', { status: 'deadLettered' });
+      return 'deadLettered';
+    }
+    await store.updateItem('webhookDeliveries', delivery.deliveryId, {
+      lastError: error,
+    });
+    metrics.increment('webhook_deliveries', { status: 'failed' });
+    return 'retrying';
+  }
+
+  /**
+   * POSTs a delivery's event to its endpoint. emitTo targets are only
+   * connected to on public addresses.
+   *
+   * @param {Object} endpoint the endpoint row, or the delivery's target
+   * @param {Object} delivery the delivery row
+   * @returns {string} why it failed, or undefined once the endpoint answered 2xx
+   */
+  async function post(endpoint, delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const hostname = new URL(endpoint.url).hostname;
+    if (delivery.target && !isPublicHostname(hostname)) {
+      return `${hostname} is not a public host`;
+    }
+    try {
+      await axios.post(
+        endpoint.url,
+        body,
+        Object.assign(
+          {
+            timeout: options.timeoutMs,
+            maxRedirects: 0,
+            headers: {
+              'Content-Type': 'application/json',
+              'X-TryNano-Event': delivery.event.type,
+              'X-TryNano-Delivery': delivery.deliveryId,
+              'X-TryNano-Signature': signPayload(
+                endpoint.secret,
+                timestamp,
+                body
+              ),
+            },
+          },
+          delivery.target
+            ? {
+                httpAgent: agents.httpAgent,
+                httpsAgent: agents.httpsAgent,
+                proxy: false,
+              }
+            : {}
+        )
+      );
+      return undefined;
+    } catch (err) {
+      return err.response ? `HTTP ${err.response.status}` : err.message;
+    }
+  }
+
+  /**
+   * @param {number} attempts attempts made so far
+   * @returns {number} ms to wait before the next one
+   */
+  function retryDelay(attempts) {
+    return options.retryBaseSeconds * 1000 * Math.pow(2, attempts - 1);
+  }
+
+  /**
+   * The DeliverWebhooks run: emits send.confirmed for watched sends the node
+   * has confirmed, then tries the deliveries that are due, new ones included.
+   *
+   * @param {Function} outOfTime returns true when the run should stop
+   * @returns {Object} { confirmed, delivered, retrying, deadLettered } counts
+   */
+  async function runDue(outOfTime) {
+    const counts = {
+      confirmed: await checkConfirmations(),
+      delivered: 0,
+      retrying: 0,
+      deadLettered: 0,
+    };
+
+    const due = await scanAll('webhookDeliveries', [
+      { attr: 'nextAttemptAt', op: '<=', value: Date.now() },
+    ]);
+    for (const delivery of due) {
+      if (outOfTime()) {
+        break;
+      }
+      const status = await attempt(delivery);
+      if (counts[status] !== undefined) {
+        counts[status]++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * @returns {number} how many watched sends were confirmed
+   */
+  async function checkConfirmations() {
+    let confirmed = 0;
+    for (const watch of await scanAll('sendWatches')) {
+      const res = await node.rpc('blocks_info', { hashes: [watch.hash] });
+      const info = res.blocks && res.blocks[watch.hash];
+      if (info && String(info.confirmed) === 'true') {
+        await emit('send.confirmed', watch.data);
+        await store.deleteItem('sendWatches', watch.hash);
+        confirmed++;
+      } else if (Date.now() - watch.createdAt > SEND_WATCH_TTL_MS) {
+        logger.warn('send not confirmed, no longer watched', {
+          hash: watch.hash,
+        });
+        await store.deleteItem('sendWatches', watch.hash);
+      }
+    }
+    return confirmed;
+  }
+
+  /**
+   * @param {string} webhookId only this endpoint's, if given
+   * @returns {Object[]} dead-lettered deliveries
+   */
+  async function listDeadLetters(webhookId) {
+    return await scanAll(
+      'webhookDeadLetters',
+      webhookId ? [{ attr: 'webhookId', op: '=', value: webhookId }] : []
+    );
+  }
+
+  /**
+   * Moves dead-lettered deliveries back and tries them again, with a fresh
+   * set of attempts.
+   *
+   * @param {Object[]} deadLetters rows from listDeadLetters
+   * @returns {Object[]} { deliveryId, status } for each, status as for attempt
+   */
+  async function replay(deadLetters) {
+    const results = [];
+    for (const deadLetter of deadLetters) {
+      const delivery = Object.assign({}, deadLetter, {
+        attempts: 0,
+        nextAttemptAt: Date.now() + retryDelay(1),
+      });
+      delete delivery.lastError;
+      delete delivery.failedAt;
+      await store.putItem('webhookDeliveries', delivery);
+      await store.deleteItem('webhookDeadLetters', deadLetter.deliveryId);
+      results.push({
+        deliveryId: delivery.deliveryId,
+        status: await attempt(delivery),
+      });
+    }
+    return results;
+  }
+
+  /**
+   * @param {string} table table name
+   * @param {Object[]} conditions scan conditions
+   * @returns {Object[]} every matching row
+   */
+  async function scanAll(table, conditions = []) {
+    const items = [];
+    let startKey;
+    do {
+      const page = await store.scanItems(table, {
+        conditions: conditions,
+        startKey: startKey,
+        limit: SCAN_PAGE_SIZE,
+      });
+      items.push(...page.items);
+      startKey = page.lastKey;
+    } while (startKey !== undefined);
+    return items;
+  }
+
+  return {
+    emit: emit,
+    emitTo: emitTo,
+    register: register,
+    list: list,
+    remove: remove,
+    listDeadLetters: listDeadLetters,
+    replay: replay,
+    runDue: runDue,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhooks,
+  signPayload,
+  validateWebhookOptions,
+  webhookOptionsFromEnv,
+};
@@ -0,0 +1,287 @@
+const { logger } = require('../logger');
+const { metrics } = require('../metrics');
+const { createLocalWorkGenerator, defaultThreads } = require('./local');
+const { workValue } = require('./worker');
+
+/*
+    Proof-of-work for the blocks TryNano builds. Work for a block is found
+    in this order:
+
+      1. the work cache (`workCache` table), filled by precaching
+      2. a precompute already running for the same hash
+      3. local CPU generation (WORK_LOCAL), for up to WORK_LOCAL_TIMEOUT_MS
+      4. the node's `work_generate` RPC
+
+    Work depends only on the previous block's hash (the frontier), so the
+    next block's work can be computed as soon as a block is published. With
+    WORK_PRECACHE on, the API does that after every send, receive and faucet
+    payout, at the send difficulty, which also covers receives.
+
+    Every result is checked against the difficulty before it's used, so a
+    stale cache entry or a bad answer from a node can't produce an invalid
+    block. On a test network with lower thresholds, set WORK_SEND_DIFFICULTY
+    and WORK_RECEIVE_DIFFICULTY to them.
+*/
+
+const SEND_DIFFICULTY = 'fffffff800000000';
+const RECEIVE_DIFFICULTY = 'fffffe0000000000';
+
+const DEFAULT_LOCAL_TIMEOUT_MS = 15000;
+const CACHE_EXPIRATION_TIME_SECONDS = 86400; // 24 hours
+
+/**
+ * Reads the work options from the environment.
+ *
+ *  - WORK_LOCAL: 'true' to generate work on this machine's CPU
+ *  - WORK_THREADS: worker threads for local generation
+ *  - WORK_LOCAL_TIMEOUT_MS: how long local generation may take before the
+ *    node is asked instead
+ *  - WORK_PRECACHE: 'true' to precompute the next block's work
+ *  - WORK_SEND_DIFFICULTY, WORK_RECEIVE_DIFFICULTY: thresholds to use
+ *    instead of the live network's
+ *
+ * @param {Object} env usually process.env
+ * @returns {Object} options for createWorkProvider
+ */
+function workOptionsFromEnv(env) {
+  return {
+    local: env.WORK_LOCAL === 'true',
+    threads: env.WORK_THREADS ? Number(env.WORK_THREADS) : defaultThreads(),
+    localTimeoutMs: env.WORK_LOCAL_TIMEOUT_MS
+      ? Number(env.WORK_LOCAL_TIMEOUT_MS)
+      : DEFAULT_LOCAL_TIMEOUT_MS,
+    precache: env.WORK_PRECACHE === 'true',
+    sendDifficulty: env.WORK_SEND_DIFFICULTY || SEND_DIFFICULTY,
+    receiveDifficulty: env.WORK_RECEIVE_DIFFICULTY || RECEIVE_DIFFICULTY,
+  };
+}
+
+/**
+ * Checks the work options.
+ *
+ * @param {Object} options from workOptionsFromEnv
+ * @returns {string} Error message, or null if the options are valid
+ */
+function validateWorkOptions(options) {
+  if (!Number.isInteger(options.threads) || options.threads < 1) {
+    return 'WORK_THREADS must be a positive integer';
+  } else if (!(options.localTimeoutMs > 0)) {
+    return 'WORK_LOCAL_TIMEOUT_MS must be a positive number';
+  } else if (!/^[0-9a-fA-F]{16}$/.test(options.sendDifficulty)) {
+    return 'WORK_SEND_DIFFICULTY must be 16 hex characters';
+  } else if (!/^[0-9a-fA-F]{16}$/.test(options.receiveDifficulty)) {
+    return 'WORK_RECEIVE_DIFFICULTY must be 16 hex characters';
+  }
+  return null;
+}
+
+/**
+ * @param {string} hash block hash the work is for
+ * @param {string} work 16 hex work
+ * @param {string} difficulty 16 hex threshold
+ * @returns {boolean} whether the work is valid for the hash at the difficulty
+ */
+function meetsDifficulty(hash, work, difficulty) {
+  return (
+    /^[0-9a-fA-F]{16}$/.test(work) &&
+    workValue(hash, work) >= difficulty.toLowerCase()
+  );
+}
+
+/**
+ * Creates the work provider.
+ *
+ * @param {Object} deps { node, store, options }
+ *  - node: node pool, for work_generate
+ *  - options: from workOptionsFromEnv
+ * @returns {Object} { generate, precache }
+ */
+function createWorkProvider({ node, store, options }) {
+  const local = options.local
+    ? createLocalWorkGenerator({ threads: options.threads })
+    : undefined;
+
+  // hash => promise of { work, difficulty }, for work being computed
+  const inflight = new Map();
+
+  // nano-client asks for the live network's thresholds
+  const thresholds = {
+    [SEND_DIFFICULTY]: options.sendDifficulty || SEND_DIFFICULTY,
+    [RECEIVE_DIFFICULTY]: options.receiveDifficulty || RECEIVE_DIFFICULTY,
+  };
+  const threshold = (difficulty) =>
+    (thresholds[difficulty] || difficulty).toLowerCase();
+
+  /**
+   * Gets work for a block.
+   *
+   * @param {string} hash the previous block's hash, or the account's public
+   *  key for an open block
+   * @param {string} difficulty 16 hex threshold
+   * @returns {string} the work
+   */
+  async function generate(hash, difficulty) {
+    difficulty = threshold(difficulty);
+    const started = Date.now();
+
+    const cached = await readCache(hash, difficulty);
+    if (cached) {
+      record('cache', started);
+      return cached;
+    }
+
+    if (inflight.has(hash)) {
+      try {
+        const pending = await inflight.get(hash);
+        if (meetsDifficulty(hash, pending.work, difficulty)) {
+          record('precache', started);
+          return pending.work;
+        }
+      } catch (err) {
+        // the precompute failed, compute it here instead
+      }
+    }
+
+    return (await compute(hash, difficulty)).work;
+  }
+
+  /**
+   * Computes a block's work ahead of its block, if precaching is on. Never
+   * throws, failures are only logged.
+   *
+   * @param {string} hash the hash the next block builds on, ignored if undefined
+   * @param {string} difficulty 16 hex threshold, send difficulty by default
+   * @returns {Promise} resolves when the work is cached (or failed)
+   */
+  async function precache(hash, difficulty = SEND_DIFFICULTY) {
+    if (!options.precache || !hash || inflight.has(hash)) {
+      return;
+    }
+    difficulty = threshold(difficulty);
+    try {
+      if (!(await readCache(hash, difficulty))) {
+        await compute(hash, difficulty);
+      }
+    } catch (err) {
+      logger.warn('work precache failed', { hash: hash, err: err });
+    }
+  }
+
+  /**
+   * Computes work locally, falling back to the node, and caches it.
+   *
+   * @param {string} hash block hash
+   * @param {string} difficulty 16 hex threshold
+   * @returns {Object} { work, difficulty }
+   */
+  function compute(hash, difficulty) {
+    const promise = (async () => {
+      const started = Date.now();
+      let work = local
+        ? await local.generate(hash, difficulty, options.localTimeoutMs)
+        : undefined;
+      let source = 'local';
+      if (!work) {
+        if (local) {
+          logger.info('local work timed out, asking the node', {
+            hash: hash,
+          });
+        }
+        work = await generateRemote(hash, difficulty);
+        source = 'remote';
+      }
+      record(source, started);
+      await writeCache(hash, work);
+      return { work: work, difficulty: difficulty };
+    })();
+
+    inflight.set(hash, promise);
+    const forget = () => {
+      if (inflight.get(hash) === promise) {
+        inflight.delete(hash);
+      }
+    };
+    promise.then(forget, forget);
+    return promise;
+  }
+
+  /**
+   * @param {string} hash block hash
+   * @param {string} difficulty 16 hex threshold
+   * @returns {string} work from the node's work_generate
+   */
+  async function generateRemote(hash, difficulty) {
+    const res = await node.rpc('work_generate', {
+      hash: hash,
+      difficulty: difficulty,
+    });
+    if (!res.work) {
+      throw new Error(`work_generate failed: ${res.error || 'no work'}`);
+    } else if (!meetsDifficulty(hash, res.work, difficulty)) {
+      throw new Error('work_generate returned invalid work');
+    }
+    return res.work;
+  }
+
+  /**
+   * @param {string} hash block hash
+   * @param {string} difficulty 16 hex threshold
+   * @returns {string} cached work meeting the difficulty, or undefined
+   */
+  async function readCache(hash, difficulty) {
+    try {
+      const row = await store.getItem('workCache', hash);
+      return row && meetsDifficulty(hash, row.work, difficulty)
+        ? row.work
+        : undefined;
+    } catch (err) {
+      logger.warn('unable to read work cache', { hash: hash, err: err });
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {string} hash block hash
+   * @param {string} work its work
+   */
+  async function writeCache(hash, work) {
+    try {
+      await store.putItem('workCache', {
+        hash: hash,
+        work: work,
+        expirationTs:
+          Math.round(Date.now() / 1000) + CACHE_EXPIRATION_TIME_SECONDS,
+      });
+    } catch (err) {
+      logger.warn('unable to cache work', { hash: hash, err: err });
+    }
+  }
+
+  /**
+   * Counts where work came from (work_generated) and how long it took
+   * (work_duration_ms), by source.
+   *
+   * @param {string} source 'cache', 'precache', 'local' or 'remote'
+   * @param {number} started when the request for work started, in ms
+   */
+  function record(source, started) {
+    metrics.increment('work_generated', { source: source });
+    metrics.timing('work_duration_ms', Date.now() - started, {
+      source: source,
+    });
+  }
+
+  return {
+    generate: generate,
+    precache: precache,
+  };
+}
+
+module.exports = {
+  RECEIVE_DIFFICULTY,
+  SEND_DIFFICULTY,
+  createWorkProvider,
+  meetsDifficulty,
+  validateWorkOptions,
+  workOptionsFromEnv,
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { logger } = require('../logger');
+
+/*
+    Local CPU work generation. Every job starts `threads` worker threads
+    (lib/work/worker.js), each searching from its own random nonce, and stops
+    them all as soon as one finds work or the job times out. Threads only
+    live for one job, so an idle process holds none.
+*/
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+
+/**
+ * @returns {number} default thread count, every core but one
+ */
+function defaultThreads() {
+  return Math.max(1, os.cpus().length - 1);
+}
+
+/**
+ * Creates the local work generator.
+ *
+ * @param {Object} options { threads }
+ * @returns {Object} { generate }
+ */
+function createLocalWorkGenerator(options = {}) {
+  const threads = options.threads || defaultThreads();
+
+  /**
+   * Searches for work on a block hash.
+   *
+   * @param {string} hash 64 hex block hash (or public key for open blocks)
+   * @param {string} difficulty 16 hex threshold
+   * @param {number} timeoutMs how long to search for
+   * @returns {string} the work, or undefined if none was found in time
+   */
+  function generate(hash, difficulty, timeoutMs) {
+    return new Promise((resolve) => {
+      const workers = [];
+      let done = false;
+      let failed = 0;
+
+      const finish = (work) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(timer);
+        workers.forEach((worker) => worker.terminate());
+        resolve(work);
+      };
+
+      const timer = setTimeout(() => finish(undefined), timeoutMs);
+
+      for (let i = 0; i < threads; i++) {
+        const start = crypto.randomBytes(8);
+        const worker = new Worker(WORKER_PATH, {
+          workerData: {
+            hash: hash,
+            difficulty: difficulty,
+            start: [start.readUInt32LE(0), start.readUInt32LE(4)],
+          },
+        });
+        worker.on('message', (message) => finish(message.work));
+        worker.on('error', (err) => {
+          logger.warn('work thread failed', { err: err });
+          if (++failed === threads) {
+            finish(undefined);
+          }
+        });
+        workers.push(worker);
+      }
+    });
+  }
+
+  return {
+    threads: threads,
+    generate: generate,
+  };
+}
+
+module.exports = {
+  createLocalWorkGenerator,
+  defaultThreads,
+};
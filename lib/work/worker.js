@@ -0,0 +1,233 @@
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+
+/*
+    Proof-of-work search, run in a worker thread by lib/work/local.js.
+
+    Nano work is an 8 byte nonce such that blake2b(nonce || block hash),
+    with an 8 byte digest read as a little-endian uint64, is at least the
+    difficulty threshold. The input is always 40 bytes (one compression
+    block) and the digest 8 bytes, so this is a blake2b cut down to exactly
+    that, on 32-bit halves in typed arrays so nothing is allocated per
+    attempt. It's more than twice as fast as a general purpose blake2b.
+*/
+
+const IV = new Uint32Array([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372,
+  0x5f1d36f1, 0xa54ff53a, 0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+  0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19,
+]);
+
+// message word order for each of the 12 rounds, as 32-bit word offsets
+const SIGMA = new Uint8Array(
+  [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 14, 10, 4, 8, 9, 15,
+    13, 6, 1, 12, 0, 2, 11, 7, 5, 3, 11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6,
+    7, 1, 9, 4, 7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8, 9, 0, 5,
+    7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13, 2, 12, 6, 10, 0, 11, 8, 3, 4,
+    13, 7, 5, 15, 14, 1, 9, 12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8,
+    11, 13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10, 6, 15, 14, 9, 11,
+    3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5, 10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14,
+    3, 12, 13, 0, 0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 14, 10,
+    4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+  ].map((x) => x * 2)
+);
+
+// h[0] with the parameter block for an 8 byte digest and no key
+const H0_LO = (IV[0] ^ 0x01010008) >>> 0;
+
+// nonces tried between checks in the worker loop
+const BATCH_SIZE = 1 << 20;
+
+const v = new Int32Array(32);
+const m = new Int32Array(32);
+
+/**
+ * One blake2b G mix. 64-bit words are (lo, hi) pairs of int32s, mixed in
+ * locals and written back once.
+ *
+ * @param {number} a offset of word a in v, likewise b, c and d
+ * @param {number} ix offset of the first message word in m, likewise iy
+ */
+function G(a, b, c, d, ix, iy) {
+  let a0 = v[a],
+    a1 = v[a + 1],
+    b0 = v[b],
+    b1 = v[b + 1];
+  let c0 = v[c],
+    c1 = v[c + 1],
+    d0 = v[d],
+    d1 = v[d + 1];
+  let t, x0, x1;
+  t = (a0 + b0) | 0;
+  a1 = (a1 + b1 + (t >>> 0 < a0 >>> 0 ? 1 : 0)) | 0;
+  a0 = (t + m[ix]) | 0;
+  a1 = (a1 + m[ix + 1] + (a0 >>> 0 < t >>> 0 ? 1 : 0)) | 0;
+  x0 = d0 ^ a0;
+  x1 = d1 ^ a1;
+  d0 = x1;
+  d1 = x0;
+  t = (c0 + d0) | 0;
+  c1 = (c1 + d1 + (t >>> 0 < c0 >>> 0 ? 1 : 0)) | 0;
+  c0 = t;
+  x0 = b0 ^ c0;
+  x1 = b1 ^ c1;
+  b0 = (x0 >>> 24) ^ (x1 << 8);
+  b1 = (x1 >>> 24) ^ (x0 << 8);
+  t = (a0 + b0) | 0;
+  a1 = (a1 + b1 + (t >>> 0 < a0 >>> 0 ? 1 : 0)) | 0;
+  a0 = (t + m[iy]) | 0;
+  a1 = (a1 + m[iy + 1] + (a0 >>> 0 < t >>> 0 ? 1 : 0)) | 0;
+  x0 = d0 ^ a0;
+  x1 = d1 ^ a1;
+  d0 = (x0 >>> 16) ^ (x1 << 16);
+  d1 = (x1 >>> 16) ^ (x0 << 16);
+  t = (c0 + d0) | 0;
+  c1 = (c1 + d1 + (t >>> 0 < c0 >>> 0 ? 1 : 0)) | 0;
+  c0 = t;
+  x0 = b0 ^ c0;
+  x1 = b1 ^ c1;
+  b0 = (x1 >>> 31) ^ (x0 << 1);
+  b1 = (x0 >>> 31) ^ (x1 << 1);
+  v[a] = a0;
+  v[a + 1] = a1;
+  v[b] = b0;
+  v[b + 1] = b1;
+  v[c] = c0;
+  v[c + 1] = c1;
+  v[d] = d0;
+  v[d + 1] = d1;
+}
+
+/**
+ * Hashes nonce || block hash. The block hash must already be in m[2..9].
+ *
+ * @param {number} nonceLo low 32 bits of the nonce
+ * @param {number} nonceHi high 32 bits of the nonce
+ * @returns {number} high 32 bits of the work value, the low bits are left in v
+ */
+function hashNonce(nonceLo, nonceHi) {
+  m[0] = nonceLo;
+  m[1] = nonceHi;
+  v[0] = H0_LO;
+  for (let i = 1; i < 16; i++) {
+    v[i] = IV[i];
+  }
+  for (let i = 0; i < 16; i++) {
+    v[i + 16] = IV[i];
+  }
+  // 40 bytes in, last block
+  v[24] ^= 40;
+  v[28] = ~v[28];
+  v[29] = ~v[29];
+
+  for (let i = 0; i < 192; i += 16) {
+    G(0, 8, 16, 24, SIGMA[i], SIGMA[i + 1]);
+    G(2, 10, 18, 26, SIGMA[i + 2], SIGMA[i + 3]);
+    G(4, 12, 20, 28, SIGMA[i + 4], SIGMA[i + 5]);
+    G(6, 14, 22, 30, SIGMA[i + 6], SIGMA[i + 7]);
+    G(0, 10, 20, 30, SIGMA[i + 8], SIGMA[i + 9]);
+    G(2, 12, 22, 24, SIGMA[i + 10], SIGMA[i + 11]);
+    G(4, 14, 16, 26, SIGMA[i + 12], SIGMA[i + 13]);
+    G(6, 8, 18, 28, SIGMA[i + 14], SIGMA[i + 15]);
+  }
+  // only the first 64-bit word of the state is output
+  v[0] = H0_LO ^ v[0] ^ v[16];
+  return (IV[1] ^ v[1] ^ v[17]) >>> 0;
+}
+
+/**
+ * Loads a block hash into the message words.
+ *
+ * @param {string} hash 64 hex block hash (or public key for open blocks)
+ */
+function setHash(hash) {
+  const bytes = Buffer.from(hash, 'hex');
+  for (let i = 0; i < 8; i++) {
+    m[2 + i] = bytes.readUInt32LE(i * 4);
+  }
+  for (let i = 10; i < 32; i++) {
+    m[i] = 0;
+  }
+}
+
+/**
+ * Computes the value of a work nonce for a block hash.
+ *
+ * @param {string} hash 64 hex block hash (or public key for open blocks)
+ * @param {string} work 16 hex work nonce
+ * @returns {string} the value as 16 hex, it must be at least the difficulty
+ */
+function workValue(hash, work) {
+  setHash(hash);
+  const hi = hashNonce(
+    parseInt(work.slice(8), 16),
+    parseInt(work.slice(0, 8), 16)
+  );
+  return toHex(hi, v[0]);
+}
+
+/**
+ * Searches nonces from a starting point for work meeting a difficulty.
+ *
+ * @param {string} hash 64 hex block hash (or public key for open blocks)
+ * @param {string} difficulty 16 hex threshold
+ * @param {number[]} start [lo, hi] 32-bit halves of the first nonce
+ * @param {number} attempts how many nonces to try
+ * @returns {string} the 16 hex work, or undefined if none was found
+ */
+function searchWork(hash, difficulty, start, attempts) {
+  setHash(hash);
+  const thresholdHi = parseInt(difficulty.slice(0, 8), 16);
+  const thresholdLo = parseInt(difficulty.slice(8), 16);
+
+  let [lo, hi] = start;
+  for (let n = 0; n < attempts; n++) {
+    const valueHi = hashNonce(lo, hi);
+    if (
+      valueHi > thresholdHi ||
+      (valueHi === thresholdHi && v[0] >>> 0 >= thresholdLo)
+    ) {
+      return toHex(hi, lo);
+    }
+    lo = (lo + 1) >>> 0;
+    if (lo === 0) {
+      hi = (hi + 1) >>> 0;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * @param {number} hi high 32 bits
+ * @param {number} lo low 32 bits
+ * @returns {string} the uint64 as 16 hex, big-endian like work strings
+ */
+function toHex(hi, lo) {
+  return (
+    (hi >>> 0).toString(16).padStart(8, '0') +
+    (lo >>> 0).toString(16).padStart(8, '0')
+  );
+}
+
+// In a worker thread: search from workerData.start until found, then post { work }
+if (!isMainThread && workerData) {
+  const { hash, difficulty } = workerData;
+  let [lo, hi] = workerData.start;
+  for (;;) {
+    const work = searchWork(hash, difficulty, [lo, hi], BATCH_SIZE);
+    if (work) {
+      parentPort.postMessage({ work: work });
+      break;
+    }
+    lo += BATCH_SIZE;
+    if (lo > 0xffffffff) {
+      lo -= 0x100000000;
+      hi = (hi + 1) >>> 0;
+    }
+  }
+}
+
+module.exports = {
+  searchWork,
+  workValue,
+};
@@ -0,0 +1,75 @@
+const { createStore } = require('./lib/storage');
+const {
+  createKeyVault,
+  keyVaultOptionsFromEnv,
+  validateKeyVaultOptions,
+} = require('./lib/keyVault');
+
+require('dotenv').config();
+
+/*
+    One-off migration that encrypts every TryNanoWallets row still holding a
+    plaintext privateKey. Safe to re-run: rows that are already encrypted are
+    skipped. The API also migrates legacy rows lazily the first time they are
+    loaded, so this only needs to run once to clean up the rest.
+
+    Usage: npm run migrate-wallet-keys
+*/
+
+const store = createStore({
+  backend: process.env.STORAGE_BACKEND,
+  filePath: process.env.STORAGE_FILE_PATH,
+  region: 'us-west-1',
+});
+
+const keyVaultOptions = keyVaultOptionsFromEnv(process.env);
+const vault = createKeyVault(keyVaultOptions);
+
+/**
+ * Scans the wallet table page by page and encrypts legacy rows.
+ *
+ * @returns the number of scanned and migrated wallets
+ */
+async function migrateWalletKeys() {
+  let scanned = 0;
+  let migrated = 0;
+  let startKey;
+  do {
+    const page = await store.scanItems('wallets', {
+      conditions: [{ attr: 'privateKey', op: 'exists' }],
+      startKey: startKey,
+    });
+    for (const wallet of page.items) {
+      scanned++;
+      if (!vault.isLegacy(wallet)) {
+        continue;
+      }
+      await store.updateItem(
+        'wallets',
+        wallet.walletID,
+        await vault.migrationAttrs(wallet),
+        // don't clobber a row the API migrated while we were running
+        { conditions: [{ attr: 'privateKey', op: 'exists' }] }
+      );
+      migrated++;
+    }
+    startKey = page.lastKey;
+  } while (startKey !== undefined);
+
+  return { scanned, migrated };
+}
+
+const error = validateKeyVaultOptions(keyVaultOptions);
+if (error) {
+  console.log(error);
+  process.exit(1);
+}
+
+migrateWalletKeys()
+  .then(({ scanned, migrated }) => {
+    console.log(`migrated ${migrated} of ${scanned} legacy wallets`);
+  })
+  .catch((err) => {
+    console.log(`caught error: ${err.message}`);
+    process.exit(1);
+  });
@@ -1,4 +1,14 @@
 #!/bin/bash
 
+# Only the modules the API requires, see lib/core for what it shares with the sweep
 rm -f lambda.zip
-zip lambda.zip -r index.js .env node_modules
+zip lambda.zip -r index.js \
+  lib/core lib/storage lib/work \
+  lib/accessList.js lib/adminAuth.js lib/alertSinks.js lib/amounts.js \
+  lib/antiAbuse.js lib/errors.js lib/faucetControls.js lib/faucetPolicy.js \
+  lib/history.js lib/idempotency.js lib/keyVault.js lib/locks.js \
+  lib/logger.js lib/metrics.js lib/monitoring.js lib/nanoNode.js \
+  lib/paymentRequests.js lib/publicHosts.js lib/rateLimit.js \
+  lib/seedWallets.js lib/sweep.js lib/tracing.js lib/validation.js \
+  lib/webhooks.js \
+  .env node_modules
@@ -1,2 +1,11 @@
+#!/bin/bash
+
+# Only the modules the sweep requires: lib/core, lib/sweep.js and what they use
 rm -f return_nano_lambda.zip
-zip return_nano_lambda.zip -r returnAllNanoToFaucet.js .env node_modules
\ No newline at end of file
+zip return_nano_lambda.zip -r returnAllNanoToFaucet.js \
+  lib/core lib/storage lib/work \
+  lib/alertSinks.js lib/amounts.js lib/errors.js lib/history.js \
+  lib/idempotency.js lib/keyVault.js lib/locks.js lib/logger.js \
+  lib/metrics.js lib/monitoring.js lib/nanoNode.js lib/publicHosts.js \
+  lib/sweep.js lib/tracing.js lib/validation.js lib/webhooks.js \
+  .env node_modules
@@ -0,0 +1,11 @@
+#!/bin/bash
+
+# Only the modules the webhook Lambda requires, see lib/webhooks.js
+rm -f webhooks_lambda.zip
+zip webhooks_lambda.zip -r deliverWebhooks.js \
+  lib/core lib/storage lib/work \
+  lib/alertSinks.js lib/amounts.js lib/history.js \
+  lib/idempotency.js lib/keyVault.js lib/locks.js lib/logger.js \
+  lib/metrics.js lib/monitoring.js lib/nanoNode.js lib/paymentRequests.js \
+  lib/publicHosts.js lib/tracing.js lib/webhooks.js \
+  .env node_modules
@@ -0,0 +1,4 @@
+#!/bin/bash
+
+rm -f websocket_lambda.zip
+zip websocket_lambda.zip -r websocket.js lib .env node_modules
@@ -0,0 +1,81 @@
+const AWS = require('aws-sdk');
+const { createNodeFeed, nodeFeedOptionsFromEnv } = require('./lib/nanoFeed');
+const { createPushService } = require('./lib/push');
+const { coreOptionsFromEnv, createCore } = require('./lib/core');
+const { logger } = require('./lib/logger');
+
+require('dotenv').config();
+
+/*
+    Long-running process that follows the Nano node's confirmation feed for
+    every address subscribed through the WebSocket API (websocket.js) and
+    pushes updates back through API Gateway. Incoming blocks are received
+    automatically. Lambdas can't hold the node connection open, so run this
+    somewhere that can (ECS, EC2, ...).
+
+    Usage: npm run push-worker
+*/
+
+const PUSH_REFRESH_MS = 5000;
+
+const feedOptions = nodeFeedOptionsFromEnv(process.env);
+if (!feedOptions.url) {
+  logger.error('NANO_WS_URL key missing from .env - you must fix');
+  process.exit(1);
+}
+if (!process.env.PUSH_WS_ENDPOINT) {
+  logger.error('PUSH_WS_ENDPOINT key missing from .env - you must fix');
+  process.exit(1);
+}
+
+// Receives incoming blocks the same way the API does, see lib/core
+const core = createCore(coreOptionsFromEnv(process.env));
+const store = core.store;
+
+const gateway = new AWS.ApiGatewayManagementApi({
+  endpoint: process.env.PUSH_WS_ENDPOINT,
+  region: 'us-west-1',
+});
+
+const push = createPushService({
+  store: store,
+  feed: createNodeFeed(feedOptions),
+  refreshMs: PUSH_REFRESH_MS,
+  receive: async (address) => {
+    // throws NODE_UNAVAILABLE if the node couldn't receive
+    const res = await core.nano.receiveWallet(address);
+    if (!res) {
+      // the wallet was deleted
+      return undefined;
+    }
+    return {
+      balance: res.account.balance.RAW,
+      resolvedCount: res.resolvedCount,
+    };
+  },
+  deliver: async (connectionId, message) => {
+    try {
+      await gateway
+        .postToConnection({
+          ConnectionId: connectionId,
+          Data: JSON.stringify(message),
+        })
+        .promise();
+      return true;
+    } catch (err) {
+      if (err.statusCode === 410) {
+        // the client disconnected without us hearing about it
+        return false;
+      }
+      throw err;
+    }
+  },
+});
+
+push
+  .start()
+  .then(() => logger.info('push worker started'))
+  .catch((err) => {
+    logger.error('push worker failed to start', { err: err });
+    process.exit(1);
+  });
@@ -0,0 +1,140 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { createApiKey } = require('../lib/adminAuth');
+const { startStack } = require('./support/stack');
+
+const MINUTE = 60000;
+
+const ops = createApiKey();
+const reader = createApiKey();
+
+let stack;
+
+before(async () => {
+  stack = await startStack({
+    ADMIN_API_KEYS: JSON.stringify([
+      {
+        id: 'ops',
+        hash: ops.hash,
+        scopes: ['faucet:read', 'faucet:write', 'ip:read', 'ip:write'],
+      },
+      { id: 'reader', hash: reader.hash, scopes: ['faucet:read', 'node:read'] },
+    ]),
+    FAUCET_POLICY: JSON.stringify({
+      payout: { type: 'fixed', amount: '0.5' },
+      eligibility: { throttleSeconds: 600 },
+    }),
+  });
+});
+
+after(async () => {
+  await stack.close();
+});
+
+/**
+ * @param {Object} key the API key from createApiKey
+ * @param {string} path admin route
+ * @param {Object} body request body
+ * @returns {Object} the parsed response
+ */
+function adminApi(key, path, body) {
+  return stack.api(path, body, { headers: { 'x-api-key': key.apiKey } });
+}
+
+/**
+ * Creates a wallet and asks the faucet to pay it.
+ *
+ * @param {string} ip client IP
+ * @returns {Object} the getFromFaucet response
+ */
+async function claim(ip) {
+  const created = await stack.api(
+    '/api/createWallets',
+    { count: 1 },
+    { ip: ip }
+  );
+  const wallet = created.body.wallets[0];
+  return await stack.api(
+    '/api/getFromFaucet',
+    { toAddress: wallet.address, privateKey: wallet.privateKey },
+    { ip: ip }
+  );
+}
+
+test('admin routes need a known key with the route scope', async () => {
+  const missing = await stack.api('/api/admin/getFaucetStatus');
+  assert.strictEqual(missing.statusCode, 401);
+  assert.strictEqual(missing.body.code, 'UNAUTHORIZED');
+
+  const unknown = await adminApi(createApiKey(), '/api/admin/getFaucetStatus');
+  assert.strictEqual(unknown.statusCode, 401);
+
+  const status = await adminApi(reader, '/api/admin/getFaucetStatus');
+  assert.strictEqual(status.statusCode, 200);
+  assert.strictEqual(status.body.paused, false);
+
+  for (const [path, body] of [
+    ['/api/admin/pauseFaucet', {}],
+    ['/api/admin/clearIpHistory', { ip: '192.0.2.1' }],
+    ['/api/admin/runSweep', {}],
+  ]) {
+    const res = await adminApi(reader, path, body);
+    assert.strictEqual(res.statusCode, 403, path);
+    assert.strictEqual(res.body.code, 'FORBIDDEN', path);
+  }
+  const paused = await adminApi(reader, '/api/admin/getFaucetStatus');
+  assert.strictEqual(paused.body.paused, false);
+});
+
+test('a paused faucet refuses payouts until it is resumed', async () => {
+  const paused = await adminApi(ops, '/api/admin/pauseFaucet', {
+    message: 'Back soon',
+  });
+  assert.strictEqual(paused.statusCode, 200);
+  assert.strictEqual(paused.body.paused, true);
+  assert.strictEqual(paused.body.updatedBy, 'ops');
+
+  const refused = await claim('192.0.2.10');
+  assert.strictEqual(refused.statusCode, 500);
+  assert.strictEqual(refused.body.code, 'FAUCET_DISABLED');
+  assert.strictEqual(refused.body.error, 'Back soon');
+
+  const resumed = await adminApi(ops, '/api/admin/resumeFaucet');
+  assert.strictEqual(resumed.statusCode, 200);
+  assert.strictEqual(resumed.body.paused, false);
+  assert.strictEqual((await claim('192.0.2.10')).statusCode, 200);
+});
+
+test('clearing an IP history lets it claim again', async () => {
+  const ip = '192.0.2.11';
+  assert.strictEqual((await claim(ip)).statusCode, 200);
+  stack.advance(MINUTE);
+  assert.strictEqual((await claim(ip)).body.code, 'FAUCET_THROTTLED');
+
+  const history = await adminApi(ops, '/api/admin/getIpHistory', { ip: ip });
+  assert.strictEqual(history.statusCode, 200);
+  assert.notStrictEqual(history.body.history, null);
+
+  const cleared = await adminApi(ops, '/api/admin/clearIpHistory', { ip: ip });
+  assert.deepStrictEqual(cleared.body, { ip: ip, cleared: true });
+  const after = await adminApi(ops, '/api/admin/getIpHistory', { ip: ip });
+  assert.strictEqual(after.body.history, null);
+  assert.strictEqual((await claim(ip)).statusCode, 200);
+});
+
+test('the node status shows every RPC endpoint', async () => {
+  const res = await adminApi(reader, '/api/admin/getNodeStatus', {
+    check: true,
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body.endpoints, [
+    {
+      host: new URL(process.env.NANO_RPC_URLS).host,
+      healthy: true,
+      failures: 0,
+    },
+  ]);
+
+  const forbidden = await adminApi(ops, '/api/admin/getNodeStatus');
+  assert.strictEqual(forbidden.statusCode, 403);
+});
@@ -0,0 +1,49 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { createStore } = require('../lib/storage');
+const {
+  antiAbuseOptionsFromEnv,
+  createAntiAbuse,
+} = require('../lib/antiAbuse');
+
+const antiAbuse = createAntiAbuse(
+  antiAbuseOptionsFromEnv({
+    ANTI_ABUSE_VERIFIER: 'pow',
+    POW_SECRET: 'test secret',
+    POW_DIFFICULTY: '4',
+  }),
+  createStore({ backend: 'memory' })
+);
+
+/**
+ * @param {string} challenge X-Pow-Challenge header
+ * @param {string} nonce X-Pow-Nonce header
+ * @returns {Object} the verification result
+ */
+function verify(challenge, nonce) {
+  return antiAbuse.verify(
+    'send',
+    {},
+    {
+      headers: { 'x-pow-challenge': challenge, 'x-pow-nonce': nonce },
+    }
+  );
+}
+
+test('tampered proof-of-work challenges are rejected', async () => {
+  const { challenge } = antiAbuse.issueChallenge();
+  const parts = challenge.split('.');
+  const signature = parts.pop();
+
+  const forged = await verify(
+    `1.${parts.slice(1).join('.')}.${signature}`,
+    '0'
+  );
+  assert.strictEqual(forged.reason, 'invalid proof-of-work challenge');
+
+  // as many characters as the signature, but not as many bytes
+  const multibyte = `${parts.join('.')}.${'é'.repeat(signature.length)}`;
+  const res = await verify(multibyte, '0');
+  assert.strictEqual(res.success, false);
+  assert.strictEqual(res.reason, 'invalid proof-of-work challenge');
+});
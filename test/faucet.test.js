@@ -0,0 +1,139 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { FAUCET_BALANCE, startStack } = require('./support/stack');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+let stack;
+
+before(async () => {
+  stack = await startStack({
+    FAUCET_POLICY: JSON.stringify({
+      payout: { type: 'fixed', amount: '0.5' },
+      eligibility: { throttleSeconds: 600, maxClaims: 2, windowHours: 24 },
+      rateLimits: { wallet: [{ limit: 3, windowSeconds: 86400 }] },
+    }),
+  });
+});
+
+after(async () => {
+  await stack.close();
+});
+
+/**
+ * @param {string} ip client IP, the wallet's creator
+ * @returns {Object} a new wallet from createWallets
+ */
+async function newWallet(ip) {
+  const res = await stack.api('/api/createWallets', { count: 1 }, { ip: ip });
+  return res.body.wallets[0];
+}
+
+/**
+ * @param {Object} wallet the wallet to pay
+ * @param {string} ip client IP
+ * @returns {Object} the getFromFaucet response
+ */
+function claim(wallet, ip) {
+  return stack.api(
+    '/api/getFromFaucet',
+    { toAddress: wallet.address, privateKey: wallet.privateKey },
+    { ip: ip }
+  );
+}
+
+test('a payout is sent to the wallet', async () => {
+  const wallet = await newWallet('192.0.2.1');
+  const before = BigInt(stack.balances(stack.faucet.address).balance);
+
+  const res = await claim(wallet, '192.0.2.1');
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.amount.nano, '0.5');
+  assert.deepStrictEqual(stack.balances(wallet.address), {
+    balance: '0',
+    receivable: '500000000000000000000000000000',
+  });
+  assert.strictEqual(
+    BigInt(stack.balances(stack.faucet.address).balance),
+    before - BigInt('500000000000000000000000000000')
+  );
+  assert.ok(before <= BigInt(FAUCET_BALANCE));
+});
+
+test('a client must wait throttleSeconds between payouts', async () => {
+  const ip = '192.0.2.2';
+  assert.strictEqual((await claim(await newWallet(ip), ip)).statusCode, 200);
+
+  stack.advance(9 * MINUTE);
+  const throttled = await claim(await newWallet(ip), ip);
+  assert.strictEqual(throttled.statusCode, 400);
+  assert.strictEqual(throttled.body.code, 'FAUCET_THROTTLED');
+
+  stack.advance(MINUTE);
+  assert.strictEqual((await claim(await newWallet(ip), ip)).statusCode, 200);
+});
+
+test('a client gets maxClaims payouts per window', async () => {
+  const ip = '192.0.2.3';
+  assert.strictEqual((await claim(await newWallet(ip), ip)).statusCode, 200);
+  stack.advance(HOUR);
+  assert.strictEqual((await claim(await newWallet(ip), ip)).statusCode, 200);
+
+  stack.advance(HOUR);
+  const limited = await claim(await newWallet(ip), ip);
+  assert.strictEqual(limited.statusCode, 400);
+  assert.strictEqual(limited.body.code, 'FAUCET_LIMIT_REACHED');
+
+  // the window runs from the last payout
+  stack.advance(23 * HOUR);
+  assert.strictEqual((await claim(await newWallet(ip), ip)).statusCode, 200);
+});
+
+test('a wallet is rate limited across clients', async () => {
+  const wallet = await newWallet('203.0.113.1');
+  for (const ip of ['203.0.113.1', '203.0.114.1', '203.0.115.1']) {
+    assert.strictEqual((await claim(wallet, ip)).statusCode, 200);
+    stack.advance(HOUR);
+  }
+
+  const limited = await claim(wallet, '203.0.116.1');
+  assert.strictEqual(limited.statusCode, 429);
+  assert.strictEqual(limited.body.code, 'RATE_LIMITED');
+  assert.match(limited.body.error, /\(wallet\)/);
+
+  // waiting as long as Retry-After says is enough
+  const retryAfter = Number(limited.headers['Retry-After']);
+  assert.ok(retryAfter > 0 && retryAfter <= 86400);
+  stack.advance((retryAfter - 1) * 1000);
+  assert.strictEqual((await claim(wallet, '203.0.116.1')).statusCode, 429);
+  stack.advance(1000);
+  assert.strictEqual((await claim(wallet, '203.0.116.1')).statusCode, 200);
+});
+
+test('concurrent claims are counted against the limits', async () => {
+  const wallet = await newWallet('198.51.100.1');
+  const ips = ['198.51.100.1', '198.51.101.1', '198.51.102.1', '198.51.103.1'];
+  const results = await Promise.all(ips.map((ip) => claim(wallet, ip)));
+  assert.deepStrictEqual(
+    results.map((res) => res.statusCode).sort(),
+    [200, 200, 200, 429]
+  );
+  assert.strictEqual(
+    stack.balances(wallet.address).receivable,
+    '1500000000000000000000000000000'
+  );
+});
+
+test('a payout needs the wallet private key', async () => {
+  const wallet = await newWallet('192.0.2.4');
+  const other = await newWallet('192.0.2.4');
+  const res = await stack.api(
+    '/api/getFromFaucet',
+    { toAddress: wallet.address, privateKey: other.privateKey },
+    { ip: '192.0.2.4' }
+  );
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'WALLET_KEY_MISMATCH');
+  assert.strictEqual(stack.balances(wallet.address).receivable, '0');
+});
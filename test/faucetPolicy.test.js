@@ -0,0 +1,214 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { createStore } = require('../lib/storage');
+const {
+  DEFAULT_POLICY,
+  applyPolicyOverrides,
+  budgetDay,
+  checkEligibility,
+  computePayout,
+  validateFaucetPolicy,
+} = require('../lib/faucetPolicy');
+const {
+  effectivePolicy,
+  getFaucetControls,
+  setFaucetPaused,
+  setPolicyOverrides,
+} = require('../lib/faucetControls');
+
+const NANO = BigInt('1000000000000000000000000000000');
+
+/**
+ * @param {Object} payout payout rule
+ * @param {string} dailyBudget optional daily budget in NANO
+ * @returns {Object} the default policy with that payout
+ */
+function policyWith(payout, dailyBudget) {
+  return applyPolicyOverrides(DEFAULT_POLICY, {
+    payout: payout,
+    dailyBudget: dailyBudget,
+  });
+}
+
+test('fixed payouts never exceed the balance', () => {
+  const policy = policyWith({ type: 'fixed', amount: '0.5' });
+  assert.deepStrictEqual(computePayout(policy, { balance: 10n * NANO }), {
+    amount: NANO / 2n,
+  });
+  assert.deepStrictEqual(computePayout(policy, { balance: NANO / 4n }), {
+    amount: NANO / 4n,
+  });
+  assert.strictEqual(
+    computePayout(policy, { balance: 0n }).code,
+    'FAUCET_EMPTY'
+  );
+});
+
+test('percent payouts round down in raw', () => {
+  const policy = policyWith({ type: 'percent', percent: 0.5 });
+  assert.strictEqual(computePayout(policy, { balance: 999n }).amount, 499n);
+
+  // the default 0.0125% of 1000 NANO, exactly
+  assert.strictEqual(
+    computePayout(DEFAULT_POLICY, { balance: 1000n * NANO }).amount,
+    (NANO * 125n) / 1000n
+  );
+
+  // nothing left once rounded
+  const tiny = policyWith({ type: 'percent', percent: 0.000125 });
+  const res = computePayout(tiny, { balance: 7000n });
+  assert.strictEqual(res.amount, 0n);
+  assert.strictEqual(res.code, 'FAUCET_EMPTY');
+  assert.strictEqual(res.reason, 'Faucet balance is too low to pay out');
+});
+
+test('decay payouts shrink with the balance down to their floor', () => {
+  const policy = policyWith({
+    type: 'decay',
+    amount: '1',
+    fullBalance: '100',
+    exponent: 2,
+    min: '0.1',
+  });
+  // full or more pays the whole amount
+  assert.strictEqual(
+    computePayout(policy, { balance: 200n * NANO }).amount,
+    NANO
+  );
+  // half full, squared
+  assert.strictEqual(
+    computePayout(policy, { balance: 50n * NANO }).amount,
+    NANO / 4n
+  );
+  // 10% full would pay 0.01, the floor pays 0.1
+  assert.strictEqual(
+    computePayout(policy, { balance: 10n * NANO }).amount,
+    NANO / 10n
+  );
+  // the floor can't pay more than the faucet holds
+  assert.strictEqual(
+    computePayout(policy, { balance: NANO / 20n }).amount,
+    NANO / 20n
+  );
+});
+
+test('the daily budget runs out exactly at its limit', () => {
+  const policy = policyWith({ type: 'fixed', amount: '1' }, '10');
+  const balance = 1000n * NANO;
+
+  assert.strictEqual(
+    computePayout(policy, { balance: balance, spentToday: 9n * NANO }).amount,
+    NANO
+  );
+  // only what is left of the budget
+  assert.strictEqual(
+    computePayout(policy, { balance: balance, spentToday: 10n * NANO - 1n })
+      .amount,
+    1n
+  );
+  const spent = computePayout(policy, {
+    balance: balance,
+    spentToday: 10n * NANO,
+  });
+  assert.strictEqual(spent.amount, 0n);
+  assert.strictEqual(spent.code, 'FAUCET_BUDGET_EXHAUSTED');
+
+  // budgets are per UTC day
+  assert.strictEqual(
+    budgetDay(Date.UTC(2024, 0, 31, 23, 59, 59)),
+    '2024-01-31'
+  );
+  assert.strictEqual(budgetDay(Date.UTC(2024, 1, 1)), '2024-02-01');
+});
+
+test('eligibility throttles, counts claims and resets the window', () => {
+  const hour = 3600000;
+  const now = Date.UTC(2024, 0, 1, 12);
+  const policy = applyPolicyOverrides(DEFAULT_POLICY, {
+    eligibility: { throttleSeconds: 600, maxClaims: 2 },
+  });
+  assert.strictEqual(policy.eligibility.windowHours, 24);
+
+  assert.deepStrictEqual(checkEligibility(policy, undefined, now), {
+    isEligible: true,
+    usage: { numFaucetInvocations: 1, lastUsedTs: now },
+  });
+
+  const once = { numFaucetInvocations: 1, lastUsedTs: now - 599999 };
+  assert.strictEqual(
+    checkEligibility(policy, once, now).code,
+    'FAUCET_THROTTLED'
+  );
+  once.lastUsedTs = now - 600000;
+  assert.strictEqual(
+    checkEligibility(policy, once, now).usage.numFaucetInvocations,
+    2
+  );
+
+  const twice = { numFaucetInvocations: 2, lastUsedTs: now - hour };
+  assert.strictEqual(
+    checkEligibility(policy, twice, now).code,
+    'FAUCET_LIMIT_REACHED'
+  );
+  twice.lastUsedTs = now - 24 * hour;
+  assert.strictEqual(
+    checkEligibility(policy, twice, now).usage.numFaucetInvocations,
+    1
+  );
+});
+
+test('policies are checked and layered', () => {
+  assert.strictEqual(validateFaucetPolicy(DEFAULT_POLICY), null);
+  assert.strictEqual(
+    validateFaucetPolicy(policyWith({ type: 'percent', percent: 1.5 })),
+    'percent faucet payout needs a percent between 0 and 1'
+  );
+  assert.strictEqual(
+    validateFaucetPolicy(
+      policyWith({ type: 'decay', amount: '1', fullBalance: '0' })
+    ),
+    'decay faucet payout needs a non-zero fullBalance and a positive exponent'
+  );
+  assert.strictEqual(
+    validateFaucetPolicy(policyWith({ type: 'fixed', amount: '1' }, 'lots')),
+    'faucet dailyBudget must be a NANO amount'
+  );
+
+  const budgeted = policyWith(DEFAULT_POLICY.payout, '5');
+  assert.strictEqual(budgeted.dailyBudget, '5');
+  assert.strictEqual(applyPolicyOverrides(budgeted, {}).dailyBudget, '5');
+  assert.strictEqual(
+    applyPolicyOverrides(budgeted, { dailyBudget: null }).dailyBudget,
+    undefined
+  );
+  // rate limits are replaced per dimension
+  const limits = applyPolicyOverrides(DEFAULT_POLICY, {
+    rateLimits: { global: [{ limit: 1, windowSeconds: 60 }] },
+  }).rateLimits;
+  assert.deepStrictEqual(limits.global, [{ limit: 1, windowSeconds: 60 }]);
+  assert.deepStrictEqual(limits.subnet, DEFAULT_POLICY.rateLimits.subnet);
+});
+
+test('runtime controls pause the faucet and override its policy', async () => {
+  const store = createStore({ backend: 'memory' });
+  assert.deepStrictEqual(await getFaucetControls(store), { paused: false });
+
+  await setFaucetPaused(store, true, 'maintenance', 'ops');
+  let controls = await getFaucetControls(store);
+  assert.strictEqual(controls.paused, true);
+  assert.strictEqual(controls.pauseMessage, 'maintenance');
+  await setFaucetPaused(store, false, 'ignored', 'ops');
+  controls = await getFaucetControls(store);
+  assert.strictEqual(controls.pauseMessage, undefined);
+  assert.strictEqual(effectivePolicy(DEFAULT_POLICY, controls), DEFAULT_POLICY);
+
+  await setPolicyOverrides(store, { dailyBudget: '1' }, 'ops');
+  controls = await getFaucetControls(store);
+  const policy = effectivePolicy(DEFAULT_POLICY, controls);
+  assert.strictEqual(policy.dailyBudget, '1');
+  assert.deepStrictEqual(policy.payout, DEFAULT_POLICY.payout);
+
+  await setPolicyOverrides(store, undefined, 'ops');
+  controls = await getFaucetControls(store);
+  assert.strictEqual(effectivePolicy(DEFAULT_POLICY, controls), DEFAULT_POLICY);
+});
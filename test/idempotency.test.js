@@ -0,0 +1,76 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, mock, test } = require('node:test');
+const { createStore } = require('../lib/storage');
+const {
+  claimIdempotencyKey,
+  noteBroadcast,
+  releaseIdempotencyKey,
+  saveIdempotentResponse,
+  trackBroadcasts,
+} = require('../lib/idempotency');
+
+const store = createStore({ backend: 'memory' });
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: 1704110400000 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('a retry waits for a claim still in progress, then takes it over', async () => {
+  const first = await claimIdempotencyKey(store, 'send:crashed', 'abc');
+  assert.strictEqual(first.state, 'claimed');
+
+  const retry = await claimIdempotencyKey(store, 'send:crashed', 'abc');
+  assert.strictEqual(retry.state, 'in_progress');
+  const other = await claimIdempotencyKey(store, 'send:crashed', 'def');
+  assert.strictEqual(other.state, 'mismatch');
+
+  // still running as far as anyone can tell
+  mock.timers.tick(600000);
+  const waiting = await claimIdempotencyKey(store, 'send:crashed', 'abc');
+  assert.strictEqual(waiting.state, 'in_progress');
+
+  // the first request's Lambda never came back
+  mock.timers.tick(301000);
+  const takeover = await claimIdempotencyKey(store, 'send:crashed', 'abc');
+  assert.strictEqual(takeover.state, 'claimed');
+
+  // the first request can't release or answer for the new claim
+  await releaseIdempotencyKey(store, first.record);
+  await saveIdempotentResponse(store, first.record, { statusCode: 200 });
+  await saveIdempotentResponse(store, takeover.record, { statusCode: 201 });
+  const replay = await claimIdempotencyKey(store, 'send:crashed', 'abc');
+  assert.strictEqual(replay.state, 'replay');
+  assert.strictEqual(replay.record.response.statusCode, 201);
+});
+
+test('completed requests are replayed until the key expires', async () => {
+  const claim = await claimIdempotencyKey(store, 'send:done', 'abc', 3600);
+  await saveIdempotentResponse(store, claim.record, { statusCode: 200 });
+
+  mock.timers.tick(61000);
+  const replay = await claimIdempotencyKey(store, 'send:done', 'abc', 3600);
+  assert.strictEqual(replay.state, 'replay');
+
+  mock.timers.tick(3600000);
+  const expired = await claimIdempotencyKey(store, 'send:done', 'abc', 3600);
+  assert.strictEqual(expired.state, 'claimed');
+});
+
+test('broadcasts are noted only for the tracked request', async () => {
+  noteBroadcast();
+  const quiet = { broadcast: false };
+  const sent = { broadcast: false };
+  await Promise.all([
+    trackBroadcasts(quiet, async () => {}),
+    trackBroadcasts(sent, async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      noteBroadcast();
+    }),
+  ]);
+  assert.strictEqual(quiet.broadcast, false);
+  assert.strictEqual(sent.broadcast, true);
+});
@@ -0,0 +1,118 @@
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { test } = require('node:test');
+const { wallet: nanoWallet } = require('nanocurrency-web');
+const { TABLES } = require('../lib/storage');
+const { createMemoryStore } = require('../lib/storage/memory');
+const { createWalletRepository } = require('../lib/core/wallets');
+const { createKeyVault } = require('../lib/keyVault');
+
+const MASTER_KEY = crypto.randomBytes(32).toString('hex');
+
+const vault = createKeyVault({ provider: 'local', masterKey: MASTER_KEY });
+
+/**
+ * @returns {Object} a new Nano account { address, publicKey, privateKey }
+ */
+function newAccount() {
+  return nanoWallet.generateLegacy().accounts[0];
+}
+
+/**
+ * @param {Object} account a Nano account
+ * @returns {Object} a wallet row from before keys were encrypted
+ */
+function legacyRow(account) {
+  return {
+    walletID: account.address,
+    publicKey: account.publicKey,
+    privateKey: account.privateKey,
+    balance: '0',
+  };
+}
+
+test('sealed wallet rows hold no plaintext key', async () => {
+  const account = newAccount();
+  const row = Object.assign(
+    { walletID: account.address, publicKey: account.publicKey },
+    await vault.sealPrivateKey(account.privateKey)
+  );
+
+  assert.strictEqual(vault.isLegacy(row), false);
+  const stored = JSON.stringify(row).toLowerCase();
+  assert.strictEqual(stored.includes(account.privateKey.toLowerCase()), false);
+  assert.notStrictEqual(
+    row.privateKeyHash,
+    crypto.createHash('sha256').update(account.privateKey).digest('hex')
+  );
+  assert.strictEqual(await vault.openPrivateKey(row), account.privateKey);
+
+  // every key gets its own data key and salt
+  const again = await vault.sealPrivateKey(account.privateKey);
+  assert.notStrictEqual(
+    again.encryptedPrivateKey.ciphertext,
+    row.encryptedPrivateKey.ciphertext
+  );
+  assert.notStrictEqual(again.privateKeyHash, row.privateKeyHash);
+
+  const otherVault = createKeyVault({
+    provider: 'local',
+    masterKey: crypto.randomBytes(32).toString('hex'),
+  });
+  await assert.rejects(otherVault.openPrivateKey(row));
+});
+
+test('ownership is checked against the salted hash', async () => {
+  const account = newAccount();
+  const row = await vault.sealPrivateKey(account.privateKey);
+
+  assert.strictEqual(vault.verifyPrivateKey(row, account.privateKey), true);
+  assert.strictEqual(
+    vault.verifyPrivateKey(row, account.privateKey.toUpperCase()),
+    true
+  );
+  assert.strictEqual(
+    vault.verifyPrivateKey(row, newAccount().privateKey),
+    false
+  );
+  assert.strictEqual(vault.verifyPrivateKey(row, undefined), false);
+  assert.strictEqual(
+    vault.verifyPrivateKey(
+      Object.assign({}, row, { privateKeySalt: 'ff' }),
+      account.privateKey
+    ),
+    false
+  );
+});
+
+test('legacy plaintext rows still work and are migrated on load', async () => {
+  const account = newAccount();
+  const row = legacyRow(account);
+  assert.strictEqual(vault.isLegacy(row), true);
+  assert.strictEqual(vault.verifyPrivateKey(row, account.privateKey), true);
+  assert.strictEqual(
+    vault.verifyPrivateKey(row, newAccount().privateKey),
+    false
+  );
+  assert.strictEqual(await vault.openPrivateKey(row), account.privateKey);
+
+  const store = createMemoryStore(TABLES);
+  await store.putItem('wallets', row);
+  const wallets = createWalletRepository({ store: store, vault: vault });
+
+  const loaded = await wallets.loadAccount(account.address);
+  assert.deepStrictEqual(loaded, {
+    address: account.address,
+    publicKey: account.publicKey,
+    privateKey: account.privateKey,
+  });
+  const migrated = await store.getItem('wallets', account.address);
+  assert.strictEqual(migrated.privateKey, undefined);
+  assert.strictEqual(migrated.balance, '0');
+  assert.strictEqual(vault.isLegacy(migrated), false);
+  assert.strictEqual(
+    vault.verifyPrivateKey(migrated, account.privateKey),
+    true
+  );
+  assert.strictEqual(await vault.openPrivateKey(migrated), account.privateKey);
+});
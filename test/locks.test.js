@@ -0,0 +1,71 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { createStore } = require('../lib/storage');
+const {
+  ACCOUNT_BUSY,
+  verifyAccountLeases,
+  withAccountLock,
+} = require('../lib/locks');
+const { createNodePool } = require('../lib/nanoNode');
+
+const store = createStore({ backend: 'memory' });
+
+/**
+ * @param {number} ms delay in milliseconds
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('a lease is renewed while its holder works', async () => {
+  await withAccountLock(
+    store,
+    'nano_slow',
+    async () => {
+      // well past the lease, nobody else gets the account
+      await sleep(500);
+      await assert.rejects(
+        withAccountLock(store, 'nano_slow', async () => {}),
+        { code: ACCOUNT_BUSY }
+      );
+      await verifyAccountLeases();
+    },
+    { leaseMs: 150 }
+  );
+
+  // and it's released afterwards
+  await withAccountLock(store, 'nano_slow', async () => {});
+});
+
+test('blocks are not published once the lease is lost', async () => {
+  const published = [];
+  const pool = createNodePool({
+    urls: ['http://node.test'],
+    beforeProcess: verifyAccountLeases,
+    transport: async ({ body }) => {
+      published.push(JSON.parse(body).action);
+      return { status: 200, headers: {}, body: '{"hash":"abc"}' };
+    },
+  });
+
+  // no lease needed outside withAccountLock
+  await pool.rpc('process', {});
+
+  await withAccountLock(store, 'nano_stolen', async () => {
+    await pool.rpc('process', {});
+
+    // the lease ran out and another caller took the account
+    await store.putItem('accountLocks', {
+      account: 'nano_stolen',
+      owner: 'someone else',
+      leaseUntil: Date.now() + 30000,
+    });
+    await assert.rejects(pool.rpc('process', {}), { code: ACCOUNT_BUSY });
+    await pool.rpc('account_info', {});
+  });
+
+  assert.deepStrictEqual(published, ['process', 'process', 'account_info']);
+  // the other caller's lease was left alone
+  const lock = await store.getItem('accountLocks', 'nano_stolen');
+  assert.strictEqual(lock.owner, 'someone else');
+});
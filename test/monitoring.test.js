@@ -0,0 +1,150 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { TABLES } = require('../lib/storage');
+const { createMemoryStore } = require('../lib/storage/memory');
+const {
+  createFaucetMonitor,
+  monitorOptionsFromEnv,
+} = require('../lib/monitoring');
+
+const NANO = BigInt('1000000000000000000000000000000');
+const MINUTE = 60000;
+const START = Date.UTC(2024, 0, 1, 12);
+
+/**
+ * @param {Object} rules alert rules over the defaults
+ * @returns {Object} { monitor, alerts } where alerts collects what was sent
+ */
+function monitorWith(rules = {}) {
+  const alerts = [];
+  const monitor = createFaucetMonitor({
+    store: createMemoryStore(TABLES),
+    options: monitorOptionsFromEnv({ ALERT_RULES: JSON.stringify(rules) }),
+    notify: async (alert) => {
+      alerts.push(alert);
+    },
+  });
+  return { monitor, alerts };
+}
+
+/**
+ * @param {Object[]} alerts sent alerts
+ * @returns {string[]} each as 'alert status severity'
+ */
+function summarize(alerts) {
+  return alerts.map((a) => `${a.alert} ${a.status} ${a.severity}`);
+}
+
+test('low balance alerts at each threshold and resolves once', async () => {
+  const { monitor, alerts } = monitorWith();
+
+  // exactly at the threshold is fine
+  await monitor.recordFaucetBalance(10n * NANO, { ts: START });
+  assert.deepStrictEqual(alerts, []);
+
+  await monitor.recordFaucetBalance(10n * NANO - 1n, { ts: START + MINUTE });
+  await monitor.recordFaucetBalance(5n * NANO, { ts: START + 2 * MINUTE });
+  assert.deepStrictEqual(summarize(alerts), [
+    'faucet_balance_low firing warning',
+  ]);
+  assert.strictEqual(alerts[0].details.threshold, '10');
+
+  // a new severity is sent, the same one isn't
+  await monitor.recordFaucetBalance(NANO - 1n, { ts: START + 3 * MINUTE });
+  await monitor.recordFaucetBalance(NANO / 2n, { ts: START + 4 * MINUTE });
+  assert.deepStrictEqual(summarize(alerts.slice(1)), [
+    'faucet_balance_low firing critical',
+  ]);
+
+  await monitor.recordFaucetBalance(100n * NANO, { ts: START + 5 * MINUTE });
+  await monitor.recordFaucetBalance(100n * NANO, { ts: START + 6 * MINUTE });
+  assert.deepStrictEqual(summarize(alerts.slice(2)), [
+    'faucet_balance_low resolved critical',
+  ]);
+  assert.strictEqual(
+    alerts[2].details.firingSince,
+    new Date(START + MINUTE).toISOString()
+  );
+});
+
+test('an alert that keeps firing is repeated every repeatMinutes', async () => {
+  const { monitor, alerts } = monitorWith({ repeatMinutes: 10 });
+
+  // the first time it fires there is no state yet
+  await monitor.recordFaucetBalance(1n, { ts: START });
+  assert.deepStrictEqual(summarize(alerts), [
+    'faucet_balance_low firing critical',
+  ]);
+
+  await monitor.recordFaucetBalance(1n, { ts: START + 9 * MINUTE });
+  assert.strictEqual(alerts.length, 1);
+  await monitor.recordFaucetBalance(1n, { ts: START + 10 * MINUTE });
+  assert.strictEqual(alerts.length, 2);
+  await monitor.recordFaucetBalance(1n, { ts: START + 15 * MINUTE });
+  assert.strictEqual(alerts.length, 2);
+});
+
+test('concurrent records send an alert once', async () => {
+  const { monitor, alerts } = monitorWith();
+  await Promise.all([
+    monitor.recordFaucetBalance(NANO / 2n, { ts: START }),
+    monitor.recordFaucetBalance(NANO / 2n, { ts: START }),
+    monitor.recordFaucetBalance(NANO / 2n, { ts: START }),
+  ]);
+  assert.deepStrictEqual(summarize(alerts), [
+    'faucet_balance_low firing critical',
+  ]);
+});
+
+test('a draining faucet and a payout spike are noticed', async () => {
+  const { monitor, alerts } = monitorWith({
+    lowBalance: '0',
+    criticalBalance: '0',
+    payoutSpikeMinPayouts: 3,
+  });
+
+  // one payout an hour for a day, then four in a few minutes
+  let balance = 1000n * NANO;
+  for (let hour = 24; hour >= 1; hour--) {
+    balance -= NANO;
+    await monitor.recordFaucetBalance(balance, {
+      payout: NANO,
+      ts: START - hour * 60 * MINUTE,
+    });
+  }
+  assert.deepStrictEqual(alerts, []);
+  for (let i = 0; i < 4; i++) {
+    balance -= NANO;
+    await monitor.recordFaucetBalance(balance, {
+      payout: NANO,
+      ts: START + i * MINUTE,
+    });
+  }
+  assert.deepStrictEqual(summarize(alerts), [
+    'faucet_payout_spike firing warning',
+  ]);
+
+  // 400 NANO gone in two hours
+  await monitor.recordFaucetBalance(balance - 400n * NANO, {
+    ts: START + 2 * 60 * MINUTE,
+  });
+  assert.deepStrictEqual(summarize(alerts.slice(1)), [
+    'faucet_draining firing warning',
+  ]);
+});
+
+test('sweep failures fire and resolve', async () => {
+  const { monitor, alerts } = monitorWith();
+  await monitor.recordSweep({ failed: 2, ts: START });
+  await monitor.recordSweep({ error: 'node down', ts: START + MINUTE });
+  await monitor.recordSweep({ ts: START + 2 * MINUTE });
+  assert.deepStrictEqual(summarize(alerts), [
+    'sweep_failures firing warning',
+    'sweep_failures firing critical',
+    'sweep_failures resolved critical',
+  ]);
+  assert.strictEqual(
+    alerts[0].summary,
+    'the sweep failed to return 2 wallet(s)'
+  );
+});
@@ -0,0 +1,197 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, mock, test } = require('node:test');
+const { NODE_UNAVAILABLE, createNodePool } = require('../lib/nanoNode');
+
+const PRIMARY = 'https://primary.example/rpc?key=secret';
+const BACKUP = 'https://backup.example/rpc';
+
+beforeEach(() => {
+  // every failover is logged as a warning
+  process.env.LOG_LEVEL = 'error';
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+/**
+ * A transport answering `block_count` for the endpoints that are up and
+ * failing the way `failures` says for the others. Timeouts move the clock
+ * on by the timeout.
+ *
+ * @param {Object} failures url => 'down' | 'timeout' | 'http' | 'html'
+ * @returns {Function} the transport, with the urls it was called with in `calls`
+ */
+function fakeTransport(failures) {
+  const calls = [];
+  const transport = async ({ url, timeoutMs }) => {
+    calls.push(url);
+    switch (failures[url]) {
+      case 'down':
+        throw new Error(`connect ECONNREFUSED ${url}`);
+      case 'timeout':
+        mock.timers.tick(timeoutMs);
+        throw new Error(`timeout of ${timeoutMs}ms exceeded`);
+      case 'http':
+        return { status: 502, headers: {}, body: 'Bad Gateway' };
+      case 'html':
+        return { status: 200, headers: {}, body: '<html></html>' };
+      default:
+        return { status: 200, headers: {}, body: '{"count":"7"}' };
+    }
+  };
+  transport.calls = calls;
+  return transport;
+}
+
+test('requests fail over to the next endpoint', async () => {
+  for (const failure of ['down', 'timeout', 'http', 'html']) {
+    const transport = fakeTransport({ [PRIMARY]: failure });
+    const pool = createNodePool({
+      urls: [PRIMARY, BACKUP],
+      retries: 0,
+      transport: transport,
+    });
+
+    const res = await pool.rpc('block_count');
+    assert.deepStrictEqual(res, { count: '7' }, failure);
+    assert.deepStrictEqual(transport.calls, [PRIMARY, BACKUP], failure);
+    const [primary, backup] = pool.status();
+    assert.strictEqual(primary.healthy, false, failure);
+    assert.strictEqual(primary.failures, 1, failure);
+    assert.strictEqual(backup.healthy, true, failure);
+  }
+});
+
+test('timeouts are passed to the transport and reported by host', async () => {
+  const transport = fakeTransport({ [PRIMARY]: 'timeout' });
+  const pool = createNodePool({
+    urls: [PRIMARY, BACKUP],
+    timeoutMs: 1500,
+    retries: 0,
+    transport: transport,
+  });
+
+  await pool.rpc('block_count');
+  assert.deepStrictEqual(pool.status()[0], {
+    host: 'primary.example',
+    healthy: false,
+    failures: 1,
+    lastError: 'timeout of 1500ms exceeded',
+  });
+});
+
+test('a failing endpoint is skipped until its cooldown ends', async () => {
+  const failures = { [PRIMARY]: 'down' };
+  const transport = fakeTransport(failures);
+  const pool = createNodePool({
+    urls: [PRIMARY, BACKUP],
+    retries: 0,
+    cooldownMs: 30000,
+    transport: transport,
+  });
+
+  await pool.rpc('block_count');
+  mock.timers.tick(29000);
+  await pool.rpc('block_count');
+  assert.deepStrictEqual(transport.calls, [PRIMARY, BACKUP, BACKUP]);
+
+  // the connection error names the URL, the status must not show its key
+  assert.strictEqual(
+    pool.status()[0].lastError,
+    'connect ECONNREFUSED primary.example'
+  );
+
+  delete failures[PRIMARY];
+  mock.timers.tick(1000);
+  await pool.rpc('block_count');
+  assert.deepStrictEqual(transport.calls.slice(3), [PRIMARY]);
+  assert.strictEqual(pool.status()[0].healthy, true);
+  assert.strictEqual(pool.status()[0].failures, 0);
+});
+
+test('endpoints cooling down are still tried, soonest to recover first', async () => {
+  const failures = { [PRIMARY]: 'timeout' };
+  const transport = fakeTransport(failures);
+  const pool = createNodePool({
+    urls: [PRIMARY, BACKUP],
+    retries: 0,
+    transport: transport,
+  });
+
+  await pool.rpc('block_count');
+  // the backup is tried first now, so it times out before the primary does
+  failures[BACKUP] = 'timeout';
+  await assert.rejects(pool.rpc('block_count'), { code: NODE_UNAVAILABLE });
+  assert.deepStrictEqual(transport.calls, [PRIMARY, BACKUP, BACKUP, PRIMARY]);
+  assert.deepStrictEqual(
+    pool.status().map((endpoint) => endpoint.healthy),
+    [false, false]
+  );
+
+  delete failures[PRIMARY];
+  delete failures[BACKUP];
+  assert.deepStrictEqual(await pool.rpc('block_count'), { count: '7' });
+  assert.deepStrictEqual(transport.calls.slice(4), [BACKUP]);
+});
+
+test('NODE_UNAVAILABLE once every pass over the endpoints failed', async () => {
+  const transport = fakeTransport({ [PRIMARY]: 'http', [BACKUP]: 'down' });
+  const pool = createNodePool({
+    urls: [PRIMARY, BACKUP],
+    retries: 1,
+    transport: transport,
+  });
+  // the retry backs off with a real timer
+  mock.timers.reset();
+
+  await assert.rejects(pool.rpc('block_count'), (err) => {
+    assert.strictEqual(err.code, NODE_UNAVAILABLE);
+    assert.match(err.message, /last error: connect ECONNREFUSED backup\./);
+    return true;
+  });
+  assert.strictEqual(transport.calls.length, 4);
+});
+
+test('RPC errors are answers, not endpoint failures', async () => {
+  const transport = async () => ({
+    status: 200,
+    headers: {},
+    body: '{"error":"Account not found"}',
+  });
+  const pool = createNodePool({ urls: [PRIMARY], transport: transport });
+
+  assert.deepStrictEqual(await pool.rpc('account_info'), {
+    error: 'Account not found',
+  });
+  assert.strictEqual(pool.status()[0].healthy, true);
+});
+
+test('checkHealth pings every endpoint', async () => {
+  const failures = { [BACKUP]: 'http' };
+  const transport = fakeTransport(failures);
+  const pool = createNodePool({
+    urls: [PRIMARY, BACKUP],
+    transport: transport,
+  });
+
+  assert.deepStrictEqual(await pool.checkHealth(), [
+    {
+      host: 'primary.example',
+      healthy: true,
+      failures: 0,
+      lastError: undefined,
+    },
+    {
+      host: 'backup.example',
+      healthy: false,
+      failures: 1,
+      lastError: 'backup.example responded with HTTP 502',
+    },
+  ]);
+
+  delete failures[BACKUP];
+  await pool.checkHealth();
+  assert.strictEqual(pool.status()[1].healthy, true);
+});
@@ -0,0 +1,206 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { startStack } = require('./support/stack');
+
+let stack;
+let merchant;
+let customer;
+let requestId;
+
+before(async () => {
+  stack = await startStack();
+  const res = await stack.api('/api/createWallets');
+  [merchant, customer] = res.body.wallets;
+
+  // the default policy pays 0.125 NANO, enough for the customer to pay with
+  await stack.api('/api/getFromFaucet', {
+    toAddress: customer.address,
+    privateKey: customer.privateKey,
+  });
+  await stack.api('/api/receive', { receiveAddress: customer.address });
+});
+
+after(async () => {
+  await stack.close();
+});
+
+/**
+ * @param {string} amount NANO to send from the customer to the merchant
+ */
+async function pay(amount) {
+  const res = await stack.api('/api/send', {
+    fromAddress: customer.address,
+    toAddress: merchant.address,
+    privateKey: customer.privateKey,
+    amount: amount,
+  });
+  assert.strictEqual(res.statusCode, 200);
+}
+
+test('createPaymentRequest issues an invoice with a nano: URI', async () => {
+  const res = await stack.api('/api/createPaymentRequest', {
+    address: merchant.address,
+    privateKey: merchant.privateKey,
+    amount: '0.05',
+    label: 'Coffee',
+    expiresInMinutes: 10,
+  });
+  assert.strictEqual(res.statusCode, 200);
+  requestId = res.body.requestId;
+  assert.strictEqual(res.body.status, 'open');
+  assert.strictEqual(res.body.amount.nano, '0.05');
+  assert.strictEqual(res.body.received.nano, '0');
+  assert.strictEqual(res.body.expiresAt, res.body.createdAt + 600000);
+  assert.strictEqual(
+    res.body.uri,
+    `nano:${merchant.address}?amount=50000000000000000000000000000&label=Coffee`
+  );
+
+  // one open request per wallet
+  const again = await stack.api('/api/createPaymentRequest', {
+    address: merchant.address,
+    privateKey: merchant.privateKey,
+    amount: '0.01',
+  });
+  assert.strictEqual(again.statusCode, 409);
+  assert.strictEqual(again.body.code, 'PAYMENT_REQUEST_OPEN');
+  assert.match(again.body.error, new RegExp(requestId));
+});
+
+test('a request paid in two parts is partial, then paid', async () => {
+  await pay('0.02');
+  // polling publishes nothing, the payment counts once it is received
+  const unreceived = await stack.api('/api/getPaymentRequest', {
+    requestId: requestId,
+  });
+  assert.strictEqual(unreceived.statusCode, 200);
+  assert.strictEqual(unreceived.body.status, 'open');
+  assert.strictEqual(
+    stack.balances(merchant.address).receivable,
+    '20000000000000000000000000000'
+  );
+
+  await stack.deliverWebhooks();
+  const partial = await stack.api('/api/getPaymentRequest', {
+    requestId: requestId,
+  });
+  assert.strictEqual(partial.body.status, 'partial');
+  assert.strictEqual(partial.body.received.nano, '0.02');
+  assert.strictEqual(partial.body.payments[0].from, customer.address);
+  assert.deepStrictEqual(stack.balances(merchant.address), {
+    balance: '20000000000000000000000000000',
+    receivable: '0',
+  });
+
+  await pay('0.03');
+  await stack.api('/api/receive', { receiveAddress: merchant.address });
+  const paid = await stack.api('/api/getPaymentRequest', {
+    requestId: requestId,
+  });
+  assert.strictEqual(paid.body.status, 'paid');
+  assert.strictEqual(paid.body.received.nano, '0.05');
+  assert.strictEqual(paid.body.payments.length, 2);
+});
+
+test('unpaid requests expire, later payments do not count', async () => {
+  const created = await stack.api('/api/createPaymentRequest', {
+    address: merchant.address,
+    privateKey: merchant.privateKey,
+    amount: '0.01',
+    expiresInMinutes: 1,
+  });
+  assert.strictEqual(created.statusCode, 200);
+
+  stack.advance(61000);
+  await pay('0.01');
+  const res = await stack.api('/api/getPaymentRequest', {
+    requestId: created.body.requestId,
+  });
+  assert.strictEqual(res.body.status, 'expired');
+  assert.strictEqual(res.body.received.nano, '0');
+});
+
+test('open requests are checked without polling, by when payments were sent', async () => {
+  const created = await stack.api('/api/createPaymentRequest', {
+    address: merchant.address,
+    privateKey: merchant.privateKey,
+    amount: '0.01',
+    expiresInMinutes: 1,
+  });
+  await pay('0.01');
+
+  // nobody asks until after the request expired
+  stack.advance(61000);
+  const run = await stack.deliverWebhooks();
+  assert.strictEqual(run.body.paymentRequests, 1);
+  assert.strictEqual(stack.balances(merchant.address).receivable, '0');
+
+  const res = await stack.api('/api/getPaymentRequest', {
+    requestId: created.body.requestId,
+  });
+  assert.strictEqual(res.body.status, 'paid');
+  assert.ok(res.body.payments[0].timestamp <= res.body.expiresAt);
+  assert.strictEqual((await stack.deliverWebhooks()).body.paymentRequests, 0);
+});
+
+test('payment requests reject bad keys, ids and webhooks', async () => {
+  const mismatch = await stack.api('/api/createPaymentRequest', {
+    address: merchant.address,
+    privateKey: customer.privateKey,
+    amount: '0.01',
+  });
+  assert.strictEqual(mismatch.statusCode, 400);
+  assert.strictEqual(mismatch.body.code, 'WALLET_KEY_MISMATCH');
+
+  const webhook = await stack.api('/api/createPaymentRequest', {
+    address: merchant.address,
+    privateKey: merchant.privateKey,
+    amount: '0.01',
+    webhookUrl: 'http://example.com/paid',
+  });
+  assert.strictEqual(webhook.statusCode, 400);
+  assert.strictEqual(webhook.body.code, 'INVALID_REQUEST');
+
+  // webhooks are only sent to the public internet
+  for (const url of [
+    'https://localhost/paid',
+    'https://127.0.0.1/paid',
+    'https://10.1.2.3/paid',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/paid',
+    'https://[::ffff:127.0.0.1]/paid',
+    'https://2130706433/paid',
+  ]) {
+    const res = await stack.api('/api/createPaymentRequest', {
+      address: merchant.address,
+      privateKey: merchant.privateKey,
+      amount: '0.01',
+      webhookUrl: url,
+    });
+    assert.strictEqual(res.statusCode, 400, url);
+    assert.strictEqual(
+      res.body.error,
+      'webhookUrl must be a URL on a public host'
+    );
+  }
+
+  const signed = await stack.api('/api/createPaymentRequest', {
+    address: merchant.address,
+    privateKey: merchant.privateKey,
+    amount: '0.01',
+    webhookUrl: 'https://merchant.example.com/paid',
+  });
+  // shown once, to check the webhook signatures with
+  assert.match(signed.body.webhookSecret, /^whsec_[0-9a-f]{64}$/);
+  const shown = await stack.api('/api/getPaymentRequest', {
+    requestId: signed.body.requestId,
+  });
+  assert.strictEqual(shown.body.status, 'open');
+  assert.strictEqual(shown.body.webhookSecret, undefined);
+
+  const missing = await stack.api('/api/getPaymentRequest', {
+    requestId: 'nope',
+  });
+  assert.strictEqual(missing.statusCode, 404);
+  assert.strictEqual(missing.body.code, 'PAYMENT_REQUEST_NOT_FOUND');
+});
@@ -0,0 +1,56 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const {
+  isPublicAddress,
+  isPublicHostname,
+  publicLookup,
+} = require('../lib/publicHosts');
+
+test('only public addresses and hostnames pass', () => {
+  for (const address of [
+    '93.184.215.14',
+    '2606:2800:21f:cb07:6820:80da:af6b:8b2c',
+  ]) {
+    assert.strictEqual(isPublicAddress(address), true, address);
+  }
+  for (const address of [
+    '0.0.0.0',
+    '10.0.0.1',
+    '100.64.0.1',
+    '127.0.0.1',
+    '169.254.169.254',
+    '172.31.255.255',
+    '192.168.1.1',
+    '::',
+    '::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe',
+    'fd00:ec2::254',
+    'fe80::1',
+    'not an address',
+  ]) {
+    assert.strictEqual(isPublicAddress(address), false, address);
+  }
+
+  assert.strictEqual(isPublicHostname('merchant.example.com'), true);
+  assert.strictEqual(isPublicHostname('[2606:4700::1111]'), true);
+  for (const hostname of [
+    'localhost',
+    'LOCALHOST.',
+    'api.localhost',
+    '[::1]',
+    '127.0.0.1',
+  ]) {
+    assert.strictEqual(isPublicHostname(hostname), false, hostname);
+  }
+});
+
+test('lookups resolving to private addresses fail', async () => {
+  for (const options of [{}, { all: true }]) {
+    const err = await new Promise((resolve) =>
+      publicLookup('localhost', options, resolve)
+    );
+    assert.strictEqual(err.code, 'EHOSTNOTPUBLIC');
+    assert.match(err.message, /^localhost resolves to non-public /);
+  }
+});
@@ -0,0 +1,239 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { wallet: nanoWallet } = require('nanocurrency-web');
+const { TABLES } = require('../lib/storage');
+const { createMemoryStore } = require('../lib/storage/memory');
+const { NODE_UNAVAILABLE } = require('../lib/nanoNode');
+const { createPushService } = require('../lib/push');
+
+const RAW = '1000000000000000000000000000000'; // 1 NANO
+
+// failed auto-receives are logged, read per entry
+process.env.LOG_LEVEL = 'error';
+
+const [merchant, customer, stranger] = [0, 1, 2].map(
+  () => nanoWallet.generateLegacy().accounts[0].address
+);
+
+/**
+ * A push service on a fake node feed, delivering into `messages`.
+ *
+ * @param {Function} receive the service's receive, none by default
+ * @returns {Object} { push, feed, messages, gone } where messages are
+ *  [connectionId, message] pairs and connections in `gone` have closed
+ */
+async function pushWith(receive) {
+  const store = createMemoryStore(TABLES);
+  for (const address of [merchant, customer]) {
+    await store.putItem('wallets', { walletID: address });
+  }
+  const feed = {
+    accounts: [],
+    setAccounts(accounts) {
+      feed.accounts = accounts;
+    },
+    onConfirmation() {},
+    close() {},
+  };
+  const messages = [];
+  const gone = new Set();
+  const push = createPushService({
+    store: store,
+    feed: feed,
+    receive: receive,
+    deliver: async (connectionId, message) => {
+      if (gone.has(connectionId)) {
+        return false;
+      }
+      messages.push([connectionId, message]);
+      return true;
+    },
+  });
+  await push.start();
+  return { push, feed, messages, gone };
+}
+
+/**
+ * @param {Object} fields confirmation fields over a send from the customer
+ *  to the merchant
+ * @returns {Object} a parsed confirmation, as the feed passes it on
+ */
+function sendConfirmation(fields = {}) {
+  return Object.assign(
+    {
+      hash: 'A'.repeat(64),
+      account: customer,
+      subtype: 'send',
+      amount: RAW,
+      balance: '0',
+      linkAccount: merchant,
+    },
+    fields
+  );
+}
+
+test('subscriptions point the feed at TryNano wallets only', async () => {
+  const { push, feed } = await pushWith();
+
+  const subscribed = await push.handleMessage(
+    'c1',
+    JSON.stringify({ action: 'subscribe', addresses: [merchant] })
+  );
+  assert.deepStrictEqual(subscribed, {
+    type: 'subscribed',
+    addresses: [merchant],
+  });
+  await push.subscribe('c2', [customer, merchant]);
+  assert.deepStrictEqual(feed.accounts.sort(), [merchant, customer].sort());
+
+  const notOurs = await push.subscribe('c1', [stranger]);
+  assert.strictEqual(notOurs.code, 'WALLET_NOT_FOUND');
+  const invalid = await push.handleMessage(
+    'c1',
+    JSON.stringify({ action: 'subscribe', addresses: ['nano_nope'] })
+  );
+  assert.strictEqual(invalid.code, 'INVALID_ADDRESS');
+  const unknown = await push.handleMessage(
+    'c1',
+    JSON.stringify({ action: 'watch', addresses: [] })
+  );
+  assert.strictEqual(unknown.code, 'INVALID_REQUEST');
+
+  await push.unsubscribe('c2', [customer]);
+  assert.deepStrictEqual(feed.accounts, [merchant]);
+  await push.disconnect('c1');
+  await push.disconnect('c2');
+  assert.deepStrictEqual(feed.accounts, []);
+  push.stop();
+});
+
+test('confirmed sends are pushed to both wallets', async () => {
+  const { push, messages } = await pushWith();
+  await push.subscribe('c1', [merchant]);
+  await push.subscribe('c2', [customer]);
+
+  await push.handleConfirmation(sendConfirmation());
+  assert.deepStrictEqual(messages, [
+    [
+      'c1',
+      {
+        type: 'pending',
+        address: merchant,
+        hash: 'A'.repeat(64),
+        from: customer,
+        amount: { raw: RAW, nano: '1' },
+      },
+    ],
+    [
+      'c2',
+      {
+        type: 'confirmed',
+        address: customer,
+        hash: 'A'.repeat(64),
+        to: merchant,
+        amount: { raw: RAW, nano: '1' },
+        balance: { raw: '0', nano: '0' },
+      },
+    ],
+  ]);
+
+  messages.length = 0;
+  await push.handleConfirmation(
+    sendConfirmation({
+      account: merchant,
+      subtype: 'receive',
+      balance: RAW,
+      linkAccount: undefined,
+    })
+  );
+  assert.deepStrictEqual(messages, [
+    [
+      'c1',
+      {
+        type: 'balance',
+        address: merchant,
+        hash: 'A'.repeat(64),
+        balance: { raw: RAW, nano: '1' },
+      },
+    ],
+  ]);
+  push.stop();
+});
+
+test('pending blocks are received automatically', async () => {
+  const received = [];
+  const { push, messages } = await pushWith(async (address) => {
+    received.push(address);
+    if (address === customer) {
+      // deleted since it subscribed
+      return undefined;
+    }
+    return { balance: RAW, resolvedCount: 1 };
+  });
+  await push.subscribe('c1', [merchant, customer]);
+
+  await push.handleConfirmation(sendConfirmation());
+  assert.deepStrictEqual(received, [merchant]);
+  assert.deepStrictEqual(
+    messages.map(([, message]) => message.type),
+    ['pending', 'received', 'confirmed']
+  );
+  assert.deepStrictEqual(messages[1][1], {
+    type: 'received',
+    address: merchant,
+    resolvedCount: 1,
+    balance: { raw: RAW, nano: '1' },
+  });
+
+  messages.length = 0;
+  await push.handleConfirmation(
+    sendConfirmation({ account: merchant, linkAccount: customer })
+  );
+  assert.deepStrictEqual(received, [merchant, customer]);
+  assert.deepStrictEqual(
+    messages.map(([, message]) => message.type),
+    ['pending', 'confirmed']
+  );
+  push.stop();
+});
+
+test('failed auto-receives are pushed as errors', async () => {
+  const { push, messages } = await pushWith(async () => {
+    const err = new Error('no Nano node available');
+    err.code = NODE_UNAVAILABLE;
+    throw err;
+  });
+  await push.subscribe('c1', [merchant]);
+
+  await push.handleConfirmation(sendConfirmation());
+  assert.deepStrictEqual(messages[1], [
+    'c1',
+    {
+      address: merchant,
+      type: 'error',
+      code: 'NODE_UNAVAILABLE',
+      error: 'Nano network is unreachable, unable to receive',
+    },
+  ]);
+  push.stop();
+});
+
+test('closed connections are dropped when a push finds them gone', async () => {
+  const { push, feed, messages, gone } = await pushWith();
+  await push.subscribe('c1', [merchant]);
+  await push.subscribe('c2', [merchant]);
+
+  gone.add('c1');
+  await push.handleConfirmation(sendConfirmation());
+  assert.deepStrictEqual(
+    messages.map(([connectionId]) => connectionId),
+    ['c2']
+  );
+  await push.refresh();
+  assert.deepStrictEqual(feed.accounts, [merchant]);
+
+  gone.add('c2');
+  await push.handleConfirmation(sendConfirmation());
+  assert.deepStrictEqual(feed.accounts, []);
+  push.stop();
+});
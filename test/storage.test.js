@@ -0,0 +1,39 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { TABLES } = require('../lib/storage');
+const { createMemoryStore } = require('../lib/storage/memory');
+
+test('a scan resumes after its startKey even once that row is deleted', async () => {
+  const store = createMemoryStore(TABLES);
+  for (const id of ['d', 'a', 'e', 'c', 'b']) {
+    await store.putItem('wallets', { walletID: id });
+  }
+
+  const first = await store.scanItems('wallets', { limit: 2 });
+  assert.deepStrictEqual(
+    first.items.map((item) => item.walletID),
+    ['a', 'b']
+  );
+  assert.strictEqual(first.lastKey, 'b');
+
+  // the sweep deletes what it just scanned
+  await store.deleteItem('wallets', 'a');
+  await store.deleteItem('wallets', 'b');
+  const second = await store.scanItems('wallets', {
+    startKey: first.lastKey,
+    limit: 2,
+  });
+  assert.deepStrictEqual(
+    second.items.map((item) => item.walletID),
+    ['c', 'd']
+  );
+
+  const last = await store.scanItems('wallets', { startKey: second.lastKey });
+  assert.deepStrictEqual(
+    last.items.map((item) => item.walletID),
+    ['e']
+  );
+  assert.strictEqual(last.lastKey, undefined);
+  const past = await store.scanItems('wallets', { startKey: 'z' });
+  assert.deepStrictEqual(past.items, []);
+});
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { mock } = require('node:test');
+const { wallet: nanoWallet } = require('nanocurrency-web');
+const {
+  httpApiEvent,
+  httpApiResponse,
+  lambdaContext,
+  scheduledEvent,
+} = require('../../lib/localRuntime');
+const {
+  createSimulatedLedger,
+  createSimulatedNodeServer,
+} = require('../../lib/simulatedNode');
+
+/*
+    Runs both Lambdas in the test process against a simulated ledger
+    (lib/simulatedNode.js), a memory store and a mocked clock.
+
+    Both Lambdas read their config when they are loaded, so a test file
+    starts one stack and shares it; node --test runs every file in its own
+    process. Tests that need a clean slate use their own wallets and client
+    IPs.
+*/
+
+// 2024-01-01T12:00:00Z
+const START_TIME = 1704110400000;
+
+const FAUCET_BALANCE = '1000000000000000000000000000000000'; // 1000 NANO
+
+/**
+ * Starts the stack.
+ *
+ * @param {Object} env environment variables to set over the test defaults,
+ *  e.g. FAUCET_POLICY
+ * @returns {Object} the stack:
+ *  - api(path, body, { ip, headers }): calls the API, resolves to
+ *    { statusCode, headers, body } with the body parsed
+ *  - sweep(event): runs the sweep, a scheduled event by default, resolves
+ *    like api
+ *  - deliverWebhooks(): runs the webhook retry Lambda, resolves like api
+ *  - balances(address): { balance, receivable } raw strings on the ledger
+ *  - advance(ms): moves the clock on
+ *  - ledger, faucet: the simulated ledger and the faucet account
+ *  - close(): stops the simulated node and restores the clock
+ */
+async function startStack(env = {}) {
+  mock.timers.enable({ apis: ['Date'], now: START_TIME });
+
+  const ledger = createSimulatedLedger();
+  const server = createSimulatedNodeServer(ledger);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const faucet = nanoWallet.generateLegacy().accounts[0];
+  ledger.openAccount(faucet.address, FAUCET_BALANCE);
+
+  // set everything a developer's .env could otherwise change
+  Object.assign(
+    process.env,
+    {
+      NANO_RPC_URLS: `http://127.0.0.1:${server.address().port}`,
+      NANO_WS_URL: '',
+      STORAGE_BACKEND: 'memory',
+      FAUCET_ADDRESS: faucet.address,
+      FAUCET_PUBLIC_KEY: faucet.publicKey,
+      FAUCET_PRIVATE_KEY: faucet.privateKey,
+      DISABLE_FAUCET: 'false',
+      FAUCET_POLICY: '',
+      WALLET_KEY_PROVIDER: 'local',
+      WALLET_MASTER_KEY: crypto.randomBytes(32).toString('hex'),
+      ANTI_ABUSE_VERIFIER: 'stub',
+      ANTI_ABUSE_ROUTE_VERIFIERS: '',
+      ADMIN_API_KEYS: '',
+      ALERT_SINKS: '',
+      // receivers in the tests are plain http servers
+      WEBHOOK_ALLOW_HTTP: 'true',
+      WORK_LOCAL: 'false',
+      WORK_PRECACHE: 'false',
+      WORK_SEND_DIFFICULTY: ledger.sendDifficulty,
+      WORK_RECEIVE_DIFFICULTY: ledger.receiveDifficulty,
+      LOG_LEVEL: 'error',
+    },
+    env
+  );
+  delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+  const api = require('../../index');
+  const sweep = require('../../returnAllNanoToFaucet');
+  const webhooks = require('../../deliverWebhooks');
+
+  return {
+    ledger: ledger,
+    faucet: faucet,
+
+    async api(path, body = {}, { ip = '198.51.100.1', headers = {} } = {}) {
+      const event = httpApiEvent({
+        method: 'POST',
+        path: path,
+        headers: Object.assign({ 'content-type': 'application/json' }, headers),
+        body: Buffer.from(JSON.stringify(body)),
+        sourceIp: ip,
+      });
+      const res = httpApiResponse(
+        await api.handler(event, lambdaContext('TryNanoApi', 30000))
+      );
+      return {
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: JSON.parse(res.body.toString()),
+      };
+    },
+
+    async sweep(event = scheduledEvent('ReturnAllNanoToFaucet')) {
+      const res = await sweep.handler(
+        event,
+        lambdaContext('ReturnAllNanoToFaucet', 900000)
+      );
+      return {
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: JSON.parse(res.body),
+      };
+    },
+
+    async deliverWebhooks() {
+      const res = await webhooks.handler(
+        scheduledEvent('DeliverWebhooks'),
+        lambdaContext('DeliverWebhooks', 60000)
+      );
+      return {
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: JSON.parse(res.body),
+      };
+    },
+
+    balances(address) {
+      const { balances } = ledger.rpc({
+        action: 'accounts_balances',
+        accounts: [address],
+      });
+      return {
+        balance: balances[address].balance,
+        receivable: balances[address].receivable,
+      };
+    },
+
+    advance(ms) {
+      mock.timers.tick(ms);
+    },
+
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      mock.timers.reset();
+    },
+  };
+}
+
+module.exports = {
+  FAUCET_BALANCE,
+  START_TIME,
+  startStack,
+};
@@ -0,0 +1,167 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { FAUCET_BALANCE, startStack } = require('./support/stack');
+const { createStore } = require('../lib/storage');
+
+const MINUTE = 60000;
+const PAYOUT = '500000000000000000000000000000'; // 0.5 NANO
+
+let stack;
+
+before(async () => {
+  stack = await startStack({
+    FAUCET_POLICY: JSON.stringify({
+      payout: { type: 'fixed', amount: '0.5' },
+      eligibility: { throttleSeconds: 1 },
+    }),
+  });
+});
+
+after(async () => {
+  await stack.close();
+});
+
+/**
+ * Creates a wallet and funds it from the faucet.
+ *
+ * @param {string} ip client IP
+ * @returns {Object} the wallet from createWallets
+ */
+async function fundedWallet(ip) {
+  const created = await stack.api(
+    '/api/createWallets',
+    { count: 1 },
+    { ip: ip }
+  );
+  const wallet = created.body.wallets[0];
+  const payout = await stack.api(
+    '/api/getFromFaucet',
+    { toAddress: wallet.address, privateKey: wallet.privateKey },
+    { ip: ip }
+  );
+  assert.strictEqual(payout.statusCode, 200);
+  const received = await stack.api('/api/receive', {
+    receiveAddress: wallet.address,
+  });
+  assert.strictEqual(received.body.balance.raw, PAYOUT);
+  return wallet;
+}
+
+test('wallets are returned to the faucet once idle for an hour', async () => {
+  const wallet = await fundedWallet('192.0.2.1');
+
+  stack.advance(59 * MINUTE);
+  const early = await stack.sweep();
+  assert.strictEqual(early.statusCode, 200);
+  assert.strictEqual(early.body.walletCount, 0);
+  assert.strictEqual(stack.balances(wallet.address).balance, PAYOUT);
+
+  stack.advance(2 * MINUTE);
+  const res = await stack.sweep();
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.complete, true);
+  assert.deepStrictEqual(
+    res.body.report.map((entry) => [entry.address, entry.status]),
+    [[wallet.address, 'returned']]
+  );
+  assert.strictEqual(res.body.totals.amount.raw, PAYOUT);
+  assert.strictEqual(res.body.resolvedCount, 1);
+  assert.strictEqual(res.body.updatedFaucetBalance.raw, FAUCET_BALANCE);
+  assert.deepStrictEqual(stack.balances(wallet.address), {
+    balance: '0',
+    receivable: '0',
+  });
+  assert.deepStrictEqual(stack.balances(stack.faucet.address), {
+    balance: FAUCET_BALANCE,
+    receivable: '0',
+  });
+
+  // nothing is left to return
+  assert.strictEqual((await stack.sweep()).body.walletCount, 0);
+});
+
+test('using a wallet postpones its return', async () => {
+  const wallet = await fundedWallet('192.0.2.2');
+  const created = await stack.api('/api/createWallets', { count: 1 });
+  const other = created.body.wallets[0];
+
+  stack.advance(50 * MINUTE);
+  const sent = await stack.api('/api/send', {
+    fromAddress: wallet.address,
+    toAddress: other.address,
+    privateKey: wallet.privateKey,
+    amount: '0.1',
+  });
+  assert.strictEqual(sent.statusCode, 200);
+
+  stack.advance(30 * MINUTE);
+  assert.strictEqual((await stack.sweep()).body.walletCount, 0);
+
+  stack.advance(31 * MINUTE);
+  const res = await stack.sweep();
+  assert.deepStrictEqual(
+    res.body.report.map((entry) => [entry.address, entry.status]),
+    [[wallet.address, 'returned']]
+  );
+  assert.strictEqual(res.body.totals.amount.nano, '0.4');
+});
+
+test('a dry run reports without sending anything', async () => {
+  const wallet = await fundedWallet('192.0.2.4');
+  stack.advance(61 * MINUTE);
+
+  const res = await stack.sweep({ dryRun: true });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.dryRun, true);
+  assert.deepStrictEqual(
+    res.body.report.map((entry) => [entry.address, entry.status]),
+    [[wallet.address, 'wouldReturn']]
+  );
+  assert.strictEqual(stack.balances(wallet.address).balance, PAYOUT);
+});
+
+test('idleMinutes overrides the idle time', async () => {
+  const wallet = await fundedWallet('192.0.2.5');
+  stack.advance(10 * MINUTE);
+
+  const res = await stack.sweep({ idleMinutes: 5 });
+  // the dry run's wallet is idle too
+  assert.deepStrictEqual(
+    res.body.report.map((entry) => entry.status),
+    ['returned', 'returned']
+  );
+  assert.ok(res.body.report.some((entry) => entry.address === wallet.address));
+  assert.strictEqual(stack.balances(wallet.address).balance, '0');
+});
+
+test('wallets used or deleted after the scan are left alone', async () => {
+  const used = await fundedWallet('192.0.2.6');
+  const deleted = await fundedWallet('192.0.2.7');
+  stack.advance(61 * MINUTE);
+
+  // the wallets change between the scan and the sweep taking their lock
+  const store = createStore({ backend: 'memory' });
+  const scanItems = store.scanItems;
+  store.scanItems = async (...args) => {
+    const page = await scanItems(...args);
+    store.scanItems = scanItems;
+    await store.updateItem('wallets', used.address, {
+      returnToFaucetEpoch: Date.now() + 60 * MINUTE,
+    });
+    await store.deleteItem('wallets', deleted.address);
+    return page;
+  };
+
+  const res = await stack.sweep();
+  store.scanItems = scanItems;
+  const report = Object.fromEntries(
+    res.body.report.map((entry) => [entry.address, entry])
+  );
+  assert.strictEqual(report[used.address].status, 'skipped');
+  assert.strictEqual(report[used.address].reason, 'wallet is still in use');
+  assert.strictEqual(report[deleted.address].status, 'skipped');
+  assert.strictEqual(report[deleted.address].reason, 'wallet was deleted');
+  assert.strictEqual(stack.balances(used.address).balance, PAYOUT);
+  assert.strictEqual(stack.balances(deleted.address).balance, PAYOUT);
+  assert.strictEqual(await store.getItem('wallets', deleted.address), null);
+});
@@ -0,0 +1,192 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { startStack } = require('./support/stack');
+const { createStore } = require('../lib/storage');
+
+let stack;
+let alice;
+let bob;
+
+before(async () => {
+  stack = await startStack();
+  const res = await stack.api('/api/createWallets');
+  [alice, bob] = res.body.wallets;
+
+  // the default policy pays 0.0125% of the faucet's 1000 NANO
+  const payout = await stack.api('/api/getFromFaucet', {
+    toAddress: alice.address,
+    privateKey: alice.privateKey,
+  });
+  assert.strictEqual(payout.statusCode, 200);
+});
+
+after(async () => {
+  await stack.close();
+});
+
+test('receive opens the account with what is receivable', async () => {
+  assert.deepStrictEqual(stack.balances(alice.address), {
+    balance: '0',
+    receivable: '125000000000000000000000000000',
+  });
+
+  const res = await stack.api('/api/receive', {
+    receiveAddress: alice.address,
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.resolvedCount, 1);
+  assert.strictEqual(res.body.balance.nano, '0.125');
+  assert.deepStrictEqual(stack.balances(alice.address), {
+    balance: '125000000000000000000000000000',
+    receivable: '0',
+  });
+
+  const again = await stack.api('/api/receive', {
+    receiveAddress: alice.address,
+  });
+  assert.strictEqual(again.body.resolvedCount, 0);
+});
+
+test('send moves an amount to another wallet', async () => {
+  const res = await stack.api('/api/send', {
+    fromAddress: alice.address,
+    toAddress: bob.address,
+    privateKey: alice.privateKey,
+    amount: '0.025',
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.amount.nano, '0.025');
+  assert.strictEqual(res.body.balance.nano, '0.1');
+
+  // the returned hash is alice's new frontier
+  const info = stack.ledger.rpc({
+    action: 'account_info',
+    account: alice.address,
+  });
+  assert.strictEqual(info.frontier, res.body.hash);
+  assert.strictEqual(info.block_count, '2');
+  assert.deepStrictEqual(stack.balances(bob.address), {
+    balance: '0',
+    receivable: '25000000000000000000000000000',
+  });
+
+  const received = await stack.api('/api/receive', {
+    receiveAddress: bob.address,
+  });
+  assert.strictEqual(received.body.balance.nano, '0.025');
+});
+
+test('send without an amount sends the whole balance', async () => {
+  const res = await stack.api('/api/send', {
+    fromAddress: bob.address,
+    toAddress: alice.address,
+    privateKey: bob.privateKey,
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.amount.nano, '0.025');
+  assert.strictEqual(stack.balances(bob.address).balance, '0');
+});
+
+test('send refuses more than the balance', async () => {
+  const res = await stack.api('/api/send', {
+    fromAddress: alice.address,
+    toAddress: bob.address,
+    privateKey: alice.privateKey,
+    amount: '1',
+  });
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'INSUFFICIENT_BALANCE');
+  assert.strictEqual(
+    stack.balances(alice.address).balance,
+    '100000000000000000000000000000'
+  );
+});
+
+test('send needs the wallet private key', async () => {
+  const res = await stack.api('/api/send', {
+    fromAddress: alice.address,
+    toAddress: bob.address,
+    privateKey: bob.privateKey,
+    amount: '0.01',
+  });
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'WALLET_KEY_MISMATCH');
+});
+
+test('the history lists the wallet activity newest first', async () => {
+  const res = await stack.api('/api/getHistory', { address: alice.address });
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(
+    res.body.history.map((entry) => [entry.type, entry.amount.nano]),
+    [
+      ['send', '0.025'],
+      ['faucet', '0.125'],
+    ]
+  );
+});
+
+test('an Idempotency-Key is only freed by failures before the broadcast', async () => {
+  const rpc = stack.ledger.rpc;
+  const headers = { 'idempotency-key': 'send-once' };
+  const body = {
+    fromAddress: alice.address,
+    toAddress: bob.address,
+    privateKey: alice.privateKey,
+    amount: '0.01',
+  };
+  const blockCount = () =>
+    rpc({ action: 'account_info', account: alice.address }).block_count;
+  const before = blockCount();
+
+  // no work for the block, so nothing was published
+  stack.ledger.rpc = (request) =>
+    request.action === 'work_generate'
+      ? { error: 'unavailable' }
+      : rpc(request);
+  const unsent = await stack.api('/api/send', body, { headers: headers });
+  assert.strictEqual(unsent.statusCode >= 500, true);
+  assert.strictEqual(blockCount(), before);
+
+  // the node takes the block but its answer is lost
+  stack.ledger.rpc = (request) => {
+    const res = rpc(request);
+    return request.action === 'process' ? { error: 'timeout' } : res;
+  };
+  const failed = await stack.api('/api/send', body, { headers: headers });
+  stack.ledger.rpc = rpc;
+  assert.strictEqual(failed.statusCode, 500);
+  assert.strictEqual(Number(blockCount()), Number(before) + 1);
+
+  // the retry gets the failure back instead of sending again
+  const retry = await stack.api('/api/send', body, { headers: headers });
+  assert.strictEqual(retry.statusCode, failed.statusCode);
+  assert.strictEqual(retry.headers['Idempotent-Replayed'], 'true');
+  assert.strictEqual(Number(blockCount()), Number(before) + 1);
+});
+
+test('a receive the node fails stores no balance', async () => {
+  const rpc = stack.ledger.rpc;
+  const store = createStore({ backend: 'memory' });
+  const stored = async () =>
+    (await store.getItem('wallets', bob.address)).balance;
+  const before = await stored();
+  const receivable = stack.balances(bob.address).receivable;
+  assert.notStrictEqual(receivable, '0');
+
+  stack.ledger.rpc = (request) =>
+    request.action === 'process' ? { error: 'timeout' } : rpc(request);
+  const failed = await stack.api('/api/receive', {
+    receiveAddress: bob.address,
+  });
+  stack.ledger.rpc = rpc;
+  assert.strictEqual(failed.statusCode, 503);
+  assert.strictEqual(failed.body.code, 'NODE_UNAVAILABLE');
+  assert.strictEqual(await stored(), before);
+  assert.strictEqual(stack.balances(bob.address).receivable, receivable);
+
+  const res = await stack.api('/api/receive', {
+    receiveAddress: bob.address,
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.resolvedCount, 1);
+});
@@ -0,0 +1,134 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { createStore } = require('../lib/storage');
+const { startStack } = require('./support/stack');
+
+let stack;
+
+before(async () => {
+  stack = await startStack();
+});
+
+after(async () => {
+  await stack.close();
+});
+
+test('createWallets makes two unopened wallets by default', async () => {
+  const res = await stack.api('/api/createWallets');
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.wallets.length, 2);
+
+  const [first, second] = res.body.wallets;
+  assert.notStrictEqual(first.address, second.address);
+  assert.notStrictEqual(first.walletId, second.walletId);
+  for (const wallet of res.body.wallets) {
+    assert.match(wallet.address, /^nano_[13][13-9a-km-uw-z]{59}$/);
+    assert.match(wallet.seed, /^[0-9a-f]{64}$/);
+    assert.strictEqual(wallet.accountIndex, 0);
+    assert.deepStrictEqual(wallet.balance, { raw: '0', nano: '0' });
+    // 72 hours from now
+    assert.strictEqual(
+      wallet.expirationTs,
+      Math.round(Date.now() / 1000) + 259200
+    );
+    assert.deepStrictEqual(
+      stack.ledger.rpc({ action: 'account_info', account: wallet.address }),
+      { error: 'Account not found' }
+    );
+  }
+});
+
+test('created wallets are stored without their keys or seeds', async () => {
+  const res = await stack.api('/api/createWallets', { count: 1 });
+  const wallet = res.body.wallets[0];
+  assert.match(wallet.privateKey, /^[0-9a-f]{64}$/);
+  const store = createStore({ backend: 'memory' });
+
+  const row = await store.getItem('wallets', wallet.address);
+  const seedRow = await store.getItem('seedWallets', wallet.walletId);
+  assert.strictEqual(row.privateKey, undefined);
+  assert.ok(row.encryptedPrivateKey && row.privateKeyHash);
+  assert.ok(seedRow.encryptedSeed && seedRow.seedHash);
+  for (const stored of [row, seedRow].map((r) => JSON.stringify(r))) {
+    assert.strictEqual(stored.includes(wallet.privateKey), false);
+    assert.strictEqual(stored.includes(wallet.seed), false);
+  }
+});
+
+test('createWallets takes a count and labels', async () => {
+  const res = await stack.api('/api/createWallets', {
+    count: 3,
+    labels: ['alice', 'bob'],
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(
+    res.body.wallets.map((wallet) => wallet.label),
+    ['alice', 'bob', undefined]
+  );
+
+  const summary = await stack.api('/api/getWalletSummary', {
+    walletId: res.body.wallets[0].walletId,
+  });
+  assert.strictEqual(summary.statusCode, 200);
+  assert.strictEqual(summary.body.label, 'alice');
+  assert.strictEqual(
+    summary.body.accounts[0].address,
+    res.body.wallets[0].address
+  );
+});
+
+test('createWallets rejects bad counts and labels', async () => {
+  const tooMany = await stack.api('/api/createWallets', { count: 11 });
+  assert.strictEqual(tooMany.statusCode, 400);
+  assert.strictEqual(tooMany.body.code, 'INVALID_REQUEST');
+
+  const extraLabels = await stack.api('/api/createWallets', {
+    count: 1,
+    labels: ['alice', 'bob'],
+  });
+  assert.strictEqual(extraLabels.statusCode, 400);
+  assert.strictEqual(extraLabels.body.code, 'INVALID_REQUEST');
+});
+
+test('deleting an HD account returns its nano and frees its index', async () => {
+  const created = await stack.api('/api/createWallets', { count: 1 });
+  const [wallet] = created.body.wallets;
+  const derived = await stack.api('/api/deriveAccount', {
+    walletId: wallet.walletId,
+    seed: wallet.seed,
+  });
+  assert.strictEqual(derived.body.accountIndex, 1);
+
+  await stack.api('/api/getFromFaucet', {
+    toAddress: derived.body.address,
+    privateKey: derived.body.privateKey,
+  });
+  const faucetBefore = stack.balances(stack.faucet.address).balance;
+  const deleted = await stack.api('/api/deleteWallet', {
+    address: derived.body.address,
+    privateKey: derived.body.privateKey,
+  });
+  assert.strictEqual(deleted.statusCode, 200);
+  assert.strictEqual(deleted.body.returned.nano, '0.125');
+  // received back into the faucet, like the sweep does
+  assert.deepStrictEqual(stack.balances(stack.faucet.address), {
+    balance: (
+      BigInt(faucetBefore) + BigInt('125000000000000000000000000000')
+    ).toString(),
+    receivable: '0',
+  });
+
+  const summary = await stack.api('/api/getWalletSummary', {
+    walletId: wallet.walletId,
+  });
+  assert.deepStrictEqual(
+    summary.body.accounts.map((account) => account.accountIndex),
+    [0]
+  );
+  const again = await stack.api('/api/deriveAccount', {
+    walletId: wallet.walletId,
+    seed: wallet.seed,
+  });
+  assert.strictEqual(again.body.accountIndex, 1);
+  assert.strictEqual(again.body.address, derived.body.address);
+});
@@ -0,0 +1,237 @@
+const assert = require('node:assert');
+const http = require('node:http');
+const { after, before, test } = require('node:test');
+const { createApiKey } = require('../lib/adminAuth');
+const { TABLES } = require('../lib/storage');
+const { createMemoryStore } = require('../lib/storage/memory');
+const { createWebhooks, signPayload } = require('../lib/webhooks');
+const { startStack } = require('./support/stack');
+
+const admin = createApiKey();
+
+let stack;
+let receiver;
+let received = [];
+// what the receiver answers with
+let receiverStatus = 200;
+let webhook;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: body });
+      res.statusCode = receiverStatus;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+
+  stack = await startStack({
+    ADMIN_API_KEYS: JSON.stringify([
+      {
+        id: 'ops',
+        hash: admin.hash,
+        scopes: ['webhooks:read', 'webhooks:write'],
+      },
+    ]),
+    WEBHOOK_MAX_ATTEMPTS: '2',
+    WEBHOOK_RETRY_BASE_SECONDS: '30',
+  });
+
+  const res = await adminApi('/api/admin/createWebhook', {
+    url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+    events: ['*'],
+    description: 'tests',
+  });
+  assert.strictEqual(res.statusCode, 200);
+  webhook = res.body;
+});
+
+after(async () => {
+  await stack.close();
+  receiver.close();
+});
+
+/**
+ * @param {string} path admin route
+ * @param {Object} body request body
+ * @returns {Object} the parsed response
+ */
+function adminApi(path, body) {
+  return stack.api(path, body, { headers: { 'x-api-key': admin.apiKey } });
+}
+
+/**
+ * @returns {Object[]} the events received since the last call, checking each signature
+ */
+function takeEvents() {
+  const events = received.map(({ headers, body }) => {
+    const timestamp = headers['x-trynano-signature'].match(/^t=(\d+),/)[1];
+    assert.strictEqual(
+      headers['x-trynano-signature'],
+      signPayload(webhook.secret, timestamp, body)
+    );
+    const event = JSON.parse(body);
+    assert.strictEqual(headers['x-trynano-event'], event.type);
+    return event;
+  });
+  received = [];
+  return events;
+}
+
+/**
+ * @param {Object[]} events webhook events
+ * @returns {Object} the events by type, deliveries emitted together arrive in no particular order
+ */
+function byType(events) {
+  return Object.fromEntries(events.map((event) => [event.type, event]));
+}
+
+test('endpoints get signed events for wallets, sends and the faucet', async () => {
+  const created = await stack.api('/api/createWallets');
+  const [alice, bob] = created.body.wallets;
+  // the request only stores its events, the DeliverWebhooks run sends them
+  assert.strictEqual(received.length, 0);
+  await stack.deliverWebhooks();
+  assert.deepStrictEqual(
+    takeEvents()
+      .map((event) => [event.type, event.data.address])
+      .sort(),
+    [
+      ['wallet.created', alice.address],
+      ['wallet.created', bob.address],
+    ].sort()
+  );
+
+  await stack.api('/api/getFromFaucet', {
+    toAddress: alice.address,
+    privateKey: alice.privateKey,
+  });
+  await stack.api('/api/receive', { receiveAddress: alice.address });
+  await stack.api('/api/send', {
+    fromAddress: alice.address,
+    toAddress: bob.address,
+    privateKey: alice.privateKey,
+    amount: '0.05',
+  });
+  assert.strictEqual(received.length, 0);
+
+  // the run also finds the confirmation
+  const run = await stack.deliverWebhooks();
+  assert.strictEqual(run.body.confirmed, 1);
+  const events = byType(takeEvents());
+  assert.deepStrictEqual(Object.keys(events).sort(), [
+    'faucet.payout',
+    'send.broadcast',
+    'send.confirmed',
+    'wallet.received',
+  ]);
+  // the default policy pays 0.125 NANO
+  assert.strictEqual(events['faucet.payout'].data.amount.nano, '0.125');
+  assert.strictEqual(events['wallet.received'].data.balance.nano, '0.125');
+  assert.strictEqual(events['send.broadcast'].data.toAddress, bob.address);
+  assert.strictEqual(
+    events['send.confirmed'].data.hash,
+    events['send.broadcast'].data.hash
+  );
+
+  // idle wallets are swept an hour later
+  stack.advance(3660000);
+  await stack.sweep();
+  await stack.deliverWebhooks();
+  assert.deepStrictEqual(
+    takeEvents().map((event) => [event.type, event.data.amount.nano]),
+    [['wallet.swept', '0.075']]
+  );
+});
+
+test('failed deliveries are retried, dead-lettered and replayed', async () => {
+  receiverStatus = 500;
+  await stack.api('/api/createWallets', { count: 1 });
+  let run = await stack.deliverWebhooks();
+  assert.strictEqual(run.body.retrying, 1);
+  assert.strictEqual(received.length, 1);
+  received = [];
+
+  // not due again for 30 seconds
+  await stack.deliverWebhooks();
+  assert.strictEqual(received.length, 0);
+  stack.advance(30000);
+  run = await stack.deliverWebhooks();
+  assert.strictEqual(run.body.deadLettered, 1);
+  assert.strictEqual(received.length, 1);
+  received = [];
+
+  const listed = await adminApi('/api/admin/listWebhookDeadLetters', {
+    webhookId: webhook.webhookId,
+  });
+  assert.strictEqual(listed.body.deadLetters.length, 1);
+  const [deadLetter] = listed.body.deadLetters;
+  assert.strictEqual(deadLetter.event.type, 'wallet.created');
+  assert.strictEqual(deadLetter.lastError, 'HTTP 500');
+  assert.strictEqual(deadLetter.attempts, 2);
+
+  receiverStatus = 200;
+  const replayed = await adminApi('/api/admin/replayWebhookDeliveries', {
+    deliveryIds: [deadLetter.deliveryId],
+  });
+  assert.deepStrictEqual(replayed.body.replayed, [
+    { deliveryId: deadLetter.deliveryId, status: 'delivered' },
+  ]);
+  const [event] = takeEvents();
+  assert.strictEqual(event.id, deadLetter.event.id);
+
+  const after = await adminApi('/api/admin/listWebhookDeadLetters', {});
+  assert.deepStrictEqual(after.body.deadLetters, []);
+});
+
+test('webhook admin routes check events and hide secrets', async () => {
+  const unknown = await adminApi('/api/admin/createWebhook', {
+    url: 'https://example.com/hooks',
+    events: ['wallet.deleted'],
+  });
+  assert.strictEqual(unknown.statusCode, 400);
+  assert.strictEqual(unknown.body.code, 'INVALID_REQUEST');
+
+  const listed = await adminApi('/api/admin/listWebhooks', {});
+  assert.strictEqual(listed.body.webhooks.length, 1);
+  assert.strictEqual(listed.body.webhooks[0].secret, undefined);
+
+  const removed = await adminApi('/api/admin/deleteWebhook', {
+    webhookId: webhook.webhookId,
+  });
+  assert.strictEqual(removed.statusCode, 200);
+  const again = await adminApi('/api/admin/deleteWebhook', {
+    webhookId: webhook.webhookId,
+  });
+  assert.strictEqual(again.statusCode, 404);
+
+  // nothing is sent once the endpoint is gone
+  await stack.api('/api/createWallets', { count: 1 });
+  await stack.deliverWebhooks();
+  assert.strictEqual(received.length, 0);
+});
+
+test('deliveries to a single URL only go to public hosts', async () => {
+  const store = createMemoryStore(TABLES);
+  const webhooks = createWebhooks({
+    store: store,
+    options: { timeoutMs: 1000, maxAttempts: 2, retryBaseSeconds: 30 },
+  });
+  await webhooks.emitTo(
+    {
+      url: `http://127.0.0.1:${receiver.address().port}/paid`,
+      secret: 'whsec_test',
+    },
+    'paymentRequest.paid',
+    { requestId: 'r1' }
+  );
+
+  const counts = await webhooks.runDue(() => false);
+  assert.strictEqual(counts.retrying, 1);
+  assert.strictEqual(received.length, 0);
+  const { items } = await store.scanItems('webhookDeliveries', {});
+  assert.strictEqual(items[0].lastError, '127.0.0.1 is not a public host');
+});
@@ -0,0 +1,179 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { TABLES } = require('../lib/storage');
+const { createMemoryStore } = require('../lib/storage/memory');
+const {
+  SIMULATED_SEND_DIFFICULTY,
+  createSimulatedLedger,
+} = require('../lib/simulatedNode');
+const {
+  SEND_DIFFICULTY,
+  createWorkProvider,
+  meetsDifficulty,
+  workOptionsFromEnv,
+} = require('../lib/work');
+
+const HASH = 'a'.repeat(64);
+const OTHER_HASH = 'b'.repeat(64);
+// not enough for either hash at the simulated difficulty
+const INVALID_WORK = '0000000000000000';
+
+// fallbacks and failures are logged, read per entry
+process.env.LOG_LEVEL = 'error';
+
+// the simulated ledger's work_generate answers at its difficulty right away
+const ledger = createSimulatedLedger();
+
+/**
+ * @param {string} hash block hash
+ * @returns {string} work for the hash at the simulated send difficulty
+ */
+function validWork(hash) {
+  return ledger.rpc({
+    action: 'work_generate',
+    hash: hash,
+    difficulty: SIMULATED_SEND_DIFFICULTY,
+  }).work;
+}
+
+/**
+ * @param {Object} env WORK_* variables over the simulated difficulties
+ * @param {Function} workGenerate (params) => RPC answer, the simulated
+ *  ledger's by default
+ * @returns {Object} { work, store, calls } where calls collects the
+ *  work_generate hashes
+ */
+function providerWith(env = {}, workGenerate) {
+  const calls = [];
+  const store = createMemoryStore(TABLES);
+  const node = {
+    rpc: async (action, params) => {
+      assert.strictEqual(action, 'work_generate');
+      calls.push(params.hash);
+      return workGenerate
+        ? workGenerate(params)
+        : ledger.rpc(Object.assign({ action: action }, params));
+    },
+  };
+  const options = workOptionsFromEnv(
+    Object.assign(
+      {
+        WORK_SEND_DIFFICULTY: SIMULATED_SEND_DIFFICULTY,
+        WORK_RECEIVE_DIFFICULTY: SIMULATED_SEND_DIFFICULTY,
+      },
+      env
+    )
+  );
+  return {
+    work: createWorkProvider({ node: node, store: store, options: options }),
+    store: store,
+    calls: calls,
+  };
+}
+
+test('work is checked against the difficulty', () => {
+  const work = validWork(HASH);
+  assert.strictEqual(
+    meetsDifficulty(HASH, work, SIMULATED_SEND_DIFFICULTY),
+    true
+  );
+  assert.strictEqual(meetsDifficulty(HASH, work, 'ffffffffffffffff'), false);
+  assert.strictEqual(
+    meetsDifficulty(HASH, INVALID_WORK, SIMULATED_SEND_DIFFICULTY),
+    false
+  );
+  assert.strictEqual(
+    meetsDifficulty(HASH, 'not work', '0000000000000000'),
+    false
+  );
+});
+
+test('the live thresholds map to the configured ones', async () => {
+  const { work, calls } = providerWith();
+  const generated = await work.generate(HASH, SEND_DIFFICULTY);
+  assert.strictEqual(
+    meetsDifficulty(HASH, generated, SIMULATED_SEND_DIFFICULTY),
+    true
+  );
+  assert.deepStrictEqual(calls, [HASH]);
+});
+
+test('generated work is cached, invalid cache entries are not used', async () => {
+  const { work, store, calls } = providerWith();
+  const generated = await work.generate(HASH, SEND_DIFFICULTY);
+  assert.strictEqual((await store.getItem('workCache', HASH)).work, generated);
+  assert.strictEqual(await work.generate(HASH, SEND_DIFFICULTY), generated);
+  assert.deepStrictEqual(calls, [HASH]);
+
+  await store.putItem('workCache', { hash: OTHER_HASH, work: INVALID_WORK });
+  const other = await work.generate(OTHER_HASH, SEND_DIFFICULTY);
+  assert.strictEqual(
+    meetsDifficulty(OTHER_HASH, other, SIMULATED_SEND_DIFFICULTY),
+    true
+  );
+  assert.deepStrictEqual(calls, [HASH, OTHER_HASH]);
+});
+
+test('invalid work from the node is refused', async () => {
+  const { work, store } = providerWith({}, () => ({ work: INVALID_WORK }));
+  await assert.rejects(work.generate(HASH, SEND_DIFFICULTY), {
+    message: 'work_generate returned invalid work',
+  });
+  assert.strictEqual(await store.getItem('workCache', HASH), null);
+
+  const failing = providerWith({}, () => ({ error: 'unavailable' }));
+  await assert.rejects(failing.work.generate(HASH, SEND_DIFFICULTY), {
+    message: 'work_generate failed: unavailable',
+  });
+});
+
+test('local generation that times out falls back to work_generate', async () => {
+  const { work, calls } = providerWith({
+    WORK_LOCAL: 'true',
+    WORK_THREADS: '1',
+    // the thread can't even start in time
+    WORK_LOCAL_TIMEOUT_MS: '1',
+  });
+  const generated = await work.generate(HASH, SEND_DIFFICULTY);
+  assert.strictEqual(
+    meetsDifficulty(HASH, generated, SIMULATED_SEND_DIFFICULTY),
+    true
+  );
+  assert.deepStrictEqual(calls, [HASH]);
+});
+
+test('local generation finds valid work', async () => {
+  const { work, calls } = providerWith({
+    WORK_LOCAL: 'true',
+    WORK_THREADS: '1',
+  });
+  const generated = await work.generate(HASH, SEND_DIFFICULTY);
+  assert.strictEqual(
+    meetsDifficulty(HASH, generated, SIMULATED_SEND_DIFFICULTY),
+    true
+  );
+  assert.deepStrictEqual(calls, []);
+});
+
+test('precached work is used for the next block', async () => {
+  const { work, calls } = providerWith({ WORK_PRECACHE: 'true' });
+  await work.precache(HASH);
+  assert.deepStrictEqual(calls, [HASH]);
+  await work.generate(HASH, SEND_DIFFICULTY);
+  assert.deepStrictEqual(calls, [HASH]);
+
+  // nothing to do without a hash or with precaching off
+  await work.precache(undefined);
+  assert.deepStrictEqual(calls, [HASH]);
+  const off = providerWith();
+  await off.work.precache(OTHER_HASH);
+  assert.deepStrictEqual(off.calls, []);
+});
+
+test('precaching never throws', async () => {
+  const { work, calls } = providerWith({ WORK_PRECACHE: 'true' }, () => ({
+    error: 'unavailable',
+  }));
+  await work.precache(HASH);
+  assert.deepStrictEqual(calls, [HASH]);
+});
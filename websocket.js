@@ -0,0 +1,88 @@
+const { coreOptionsFromEnv, createCore } = require('./lib/core');
+const { createPushService } = require('./lib/push');
+const { logger, runWithContext } = require('./lib/logger');
+const { metrics } = require('./lib/metrics');
+const { traceIdFrom } = require('./lib/tracing');
+
+require('dotenv').config();
+
+/*
+    API Gateway WebSocket API for wallet updates. Connect, then send
+    { "action": "subscribe", "addresses": [...] } with TryNano wallet
+    addresses. This Lambda only records subscriptions; pushWorker.js follows
+    the node and posts the updates back through the API Gateway connection.
+
+    Route selection expression: $request.body.action, with the subscribe,
+    unsubscribe, $default and $disconnect routes pointing at this handler.
+*/
+
+// Subscriptions live in the store the API and the push worker use, see lib/core
+const core = createCore(coreOptionsFromEnv(process.env));
+
+const push = createPushService({ store: core.store });
+
+/**
+ * Entry-point for the TryNano WebSocket AWS Lambda function.
+ *
+ * @param {APIGatewayWebSocketEvent} event the API Gateway WebSocket event data
+ * @returns {HttpResponse} Http response object
+ */
+exports.handler = async function (event) {
+  const { requestId, routeKey } = event.requestContext;
+  return await runWithContext(
+    { requestId: requestId, traceId: traceIdFrom(event.headers), routeKey },
+    async () => {
+      const res = await handleEvent(event);
+      metrics.flush({ requestId: requestId });
+      return res;
+    }
+  );
+};
+
+/**
+ * Handles one WebSocket connect, disconnect or client message.
+ *
+ * @param {APIGatewayWebSocketEvent} event the API Gateway WebSocket event data
+ * @returns {HttpResponse} Http response object
+ */
+async function handleEvent(event) {
+  const { routeKey, connectionId, domainName, stage } = event.requestContext;
+  try {
+    if (routeKey === '$connect') {
+      return { statusCode: 200 };
+    }
+    if (routeKey === '$disconnect') {
+      await push.disconnect(connectionId);
+      return { statusCode: 200 };
+    }
+
+    const reply = await push.handleMessage(connectionId, event.body || '');
+    await postToConnection(
+      `https://${domainName}/${stage}`,
+      connectionId,
+      reply
+    );
+    return { statusCode: 200 };
+  } catch (err) {
+    logger.error('websocket event failed', { err: err });
+    return { statusCode: 500 };
+  }
+}
+
+/**
+ * Sends a message to a WebSocket client through API Gateway.
+ *
+ * @param {string} endpoint the API Gateway management endpoint
+ * @param {string} connectionId the client's connection
+ * @param {Object} message the message to send
+ */
+async function postToConnection(endpoint, connectionId, message) {
+  const AWS = require('aws-sdk');
+  const api = new AWS.ApiGatewayManagementApi({ endpoint: endpoint });
+  await api
+    .postToConnection({
+      ConnectionId: connectionId,
+      Data: JSON.stringify(message),
+    })
+    .promise();
+}